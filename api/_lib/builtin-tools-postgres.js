@@ -0,0 +1,565 @@
+/**
+ * Built-in Tool Runtime
+ *
+ * Runs the tool library's tools (see api/_lib/builtin-tools.js) against the
+ * student's sandbox datastore (tool_sandbox_records) and, for send_sms,
+ * their Twilio account.
+ *
+ * Tools return the result the AI sees. Problems the AI can fix or explain to
+ * the caller (a taken slot, a missing field) come back as
+ * { success: false, error }; database and network failures are thrown.
+ *
+ * Node.js only.
+ */
+
+import crypto from 'crypto';
+import { decryptApiKey } from './encryption.js';
+import { getCallerNumber } from './caller-memory.js';
+import {
+  APPOINTMENT_SLOTS,
+  APPOINTMENT_DURATION,
+  TABLES_PER_TIME,
+  MAX_PARTY_SIZE,
+  MAX_SMS_PER_CALL,
+  MAX_SMS_LENGTH,
+  SANDBOX_TIMEZONE,
+  isValidDate,
+  normalizeTime,
+  formatTime,
+  getTableTimes,
+  isSamePhoneNumber
+} from './builtin-tools.js';
+
+const TICKET_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Demo order statuses for track_order, in shipping order
+const ORDER_STATUSES = ['Processing', 'Shipped', 'In Transit', 'Out for Delivery', 'Delivered'];
+
+// Records returned by the sandbox listing and lookup_account
+const MAX_SANDBOX_RECORDS = 200;
+
+const fail = (error, details = {}) => ({ success: false, error, ...details });
+
+function isMissing(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function missingFields(args, fields) {
+  const missing = fields.filter(field => isMissing(args[field]));
+  return missing.length > 0 ? fail(`Missing ${missing.join(', ')}`) : null;
+}
+
+/**
+ * Create the tool_sandbox_records table (and its index) if missing
+ * @param {Function} sql - postgres.js client
+ */
+export async function ensureToolSandboxTable(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS tool_sandbox_records (
+      id SERIAL PRIMARY KEY,
+      session_token TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      record_id TEXT NOT NULL,
+      data JSONB NOT NULL DEFAULT '{}',
+      conversation_session_id TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_tool_sandbox_records_session
+      ON tool_sandbox_records(session_token, kind, created_at DESC)
+  `;
+}
+
+/**
+ * Run a sandbox query, creating the table on first use
+ */
+async function withSandboxTable(sql, query) {
+  try {
+    return await query();
+  } catch (error) {
+    // undefined_table
+    if (error.code !== '42P01') {
+      throw error;
+    }
+    await ensureToolSandboxTable(sql);
+    return query();
+  }
+}
+
+function newRecordId(prefix) {
+  return `${prefix}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+async function insertRecord(sql, context, kind, recordId, data) {
+  await withSandboxTable(sql, () => sql`
+    INSERT INTO tool_sandbox_records (
+      session_token,
+      kind,
+      record_id,
+      data,
+      conversation_session_id
+    ) VALUES (
+      ${context.sessionToken},
+      ${kind},
+      ${recordId},
+      ${sql.json({ ...data, callerNumber: context.callerNumber })},
+      ${context.conversationSessionId}
+    )
+  `);
+}
+
+async function findRecordsOnDate(sql, sessionToken, kind, date) {
+  return withSandboxTable(sql, () => sql`
+    SELECT data
+    FROM tool_sandbox_records
+    WHERE session_token = ${sessionToken}
+      AND kind = ${kind}
+      AND data->>'date' = ${date}
+  `);
+}
+
+/**
+ * Reserve one of the call's MAX_SMS_PER_CALL texts before sending it
+ *
+ * The count and the insert run in one transaction under a per-call advisory
+ * lock, so tool calls running in parallel can't both take the last text.
+ *
+ * @returns {Promise<number|null>} Row id of the reservation, or null if the cap is reached
+ */
+async function reserveSms(sql, context, data) {
+  const rows = await withSandboxTable(sql, () => sql.begin(async (tx) => {
+    await tx`SELECT pg_advisory_xact_lock(hashtext(${`sms:${context.conversationSessionId}`}))`;
+    return tx`
+      INSERT INTO tool_sandbox_records (
+        session_token,
+        kind,
+        record_id,
+        data,
+        conversation_session_id
+      )
+      SELECT
+        ${context.sessionToken},
+        'sms',
+        ${newRecordId('SMS')},
+        ${tx.json({ ...data, status: 'sending', callerNumber: context.callerNumber })},
+        ${context.conversationSessionId}
+      WHERE (
+        SELECT COUNT(*)
+        FROM tool_sandbox_records
+        WHERE kind = 'sms'
+          AND conversation_session_id = ${context.conversationSessionId}
+      ) < ${MAX_SMS_PER_CALL}
+      RETURNING id
+    `;
+  }));
+  return rows.length > 0 ? rows[0].id : null;
+}
+
+// ===========================================================================
+// TOOLS
+// ===========================================================================
+
+async function sendSms(sql, context, args) {
+  const message = String(args.message || '').trim();
+  if (!message) {
+    return fail('Missing message');
+  }
+  if (message.length > MAX_SMS_LENGTH) {
+    return fail(`The message is too long (max ${MAX_SMS_LENGTH} characters)`);
+  }
+
+  // Only ever text the person on the line, so the tool can't be talked into spamming others
+  if (!context.callerNumber) {
+    return fail('Texts can only be sent to the caller during a call');
+  }
+  if (!isMissing(args.to) && !isSamePhoneNumber(args.to, context.callerNumber)) {
+    return fail('Texts can only be sent to the caller on this call', { callerNumber: context.callerNumber });
+  }
+
+  const [config] = await sql`
+    SELECT twilio_account_sid, twilio_auth_token, selected_phone_number
+    FROM student_configs
+    WHERE session_token = ${context.sessionToken}
+  `;
+  const accountSid = config?.twilio_account_sid;
+  const authToken = decryptApiKey(config?.twilio_auth_token);
+  const fromNumber = config?.selected_phone_number;
+
+  if (!accountSid || !authToken || !fromNumber) {
+    return fail('Texting is not set up - add Twilio credentials and select a phone number in the Settings tab');
+  }
+
+  const record = { to: context.callerNumber, from: fromNumber, body: message };
+  const reservationId = await reserveSms(sql, context, record);
+  if (!reservationId) {
+    return fail(`Already sent ${MAX_SMS_PER_CALL} texts on this call`);
+  }
+
+  // Texts Twilio didn't accept don't count towards the cap
+  const releaseReservation = () => sql`DELETE FROM tool_sandbox_records WHERE id = ${reservationId}`;
+
+  let response;
+  let data;
+  try {
+    response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        'Authorization': 'Basic ' + Buffer.from(`${accountSid}:${authToken}`).toString('base64'),
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({
+        To: context.callerNumber,
+        From: fromNumber,
+        Body: message
+      })
+    });
+    data = await response.json();
+  } catch (error) {
+    await releaseReservation();
+    throw error;
+  }
+
+  if (!response.ok) {
+    await releaseReservation();
+    return fail(`Twilio did not send the text: ${data.message || `HTTP ${response.status}`}`);
+  }
+
+  await sql`
+    UPDATE tool_sandbox_records
+    SET record_id = ${data.sid},
+        data = ${sql.json({ ...record, status: data.status, callerNumber: context.callerNumber })}
+    WHERE id = ${reservationId}
+  `;
+
+  return {
+    success: true,
+    messageSid: data.sid,
+    to: context.callerNumber,
+    status: data.status
+  };
+}
+
+async function getFreeAppointmentSlots(sql, sessionToken, date) {
+  const booked = (await findRecordsOnDate(sql, sessionToken, 'appointment', date)).map(({ data }) => data.time);
+  return APPOINTMENT_SLOTS.filter(slot => !booked.includes(slot));
+}
+
+async function checkAvailability(sql, context, args) {
+  if (!isValidDate(args.date)) {
+    return fail('date must be a date like 2025-01-20');
+  }
+
+  const freeSlots = await getFreeAppointmentSlots(sql, context.sessionToken, args.date);
+
+  return {
+    date: args.date,
+    serviceType: args.service_type || 'checkup',
+    availableSlots: freeSlots.map(slot => ({ time: formatTime(slot), duration: APPOINTMENT_DURATION })),
+    timezone: SANDBOX_TIMEZONE
+  };
+}
+
+async function bookAppointment(sql, context, args) {
+  const missing = missingFields(args, ['patient_name', 'phone', 'date', 'time']);
+  if (missing) {
+    return missing;
+  }
+  if (!isValidDate(args.date)) {
+    return fail('date must be a date like 2025-01-20');
+  }
+
+  const time = normalizeTime(args.time);
+  const freeSlots = await getFreeAppointmentSlots(sql, context.sessionToken, args.date);
+
+  if (!time || !APPOINTMENT_SLOTS.includes(time) || !freeSlots.includes(time)) {
+    return fail(
+      APPOINTMENT_SLOTS.includes(time) ? 'That time is already booked' : 'That is not one of the appointment times',
+      { availableSlots: freeSlots.map(formatTime) }
+    );
+  }
+
+  const appointmentId = newRecordId('APT');
+  const appointment = {
+    patientName: String(args.patient_name).trim(),
+    phone: String(args.phone).trim(),
+    date: args.date,
+    time,
+    serviceType: args.service_type || 'checkup',
+    status: 'confirmed'
+  };
+  await insertRecord(sql, context, 'appointment', appointmentId, appointment);
+
+  return { success: true, appointmentId, ...appointment, time: formatTime(time) };
+}
+
+async function getFreeTableTimes(sql, sessionToken, date, timePreference) {
+  const reservations = await findRecordsOnDate(sql, sessionToken, 'reservation', date);
+  return getTableTimes(timePreference).filter(time =>
+    reservations.filter(({ data }) => data.time === time).length < TABLES_PER_TIME
+  );
+}
+
+function checkPartySize(partySize) {
+  const size = Number(partySize);
+  return Number.isInteger(size) && size >= 1 && size <= MAX_PARTY_SIZE
+    ? null
+    : fail(`party_size must be from 1 to ${MAX_PARTY_SIZE} (call the restaurant for larger groups)`);
+}
+
+async function checkTableAvailability(sql, context, args) {
+  if (!isValidDate(args.date)) {
+    return fail('date must be a date like 2025-01-20');
+  }
+  const sizeError = checkPartySize(args.party_size);
+  if (sizeError) {
+    return sizeError;
+  }
+
+  const freeTimes = await getFreeTableTimes(sql, context.sessionToken, args.date, args.time_preference);
+
+  return {
+    date: args.date,
+    partySize: Number(args.party_size),
+    availableTimes: freeTimes.map(time => ({ time: formatTime(time) })),
+    timezone: SANDBOX_TIMEZONE
+  };
+}
+
+async function makeReservation(sql, context, args) {
+  const missing = missingFields(args, ['guest_name', 'phone', 'date', 'time', 'party_size']);
+  if (missing) {
+    return missing;
+  }
+  if (!isValidDate(args.date)) {
+    return fail('date must be a date like 2025-01-20');
+  }
+  const sizeError = checkPartySize(args.party_size);
+  if (sizeError) {
+    return sizeError;
+  }
+
+  const time = normalizeTime(args.time);
+  const freeTimes = await getFreeTableTimes(sql, context.sessionToken, args.date);
+
+  if (!time || !freeTimes.includes(time)) {
+    return fail('No table is available at that time', { availableTimes: freeTimes.map(formatTime) });
+  }
+
+  const reservationId = newRecordId('RES');
+  const reservation = {
+    guestName: String(args.guest_name).trim(),
+    phone: String(args.phone).trim(),
+    date: args.date,
+    time,
+    partySize: Number(args.party_size),
+    specialRequests: args.special_requests || '',
+    status: 'confirmed'
+  };
+  await insertRecord(sql, context, 'reservation', reservationId, reservation);
+
+  return { success: true, reservationId, ...reservation, time: formatTime(time) };
+}
+
+async function trackOrder(sql, context, args) {
+  const orderNumber = String(args.order_number || '').trim();
+  if (!orderNumber) {
+    return fail('Missing order_number');
+  }
+
+  // Demo orders: the same order number always gets the same status
+  const hash = [...orderNumber].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) % 100000, 7);
+  const stage = hash % ORDER_STATUSES.length;
+  const status = ORDER_STATUSES[stage];
+  const delivered = status === 'Delivered';
+  // Delivered orders arrived a few days ago, the rest arrive sooner the further along they are
+  const daysFromNow = delivered ? -(1 + (hash % 3)) : ORDER_STATUSES.length - 1 - stage;
+  const deliveryDate = new Date(Date.now() + daysFromNow * 24 * 60 * 60 * 1000);
+
+  const returns = await withSandboxTable(sql, () => sql`
+    SELECT record_id, data
+    FROM tool_sandbox_records
+    WHERE session_token = ${context.sessionToken}
+      AND kind = 'return'
+      AND data->>'orderNumber' = ${orderNumber}
+  `);
+
+  return {
+    orderNumber,
+    status,
+    [delivered ? 'deliveredOn' : 'estimatedDelivery']: deliveryDate.toISOString().slice(0, 10),
+    trackingNumber: `TRK${hash}`,
+    returns: returns.map(({ record_id: returnId, data }) => ({ returnId, status: data.status }))
+  };
+}
+
+async function processReturn(sql, context, args) {
+  const missing = missingFields(args, ['order_number', 'reason']);
+  if (missing) {
+    return missing;
+  }
+
+  const returnId = newRecordId('RET');
+  const returnRequest = {
+    orderNumber: String(args.order_number).trim(),
+    reason: String(args.reason).trim(),
+    items: Array.isArray(args.items) ? args.items.map(String) : [],
+    status: 'initiated'
+  };
+  await insertRecord(sql, context, 'return', returnId, returnRequest);
+
+  return { success: true, returnId, ...returnRequest };
+}
+
+async function createTicket(sql, context, args) {
+  const missing = missingFields(args, ['customer_name', 'issue_description']);
+  if (missing) {
+    return missing;
+  }
+  const priority = args.priority || 'medium';
+  if (!TICKET_PRIORITIES.includes(priority)) {
+    return fail(`priority must be one of ${TICKET_PRIORITIES.join(', ')}`);
+  }
+
+  const ticketId = newRecordId('TKT');
+  const ticket = {
+    customerName: String(args.customer_name).trim(),
+    issueDescription: String(args.issue_description).trim(),
+    priority,
+    category: args.category || 'general',
+    status: 'open',
+    createdAt: new Date().toISOString()
+  };
+  await insertRecord(sql, context, 'ticket', ticketId, ticket);
+
+  return { success: true, ticketId, ...ticket };
+}
+
+async function lookupAccount(sql, context, args) {
+  const identifier = String(args.identifier || '').trim();
+  if (!identifier) {
+    return fail('Missing identifier');
+  }
+
+  const records = await listSandboxRecords(sql, context.sessionToken);
+  const matches = records.filter(({ kind, data }) => kind !== 'sms' && (
+    isSamePhoneNumber(identifier, data.phone) ||
+    isSamePhoneNumber(identifier, data.callerNumber) ||
+    (identifier.includes('@') && String(data.email || '').toLowerCase() === identifier.toLowerCase())
+  ));
+
+  if (matches.length === 0) {
+    return { found: false, identifier, message: 'No account found for that phone number or email' };
+  }
+
+  const ofKind = (kind) => matches
+    .filter(record => record.kind === kind)
+    .map(({ recordId, data: { callerNumber, ...data } }) => ({
+      id: recordId,
+      ...data,
+      ...(data.time ? { time: formatTime(data.time) } : {})
+    }));
+
+  return {
+    found: true,
+    identifier,
+    customerName: matches.map(({ data }) => data.patientName || data.guestName || data.customerName).find(Boolean) || null,
+    appointments: ofKind('appointment'),
+    reservations: ofKind('reservation'),
+    tickets: ofKind('ticket'),
+    returns: ofKind('return')
+  };
+}
+
+const TOOL_HANDLERS = {
+  send_sms: sendSms,
+  check_availability: checkAvailability,
+  book_appointment: bookAppointment,
+  check_table_availability: checkTableAvailability,
+  make_reservation: makeReservation,
+  track_order: trackOrder,
+  process_return: processReturn,
+  create_ticket: createTicket,
+  lookup_account: lookupAccount
+};
+
+// ===========================================================================
+// RUNTIME
+// ===========================================================================
+
+/**
+ * Run a built-in tool for a student
+ *
+ * @param {Function} sql - postgres.js client
+ * @param {Object} options
+ * @param {string} options.sessionToken
+ * @param {string} options.tool - Tool name (see BUILTIN_TOOL_NAMES)
+ * @param {Object} [options.args] - Arguments from the AI
+ * @param {string|null} [options.conversationSessionId] - The call the tool runs on
+ * @returns {Promise<Object>} Tool result for the AI
+ */
+export async function runBuiltinTool(sql, { sessionToken, tool, args = {}, conversationSessionId = null }) {
+  const run = TOOL_HANDLERS[tool];
+  if (!run) {
+    return fail(`${tool} is not a built-in tool`);
+  }
+
+  // The call (if any) must belong to this student - it decides who send_sms may text
+  let session = null;
+  if (conversationSessionId) {
+    [session] = await sql`
+      SELECT from_number, to_number, direction
+      FROM conversation_sessions
+      WHERE id = ${String(conversationSessionId)}
+        AND session_token = ${sessionToken}
+    `;
+  }
+
+  const context = {
+    sessionToken,
+    conversationSessionId: session ? String(conversationSessionId) : null,
+    callerNumber: session
+      ? getCallerNumber({ from: session.from_number, to: session.to_number, direction: session.direction })
+      : null
+  };
+
+  return run(sql, context, args && typeof args === 'object' ? args : {});
+}
+
+/**
+ * A student's sandbox records, newest first
+ * @param {Function} sql - postgres.js client
+ * @param {string} sessionToken
+ * @param {Object} [options] - { kind }
+ */
+export async function listSandboxRecords(sql, sessionToken, { kind = null } = {}) {
+  const records = await withSandboxTable(sql, () => sql`
+    SELECT
+      kind,
+      record_id as "recordId",
+      data,
+      conversation_session_id as "conversationSessionId",
+      created_at as "createdAt"
+    FROM tool_sandbox_records
+    WHERE session_token = ${sessionToken}
+      ${kind ? sql`AND kind = ${kind}` : sql``}
+    ORDER BY created_at DESC
+    LIMIT ${MAX_SANDBOX_RECORDS}
+  `);
+  return [...records];
+}
+
+/**
+ * Reset a student's sandbox
+ * @returns {Promise<number>} Records deleted
+ */
+export async function clearSandbox(sql, sessionToken) {
+  // Sent texts stay - send_sms counts them against MAX_SMS_PER_CALL
+  const result = await withSandboxTable(sql, () => sql`
+    DELETE FROM tool_sandbox_records
+    WHERE session_token = ${sessionToken}
+      AND kind <> 'sms'
+  `);
+  return result.count;
+}
@@ -0,0 +1,136 @@
+/**
+ * Built-in Tools
+ *
+ * The tool library (api/_lib/tool-library-seed.js) tools run on the workshop's own
+ * runtime when a student adds them without a webhook_url, so the demo use
+ * cases work end to end:
+ *
+ *   send_sms                   → real SMS from the student's Twilio number,
+ *                                only to the caller on the current call
+ *   check_availability         → free appointment slots (sandbox)
+ *   book_appointment           → books a slot (sandbox)
+ *   check_table_availability   → free reservation times (sandbox)
+ *   make_reservation           → books a table (sandbox)
+ *   track_order                → demo tracking info, plus any sandbox returns
+ *   process_return             → records a return (sandbox)
+ *   create_ticket              → records a support ticket (sandbox)
+ *   lookup_account             → the sandbox records for a phone number or email
+ *
+ * The sandbox is a per-student datastore (tool_sandbox_records), viewable and
+ * resettable through /api/tool-runtime. This module holds the scheduling
+ * rules; the tools themselves run in api/_lib/builtin-tools-postgres.js.
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+export const BUILTIN_TOOL_NAMES = [
+  'send_sms',
+  'check_availability',
+  'book_appointment',
+  'check_table_availability',
+  'make_reservation',
+  'track_order',
+  'process_return',
+  'create_ticket',
+  'lookup_account'
+];
+
+// Kinds of sandbox records
+export const SANDBOX_RECORD_KINDS = ['appointment', 'reservation', 'return', 'ticket', 'sms'];
+
+// Appointment slots offered every day (24-hour HH:MM)
+export const APPOINTMENT_SLOTS = ['09:00', '10:30', '14:00', '15:30'];
+export const APPOINTMENT_DURATION = '30 min';
+
+// Reservation times by meal, and how many tables each time has
+export const TABLE_TIMES = {
+  breakfast: ['08:00', '09:30'],
+  lunch: ['12:00', '13:30'],
+  dinner: ['17:30', '19:00', '20:30']
+};
+export const TABLES_PER_TIME = 2;
+export const MAX_PARTY_SIZE = 12;
+
+// Texts the AI may send on one call
+export const MAX_SMS_PER_CALL = 3;
+export const MAX_SMS_LENGTH = 640;
+
+export const SANDBOX_TIMEZONE = 'America/New_York';
+
+/**
+ * Is this tool run by the built-in runtime?
+ */
+export function isBuiltinTool(name) {
+  return BUILTIN_TOOL_NAMES.includes(name);
+}
+
+/**
+ * YYYY-MM-DD that is a real calendar date
+ */
+export function isValidDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Parse a spoken or written time ("2 PM", "2:00 pm", "14:00", "09:30 AM")
+ * @returns {string|null} 24-hour HH:MM
+ */
+export function normalizeTime(value) {
+  const match = String(value || '').trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?$/);
+  if (!match) {
+    return null;
+  }
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2] || '0', 10);
+  const meridiem = match[3]?.[0];
+
+  if (minutes > 59 || (meridiem && (hours < 1 || hours > 12)) || hours > 23) {
+    return null;
+  }
+  if (meridiem === 'p' && hours < 12) {
+    hours += 12;
+  } else if (meridiem === 'a' && hours === 12) {
+    hours = 0;
+  }
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * 24-hour HH:MM → "2:00 PM" (how the AI should say it)
+ */
+export function formatTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const suffix = hours < 12 ? 'AM' : 'PM';
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+}
+
+/**
+ * Reservation times for a meal (all meals if not given or unknown)
+ */
+export function getTableTimes(timePreference) {
+  const meal = String(timePreference || '').toLowerCase();
+  return TABLE_TIMES[meal] || Object.values(TABLE_TIMES).flat();
+}
+
+/**
+ * Digits of a phone number, for matching "+1 (555) 123-4567" with "+15551234567"
+ */
+export function phoneDigits(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  // US numbers are often said without the country code
+  return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+}
+
+/**
+ * Same phone number, however it was written
+ */
+export function isSamePhoneNumber(a, b) {
+  const digitsA = phoneDigits(a);
+  return digitsA.length >= 7 && digitsA === phoneDigits(b);
+}
@@ -0,0 +1,122 @@
+/**
+ * Call Control Tools
+ *
+ * Built-in tools the conversation engine executes itself (no webhook):
+ * - transfer_call: hand the caller to a human agent
+ * - end_call: say a final line and hang up
+ *
+ * Both end the ConversationRelay session with a handoff payload. Twilio
+ * posts it as `HandoffData` to the TwiML <Connect action> URL
+ * (api/call-status-callback.js), which dials the student's configured
+ * transfer destination for transfers.
+ *
+ * Every call records why it ended (conversation_sessions.end_reason) so
+ * analytics can separate resolved calls from abandoned ones.
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+export const HANDOFF_REASON_TRANSFER = 'live-agent-handoff';
+export const HANDOFF_REASON_END_CALL = 'end-call';
+
+// Reasons the AI can give for ending a call itself (end_call tool)
+export const END_CALL_REASONS = ['resolved', 'caller_request', 'no_response', 'out_of_scope', 'inappropriate'];
+
+// Every value stored in conversation_sessions.end_reason
+export const SESSION_END_REASONS = [
+  ...END_CALL_REASONS,
+  'transferred', // Handed to a human agent
+  'keypad', // Caller pressed a keypad "end" action
+  'caller_hangup' // Caller disconnected before the AI ended the call (abandoned)
+];
+
+export const TRANSFER_CALL_TOOL = {
+  type: 'function',
+  function: {
+    name: 'transfer_call',
+    description: 'Transfer the caller to a human agent. Use when the caller asks for a person or the issue is too complex to resolve.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: {
+          type: 'string',
+          description: 'Short reason for the transfer'
+        },
+        summary: {
+          type: 'string',
+          description: 'One or two sentence summary of the conversation for the agent who takes the call'
+        }
+      },
+      required: ['reason', 'summary']
+    }
+  }
+};
+
+export const END_CALL_TOOL = {
+  type: 'function',
+  function: {
+    name: 'end_call',
+    description: 'End the phone call. Use only when the conversation is finished or the caller wants to hang up.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: {
+          type: 'string',
+          enum: END_CALL_REASONS,
+          description: 'Why the call is ending'
+        },
+        goodbye: {
+          type: 'string',
+          description: 'Final sentence to say to the caller before hanging up'
+        }
+      },
+      required: ['reason', 'goodbye']
+    }
+  }
+};
+
+export const DEFAULT_TRANSFER_MESSAGE = 'Please hold while I transfer you to someone who can help.';
+export const DEFAULT_GOODBYE_MESSAGE = 'Thank you for calling. Goodbye!';
+
+// Rough text-to-speech pace, used to let a goodbye finish before the session ends
+const SPEECH_MS_PER_WORD = 400;
+const MIN_SPEECH_DELAY_MS = 500;
+
+/**
+ * Check a transfer destination (E.164 phone number or SIP URI)
+ * @param {string} destination
+ * @returns {boolean}
+ */
+export function isValidTransferDestination(destination) {
+  if (typeof destination !== 'string') {
+    return false;
+  }
+  return /^\+[1-9]\d{6,14}$/.test(destination) || /^sips?:[^\s@]+@[^\s]+$/i.test(destination);
+}
+
+/**
+ * Estimate how long TTS needs to speak a piece of text
+ * @param {string} text
+ * @returns {number} Milliseconds
+ */
+export function estimateSpeechMs(text) {
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean).length;
+  return Math.max(MIN_SPEECH_DELAY_MS, words * SPEECH_MS_PER_WORD);
+}
+
+/**
+ * Parse the HandoffData string Twilio posts to the <Connect action> URL
+ * @param {string} handoffData
+ * @returns {Object|null}
+ */
+export function parseHandoffData(handoffData) {
+  if (!handoffData) {
+    return null;
+  }
+  try {
+    const parsed = JSON.parse(handoffData);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Call Outcomes
+ *
+ * Storage for the structured record each call collects through its slot
+ * schema (api/_lib/slot-filling.js): one call_outcomes row per conversation
+ * session. Shared by /api/call-outcome-save, /api/call-outcomes-get and the
+ * direct Postgres persistence backend.
+ *
+ * Node.js only.
+ */
+
+/**
+ * Create the call_outcomes table (and its indexes) if missing
+ * @param {Function} sql - postgres.js client
+ */
+export async function ensureCallOutcomesTable(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS call_outcomes (
+      id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+      conversation_session_id TEXT NOT NULL UNIQUE
+        REFERENCES conversation_sessions(id) ON DELETE CASCADE,
+      session_token TEXT NOT NULL,
+      call_sid TEXT,
+      from_number TEXT,
+      slots JSONB DEFAULT '{}',
+      missing_slots JSONB DEFAULT '[]',
+      complete BOOLEAN DEFAULT false,
+      invalid_attempts JSONB DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_call_outcomes_session_token
+      ON call_outcomes(session_token, created_at DESC)
+  `;
+}
+
+/**
+ * Save (or replace) the outcome of a conversation session.
+ * Student and caller details are copied from conversation_sessions.
+ * @returns {Promise<string|null>} Outcome id, or null if the session doesn't exist
+ */
+export async function saveCallOutcome(sql, conversationSessionId, outcome) {
+  const result = await sql`
+    INSERT INTO call_outcomes (
+      conversation_session_id,
+      session_token,
+      call_sid,
+      from_number,
+      slots,
+      missing_slots,
+      complete,
+      invalid_attempts
+    )
+    SELECT
+      id,
+      session_token,
+      call_sid,
+      from_number,
+      ${sql.json(outcome.slots || {})},
+      ${sql.json(outcome.missingSlots || [])},
+      ${outcome.complete === true},
+      ${sql.json(outcome.invalidAttempts || {})}
+    FROM conversation_sessions
+    WHERE id = ${conversationSessionId}
+    ON CONFLICT (conversation_session_id) DO UPDATE SET
+      slots = EXCLUDED.slots,
+      missing_slots = EXCLUDED.missing_slots,
+      complete = EXCLUDED.complete,
+      invalid_attempts = EXCLUDED.invalid_attempts,
+      created_at = NOW()
+    RETURNING id
+  `;
+  return result.length > 0 ? result[0].id : null;
+}
+
+/**
+ * Quote a value for CSV
+ *
+ * Caller-provided text that starts like a formula (=, +, -, @) gets a leading
+ * apostrophe, so spreadsheets show it instead of running it. That includes
+ * E.164 phone numbers, which then open as text rather than as numbers.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render outcomes as CSV, one column per slot
+ * @param {Array} outcomes - Rows from /api/call-outcomes-get
+ * @param {Array} [slotSchema] - Student's slot schema (sets the column order)
+ * @returns {string}
+ */
+export function outcomesToCsv(outcomes, slotSchema = []) {
+  const slotNames = [...(slotSchema || []).map(slot => slot.name)];
+  for (const outcome of outcomes) {
+    for (const name of Object.keys(outcome.slots || {})) {
+      if (!slotNames.includes(name)) {
+        slotNames.push(name);
+      }
+    }
+  }
+
+  const header = ['createdAt', 'conversationSessionId', 'callSid', 'fromNumber', 'complete', 'missingSlots', ...slotNames];
+  const rows = outcomes.map(outcome => [
+    outcome.createdAt,
+    outcome.conversationSessionId,
+    outcome.callSid,
+    outcome.fromNumber,
+    outcome.complete,
+    (outcome.missingSlots || []).join(' '),
+    ...slotNames.map(name => outcome.slots?.[name])
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,108 @@
+/**
+ * Call Routes
+ *
+ * Records which WebSocket server handled each call (the student's own
+ * handler or the shared server - see api/_lib/websocket-routing.js), so the
+ * admin panel can show students whether their own code served a call.
+ *
+ * Node.js only.
+ */
+
+/**
+ * Create the call_routes table (and its index) if missing
+ * @param {Function} sql - postgres.js client
+ */
+export async function ensureCallRoutesTable(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS call_routes (
+      id SERIAL PRIMARY KEY,
+      call_sid TEXT,
+      session_token TEXT NOT NULL,
+      target TEXT NOT NULL,
+      websocket_url TEXT NOT NULL,
+      reason TEXT,
+      health_status INTEGER,
+      health_latency_ms INTEGER,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_call_routes_session
+      ON call_routes(session_token, created_at DESC)
+  `;
+
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_call_routes_call_sid
+      ON call_routes(call_sid)
+  `;
+}
+
+/**
+ * Record the WebSocket server picked for a call.
+ * Creates the table on first use, so the voice webhook needs no migration.
+ * @param {Function} sql - postgres.js client
+ * @param {Object} route - Result of selectWebSocketTarget() plus { callSid, sessionToken }
+ */
+export async function recordCallRoute(sql, { callSid, sessionToken, target, url, reason, health }) {
+  const insert = () => sql`
+    INSERT INTO call_routes (
+      call_sid,
+      session_token,
+      target,
+      websocket_url,
+      reason,
+      health_status,
+      health_latency_ms
+    ) VALUES (
+      ${callSid || null},
+      ${sessionToken},
+      ${target},
+      ${url},
+      ${reason || null},
+      ${health?.status ?? null},
+      ${health?.latencyMs ?? null}
+    )
+  `;
+
+  try {
+    await insert();
+  } catch (error) {
+    // undefined_table
+    if (error.code !== '42P01') {
+      throw error;
+    }
+    await ensureCallRoutesTable(sql);
+    await insert();
+  }
+}
+
+/**
+ * Look up the routes of a student's calls
+ * @returns {Promise<Object>} callSid → { target, websocketUrl, reason, createdAt }
+ */
+export async function getCallRoutes(sql, sessionToken, callSids) {
+  if (callSids.length === 0) {
+    return {};
+  }
+
+  const [table] = await sql`SELECT to_regclass('call_routes') as name`;
+  if (!table.name) {
+    return {};
+  }
+
+  const routes = await sql`
+    SELECT DISTINCT ON (call_sid)
+      call_sid,
+      target,
+      websocket_url as "websocketUrl",
+      reason,
+      created_at as "createdAt"
+    FROM call_routes
+    WHERE session_token = ${sessionToken}
+      AND call_sid IN ${sql(callSids)}
+    ORDER BY call_sid, created_at DESC
+  `;
+
+  return Object.fromEntries(routes.map(({ call_sid: callSid, ...route }) => [callSid, route]));
+}
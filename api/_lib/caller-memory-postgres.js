@@ -0,0 +1,255 @@
+/**
+ * Caller Memory Storage (Postgres)
+ *
+ * caller_memories holds one row per remembered call: the call summary and the
+ * caller's fact list as of that call. Shared by /api/caller-memory,
+ * /api/caller-memories (admin panel), /api/memory-threads-import and the
+ * direct Postgres persistence backend.
+ *
+ * source records where a memory came from:
+ * - call: summarized by the WebSocket handler when a call ended
+ * - manual: written or edited in the admin panel
+ * - openai_thread: imported from an OpenAI Assistants thread (source_ref = thread id)
+ *
+ * created_at is when the memory was saved here, and is what retention counts
+ * from. last_interaction_at keeps the date of the original conversation for
+ * memories that were imported later.
+ *
+ * Node.js only.
+ */
+
+import { DEFAULT_MEMORY_RETENTION_DAYS } from './caller-memory.js';
+
+// Memories returned for one caller (newest first)
+const CALLER_MEMORY_LIMIT = 5;
+
+export const MEMORY_SOURCES = ['call', 'manual', 'openai_thread'];
+
+/**
+ * Create the caller_memories table (and its index) if missing
+ * @param {Function} sql - postgres.js client
+ */
+export async function ensureCallerMemoriesTable(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS caller_memories (
+      id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+      session_token TEXT NOT NULL,
+      phone_number TEXT NOT NULL,
+      conversation_session_id TEXT
+        REFERENCES conversation_sessions(id) ON DELETE SET NULL,
+      summary TEXT,
+      facts JSONB DEFAULT '[]',
+      source TEXT DEFAULT 'call',
+      source_ref TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+
+  // Added after the table was first created
+  await sql`ALTER TABLE caller_memories ADD COLUMN IF NOT EXISTS source TEXT DEFAULT 'call'`;
+  await sql`ALTER TABLE caller_memories ADD COLUMN IF NOT EXISTS source_ref TEXT`;
+  await sql`ALTER TABLE caller_memories ADD COLUMN IF NOT EXISTS last_interaction_at TIMESTAMP`;
+
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_caller_memories_caller
+      ON caller_memories(session_token, phone_number, created_at DESC)
+  `;
+}
+
+/**
+ * Run a caller_memories query, creating the table (or the columns added
+ * since) on first use instead of running DDL on every request
+ */
+export async function withCallerMemoriesTable(sql, query) {
+  try {
+    return await query();
+  } catch (error) {
+    // undefined_table / undefined_column
+    if (error.code !== '42P01' && error.code !== '42703') {
+      throw error;
+    }
+    await ensureCallerMemoriesTable(sql);
+    return query();
+  }
+}
+
+/**
+ * Load what we remember about a caller, newest first
+ * @param {Function} sql - postgres.js client
+ * @param {string} sessionToken
+ * @param {string} phoneNumber
+ * @param {Object} [options]
+ * @param {number|null} [options.retentionDays] - Ignore memories older than this (null = keep all)
+ * @param {number} [options.limit]
+ * @returns {Promise<Array>} [{ id, conversationSessionId, summary, facts, source, createdAt, updatedAt, lastInteractionAt }]
+ */
+export async function loadCallerMemories(sql, sessionToken, phoneNumber, {
+  retentionDays = DEFAULT_MEMORY_RETENTION_DAYS,
+  limit = CALLER_MEMORY_LIMIT
+} = {}) {
+  return withCallerMemoriesTable(sql, () => sql`
+    SELECT
+      id,
+      conversation_session_id as "conversationSessionId",
+      summary,
+      facts,
+      source,
+      created_at as "createdAt",
+      updated_at as "updatedAt",
+      last_interaction_at as "lastInteractionAt"
+    FROM caller_memories
+    WHERE session_token = ${sessionToken}
+      AND phone_number = ${phoneNumber}
+      ${retentionDays ? sql`AND created_at >= NOW() - make_interval(days => ${retentionDays})` : sql``}
+    ORDER BY created_at DESC
+    LIMIT ${limit}
+  `);
+}
+
+/**
+ * Every remembered caller of a student, most recent first, with their latest
+ * summary and facts
+ * @returns {Promise<Array>} [{ phoneNumber, memoryCount, lastSummary, facts, lastRememberedAt, firstRememberedAt }]
+ */
+export async function listCallers(sql, sessionToken) {
+  return withCallerMemoriesTable(sql, () => sql`
+    SELECT
+      phone_number as "phoneNumber",
+      COUNT(*)::int as "memoryCount",
+      (array_agg(summary ORDER BY created_at DESC))[1] as "lastSummary",
+      (array_agg(facts ORDER BY created_at DESC))[1] as facts,
+      MAX(created_at) as "lastRememberedAt",
+      MIN(created_at) as "firstRememberedAt"
+    FROM caller_memories
+    WHERE session_token = ${sessionToken}
+    GROUP BY phone_number
+    ORDER BY MAX(created_at) DESC
+  `);
+}
+
+/**
+ * Add a memory that doesn't come from a recorded call (admin panel, imports)
+ * @param {Object} memory
+ * @param {string} [memory.source] - One of MEMORY_SOURCES (default manual)
+ * @param {string} [memory.sourceRef] - e.g. the imported thread id
+ * @param {Date|string} [memory.lastInteractionAt] - When the original conversation happened (imports)
+ * @returns {Promise<Object>} The new memory
+ */
+export async function createCallerMemory(sql, sessionToken, {
+  phoneNumber,
+  summary,
+  facts,
+  source = 'manual',
+  sourceRef = null,
+  lastInteractionAt = null
+}) {
+  const [memory] = await withCallerMemoriesTable(sql, () => sql`
+    INSERT INTO caller_memories (
+      session_token,
+      phone_number,
+      summary,
+      facts,
+      source,
+      source_ref,
+      last_interaction_at
+    ) VALUES (
+      ${sessionToken},
+      ${phoneNumber},
+      ${summary || null},
+      ${sql.json(facts || [])},
+      ${source},
+      ${sourceRef},
+      ${lastInteractionAt}::timestamp
+    )
+    RETURNING
+      id,
+      phone_number as "phoneNumber",
+      summary,
+      facts,
+      source,
+      created_at as "createdAt",
+      updated_at as "updatedAt",
+      last_interaction_at as "lastInteractionAt"
+  `);
+  return memory;
+}
+
+/**
+ * Edit a memory's summary and/or facts (fields left undefined are kept)
+ * @returns {Promise<Object|null>} The updated memory, or null if not found
+ */
+export async function updateCallerMemory(sql, sessionToken, memoryId, { summary, facts }) {
+  const result = await withCallerMemoriesTable(sql, () => sql`
+    UPDATE caller_memories
+    SET
+      summary = ${summary === undefined ? sql`summary` : summary},
+      facts = ${facts === undefined ? sql`facts` : sql.json(facts)},
+      updated_at = NOW()
+    WHERE id = ${memoryId}
+      AND session_token = ${sessionToken}
+    RETURNING
+      id,
+      phone_number as "phoneNumber",
+      summary,
+      facts,
+      source,
+      created_at as "createdAt",
+      updated_at as "updatedAt",
+      last_interaction_at as "lastInteractionAt"
+  `);
+  return result.length > 0 ? result[0] : null;
+}
+
+/**
+ * Delete one memory
+ * @returns {Promise<boolean>} Whether it existed
+ */
+export async function deleteCallerMemory(sql, sessionToken, memoryId) {
+  const result = await withCallerMemoriesTable(sql, () => sql`
+    DELETE FROM caller_memories
+    WHERE id = ${memoryId}
+      AND session_token = ${sessionToken}
+  `);
+  return result.count > 0;
+}
+
+/**
+ * Save the memory of a finished call.
+ * The student is taken from conversation_sessions.
+ * @returns {Promise<string|null>} Memory id, or null if the session doesn't exist
+ */
+export async function saveCallerMemory(sql, conversationSessionId, { phoneNumber, summary, facts }) {
+  const result = await withCallerMemoriesTable(sql, () => sql`
+    INSERT INTO caller_memories (
+      session_token,
+      phone_number,
+      conversation_session_id,
+      summary,
+      facts
+    )
+    SELECT
+      session_token,
+      ${phoneNumber},
+      id,
+      ${summary || null},
+      ${sql.json(facts || [])}
+    FROM conversation_sessions
+    WHERE id = ${conversationSessionId}
+    RETURNING id
+  `);
+  return result.length > 0 ? result[0].id : null;
+}
+
+/**
+ * Delete everything remembered about a caller ("forget me")
+ * @returns {Promise<number>} Number of memories deleted
+ */
+export async function forgetCaller(sql, sessionToken, phoneNumber) {
+  const result = await withCallerMemoriesTable(sql, () => sql`
+    DELETE FROM caller_memories
+    WHERE session_token = ${sessionToken}
+      AND phone_number = ${phoneNumber}
+  `);
+  return result.count;
+}
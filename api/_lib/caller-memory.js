@@ -0,0 +1,119 @@
+/**
+ * Caller Memory
+ *
+ * Persistent memory across calls from the same phone number, for students
+ * who turn on `enablePersistentMemory`:
+ * - on setup, the caller's previous call summaries and known facts are
+ *   looked up by phone number and added to the system prompt
+ * - when the call ends, the conversation is summarized (with an updated fact
+ *   list) and saved to caller_memories
+ *
+ * Memories older than the student's `memoryRetentionDays` are ignored here
+ * and deleted by the cleanup job (/api/cleanup-sessions). Callers can be
+ * forgotten with DELETE /api/caller-memory.
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+export const DEFAULT_MEMORY_RETENTION_DAYS = 30;
+
+// Previous calls whose summaries are added to the prompt
+export const MEMORY_SUMMARIES_IN_PROMPT = 3;
+
+// Most facts kept per caller (newest first)
+export const MAX_CALLER_FACTS = 20;
+
+const MEMORY_SUMMARY_INSTRUCTIONS = 'You write the memory an AI voice assistant keeps about a caller between phone calls. ' +
+  'From the known facts and the transcript of the call that just ended, reply with JSON only, no other text: ' +
+  '{"summary": "2-3 sentences: why they called, what happened, anything left open", ' +
+  '"facts": ["short, lasting facts about the caller - name, preferences, account or order details"]}. ' +
+  'Keep known facts that are still true, update changed ones, and never include payment card numbers or passwords.';
+
+/**
+ * The caller's phone number for a call (the remote party)
+ */
+export function getCallerNumber({ from, to, direction } = {}) {
+  return String(direction || '').startsWith('outbound') ? to || null : from || null;
+}
+
+/**
+ * System prompt section with what we remember about the caller
+ * @param {Array} memories - Newest first: { summary, facts, createdAt }
+ * @returns {string} Empty when there is nothing to remember
+ */
+export function buildMemoryPromptSection(memories) {
+  if (!Array.isArray(memories) || memories.length === 0) {
+    return '';
+  }
+
+  const facts = memories.find(memory => Array.isArray(memory.facts) && memory.facts.length > 0)?.facts || [];
+  const summaries = memories
+    .filter(memory => memory.summary)
+    .slice(0, MEMORY_SUMMARIES_IN_PROMPT)
+    .map(memory => `- ${memory.createdAt ? `${new Date(memory.createdAt).toISOString().slice(0, 10)}: ` : ''}${memory.summary}`);
+
+  let section = '# WHAT YOU REMEMBER ABOUT THIS CALLER\n' +
+    'This caller has called before. Use this naturally - don\'t read it out, and confirm details that may have changed.\n';
+  if (facts.length > 0) {
+    section += `Known facts:\n${facts.map(fact => `- ${fact}`).join('\n')}\n`;
+  }
+  if (summaries.length > 0) {
+    section += `Previous calls (newest first):\n${summaries.join('\n')}`;
+  }
+  return section.trim();
+}
+
+/**
+ * Messages for the end-of-call memory summary
+ * @param {Object} options
+ * @param {Array} options.history - Conversation messages
+ * @param {string} [options.contextSummary] - Summary of turns already dropped from history
+ * @param {Array} [options.knownFacts] - Facts remembered before this call
+ */
+export function buildMemorySummaryMessages({ history, contextSummary = '', knownFacts = [] }) {
+  const transcript = history
+    .filter(message => (message.role === 'user' || message.role === 'assistant') && message.content)
+    .map(message => `${message.role === 'user' ? 'Caller' : 'Assistant'}: ${message.content}`)
+    .join('\n');
+
+  return [
+    { role: 'system', content: MEMORY_SUMMARY_INSTRUCTIONS },
+    {
+      role: 'user',
+      content: `Known facts:\n${knownFacts.length > 0 ? knownFacts.map(fact => `- ${fact}`).join('\n') : 'none'}\n\n` +
+        `${contextSummary ? `Earlier in this call:\n${contextSummary}\n\n` : ''}Transcript:\n${transcript}`
+    }
+  ];
+}
+
+/**
+ * Parse the summary reply ({ summary, facts }); falls back to the raw text as
+ * the summary, with facts null (keep the facts known before the call)
+ * @returns {{summary: string, facts: Array<string>|null}|null}
+ */
+export function parseMemorySummary(content) {
+  const text = String(content || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  const match = text.match(/\{[\s\S]*\}/);
+  if (match) {
+    try {
+      const parsed = JSON.parse(match[0]);
+      if (typeof parsed.summary === 'string' && parsed.summary.trim()) {
+        return {
+          summary: parsed.summary.trim(),
+          facts: (Array.isArray(parsed.facts) ? parsed.facts : [])
+            .filter(fact => typeof fact === 'string' && fact.trim())
+            .map(fact => fact.trim())
+            .slice(0, MAX_CALLER_FACTS)
+        };
+      }
+    } catch {
+      // Not JSON - use the text as is
+    }
+  }
+
+  return { summary: text, facts: null };
+}
@@ -0,0 +1,216 @@
+/**
+ * Conversation Context Window
+ *
+ * Keeps the history sent to the LLM within a token budget. Once the history
+ * goes over budget, the oldest exchanges are folded into a running summary
+ * (one system message) and dropped from the history, so long calls stop
+ * getting slower and more expensive on every turn.
+ *
+ * History is only ever cut between exchanges (a caller message and everything
+ * the assistant did in response), so an assistant tool call is never
+ * separated from its tool results.
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+// Default history budget when the student hasn't set contextMaxTokens
+export const DEFAULT_CONTEXT_MAX_TOKENS = 3000;
+
+// Allowed contextMaxTokens: below this the summary alone fills the budget
+const MIN_CONTEXT_MAX_TOKENS = 500;
+const MAX_CONTEXT_MAX_TOKENS = 100000;
+
+// After summarizing, aim for this share of the budget so it doesn't re-trigger every turn
+const CONTEXT_TARGET_RATIO = 0.6;
+
+// Always send at least this many recent exchanges verbatim
+const MIN_RECENT_EXCHANGES = 2;
+
+// Cap for the fallback summary when the LLM summary call fails
+const FALLBACK_SUMMARY_MAX_CHARS = 1500;
+
+/**
+ * Check a contextMaxTokens override before saving it (null clears back to the default)
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateContextMaxTokens(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!Number.isInteger(value) || value < MIN_CONTEXT_MAX_TOKENS || value > MAX_CONTEXT_MAX_TOKENS) {
+    return `contextMaxTokens must be a whole number from ${MIN_CONTEXT_MAX_TOKENS} to ${MAX_CONTEXT_MAX_TOKENS}`;
+  }
+  return null;
+}
+
+const SUMMARY_INSTRUCTIONS = 'You maintain a running summary of a phone call between a caller and an AI voice assistant. ' +
+  'Update the summary with the new transcript. Keep every fact the assistant may need later: names, numbers, ' +
+  'dates, order or account details, decisions, tool results and open questions. ' +
+  'Write plain sentences, at most 150 words. Reply with the summary only.';
+
+/**
+ * Rough token estimate for a chat message (about 4 characters per token)
+ */
+export function estimateMessageTokens(message) {
+  let text = typeof message.content === 'string' ? message.content : JSON.stringify(message.content || '');
+  for (const toolCall of message.tool_calls || []) {
+    text += toolCall.function.name + toolCall.function.arguments;
+  }
+  return Math.ceil(text.length / 4) + 4; // + per-message overhead
+}
+
+/**
+ * Split history into exchanges: each starts at a user message and includes
+ * every assistant / tool message up to the next user message
+ * @returns {Array<Array<Object>>}
+ */
+export function splitIntoExchanges(history) {
+  const exchanges = [];
+  for (const message of history) {
+    if (message.role === 'user' || exchanges.length === 0) {
+      exchanges.push([message]);
+    } else {
+      exchanges[exchanges.length - 1].push(message);
+    }
+  }
+  return exchanges;
+}
+
+/**
+ * Render messages as a plain transcript for the summarizer
+ */
+function toTranscript(messages) {
+  return messages.map(message => {
+    if (message.role === 'user') {
+      return `Caller: ${message.content}`;
+    }
+    if (message.role === 'tool') {
+      return `Tool ${message.name || ''} result: ${message.content}`;
+    }
+    const toolCalls = (message.tool_calls || [])
+      .map(toolCall => `[called ${toolCall.function.name}(${toolCall.function.arguments})]`)
+      .join(' ');
+    return `Assistant: ${[message.content, toolCalls].filter(Boolean).join(' ')}`;
+  }).join('\n');
+}
+
+/**
+ * Create a context manager for one call
+ *
+ * @param {Object} options
+ * @param {Array} options.history - The engine's conversation history (mutated in place)
+ * @param {number} [options.maxTokens] - History budget in tokens
+ * @param {Function} options.summarize - async (messages) → { content, usage } LLM call without tools
+ * @param {Function} [options.onSummarized] - Called with ({ summary, removedMessages, usage })
+ * @param {string} [options.sessionId] - Label used in log lines
+ * @returns {{getMessages: Function, compact: Function, getSummary: Function}}
+ */
+export function createContextManager({
+  history,
+  maxTokens = DEFAULT_CONTEXT_MAX_TOKENS,
+  summarize,
+  onSummarized = () => {},
+  sessionId = 'default'
+}) {
+  let summary = '';
+  let compacting = null;
+
+  function countTokens(messages) {
+    return messages.reduce((sum, message) => sum + estimateMessageTokens(message), 0);
+  }
+
+  /**
+   * Choose the oldest exchanges to fold into the summary
+   * @returns {Array<Object>} Messages to remove from the front of history
+   */
+  function selectMessagesToCompress() {
+    const total = countTokens(history) + Math.ceil(summary.length / 4);
+    if (total <= maxTokens) {
+      return [];
+    }
+
+    const exchanges = splitIntoExchanges(history);
+    const target = maxTokens * CONTEXT_TARGET_RATIO;
+    const selected = [];
+    let remaining = total;
+
+    for (let i = 0; i < exchanges.length - MIN_RECENT_EXCHANGES && remaining > target; i++) {
+      selected.push(...exchanges[i]);
+      remaining -= countTokens(exchanges[i]);
+    }
+    return selected;
+  }
+
+  async function buildSummary(messages) {
+    const transcript = toTranscript(messages);
+    try {
+      const result = await summarize([
+        { role: 'system', content: SUMMARY_INSTRUCTIONS },
+        {
+          role: 'user',
+          content: `${summary ? `Current summary:\n${summary}\n\n` : ''}New transcript:\n${transcript}`
+        }
+      ]);
+      if (result.content) {
+        return { summary: result.content.trim(), usage: result.usage };
+      }
+    } catch (error) {
+      console.warn(`[${sessionId}] Summarization failed, keeping a trimmed transcript:`, error.message);
+    }
+
+    // Fallback: keep the tail of the raw transcript so facts aren't silently lost
+    const combined = [summary, transcript].filter(Boolean).join('\n');
+    return { summary: combined.slice(-FALLBACK_SUMMARY_MAX_CHARS), usage: null };
+  }
+
+  return {
+    /**
+     * Messages to send after the system prompt (summary first, then recent history)
+     */
+    getMessages() {
+      return summary
+        ? [{ role: 'system', content: `Summary of the earlier conversation:\n${summary}` }, ...history]
+        : [...history];
+    },
+
+    getSummary() {
+      return summary;
+    },
+
+    /**
+     * Fold old exchanges into the summary if history is over budget.
+     * Runs in the background between turns; history can keep growing meanwhile,
+     * only the messages that were summarized are removed.
+     * @returns {Promise<void>}
+     */
+    compact() {
+      if (compacting) {
+        return compacting;
+      }
+
+      const toCompress = selectMessagesToCompress();
+      if (toCompress.length === 0) {
+        return Promise.resolve();
+      }
+
+      compacting = (async () => {
+        const result = await buildSummary(toCompress);
+
+        // Only drop the summarized messages if they're still the oldest ones
+        if (!toCompress.every((message, index) => history[index] === message)) {
+          return;
+        }
+
+        history.splice(0, toCompress.length);
+        summary = result.summary;
+
+        console.log(`[${sessionId}] 🗜️  Summarized ${toCompress.length} older message(s); history now ~${countTokens(history)} tokens`);
+        onSummarized({ summary, removedMessages: toCompress.length, usage: result.usage });
+      })().finally(() => {
+        compacting = null;
+      });
+
+      return compacting;
+    }
+  };
+}
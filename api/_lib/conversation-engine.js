@@ -0,0 +1,1373 @@
+/**
+ * Conversation Engine
+ *
+ * The ConversationRelay call loop, shared by every WebSocket entry point:
+ * - api/workshop-websocket.js (Vercel Edge, shared workshop endpoint)
+ * - server/websocket-server.js (local Node.js server)
+ * - index.js (starter code students deploy)
+ *
+ * Entry points only wrap their socket in a transport adapter and forward
+ * raw messages. Setup/prompt/dtmf/interrupt handling, conversation history,
+ * tools and persistence all live here, so a fix lands everywhere at once.
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+import { sendTextToken } from './llm-stream.js';
+import { resolveLLMConfig, validateLLMConfig, createLLMProvider } from './llm-providers.js';
+import { createConversationStore, createHttpBackend } from './conversation-store.js';
+import { estimateCostUsd, createUsageTotals, addUsage } from './llm-pricing.js';
+import { createContextManager, DEFAULT_CONTEXT_MAX_TOKENS } from './context-window.js';
+import { createStateMachine } from './conversation-states.js';
+import { createPhaseRunner, stripPhasesSection, getPhaseGate } from './conversation-phases.js';
+import { createSlotTracker, SAVE_CALL_DETAILS_TOOL_NAME } from './slot-filling.js';
+import {
+  getCallerNumber,
+  buildMemoryPromptSection,
+  buildMemorySummaryMessages,
+  parseMemorySummary,
+  DEFAULT_MEMORY_RETENTION_DAYS
+} from './caller-memory.js';
+import { createDtmfCollector, fillDtmfTemplate } from './dtmf.js';
+import {
+  TRANSFER_CALL_TOOL,
+  END_CALL_TOOL,
+  END_CALL_REASONS,
+  HANDOFF_REASON_TRANSFER,
+  HANDOFF_REASON_END_CALL,
+  DEFAULT_TRANSFER_MESSAGE,
+  DEFAULT_GOODBYE_MESSAGE,
+  estimateSpeechMs
+} from './call-control.js';
+import {
+  sendToolWebhook,
+  DEFAULT_TOOL_WEBHOOK_TIMEOUT_MS,
+  DEFAULT_TOOL_WEBHOOK_RETRIES,
+  DEFAULT_TOOL_WEBHOOK_BACKOFF_MS,
+  MAX_TOOL_WEBHOOK_RETRIES
+} from './tool-webhooks.js';
+import { buildToolHttpRequest } from './tool-http.js';
+import { isBuiltinTool } from './builtin-tools.js';
+import {
+  parseToolArguments,
+  validateToolArguments,
+  buildToolArgumentError,
+  countToolStat
+} from './tool-arguments.js';
+
+// Tool loop defaults (overridable per student via student_configs)
+export const DEFAULT_TOOL_MAX_ROUNDS = 5;
+export const DEFAULT_TOOL_TURN_TIMEOUT_MS = 15000;
+export const DEFAULT_TOOL_FILLER_PHRASE = 'One moment while I check on that.';
+
+// Allowed [min, max] for the per-student tool loop overrides
+const TOOL_LOOP_SETTING_RANGES = {
+  toolMaxRounds: [1, 10],
+  toolTurnTimeoutMs: [1000, 60000]
+};
+const MAX_TOOL_FILLER_PHRASE_LENGTH = 200;
+
+// How long tools may run before the caller hears the filler phrase
+const TOOL_FILLER_DELAY_MS = 1500;
+
+const ERROR_RESPONSE = 'I apologize, I encountered an error processing your request.';
+
+/**
+ * Check the tool loop overrides before saving them (null clears back to the default)
+ * @param {Object} settings - Config update (toolMaxRounds, toolTurnTimeoutMs, toolFillerPhrase)
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateToolLoopSettings(settings = {}) {
+  for (const [name, [min, max]] of Object.entries(TOOL_LOOP_SETTING_RANGES)) {
+    const value = settings[name];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return `${name} must be a whole number from ${min} to ${max}`;
+    }
+  }
+
+  const phrase = settings.toolFillerPhrase;
+  if (phrase !== undefined && phrase !== null &&
+      (typeof phrase !== 'string' || phrase.length > MAX_TOOL_FILLER_PHRASE_LENGTH)) {
+    return `toolFillerPhrase must be text of at most ${MAX_TOOL_FILLER_PHRASE_LENGTH} characters`;
+  }
+  return null;
+}
+
+export const DEFAULT_SETTINGS = {
+  systemPrompt: 'You are a helpful voice assistant. Keep responses brief and conversational since they will be spoken aloud.',
+  greeting: 'Hello! How can I help you today?',
+  voice: 'alloy',
+  tools: [],
+  toolMaxRounds: DEFAULT_TOOL_MAX_ROUNDS,
+  toolTurnTimeoutMs: DEFAULT_TOOL_TURN_TIMEOUT_MS,
+  toolFillerPhrase: DEFAULT_TOOL_FILLER_PHRASE,
+  toolWebhookSecret: null,
+  toolWebhookTimeoutMs: DEFAULT_TOOL_WEBHOOK_TIMEOUT_MS,
+  toolWebhookRetries: DEFAULT_TOOL_WEBHOOK_RETRIES,
+  toolWebhookBackoffMs: DEFAULT_TOOL_WEBHOOK_BACKOFF_MS,
+  toolSecrets: {},
+  conversationStates: [],
+  conversationPhases: [],
+  slotSchema: [],
+  dtmfActions: {},
+  transferDestination: null,
+  contextMaxTokens: DEFAULT_CONTEXT_MAX_TOKENS,
+  enablePersistentMemory: false,
+  memoryRetentionDays: DEFAULT_MEMORY_RETENTION_DAYS
+};
+
+/**
+ * Create a conversation engine for one ConversationRelay connection
+ *
+ * @param {Object} options
+ * @param {{send: Function, close: Function}} options.transport - Socket adapter.
+ *   send(data) receives a JSON string, close() ends the connection.
+ * @param {string|null} [options.sessionToken] - Student session token
+ * @param {string} [options.sessionId] - Label used in log lines
+ * @param {string|null} [options.apiBaseUrl] - Workshop API base URL used to load
+ *   student settings and persist the conversation (null = no persistence)
+ * @param {Object|null} [options.store] - Conversation store (api/_lib/conversation-store.js);
+ *   defaults to one backed by apiBaseUrl
+ * @param {Object} [options.settingsOverrides] - Applied on top of the loaded student
+ *   settings (same fields as get-student-ai-settings, e.g. aiProvider / aiBaseUrl)
+ * @returns {{ready: Promise<boolean>, handleMessage: Function, handleClose: Function, handleError: Function}}
+ */
+export function createConversationEngine({
+  transport,
+  sessionToken = null,
+  sessionId = sessionToken || 'default',
+  apiBaseUrl = null,
+  store = null,
+  settingsOverrides = {}
+}) {
+  // Persistence needs a student session and somewhere to write
+  if (!sessionToken) {
+    store = null;
+  } else if (!store && apiBaseUrl) {
+    store = createConversationStore({ backend: createHttpBackend(apiBaseUrl), sessionToken, sessionId });
+  }
+
+  let studentSettings = { ...DEFAULT_SETTINGS };
+  let llm = null;
+  let usingFallbackKey = false;
+  let dtmfCollector = null;
+
+  // Stateful-prompt runtime (null = single system prompt)
+  let stateMachine = null;
+
+  // Conversation phases runtime (null = no phases)
+  let phaseRunner = null;
+
+  // Structured details to collect on this call (null = no slot schema)
+  let slotTracker = null;
+
+  // What we remember about the caller from earlier calls (persistent memory)
+  let callerMemories = [];
+
+  // =========================================================================
+  // STATEFUL PROMPT ENGINEERING: Conversation Memory
+  // =========================================================================
+  // This array maintains the conversation history for this call.
+  // Each user message and AI response is added to this array and sent with
+  // every new LLM request, so the AI remembers what was said earlier,
+  // resolves pronouns ("change it to Thursday") and gathers details across turns.
+  //
+  // ⚠️  History is sent with EVERY request (costs tokens!) - once it goes over
+  //     the student's contextMaxTokens budget, the context manager folds the
+  //     oldest exchanges into a running summary (api/_lib/context-window.js)
+  // ⚠️  History lives in memory during the call and is cleared when it ends
+  // =========================================================================
+  const conversationHistory = [];
+  let contextManager = null;
+
+  // Set when older turns were summarized; recorded on the next assistant turn
+  let pendingContextSummary = null;
+
+  // Track conversation session ID for database persistence
+  let conversationSessionId = null;
+  let turnCounter = 0;
+
+  // Call details from the setup event (included in handoff payloads)
+  let callDetails = {};
+
+  // Why the call ended, if the AI or keypad ended it (null = caller hung up)
+  let endReason = null;
+
+  // Token usage and estimated cost of every LLM call on this call
+  const callUsage = createUsageTotals();
+
+  // Per-tool call and failure counts on this call (api/_lib/tool-arguments.js)
+  const toolStats = Object.create(null);
+
+  // The assistant response currently being generated or spoken.
+  // Aborting its controller cancels the LLM stream and any queued tool webhooks.
+  let activeResponse = null;
+
+  function sendError(error) {
+    transport.send(JSON.stringify({ type: 'error', error }));
+  }
+
+  /**
+   * Speak a complete, fixed response (no LLM involved)
+   */
+  function speak(text) {
+    sendTextToken(transport, text, true);
+  }
+
+  /**
+   * Ask ConversationRelay to end the session. handoffData is passed to the
+   * TwiML <Connect action> URL so the call can be routed afterwards.
+   */
+  function endSession(handoffData) {
+    transport.send(JSON.stringify({
+      type: 'end',
+      handoffData: JSON.stringify(handoffData)
+    }));
+  }
+
+  /**
+   * End the session once the last thing said has had time to play
+   * @param {string} spokenText - Final line (used to estimate playback time)
+   * @param {Object} handoffData - Passed to the <Connect action> URL
+   * @param {string} reason - Stored as conversation_sessions.end_reason
+   */
+  function endSessionAfterSpeech(spokenText, handoffData, reason) {
+    endReason = reason;
+    setTimeout(() => endSession(handoffData), estimateSpeechMs(spokenText));
+  }
+
+  /**
+   * Handle a save_call_details call (validated against the slot schema)
+   * @returns {Object} Tool result for the AI
+   */
+  function saveCallDetails(toolCall) {
+    let args;
+    try {
+      args = JSON.parse(toolCall.function.arguments || '{}');
+    } catch (error) {
+      return { error: 'Arguments were not valid JSON - call save_call_details again' };
+    }
+    return slotTracker.save(args);
+  }
+
+  /**
+   * Handle a built-in call control tool call (transfer_call / end_call)
+   * @returns {{result: Object, sessionEnd: Object}|null} null if not a built-in
+   */
+  function runCallControlTool(toolCall) {
+    const toolName = toolCall.function.name;
+    if (toolName !== 'end_call' && !(toolName === 'transfer_call' && studentSettings.transferDestination)) {
+      return null;
+    }
+
+    let args = {};
+    try {
+      args = JSON.parse(toolCall.function.arguments || '{}');
+    } catch (error) {
+      args = {};
+    }
+
+    if (toolName === 'transfer_call') {
+      return {
+        result: { success: true, transferring: true },
+        sessionEnd: {
+          message: DEFAULT_TRANSFER_MESSAGE,
+          handoffData: buildTransferHandoff(
+            args.reason || 'Caller asked for a human agent',
+            args.summary || args.reason || ''
+          ),
+          endReason: 'transferred'
+        }
+      };
+    }
+
+    const reason = END_CALL_REASONS.includes(args.reason) ? args.reason : 'resolved';
+    return {
+      result: { success: true, ending: true },
+      sessionEnd: {
+        message: args.goodbye || DEFAULT_GOODBYE_MESSAGE,
+        handoffData: { reasonCode: HANDOFF_REASON_END_CALL, reason, conversationSessionId },
+        endReason: reason
+      }
+    };
+  }
+
+  /**
+   * Build the handoff payload for a transfer to a human agent.
+   * call-status-callback.js dials the student's transferDestination with it.
+   */
+  function buildTransferHandoff(reason, summary) {
+    return {
+      reasonCode: HANDOFF_REASON_TRANSFER,
+      reason,
+      summary,
+      conversationSessionId,
+      from: callDetails.from
+    };
+  }
+
+  /**
+   * Tools offered to the model: the student's tools plus built-in call control
+   */
+  function getTools() {
+    // In stateful mode, only the current state's tools (built-ins are always available)
+    const tools = stateMachine ? stateMachine.filterTools(studentSettings.tools) : [...studentSettings.tools];
+    const hasTool = (name) => tools.some(t => t.function?.name === name);
+
+    if (studentSettings.transferDestination && !hasTool('transfer_call')) {
+      tools.push(TRANSFER_CALL_TOOL);
+    }
+    if (!hasTool('end_call')) {
+      tools.push(END_CALL_TOOL);
+    }
+    if (slotTracker) {
+      tools.push(slotTracker.getTool());
+    }
+    return tools;
+  }
+
+  function cancelActiveResponse() {
+    if (activeResponse) {
+      activeResponse.controller.abort();
+      activeResponse = null;
+    }
+  }
+
+  /**
+   * System prompt for the next turn (the active state's prompt in stateful mode)
+   */
+  function getSystemPrompt() {
+    let prompt = stateMachine?.current.systemPrompt || studentSettings.systemPrompt;
+
+    // Only the active phase - not the all-phases section the prompt builder may have added
+    if (phaseRunner) {
+      prompt = `${stripPhasesSection(prompt)}\n\n${phaseRunner.getPromptSection()}`;
+    }
+    if (slotTracker) {
+      prompt += `\n\n${slotTracker.getPromptSection()}`;
+    }
+    const memorySection = buildMemoryPromptSection(callerMemories);
+    if (memorySection) {
+      prompt += `\n\n${memorySection}`;
+    }
+    return prompt;
+  }
+
+  /**
+   * Load student settings and set up the LLM provider
+   * @returns {Promise<boolean>} false if the call can't be handled
+   */
+  async function start() {
+    console.log(`[${sessionId}] WebSocket connected (session: ${sessionToken || 'demo'})`);
+
+    let providerSettings = {};
+
+    if (store) {
+      // Student settings from the database (includes decrypted API keys)
+      const settings = await store.loadSettings();
+      if (settings) {
+        providerSettings = settings;
+        console.log(`[${sessionId}] Loaded custom settings for session ${sessionToken} (${store.backendName})`);
+      }
+    }
+
+    providerSettings = { ...providerSettings, ...settingsOverrides };
+
+    studentSettings = {
+      systemPrompt: providerSettings.systemPrompt || DEFAULT_SETTINGS.systemPrompt,
+      greeting: providerSettings.greeting || DEFAULT_SETTINGS.greeting,
+      voice: providerSettings.voice || DEFAULT_SETTINGS.voice,
+      tools: providerSettings.tools || DEFAULT_SETTINGS.tools,
+      toolMaxRounds: providerSettings.toolMaxRounds || DEFAULT_SETTINGS.toolMaxRounds,
+      toolTurnTimeoutMs: providerSettings.toolTurnTimeoutMs || DEFAULT_SETTINGS.toolTurnTimeoutMs,
+      toolFillerPhrase: providerSettings.toolFillerPhrase || DEFAULT_SETTINGS.toolFillerPhrase,
+      toolWebhookSecret: providerSettings.toolWebhookSecret || DEFAULT_SETTINGS.toolWebhookSecret,
+      toolWebhookTimeoutMs: providerSettings.toolWebhookTimeoutMs || DEFAULT_SETTINGS.toolWebhookTimeoutMs,
+      // 0 retries is a valid choice
+      toolWebhookRetries: Math.min(
+        Math.max(parseInt(providerSettings.toolWebhookRetries ?? DEFAULT_SETTINGS.toolWebhookRetries, 10) || 0, 0),
+        MAX_TOOL_WEBHOOK_RETRIES
+      ),
+      toolWebhookBackoffMs: providerSettings.toolWebhookBackoffMs ?? DEFAULT_SETTINGS.toolWebhookBackoffMs,
+      toolSecrets: providerSettings.toolSecrets || DEFAULT_SETTINGS.toolSecrets,
+      conversationStates: Array.isArray(providerSettings.conversationStates) ? providerSettings.conversationStates : [],
+      conversationPhases: Array.isArray(providerSettings.conversationPhases) ? providerSettings.conversationPhases : [],
+      slotSchema: Array.isArray(providerSettings.slotSchema) ? providerSettings.slotSchema : [],
+      dtmfActions: providerSettings.dtmfActions || DEFAULT_SETTINGS.dtmfActions,
+      transferDestination: providerSettings.transferDestination || DEFAULT_SETTINGS.transferDestination,
+      contextMaxTokens: providerSettings.contextMaxTokens || DEFAULT_SETTINGS.contextMaxTokens,
+      enablePersistentMemory: providerSettings.enablePersistentMemory === true,
+      memoryRetentionDays: providerSettings.memoryRetentionDays || DEFAULT_SETTINGS.memoryRetentionDays
+    };
+
+    dtmfCollector = createDtmfCollector({
+      actions: studentSettings.dtmfActions,
+      onAction: (action, input) => {
+        runDtmfAction(action, input).catch(error => {
+          console.error(`[${sessionId}] DTMF action failed:`, error);
+        });
+      },
+      onCollectStart: (action) => {
+        console.log(`[${sessionId}] Collecting up to ${action.maxDigits || 'any number of'} digits`);
+        if (action.prompt) {
+          cancelActiveResponse();
+          speak(action.prompt);
+        }
+      },
+      onUnmatched: (sequence) => {
+        console.log(`[${sessionId}] No keypad action for: ${sequence}`);
+      }
+    });
+
+    // Resolve provider/model from student config (instructor key as fallback)
+    const llmConfig = resolveLLMConfig(providerSettings);
+    const configError = validateLLMConfig(llmConfig);
+
+    if (configError) {
+      console.error(`[${sessionId}] ❌ ${configError}`);
+      sendError(configError);
+      transport.close();
+      return false;
+    }
+
+    console.log(`[${sessionId}] ✅ Using ${llmConfig.provider} (${llmConfig.model})${llmConfig.usingFallbackKey ? ' with fallback API key' : ''}`);
+
+    llm = createLLMProvider(llmConfig);
+    usingFallbackKey = llmConfig.usingFallbackKey;
+
+    contextManager = createContextManager({
+      history: conversationHistory,
+      maxTokens: studentSettings.contextMaxTokens,
+      sessionId,
+      summarize: async (messages) => {
+        const startedAt = Date.now();
+        const result = await llm.streamChat({ messages });
+        recordUsage(createUsageTotals(), result.usage, startedAt);
+        return result;
+      },
+      onSummarized: ({ summary, removedMessages }) => {
+        pendingContextSummary = { summary, removedMessages };
+      }
+    });
+
+    stateMachine = createStateMachine({
+      states: studentSettings.conversationStates,
+      sessionId,
+      classifyIntent: async (messages) => {
+        const startedAt = Date.now();
+        const result = await llm.streamChat({ messages });
+        recordUsage(createUsageTotals(), result.usage, startedAt);
+        return result;
+      },
+      onTransition: logStateTransition
+    });
+    if (stateMachine) {
+      console.log(`[${sessionId}] 🧭 Stateful mode: starting in "${stateMachine.current.name}"`);
+    }
+
+    slotTracker = createSlotTracker({ schema: studentSettings.slotSchema, sessionId });
+
+    phaseRunner = createPhaseRunner({
+      phases: studentSettings.conversationPhases,
+      sessionId,
+      getSlots: slotTracker ? () => slotTracker.values : undefined,
+      evaluate: async (messages) => {
+        const startedAt = Date.now();
+        const result = await llm.streamChat({ messages });
+        recordUsage(createUsageTotals(), result.usage, startedAt);
+        return result;
+      },
+      onPhaseChange: logPhaseChange,
+      onGateChecked: logGateCheck
+    });
+    if (phaseRunner) {
+      console.log(`[${sessionId}] 🪜 Phases: starting in "${phaseRunner.current.name}"`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a state change in the logs and in conversation history
+   */
+  function logStateTransition({ from, to, condition, trigger }) {
+    const reason = condition
+      ? `${condition.type}${condition.value !== undefined ? ` "${condition.value}"` : ''}`
+      : trigger;
+    console.log(`[${sessionId}] 🧭 State: ${from.name} → ${to.name} (${reason})`);
+
+    store?.addTurn({
+      turnNumber: turnCounter,
+      role: 'system',
+      content: `State transition: ${from.name} → ${to.name}`,
+      metadata: {
+        type: 'state_transition',
+        from: { id: from.id, name: from.name },
+        to: { id: to.id, name: to.name },
+        condition,
+        trigger
+      }
+    });
+  }
+
+  /**
+   * Record a phase advance / regress in the logs and in conversation history
+   */
+  function logPhaseChange({ from, to, direction, gate, reason }) {
+    console.log(`[${sessionId}] 🪜 Phase ${direction}: ${from.name} → ${to.name}${reason ? ` (${reason})` : ''}`);
+
+    // Going back re-collects that phase's details
+    if (direction === 'regress') {
+      slotTracker?.clear(getPhaseGate(to)?.slots);
+    }
+
+    store?.addTurn({
+      turnNumber: turnCounter,
+      role: 'system',
+      content: `Phase ${direction === 'advance' ? 'advanced' : 'went back'}: ${from.name} → ${to.name}`,
+      metadata: {
+        type: 'phase_change',
+        direction,
+        from: { id: from.id, number: from.number, name: from.name },
+        to: { id: to.id, number: to.number, name: to.name },
+        gate: { type: gate.type, condition: gate.condition, slots: gate.slots },
+        reason,
+        slots: phaseRunner?.slots
+      }
+    });
+  }
+
+  /**
+   * Record a gate check that kept the call in its phase (why a call is "stuck")
+   */
+  function logGateCheck({ phase, gate, met, reason, slots, missingSlots }) {
+    console.log(`[${sessionId}] 🪜 Gate not met for "${phase.name}"${reason ? `: ${reason}` : ''}`);
+
+    store?.addTurn({
+      turnNumber: turnCounter,
+      role: 'system',
+      content: `Phase gate not met: ${phase.name}`,
+      metadata: {
+        type: 'phase_gate',
+        phase: { id: phase.id, number: phase.number, name: phase.name },
+        gate: { type: gate.type, condition: gate.condition, slots: gate.slots },
+        met,
+        reason,
+        slots,
+        missingSlots
+      }
+    });
+  }
+
+  /**
+   * Add one LLM call's tokens, cost and latency to the turn and call totals
+   */
+  function recordUsage(turnUsage, usage, startedAt) {
+    const llmCall = {
+      promptTokens: usage?.promptTokens || 0,
+      completionTokens: usage?.completionTokens || 0,
+      latencyMs: Date.now() - startedAt
+    };
+    llmCall.estimatedCostUsd = estimateCostUsd(llm.model, llmCall);
+
+    addUsage(turnUsage, llmCall);
+    addUsage(callUsage, llmCall);
+  }
+
+  const ready = start().catch(error => {
+    console.error(`[${sessionId}] Failed to start conversation:`, error);
+    transport.close();
+    return false;
+  });
+
+  /**
+   * Execute a single tool call via its webhook (or simulate it)
+   *
+   * Arguments are checked against the tool's parameters schema first
+   * (api/_lib/tool-arguments.js); invalid calls come back to the model as a
+   * structured error so it can re-ask the caller.
+   */
+  async function executeToolCall(toolCall, signal, deadline) {
+    const toolName = toolCall.function.name;
+    countToolStat(toolStats, toolName, 'calls');
+
+    // Find tool configuration
+    const toolConfig = studentSettings.tools.find(
+      t => t.type === 'function' && t.function?.name === toolName
+    );
+
+    const parsed = parseToolArguments(toolCall.function.arguments);
+    if (parsed.error) {
+      console.warn(`[${sessionId}] ⚠️  ${toolName} called with malformed arguments:`, toolCall.function.arguments);
+      countToolStat(toolStats, toolName, 'invalidJson');
+      return buildToolArgumentError(toolName, { parseError: parsed.error });
+    }
+
+    const problems = validateToolArguments(toolConfig?.function?.parameters, parsed.args);
+    if (problems.length > 0) {
+      console.warn(`[${sessionId}] ⚠️  ${toolName} arguments rejected:`, problems.map(p => `${p.argument} ${p.error}`).join('; '));
+      countToolStat(toolStats, toolName, 'invalidArguments');
+      return buildToolArgumentError(toolName, { problems });
+    }
+
+    const result = await runToolCall(toolCall, toolConfig, parsed.args, signal, deadline);
+    if (result?.error && !result.cancelled) {
+      countToolStat(toolStats, toolName, 'errors');
+    }
+    return result;
+  }
+
+  /**
+   * Run a tool call whose arguments passed validation
+   *
+   * The webhook request is signed and retried (api/_lib/tool-webhooks.js),
+   * and cancelled if the caller barges in or the turn's time budget runs out,
+   * whichever comes first. Tools with a webhook_mapping call their REST API
+   * directly (api/_lib/tool-http.js).
+   */
+  async function runToolCall(toolCall, toolConfig, toolArgs, signal, deadline) {
+    const toolName = toolCall.function.name;
+
+    console.log(`[${sessionId}] Executing tool: ${toolName}`, toolArgs);
+
+    // Tool library tools without a webhook run on the workshop's built-in runtime
+    if (toolConfig && !toolConfig.function.webhook_url && isBuiltinTool(toolName) && store) {
+      return runBuiltinToolCall(toolName, toolArgs, signal, deadline);
+    }
+
+    // Simulated tool execution (for tools without webhooks)
+    if (!toolConfig?.function?.webhook_url) {
+      return {
+        success: true,
+        message: `Tool ${toolName} executed successfully (no webhook configured)`
+      };
+    }
+
+    if (deadline - Date.now() <= 0) {
+      return { error: 'Tool skipped - this turn ran out of time' };
+    }
+
+    let request = null;
+    if (toolConfig.function.webhook_mapping) {
+      request = buildToolHttpRequest(toolConfig.function, toolArgs, studentSettings.toolSecrets);
+      if (request.error) {
+        console.error(`[${sessionId}] Can't call ${toolName}:`, request.error);
+        return { error: request.error };
+      }
+    }
+
+    if (!studentSettings.toolWebhookSecret) {
+      console.warn(`[${sessionId}] ⚠️  No tool webhook secret - sending ${toolName} unsigned`);
+    }
+
+    // Stable across retries, so the webhook can ignore duplicates
+    const idempotencyKey = [callDetails.callSid || conversationSessionId, toolCall.id].filter(Boolean).join(':');
+
+    const delivery = await sendToolWebhook({
+      url: request ? request.url : toolConfig.function.webhook_url,
+      request,
+      payload: {
+        tool: toolName,
+        arguments: toolArgs,
+        conversationSessionId,
+        callSid: callDetails.callSid || null
+      },
+      idempotencyKey,
+      secret: studentSettings.toolWebhookSecret,
+      timeoutMs: studentSettings.toolWebhookTimeoutMs,
+      retries: studentSettings.toolWebhookRetries,
+      backoffMs: studentSettings.toolWebhookBackoffMs,
+      deadline,
+      signal,
+      onRetry: ({ attempt, error, delayMs }) => {
+        console.warn(`[${sessionId}] Tool webhook attempt ${attempt} failed (${error}) - retrying ${toolName} in ${delayMs}ms`);
+      }
+    });
+
+    if (delivery.ok) {
+      console.log(`[${sessionId}] Tool webhook success:`, toolName);
+      return delivery.data;
+    }
+
+    if (delivery.cancelled) {
+      return { cancelled: true, error: 'Caller interrupted while this tool was running' };
+    }
+
+    console.error(`[${sessionId}] Tool webhook failed after ${delivery.attempts} attempt(s):`, toolName, delivery.error);
+    return { error: delivery.error };
+  }
+
+  /**
+   * Run a tool library tool on the built-in runtime (api/_lib/builtin-tools.js),
+   * within the same barge-in and time limits as webhooks
+   */
+  async function runBuiltinToolCall(toolName, toolArgs, signal, deadline) {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) {
+      return { error: 'Tool skipped - this turn ran out of time' };
+    }
+
+    const controller = new AbortController();
+    const abortTool = () => controller.abort();
+    signal.addEventListener('abort', abortTool, { once: true });
+    const timeout = setTimeout(abortTool, remainingMs);
+
+    try {
+      const result = await store.runTool(toolName, toolArgs, { signal: controller.signal });
+      console.log(`[${sessionId}] 🧰 Built-in tool ${toolName}:`, result?.success === false ? result.error : 'ok');
+      return result;
+    } catch (error) {
+      if (signal.aborted) {
+        return { cancelled: true, error: 'Caller interrupted while this tool was running' };
+      }
+      return { error: `Tool timed out after ${remainingMs}ms` };
+    } finally {
+      clearTimeout(timeout);
+      signal.removeEventListener('abort', abortTool);
+    }
+  }
+
+  // =========================================================================
+  // EVENT HANDLERS
+  // =========================================================================
+
+  async function handleSetup(data) {
+    console.log(`[${sessionId}] Call setup:`, {
+      from: data.from,
+      to: data.to,
+      direction: data.direction
+    });
+
+    callDetails = {
+      callSid: data.callSid,
+      from: data.from,
+      to: data.to,
+      direction: data.direction
+    };
+
+    // Create conversation session in database (if sessionToken exists)
+    if (!store) {
+      return;
+    }
+
+    const callerNumber = getCallerNumber(callDetails);
+    const [createdSessionId, memories] = await Promise.all([
+      store.createSession(callDetails),
+      studentSettings.enablePersistentMemory && callerNumber
+        ? store.loadCallerMemory(callerNumber, { retentionDays: studentSettings.memoryRetentionDays })
+        : []
+    ]);
+
+    conversationSessionId = createdSessionId;
+    if (conversationSessionId) {
+      console.log(`[${sessionId}] ✅ Created conversation session: ${conversationSessionId}`);
+    }
+
+    callerMemories = memories;
+    if (callerMemories.length > 0) {
+      console.log(`[${sessionId}] 🧠 Remembered ${callerMemories.length} earlier call(s) from ${callerNumber}`);
+    }
+  }
+
+  /**
+   * Summarize this call into the caller's persistent memory
+   */
+  async function saveCallerMemory() {
+    const callerNumber = getCallerNumber(callDetails);
+    if (!studentSettings.enablePersistentMemory || !callerNumber || !llm ||
+        !conversationHistory.some(message => message.role === 'user')) {
+      return;
+    }
+
+    const knownFacts = callerMemories.find(memory => Array.isArray(memory.facts) && memory.facts.length > 0)?.facts || [];
+
+    try {
+      const startedAt = Date.now();
+      const result = await llm.streamChat({
+        messages: buildMemorySummaryMessages({
+          history: conversationHistory,
+          contextSummary: contextManager?.getSummary(),
+          knownFacts
+        })
+      });
+      recordUsage(createUsageTotals(), result.usage, startedAt);
+
+      const memory = parseMemorySummary(result.content);
+      if (!memory) {
+        return;
+      }
+
+      await store.saveCallerMemory({
+        phoneNumber: callerNumber,
+        summary: memory.summary,
+        facts: memory.facts ?? knownFacts
+      });
+      console.log(`[${sessionId}] 🧠 Saved caller memory for ${callerNumber}`);
+    } catch (error) {
+      console.warn(`[${sessionId}] Caller memory summary failed:`, error.message);
+    }
+  }
+
+  /**
+   * Record a caller turn and generate the assistant's response
+   * @param {string} text - What the caller said (or keypad input injected as text)
+   * @param {Object} [metadata] - Stored with the user message (e.g. { source: 'dtmf' })
+   */
+  async function handlePrompt(text, metadata) {
+    console.log(`[${sessionId}] Caller said:`, text);
+
+    // The previous turn's phase gate check must finish before answering
+    // (usually done while the last response was spoken)
+    if (phaseRunner) {
+      await phaseRunner.whenIdle();
+    }
+
+    // Increment turn counter
+    turnCounter++;
+
+    // Add to conversation history
+    conversationHistory.push({
+      role: 'user',
+      content: text
+    });
+
+    // Save user message to database (buffered, doesn't delay the response)
+    store?.addTurn({
+      turnNumber: turnCounter,
+      role: 'user',
+      content: text,
+      metadata
+    });
+
+    // Move to the next state first, so the response uses its prompt and tools
+    if (stateMachine) {
+      await stateMachine.handleCallerTurn(text);
+    }
+
+    await respond();
+  }
+
+  /**
+   * Run one tool call the way the model's tool calls are run: built-in call
+   * control and save_call_details first, then the state's tool gate, then
+   * the tool itself
+   * @returns {Promise<{result: Object, sessionEnd: Object|null}>} sessionEnd is set
+   *          when the call should end (transfer / hang-up) once the turn is spoken
+   */
+  async function dispatchToolCall(toolCall, signal, deadline) {
+    const toolName = toolCall.function.name;
+
+    const callControl = runCallControlTool(toolCall);
+    if (callControl) {
+      return { result: callControl.result, sessionEnd: callControl.sessionEnd };
+    }
+    if (slotTracker && toolName === SAVE_CALL_DETAILS_TOOL_NAME) {
+      return { result: saveCallDetails(toolCall), sessionEnd: null };
+    }
+    if (stateMachine && !stateMachine.isToolAllowed(toolName)) {
+      return { result: { error: `Tool ${toolName} is not available in the current conversation state` }, sessionEnd: null };
+    }
+
+    const result = await executeToolCall(toolCall, signal, deadline);
+    stateMachine?.handleToolResult(toolName, result);
+    return { result, sessionEnd: null };
+  }
+
+  /**
+   * Generate (and stream) the assistant's response to the current history,
+   * running tool calls until the model answers with text
+   */
+  async function respond() {
+    // A new response supersedes any response still being generated
+    cancelActiveResponse();
+
+    const response = {
+      controller: new AbortController(),
+      historyEntry: null,
+      turnNumber: null
+    };
+    activeResponse = response;
+    const { signal } = response.controller;
+
+    try {
+      // Per-turn limits for the tool loop
+      const maxToolRounds = studentSettings.toolMaxRounds;
+      const turnDeadline = Date.now() + studentSettings.toolTurnTimeoutMs;
+
+      const toolRounds = [];
+      const turnUsage = createUsageTotals();
+      let toolLimitReached = null;
+      let fillerSpoken = false;
+      let sessionEnd = null;
+      let message;
+
+      // Agent loop: keep executing tool calls until the model answers with text
+      for (let round = 1; ; round++) {
+        // Offer tools until the depth limit or time budget runs out, then
+        // force the model to answer with what it has (tools stay defined
+        // because the history already holds this turn's tool calls)
+        if (round > maxToolRounds) {
+          toolLimitReached = 'depth';
+        } else if (Date.now() >= turnDeadline) {
+          toolLimitReached = 'time';
+        }
+
+        // Tools can change mid-turn when a tool result moves the call to another state
+        const tools = getTools();
+
+        // Stream the completion - partial text is spoken at sentence boundaries.
+        // The system prompt goes first, followed by the (windowed) conversation history.
+        const llmStartedAt = Date.now();
+        message = await llm.streamChat({
+          messages: [
+            {
+              role: 'system',
+              content: getSystemPrompt()
+            },
+            ...contextManager.getMessages()
+          ],
+          tools,
+          toolChoice: toolLimitReached ? 'none' : 'auto',
+          onText: (text) => sendTextToken(transport, text, false),
+          signal
+        });
+        recordUsage(turnUsage, message.usage, llmStartedAt);
+
+        if (message.toolCalls.length === 0) {
+          break;
+        }
+
+        // Some OpenAI-compatible servers ignore tool_choice - don't run more tools
+        if (toolLimitReached) {
+          console.warn(`[${sessionId}] Ignoring ${message.toolCalls.length} tool call(s) after the tool limit`);
+          break;
+        }
+
+        console.log(`[${sessionId}] AI requested tool calls (round ${round}):`, message.toolCalls.length);
+
+        // Speak a filler phrase once per turn if this round's tools are slow
+        const fillerTimer = fillerSpoken ? null : setTimeout(() => {
+          if (!signal.aborted) {
+            fillerSpoken = true;
+            sendTextToken(transport, `${studentSettings.toolFillerPhrase} `, false);
+          }
+        }, TOOL_FILLER_DELAY_MS);
+
+        // Execute each tool call
+        const roundStartedAt = Date.now();
+        const roundCalls = [];
+        const toolResults = [];
+        for (const toolCall of message.toolCalls) {
+          const toolName = toolCall.function.name;
+          const callStartedAt = Date.now();
+          let toolResult;
+
+          // Caller barged in - don't fire any more webhooks for this turn
+          if (signal.aborted) {
+            toolResult = { cancelled: true, error: 'Caller interrupted before this tool ran' };
+          } else {
+            const dispatched = await dispatchToolCall(toolCall, signal, turnDeadline);
+            toolResult = dispatched.result;
+            sessionEnd = dispatched.sessionEnd || sessionEnd;
+          }
+
+          roundCalls.push({
+            name: toolName,
+            arguments: toolCall.function.arguments,
+            result: toolResult,
+            durationMs: Date.now() - callStartedAt
+          });
+
+          toolResults.push({
+            role: 'tool',
+            tool_call_id: toolCall.id,
+            name: toolName,
+            content: JSON.stringify(toolResult)
+          });
+        }
+
+        clearTimeout(fillerTimer);
+
+        toolRounds.push({
+          round,
+          durationMs: Date.now() - roundStartedAt,
+          calls: roundCalls
+        });
+
+        // Add assistant message with tool calls and every result together,
+        // so an interrupted turn never leaves a tool call without a result
+        conversationHistory.push({
+          role: 'assistant',
+          content: message.content,
+          tool_calls: message.toolCalls
+        });
+        conversationHistory.push(...toolResults);
+
+        if (signal.aborted) {
+          return; // Interrupt handler records what the caller actually heard
+        }
+
+        // Transfer or hang-up requested - say the final line and stop here
+        if (sessionEnd) {
+          if (!message.content) {
+            sendTextToken(transport, sessionEnd.message, false);
+          }
+          break;
+        }
+      }
+
+      // Model answered with text (already streamed to the caller)
+      const aiResponse = message.content || (sessionEnd ? sessionEnd.message : '');
+      console.log(`[${sessionId}] AI response${toolRounds.length > 0 ? ` (after ${toolRounds.length} tool round(s))` : ''}:`, aiResponse);
+
+      if (toolLimitReached) {
+        console.warn(`[${sessionId}] Tool loop stopped: ${toolLimitReached === 'depth' ? `max ${maxToolRounds} rounds reached` : 'turn time budget exhausted'}`);
+      }
+
+      // Add to conversation history
+      response.historyEntry = {
+        role: 'assistant',
+        content: aiResponse
+      };
+      conversationHistory.push(response.historyEntry);
+
+      // Increment turn counter for assistant response
+      turnCounter++;
+      response.turnNumber = turnCounter;
+
+      console.log(`[${sessionId}] 💰 Turn usage: ${turnUsage.promptTokens} prompt + ${turnUsage.completionTokens} completion tokens (~$${turnUsage.estimatedCostUsd.toFixed(5)})`);
+
+      // Save assistant message to database (with usage and every tool round for debugging)
+      store?.addTurn({
+        turnNumber: response.turnNumber,
+        role: 'assistant',
+        content: aiResponse,
+        metadata: {
+          usage: { model: llm.model, ...turnUsage },
+          ...(stateMachine ? { state: stateMachine.current.name } : {}),
+          ...(phaseRunner ? { phase: phaseRunner.current.name } : {}),
+          ...(slotTracker ? { missingSlots: slotTracker.getMissing() } : {}),
+          ...(pendingContextSummary ? { contextSummary: pendingContextSummary } : {}),
+          ...(toolRounds.length > 0
+            ? {
+                toolCalls: toolRounds.flatMap(r => r.calls.map(c => c.name)),
+                toolRounds,
+                toolLimitReached
+              }
+            : {})
+        }
+      });
+
+      pendingContextSummary = null;
+
+      // Mark the end of the streamed response
+      if (!signal.aborted) {
+        sendTextToken(transport, '', true);
+      }
+
+      // Judge the phase gate on this turn (runs while this response is spoken)
+      if (phaseRunner && !sessionEnd) {
+        phaseRunner.checkGate(conversationHistory).catch(error => {
+          console.warn(`[${sessionId}] Phase gate check failed:`, error.message);
+        });
+      }
+
+      // Keep the next request within budget (runs while this response is spoken)
+      contextManager.compact().catch(error => {
+        console.warn(`[${sessionId}] Context compaction failed:`, error.message);
+      });
+
+      if (sessionEnd && !signal.aborted) {
+        console.log(`[${sessionId}] 📞 Ending session: ${sessionEnd.endReason}`);
+        endSessionAfterSpeech(aiResponse, sessionEnd.handoffData, sessionEnd.endReason);
+      }
+
+    } catch (aiError) {
+      // Aborted by an interrupt or a newer prompt - nothing left to say
+      if (signal.aborted) {
+        console.log(`[${sessionId}] Generation cancelled`);
+        return;
+      }
+
+      console.error(`[${sessionId}] ${llm.name} error:`, aiError);
+
+      // Send error response
+      sendTextToken(transport, ERROR_RESPONSE, true);
+    }
+  }
+
+  function handleDtmf(data) {
+    console.log(`[${sessionId}] DTMF digit:`, data.digit);
+    dtmfCollector.push(String(data.digit));
+  }
+
+  /**
+   * Run a keypad action from the student's dtmfActions config
+   * @param {Object} action - Action config ({ action: 'inject' | 'state' | 'tool' | 'end' | 'transfer', ... })
+   * @param {{sequence: string, digits: string}} input - Keys that triggered it
+   */
+  async function runDtmfAction(action, { sequence, digits }) {
+    console.log(`[${sessionId}] Keypad ${sequence}${digits !== sequence ? ` (${digits})` : ''} → ${action.action}`);
+
+    switch (action.action) {
+      // Treat the keypress as if the caller had said the configured text
+      case 'inject':
+        await handlePrompt(fillDtmfTemplate(action.text, { sequence, digits }), {
+          source: 'dtmf',
+          sequence,
+          digits
+        });
+        break;
+
+      // Jump to a stateful-prompt state (matched by id or name)
+      case 'state': {
+        if (!stateMachine?.jumpTo(action.state, `keypad:${sequence}`)) {
+          console.warn(`[${sessionId}] Keypad state not found: ${action.state}`);
+          break;
+        }
+
+        cancelActiveResponse();
+        if (action.message) {
+          speak(fillDtmfTemplate(action.message, { sequence, digits }));
+        }
+        break;
+      }
+
+      // Run a tool directly, then let the AI speak the result
+      case 'tool': {
+        cancelActiveResponse();
+
+        const toolArguments = { ...(action.arguments || {}) };
+        if (action.argument) {
+          toolArguments[action.argument] = digits;
+        }
+
+        const toolCall = {
+          id: `call_dtmf_${Date.now()}`,
+          type: 'function',
+          function: {
+            name: action.tool,
+            arguments: JSON.stringify(toolArguments)
+          }
+        };
+
+        // Registered as the active response, so barging in cancels the tool
+        const response = { controller: new AbortController(), historyEntry: null, turnNumber: null };
+        activeResponse = response;
+        const { signal } = response.controller;
+
+        const { result: toolResult, sessionEnd } = await dispatchToolCall(
+          toolCall,
+          signal,
+          Date.now() + studentSettings.toolTurnTimeoutMs
+        );
+
+        conversationHistory.push(
+          { role: 'assistant', content: null, tool_calls: [toolCall] },
+          { role: 'tool', tool_call_id: toolCall.id, name: action.tool, content: JSON.stringify(toolResult) }
+        );
+
+        if (signal.aborted) {
+          break;
+        }
+        if (activeResponse === response) {
+          activeResponse = null;
+        }
+
+        // A keypad action mapped to transfer_call / end_call ends the call
+        if (sessionEnd) {
+          console.log(`[${sessionId}] 📞 Ending session: ${sessionEnd.endReason}`);
+          speak(sessionEnd.message);
+          endSessionAfterSpeech(sessionEnd.message, sessionEnd.handoffData, sessionEnd.endReason);
+          break;
+        }
+
+        await respond();
+        break;
+      }
+
+      case 'end': {
+        cancelActiveResponse();
+        const message = fillDtmfTemplate(action.message, { sequence, digits });
+        if (message) {
+          speak(message);
+        }
+        endSessionAfterSpeech(message, { reasonCode: 'dtmf-end', reason: action.reason || `Caller pressed ${sequence}`, digits }, 'keypad');
+        break;
+      }
+
+      case 'transfer': {
+        cancelActiveResponse();
+        const message = fillDtmfTemplate(action.message || DEFAULT_TRANSFER_MESSAGE, { sequence, digits });
+        speak(message);
+        endSessionAfterSpeech(message, buildTransferHandoff(
+          action.reason || `Caller pressed ${sequence}`,
+          action.summary || `The caller pressed ${sequence} on the keypad to reach an agent.`
+        ), 'transferred');
+        break;
+      }
+
+      default:
+        console.warn(`[${sessionId}] Unknown keypad action:`, action.action);
+    }
+  }
+
+  /**
+   * Handle caller barge-in
+   *
+   * Cancels in-flight generation and rewrites the assistant turn to what was
+   * actually spoken, so the model (and the saved transcript) never assume the
+   * caller heard sentences that were cut off.
+   */
+  async function handleInterrupt(data) {
+    console.log(`[${sessionId}] Caller interrupted at:`, data.utteranceUntilInterrupt);
+
+    const response = activeResponse;
+    if (!response) {
+      return;
+    }
+
+    activeResponse = null;
+    response.controller.abort();
+
+    const spokenText = (data.utteranceUntilInterrupt || '').trim();
+
+    if (!response.historyEntry) {
+      // Interrupted before the response finished generating - keep only what was heard
+      if (!spokenText) {
+        return;
+      }
+
+      response.historyEntry = { role: 'assistant', content: spokenText };
+      conversationHistory.push(response.historyEntry);
+      turnCounter++;
+
+      store?.addTurn({
+        turnNumber: turnCounter,
+        role: 'assistant',
+        content: spokenText,
+        metadata: { interrupted: true }
+      });
+      return;
+    }
+
+    const originalContent = response.historyEntry.content;
+    if (spokenText === originalContent) {
+      return;
+    }
+
+    // Truncate the in-memory turn (drop it entirely if nothing was heard)
+    if (spokenText) {
+      response.historyEntry.content = spokenText;
+    } else {
+      const index = conversationHistory.lastIndexOf(response.historyEntry);
+      if (index !== -1) {
+        conversationHistory.splice(index, 1);
+      }
+    }
+
+    console.log(`[${sessionId}] Truncated assistant turn ${response.turnNumber} to what was spoken`);
+
+    // Rewrite the stored row (the store applies this after the original insert)
+    store?.updateTurn({
+      turnNumber: response.turnNumber,
+      role: 'assistant',
+      content: spokenText,
+      metadata: { interrupted: true, originalContent }
+    });
+  }
+
+  // =========================================================================
+  // TRANSPORT INTERFACE
+  // =========================================================================
+
+  return {
+    ready,
+
+    /**
+     * Handle a raw ConversationRelay message (string or Buffer)
+     */
+    async handleMessage(raw) {
+      // Messages that arrive while settings are loading wait for them
+      if (!(await ready)) {
+        return;
+      }
+
+      try {
+        const data = JSON.parse(raw.toString());
+        console.log(`[${sessionId}] Received event:`, data.type);
+
+        switch (data.type) {
+          // Setup event - call started
+          case 'setup':
+            await handleSetup(data);
+            break;
+
+          // Prompt event - caller spoke
+          case 'prompt':
+            await handlePrompt(data.voicePrompt);
+            break;
+
+          // DTMF event - keypad pressed
+          case 'dtmf':
+            handleDtmf(data);
+            break;
+
+          // Interrupt event - caller interrupted
+          case 'interrupt':
+            await handleInterrupt(data);
+            break;
+
+          default:
+            console.log(`[${sessionId}] Unknown event type:`, data.type);
+        }
+
+      } catch (error) {
+        console.error(`[${sessionId}] Error handling message:`, error);
+      }
+    },
+
+    /**
+     * Handle the socket closing - cancels generation and ends the session
+     */
+    async handleClose() {
+      console.log(`[${sessionId}] WebSocket closed`);
+
+      cancelActiveResponse();
+      dtmfCollector?.reset();
+
+      // Structured record of the details collected on this call
+      if (slotTracker) {
+        const outcome = slotTracker.getOutcome();
+        console.log(`[${sessionId}] 📝 Call outcome: ${outcome.complete ? 'complete' : `missing ${outcome.missingSlots.join(', ')}`}`);
+        await store?.saveOutcome(outcome);
+      }
+
+      // Remember this call for the caller's next one (included in the usage totals below)
+      if (store) {
+        await saveCallerMemory();
+      }
+
+      // Flush buffered turns and end conversation session in database
+      if (callUsage.llmCalls > 0) {
+        console.log(`[${sessionId}] 💰 Call usage: ${callUsage.llmCalls} LLM call(s), ${callUsage.promptTokens + callUsage.completionTokens} tokens (~$${callUsage.estimatedCostUsd.toFixed(4)})`);
+      }
+
+      await store?.endSession({
+        turnCount: Math.floor(turnCounter / 2), // Divide by 2 since we count user + assistant as 1 turn pair
+        endReason: endReason || 'caller_hangup',
+        usage: llm
+          ? { ...callUsage, provider: llm.name, model: llm.model, usingFallbackKey }
+          : null,
+        toolStats
+      });
+    },
+
+    handleError(error) {
+      console.error(`[${sessionId}] WebSocket error:`, error);
+    }
+  };
+}
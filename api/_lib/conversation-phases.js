@@ -0,0 +1,316 @@
+/**
+ * Conversation Phases
+ *
+ * Runs the student's `conversationPhases` (built in the admin panel's phases
+ * tab) as a real progression during a call. Only the active phase's
+ * instructions are added to the system prompt, and after every turn the
+ * phase's gate is checked to decide whether the call moves on.
+ *
+ * Phase format:
+ * {
+ *   "id": "phase-2",
+ *   "number": 2,
+ *   "name": "Date & Time Selection",
+ *   "description": "Find suitable appointment slot",
+ *   "instructions": "Offer available dates. Confirm their preferred time.",
+ *   "gateConditions": "Date AND time confirmed",
+ *   "gate": { "type": "slots", "slots": ["date", "time"] }   // optional
+ * }
+ *
+ * Gates:
+ * - llm (default): a small LLM call judges the free-text gateConditions
+ *   against the recent transcript
+ * - slots: the same call extracts the listed details from the transcript; the
+ *   gate passes once every one of them has a value. Details saved through the
+ *   slot schema (api/_lib/slot-filling.js) count as well, already validated.
+ *
+ * The check can also send the call back to an earlier phase (e.g. the caller
+ * wants to change the date they already gave). The last phase has no gate.
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+export const PHASE_GATE_TYPES = ['llm', 'slots'];
+
+// Heading written by the "apply phases to system prompt" buttons - that
+// section is replaced by the active phase at runtime
+export const PHASES_PROMPT_MARKER = '# CONVERSATION PHASES & STATE MANAGEMENT';
+
+// Messages of recent transcript the gate check looks at
+const GATE_TRANSCRIPT_MESSAGES = 10;
+
+const GATE_CHECK_INSTRUCTIONS = 'You track the progress of a phone call between a caller and an AI voice assistant. ' +
+  'Read the transcript and decide whether the current phase is complete. ' +
+  'Reply with JSON only, no other text: ' +
+  '{"met": true or false, "regressTo": null or the number of an earlier phase the caller needs to go back to, ' +
+  '"reason": "one short sentence", "slots": {detail name: value or null}}';
+
+/**
+ * Phases in call order
+ */
+export function sortPhases(phases) {
+  return [...(phases || [])].sort((a, b) => (a.number || 0) - (b.number || 0));
+}
+
+/**
+ * The gate of a phase: { type, condition, slots }, or null if it has none
+ */
+export function getPhaseGate(phase) {
+  if (phase.gate?.type === 'slots' && Array.isArray(phase.gate.slots) && phase.gate.slots.length > 0) {
+    return { type: 'slots', condition: phase.gateConditions || '', slots: phase.gate.slots };
+  }
+  if (phase.gateConditions) {
+    return { type: 'llm', condition: phase.gateConditions, slots: [] };
+  }
+  return null;
+}
+
+/**
+ * Remove the all-phases section added by "apply phases to system prompt",
+ * since the runtime injects the active phase instead
+ */
+export function stripPhasesSection(systemPrompt) {
+  const index = String(systemPrompt || '').indexOf(PHASES_PROMPT_MARKER);
+  return index === -1 ? systemPrompt : systemPrompt.substring(0, index).trim();
+}
+
+/**
+ * Check a conversationPhases config before saving it
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateConversationPhases(phases) {
+  if (!Array.isArray(phases)) {
+    return 'conversationPhases must be an array';
+  }
+
+  for (const phase of phases) {
+    if (!phase || !phase.id || !phase.name) {
+      return 'Every phase needs an id and a name';
+    }
+    if (phase.gate === undefined || phase.gate === null) {
+      continue;
+    }
+    if (!PHASE_GATE_TYPES.includes(phase.gate.type)) {
+      return `Phase "${phase.name}": unknown gate type "${phase.gate.type}" (use ${PHASE_GATE_TYPES.join(', ')})`;
+    }
+    if (phase.gate.type === 'slots' &&
+        (!Array.isArray(phase.gate.slots) || phase.gate.slots.length === 0 || phase.gate.slots.some(slot => typeof slot !== 'string' || !slot))) {
+      return `Phase "${phase.name}": a slots gate needs a list of detail names`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Pull the first JSON object out of an LLM reply
+ */
+function parseGateReply(content) {
+  const match = String(content || '').match(/\{[\s\S]*\}/);
+  if (!match) {
+    return null;
+  }
+  try {
+    return JSON.parse(match[0]);
+  } catch {
+    return null;
+  }
+}
+
+function hasValue(value) {
+  return value !== null && value !== undefined && String(value).trim() !== '';
+}
+
+/**
+ * Create the phase tracker for one call
+ *
+ * @param {Object} options
+ * @param {Array} options.phases - conversationPhases config
+ * @param {Function} options.evaluate - async (messages) → { content } LLM call without tools
+ * @param {Function} [options.onPhaseChange] - Called with ({ from, to, direction, gate, reason })
+ * @param {Function} [options.onGateChecked] - Called with ({ phase, gate, met, reason, slots, missingSlots })
+ * @param {Function} [options.getSlots] - () → validated slot values from the slot tracker
+ * @param {string} [options.sessionId] - Label used in log lines
+ * @returns {Object|null} null when the student has no phases
+ */
+export function createPhaseRunner({
+  phases,
+  evaluate,
+  onPhaseChange = () => {},
+  onGateChecked = () => {},
+  getSlots = () => ({}),
+  sessionId = 'default'
+}) {
+  const ordered = sortPhases(phases);
+  if (ordered.length === 0) {
+    return null;
+  }
+
+  let index = 0;
+  let checking = null;
+
+  // Details extracted by slot gate checks so far (name → value)
+  const slots = {};
+
+  // Extracted details plus the slot tracker's validated values (which win)
+  const knownSlots = () => ({ ...slots, ...getSlots() });
+
+  function moveTo(nextIndex, direction, gate, reason) {
+    const from = ordered[index];
+    index = nextIndex;
+
+    // Going back re-collects the details of the phase we return to
+    if (direction === 'regress') {
+      for (const slot of getPhaseGate(ordered[index])?.slots || []) {
+        delete slots[slot];
+      }
+    }
+
+    onPhaseChange({ from, to: ordered[index], direction, gate, reason });
+  }
+
+  function buildCheckMessages(transcript, gate) {
+    const phase = ordered[index];
+    const earlier = ordered.slice(0, index).map(p => `${p.number}. ${p.name}`).join('\n') || 'none';
+    const task = gate.type === 'slots'
+      ? `Fill "slots" with these details if the caller has given them: ${gate.slots.join(', ')}. ` +
+        `"met" is true when all of them are known.${gate.condition ? ` Also required: ${gate.condition}` : ''}`
+      : `The phase is complete when: ${gate.condition}`;
+
+    return [
+      { role: 'system', content: GATE_CHECK_INSTRUCTIONS },
+      {
+        role: 'user',
+        content: `Current phase: ${phase.number}. ${phase.name}\n${task}\n\n` +
+          `Earlier phases:\n${earlier}\n\nTranscript:\n${transcript}`
+      }
+    ];
+  }
+
+  async function check(transcript) {
+    const phase = ordered[index];
+    const gate = getPhaseGate(phase);
+    if (!gate || index === ordered.length - 1) {
+      return;
+    }
+
+    let reply = null;
+    try {
+      const result = await evaluate(buildCheckMessages(transcript, gate));
+      reply = parseGateReply(result.content);
+    } catch (error) {
+      console.warn(`[${sessionId}] Phase gate check failed:`, error.message);
+    }
+
+    if (!reply) {
+      const known = knownSlots();
+      onGateChecked({
+        phase,
+        gate,
+        met: false,
+        reason: 'Gate check returned no result',
+        slots: known,
+        missingSlots: gate.slots.filter(name => !hasValue(known[name]))
+      });
+      return;
+    }
+
+    for (const [name, value] of Object.entries(reply.slots || {})) {
+      if (gate.slots.includes(name) && hasValue(value)) {
+        slots[name] = value;
+      }
+    }
+
+    const known = knownSlots();
+    const missingSlots = gate.slots.filter(name => !hasValue(known[name]));
+    const met = gate.type === 'slots' ? missingSlots.length === 0 : reply.met === true;
+    const reason = typeof reply.reason === 'string' ? reply.reason : '';
+
+    const regressIndex = ordered.findIndex(p => p.number === parseInt(reply.regressTo, 10));
+    if (regressIndex !== -1 && regressIndex < index) {
+      moveTo(regressIndex, 'regress', gate, reason);
+      return;
+    }
+
+    if (met) {
+      moveTo(index + 1, 'advance', gate, reason);
+      return;
+    }
+
+    onGateChecked({ phase, gate, met, reason, slots: known, missingSlots });
+  }
+
+  return {
+    get current() {
+      return ordered[index];
+    },
+
+    get slots() {
+      return knownSlots();
+    },
+
+    /**
+     * System prompt section for the active phase
+     */
+    getPromptSection() {
+      const phase = ordered[index];
+      const gate = getPhaseGate(phase);
+      const isLast = index === ordered.length - 1;
+
+      let section = `# CURRENT CONVERSATION PHASE (${index + 1} of ${ordered.length}): ${phase.name}\n`;
+      if (phase.description) {
+        section += `Purpose: ${phase.description}\n`;
+      }
+      if (phase.instructions) {
+        section += `Instructions:\n${phase.instructions}\n`;
+      }
+
+      if (isLast) {
+        section += 'This is the final phase. Complete the conversation gracefully.';
+      } else if (gate?.type === 'slots') {
+        const values = knownSlots();
+        const known = gate.slots.filter(name => hasValue(values[name]));
+        section += `Stay in this phase until you have: ${gate.slots.join(', ')}.`;
+        if (known.length > 0) {
+          section += ` Already collected: ${known.map(name => `${name} = ${values[name]}`).join('; ')}.`;
+        }
+      } else if (gate) {
+        section += `Stay in this phase until: ${gate.condition}`;
+      }
+
+      section += '\nOnly discuss topics relevant to this phase.';
+      return section;
+    },
+
+    /**
+     * Check the active phase's gate against the latest turns.
+     * Runs in the background after a response; call whenIdle() before the next one.
+     * @param {Array} history - Conversation messages (user / assistant / tool)
+     * @returns {Promise<void>}
+     */
+    checkGate(history) {
+      const transcript = history
+        .filter(message => (message.role === 'user' || message.role === 'assistant') && message.content)
+        .slice(-GATE_TRANSCRIPT_MESSAGES)
+        .map(message => `${message.role === 'user' ? 'Caller' : 'Assistant'}: ${message.content}`)
+        .join('\n');
+
+      const run = (checking || Promise.resolve())
+        .then(() => check(transcript))
+        .finally(() => {
+          if (checking === run) {
+            checking = null;
+          }
+        });
+      checking = run;
+      return run;
+    },
+
+    /**
+     * Wait for a running gate check so the next response uses the right phase
+     */
+    whenIdle() {
+      return checking || Promise.resolve();
+    }
+  };
+}
@@ -0,0 +1,240 @@
+/**
+ * ConversationRelay Attributes
+ *
+ * Turns the ConversationRelay settings students save in the admin panel
+ * (speech-to-text provider, interruptions, greeting, ...) into the
+ * attributes of the <ConversationRelay> TwiML noun.
+ *
+ * The settings are validated when they are saved (/api/student-config-update),
+ * because Twilio only rejects a bad combination once a call is connecting -
+ * the caller hears an application error and the student sees nothing.
+ *
+ * Stored settings → attributes:
+ *   language                     → language
+ *   sttProvider                  → transcriptionProvider (Google / Deepgram)
+ *   speechModel                  → speechModel (must belong to the provider)
+ *   interruptible                → interruptible (true = any, false = none)
+ *   bargeInSensitivity (0-100)   → interruptSensitivity (low / medium / high)
+ *   profanityFilter              → profanityFilter
+ *   speechHints                  → hints (comma-separated words or phrases)
+ *   reportInputDuringAgentSpeech → reportInputDuringAgentSpeech
+ *   welcomeGreetingInterruptible → welcomeGreetingInterruptible
+ *   skipInitialGreeting          → no welcomeGreeting (the AI waits for the caller)
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+// Speech-to-text providers ConversationRelay supports, with their speech models
+export const TRANSCRIPTION_PROVIDERS = {
+  google: {
+    name: 'Google',
+    speechModels: ['telephony', 'telephony_short', 'long', 'short', 'chirp_2']
+  },
+  deepgram: {
+    name: 'Deepgram',
+    speechModels: ['nova-3-general', 'nova-2-general', 'nova-2-phonecall', 'nova-2-medical'],
+    // Models only available for English
+    englishOnlyModels: ['nova-2-phonecall', 'nova-2-medical']
+  }
+};
+
+// What the admin panel shows when no provider has been picked
+export const DEFAULT_TRANSCRIPTION_PROVIDER = 'deepgram';
+
+// Which caller input interrupts (or is reported during) agent speech
+export const RELAY_INPUT_MODES = ['none', 'dtmf', 'speech', 'any'];
+
+export const INTERRUPT_SENSITIVITIES = ['low', 'medium', 'high'];
+
+// Max length of the hints list
+const MAX_HINTS_LENGTH = 1000;
+
+// BCP-47 language tag, e.g. en-US, es-MX, fr
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+// Student settings this module reads (camelCase keys of student-config-get)
+export const CONVERSATION_RELAY_FIELDS = [
+  'language',
+  'sttProvider',
+  'speechModel',
+  'interruptible',
+  'bargeInSensitivity',
+  'profanityFilter',
+  'speechHints',
+  'reportInputDuringAgentSpeech',
+  'welcomeGreetingInterruptible',
+  'skipInitialGreeting'
+];
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Read the ConversationRelay settings from a student_configs row
+ */
+export function readConversationRelaySettings(config = {}) {
+  return {
+    language: config.language,
+    sttProvider: config.stt_provider,
+    speechModel: config.speech_model,
+    interruptible: config.interruptible,
+    bargeInSensitivity: config.barge_in_sensitivity,
+    profanityFilter: config.profanity_filter,
+    speechHints: config.speech_hints,
+    reportInputDuringAgentSpeech: config.report_input_during_agent_speech,
+    welcomeGreetingInterruptible: config.welcome_greeting_interruptible,
+    skipInitialGreeting: config.skip_initial_greeting
+  };
+}
+
+/**
+ * Check a set of ConversationRelay settings (the stored ones merged with an update)
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateConversationRelaySettings(settings = {}) {
+  const {
+    language,
+    sttProvider,
+    speechModel,
+    interruptible,
+    bargeInSensitivity,
+    profanityFilter,
+    speechHints,
+    reportInputDuringAgentSpeech,
+    welcomeGreetingInterruptible,
+    skipInitialGreeting
+  } = settings;
+
+  if (isSet(sttProvider) && !TRANSCRIPTION_PROVIDERS[sttProvider]) {
+    return `sttProvider "${sttProvider}" is not supported by ConversationRelay (use ${Object.keys(TRANSCRIPTION_PROVIDERS).join(' or ')})`;
+  }
+
+  if (isSet(language) && (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language))) {
+    return `language "${language}" is not a language code like en-US`;
+  }
+
+  if (isSet(speechModel)) {
+    const providerKey = isSet(sttProvider) ? sttProvider : DEFAULT_TRANSCRIPTION_PROVIDER;
+    const provider = TRANSCRIPTION_PROVIDERS[providerKey];
+
+    if (!provider.speechModels.includes(speechModel)) {
+      return `speechModel "${speechModel}" is not available with ${provider.name} (use ${provider.speechModels.join(', ')})`;
+    }
+    if (provider.englishOnlyModels?.includes(speechModel) && isSet(language) && !language.startsWith('en')) {
+      return `speechModel "${speechModel}" only supports English, but language is "${language}"`;
+    }
+  }
+
+  if (isSet(interruptible) && typeof interruptible !== 'boolean') {
+    return 'interruptible must be true or false';
+  }
+
+  if (isSet(bargeInSensitivity)) {
+    const sensitivity = Number(bargeInSensitivity);
+    if (!Number.isInteger(sensitivity) || sensitivity < 0 || sensitivity > 100) {
+      return 'bargeInSensitivity must be a whole number from 0 to 100';
+    }
+  }
+
+  if (isSet(profanityFilter) && typeof profanityFilter !== 'boolean') {
+    return 'profanityFilter must be true or false';
+  }
+
+  if (isSet(speechHints)) {
+    if (typeof speechHints !== 'string' || speechHints.length > MAX_HINTS_LENGTH) {
+      return `speechHints must be a comma-separated list of at most ${MAX_HINTS_LENGTH} characters`;
+    }
+    if (speechHints.split(',').some(hint => !hint.trim())) {
+      return 'speechHints has an empty entry (check for doubled or trailing commas)';
+    }
+  }
+
+  for (const [name, value] of [['reportInputDuringAgentSpeech', reportInputDuringAgentSpeech], ['welcomeGreetingInterruptible', welcomeGreetingInterruptible]]) {
+    if (isSet(value) && !RELAY_INPUT_MODES.includes(value)) {
+      return `${name} must be one of ${RELAY_INPUT_MODES.join(', ')}`;
+    }
+  }
+
+  if (interruptible === false && isSet(welcomeGreetingInterruptible) && welcomeGreetingInterruptible !== 'none' &&
+      skipInitialGreeting !== true) {
+    return 'welcomeGreetingInterruptible lets callers interrupt the greeting, but interruptions are turned off';
+  }
+
+  return null;
+}
+
+/**
+ * Map barge-in sensitivity (0-100 slider) to interruptSensitivity
+ */
+export function toInterruptSensitivity(bargeInSensitivity) {
+  const sensitivity = Number(bargeInSensitivity);
+  if (sensitivity < 34) {
+    return 'low';
+  }
+  return sensitivity < 67 ? 'medium' : 'high';
+}
+
+/**
+ * Build the <ConversationRelay> attributes for a call
+ *
+ * @param {Object} settings - Stored settings (see readConversationRelaySettings)
+ * @param {Object} base
+ * @param {string} base.url - WebSocket URL
+ * @param {string} base.voice - ConversationRelay voice
+ * @param {string} [base.welcomeGreeting]
+ * @param {string} [base.intelligenceService] - Conversational Intelligence service SID
+ * @returns {Object} Attributes for twiml connect.conversationRelay()
+ */
+export function buildConversationRelayAttributes(settings = {}, { url, voice, welcomeGreeting, intelligenceService }) {
+  const attributes = {
+    url,
+    voice,
+    dtmfDetection: true
+  };
+
+  if (welcomeGreeting && settings.skipInitialGreeting !== true) {
+    attributes.welcomeGreeting = welcomeGreeting;
+    if (isSet(settings.welcomeGreetingInterruptible)) {
+      attributes.welcomeGreetingInterruptible = settings.welcomeGreetingInterruptible;
+    }
+  }
+
+  if (isSet(settings.language)) {
+    attributes.language = settings.language;
+  }
+
+  if (isSet(settings.sttProvider) || isSet(settings.speechModel)) {
+    const providerKey = isSet(settings.sttProvider) ? settings.sttProvider : DEFAULT_TRANSCRIPTION_PROVIDER;
+    attributes.transcriptionProvider = TRANSCRIPTION_PROVIDERS[providerKey].name;
+    if (isSet(settings.speechModel)) {
+      attributes.speechModel = settings.speechModel;
+    }
+  }
+
+  if (isSet(settings.interruptible)) {
+    attributes.interruptible = settings.interruptible ? 'any' : 'none';
+  }
+
+  if (settings.interruptible !== false && isSet(settings.bargeInSensitivity)) {
+    attributes.interruptSensitivity = toInterruptSensitivity(settings.bargeInSensitivity);
+  }
+
+  if (isSet(settings.profanityFilter)) {
+    attributes.profanityFilter = settings.profanityFilter;
+  }
+
+  if (isSet(settings.speechHints)) {
+    attributes.hints = settings.speechHints.split(',').map(hint => hint.trim()).join(',');
+  }
+
+  if (isSet(settings.reportInputDuringAgentSpeech)) {
+    attributes.reportInputDuringAgentSpeech = settings.reportInputDuringAgentSpeech;
+  }
+
+  if (intelligenceService) {
+    attributes.intelligenceService = intelligenceService;
+  }
+
+  return attributes;
+}
@@ -0,0 +1,264 @@
+/**
+ * Conversation States
+ *
+ * Runs the student's `conversationStates` (designed in the admin panel's
+ * stateful prompts tab) during a call. Each state has its own system prompt
+ * and, optionally, its own set of tools; transitions move the call to the
+ * next state when their condition matches.
+ *
+ * State format:
+ * {
+ *   "id": "state_billing",
+ *   "name": "Billing",
+ *   "isDefault": false,
+ *   "systemPrompt": "You help callers with billing questions...",
+ *   "tools": ["lookup_invoice"],              // optional - omit to allow every tool
+ *   "transitions": [
+ *     { "nextState": "state_payment", "condition": { "type": "keyword", "value": "pay, payment" } },
+ *     { "nextState": "state_payment", "condition": { "type": "intent", "value": "The caller wants to make a payment" } },
+ *     { "nextState": "state_done", "condition": { "type": "tool_result", "value": "lookup_invoice" } },
+ *     { "nextState": "state_human", "condition": { "type": "turn_count", "value": 6 } }
+ *   ]
+ * }
+ *
+ * Conditions:
+ * - keyword:     the caller said any of the comma-separated words/phrases
+ * - intent:      an LLM classifier decides the caller's message matches the description
+ * - tool_result: the named tool returned without an error
+ *                (optional "contains": only when the result includes that text)
+ * - turn_count:  the caller has taken this many turns in the current state
+ *
+ * Caller-turn conditions are checked in the order listed, before the AI
+ * answers; tool_result conditions are checked as each tool finishes, so the
+ * rest of that turn already runs in the new state.
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+export const TRANSITION_CONDITION_TYPES = ['keyword', 'intent', 'tool_result', 'turn_count'];
+
+// Conditions checked when the caller speaks (tool_result is checked after tools run)
+const CALLER_TURN_CONDITIONS = ['keyword', 'intent', 'turn_count'];
+
+const INTENT_CLASSIFIER_INSTRUCTIONS = 'You classify the latest message from a phone caller. ' +
+  'Reply with only the number of the intent that best matches the message, or 0 if none match.';
+
+/**
+ * Find a state by id or name
+ */
+export function findState(states, idOrName) {
+  return (states || []).find(state => state.id === idOrName || state.name === idOrName) || null;
+}
+
+/**
+ * The state a call starts in (the one marked default, else the first)
+ */
+export function findDefaultState(states) {
+  return (states || []).find(state => state.isDefault) || (states || [])[0] || null;
+}
+
+/**
+ * Check a keyword condition ("refund, money back") against what the caller said
+ */
+export function matchesKeyword(value, text) {
+  const normalized = ` ${String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ')} `;
+  const keywords = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(keyword => keyword.trim().toLowerCase())
+    .filter(Boolean);
+
+  return keywords.some(keyword => normalized.includes(` ${keyword} `));
+}
+
+/**
+ * Check a tool_result condition against a finished tool call
+ */
+export function matchesToolResult(condition, toolName, result) {
+  if (condition.value !== toolName || !result || result.error) {
+    return false;
+  }
+  if (condition.contains) {
+    return JSON.stringify(result).toLowerCase().includes(String(condition.contains).toLowerCase());
+  }
+  return true;
+}
+
+/**
+ * Check a conversationStates config before saving it
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateConversationStates(states) {
+  if (!Array.isArray(states)) {
+    return 'conversationStates must be an array';
+  }
+
+  const ids = new Set(states.map(state => state?.id));
+
+  for (const state of states) {
+    if (!state || !state.id || !state.name) {
+      return 'Every state needs an id and a name';
+    }
+    if (state.tools !== undefined && (!Array.isArray(state.tools) || state.tools.some(name => typeof name !== 'string'))) {
+      return `State "${state.name}": tools must be a list of tool names`;
+    }
+    for (const transition of state.transitions || []) {
+      const type = transition?.condition?.type;
+      if (!ids.has(transition?.nextState)) {
+        return `State "${state.name}": transition points to an unknown state (${transition?.nextState})`;
+      }
+      if (!TRANSITION_CONDITION_TYPES.includes(type)) {
+        return `State "${state.name}": unknown condition type "${type}" (use ${TRANSITION_CONDITION_TYPES.join(', ')})`;
+      }
+      if (type === 'turn_count' && !(parseInt(transition.condition.value, 10) > 0)) {
+        return `State "${state.name}": turn_count needs a positive number`;
+      }
+      if (type !== 'turn_count' && !transition.condition.value) {
+        return `State "${state.name}": ${type} condition needs a value`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create the state tracker for one call
+ *
+ * @param {Object} options
+ * @param {Array} options.states - conversationStates config
+ * @param {Function} options.classifyIntent - async (messages) → { content } LLM call without tools
+ * @param {Function} [options.onTransition] - Called with ({ from, to, condition, trigger })
+ * @param {string} [options.sessionId] - Label used in log lines
+ * @returns {Object|null} null when the student has no states (single prompt mode)
+ */
+export function createStateMachine({ states, classifyIntent, onTransition = () => {}, sessionId = 'default' }) {
+  let current = findDefaultState(states);
+  if (!current) {
+    return null;
+  }
+
+  // Caller turns taken since entering the current state
+  let turnsInState = 0;
+
+  function transitionTo(nextState, condition, trigger) {
+    const from = current;
+    current = nextState;
+    turnsInState = 0;
+    onTransition({ from, to: nextState, condition, trigger });
+  }
+
+  /**
+   * Ask the LLM which (if any) of the intent conditions the caller's message matches
+   * @returns {Promise<number>} Index into intentTransitions, or -1
+   */
+  async function classify(text, intentTransitions) {
+    const options = intentTransitions
+      .map((transition, index) => `${index + 1}. ${transition.condition.value}`)
+      .join('\n');
+
+    const result = await classifyIntent([
+      { role: 'system', content: INTENT_CLASSIFIER_INSTRUCTIONS },
+      { role: 'user', content: `Caller's message: "${text}"\n\nIntents:\n${options}` }
+    ]);
+
+    const choice = parseInt(String(result.content || '').match(/\d+/)?.[0], 10);
+    return choice >= 1 && choice <= intentTransitions.length ? choice - 1 : -1;
+  }
+
+  return {
+    get current() {
+      return current;
+    },
+
+    /**
+     * Student tools allowed in the current state (all of them if the state has no list)
+     */
+    filterTools(tools) {
+      if (!Array.isArray(current.tools)) {
+        return tools;
+      }
+      return tools.filter(tool => current.tools.includes(tool.function?.name));
+    },
+
+    isToolAllowed(toolName) {
+      return !Array.isArray(current.tools) || current.tools.includes(toolName);
+    },
+
+    /**
+     * Jump straight to a state (keypad action), logged like any other transition
+     * @returns {boolean} false if the state doesn't exist
+     */
+    jumpTo(idOrName, trigger) {
+      const nextState = findState(states, idOrName);
+      if (!nextState) {
+        return false;
+      }
+      transitionTo(nextState, null, trigger);
+      return true;
+    },
+
+    /**
+     * Check keyword / intent / turn_count transitions for a new caller message
+     * @returns {Promise<boolean>} true if the state changed
+     */
+    async handleCallerTurn(text) {
+      turnsInState++;
+
+      const transitions = (current.transitions || [])
+        .filter(transition => CALLER_TURN_CONDITIONS.includes(transition.condition?.type));
+      if (transitions.length === 0) {
+        return false;
+      }
+
+      // One classifier call covers every intent transition of this state
+      let intentMatch;
+      const intentTransitions = transitions.filter(transition => transition.condition.type === 'intent');
+
+      for (const transition of transitions) {
+        const { condition } = transition;
+        let matched = false;
+
+        if (condition.type === 'keyword') {
+          matched = matchesKeyword(condition.value, text);
+        } else if (condition.type === 'turn_count') {
+          matched = turnsInState >= parseInt(condition.value, 10);
+        } else if (condition.type === 'intent') {
+          if (intentMatch === undefined) {
+            try {
+              intentMatch = await classify(text, intentTransitions);
+            } catch (error) {
+              console.warn(`[${sessionId}] Intent classification failed:`, error.message);
+              intentMatch = -1;
+            }
+          }
+          matched = intentTransitions[intentMatch] === transition;
+        }
+
+        const nextState = matched ? findState(states, transition.nextState) : null;
+        if (nextState) {
+          transitionTo(nextState, condition, 'caller');
+          return true;
+        }
+      }
+
+      return false;
+    },
+
+    /**
+     * Check tool_result transitions after a tool finishes
+     * @returns {boolean} true if the state changed
+     */
+    handleToolResult(toolName, result) {
+      for (const transition of current.transitions || []) {
+        if (transition.condition?.type !== 'tool_result' || !matchesToolResult(transition.condition, toolName, result)) {
+          continue;
+        }
+        const nextState = findState(states, transition.nextState);
+        if (nextState) {
+          transitionTo(nextState, transition.condition, `tool:${toolName}`);
+          return true;
+        }
+      }
+      return false;
+    }
+  };
+}
@@ -0,0 +1,193 @@
+/**
+ * Postgres Backend for the Conversation Store
+ *
+ * Lets a Node.js WebSocket server (server/websocket-server.js) read student
+ * settings and write conversation turns straight to the database instead of
+ * calling back into the workshop API.
+ *
+ * Local mode connects without SSL and creates the conversation tables if
+ * they are missing, so the server can run fully offline against a local
+ * Postgres (e.g. LOCAL_POSTGRES_URL=postgres://localhost:5432/workshop).
+ *
+ * Node.js only.
+ */
+
+import postgres from 'postgres';
+import { loadStudentAISettings } from './student-settings.js';
+import { normalizeUsage } from './llm-pricing.js';
+import { normalizeToolStats } from './tool-arguments.js';
+import { ensureCallOutcomesTable, saveCallOutcome } from './call-outcomes.js';
+import { ensureCallerMemoriesTable, loadCallerMemories, saveCallerMemory } from './caller-memory-postgres.js';
+import { ensureToolSandboxTable, runBuiltinTool } from './builtin-tools-postgres.js';
+
+/**
+ * Connect to Postgres
+ * @param {string} url - Connection string
+ * @param {Object} [options]
+ * @param {boolean} [options.local] - Local database (no SSL)
+ * @returns {Function} postgres.js client
+ */
+export function connectPostgres(url, { local = false } = {}) {
+  return postgres(url, {
+    ssl: local ? false : 'require',
+    max: local ? 5 : 1
+  });
+}
+
+/**
+ * Create the conversation tables for a local database.
+ * Same columns as api/admin-add-stateful-prompting.js, without the foreign key
+ * to student_configs (a local database may have no student configs at all).
+ */
+export async function ensureConversationTables(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS conversation_sessions (
+      id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+      session_token TEXT NOT NULL,
+      call_sid TEXT,
+      from_number TEXT,
+      to_number TEXT,
+      direction TEXT,
+      started_at TIMESTAMP DEFAULT NOW(),
+      ended_at TIMESTAMP,
+      duration_seconds INTEGER,
+      turn_count INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'active',
+      end_reason TEXT,
+      llm_provider TEXT,
+      llm_model TEXT,
+      used_fallback_key BOOLEAN DEFAULT false,
+      llm_calls INTEGER DEFAULT 0,
+      prompt_tokens INTEGER DEFAULT 0,
+      completion_tokens INTEGER DEFAULT 0,
+      estimated_cost_usd NUMERIC(12, 6) DEFAULT 0,
+      tool_stats JSONB DEFAULT '{}',
+      metadata JSONB DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `;
+
+  await sql`
+    CREATE TABLE IF NOT EXISTS conversation_history (
+      id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+      conversation_session_id TEXT NOT NULL
+        REFERENCES conversation_sessions(id) ON DELETE CASCADE,
+      turn_number INTEGER NOT NULL,
+      role TEXT NOT NULL,
+      content TEXT NOT NULL,
+      timestamp TIMESTAMP DEFAULT NOW(),
+      metadata JSONB DEFAULT '{}'
+    )
+  `;
+
+  await sql`
+    CREATE INDEX IF NOT EXISTS idx_conversation_history_session
+      ON conversation_history(conversation_session_id, turn_number)
+  `;
+
+  await ensureCallOutcomesTable(sql);
+  await ensureCallerMemoriesTable(sql);
+  await ensureToolSandboxTable(sql);
+}
+
+/**
+ * Backend that reads and writes the database directly
+ * @param {Function} sql - postgres.js client
+ */
+export function createPostgresBackend(sql) {
+  return {
+    name: 'postgres',
+
+    loadSettings(sessionToken) {
+      return loadStudentAISettings(sql, sessionToken);
+    },
+
+    async createSession(sessionToken, { callSid, from, to, direction }) {
+      const result = await sql`
+        INSERT INTO conversation_sessions (
+          session_token,
+          call_sid,
+          from_number,
+          to_number,
+          direction,
+          status
+        ) VALUES (
+          ${sessionToken},
+          ${callSid || null},
+          ${from || null},
+          ${to || null},
+          ${direction || 'inbound'},
+          'active'
+        )
+        RETURNING id
+      `;
+      return result[0].id;
+    },
+
+    async addTurns(conversationSessionId, turns) {
+      const rows = turns.map(turn => ({
+        conversation_session_id: conversationSessionId,
+        turn_number: turn.turnNumber || 0,
+        role: turn.role,
+        content: turn.content,
+        metadata: sql.json(turn.metadata || {})
+      }));
+
+      await sql`
+        INSERT INTO conversation_history ${sql(rows, 'conversation_session_id', 'turn_number', 'role', 'content', 'metadata')}
+      `;
+    },
+
+    async updateTurn(conversationSessionId, { turnNumber, role = 'assistant', content, metadata }) {
+      await sql`
+        UPDATE conversation_history
+        SET
+          content = ${content},
+          metadata = COALESCE(metadata, '{}'::jsonb) || ${metadata ? JSON.stringify(metadata) : '{}'}::jsonb
+        WHERE conversation_session_id = ${conversationSessionId}
+          AND turn_number = ${turnNumber}
+          AND role = ${role}
+      `;
+    },
+
+    async endSession(conversationSessionId, { turnCount, endReason, usage, toolStats }) {
+      const totals = normalizeUsage(usage);
+      await sql`
+        UPDATE conversation_sessions
+        SET
+          ended_at = NOW(),
+          duration_seconds = EXTRACT(EPOCH FROM (NOW() - started_at))::INTEGER,
+          turn_count = ${turnCount || 0},
+          status = 'completed',
+          end_reason = ${endReason || null},
+          llm_provider = ${totals.provider},
+          llm_model = ${totals.model},
+          used_fallback_key = ${totals.usingFallbackKey},
+          llm_calls = ${totals.llmCalls},
+          prompt_tokens = ${totals.promptTokens},
+          completion_tokens = ${totals.completionTokens},
+          estimated_cost_usd = ${totals.estimatedCostUsd},
+          tool_stats = ${sql.json(normalizeToolStats(toolStats))},
+          updated_at = NOW()
+        WHERE id = ${conversationSessionId}
+      `;
+    },
+
+    async saveOutcome(conversationSessionId, outcome) {
+      await saveCallOutcome(sql, conversationSessionId, outcome);
+    },
+
+    loadCallerMemory(sessionToken, phoneNumber, options) {
+      return loadCallerMemories(sql, sessionToken, phoneNumber, options);
+    },
+
+    async saveCallerMemory(conversationSessionId, memory) {
+      await saveCallerMemory(sql, conversationSessionId, memory);
+    },
+
+    runTool(sessionToken, conversationSessionId, { tool, args }) {
+      return runBuiltinTool(sql, { sessionToken, conversationSessionId, tool, args });
+    }
+  };
+}
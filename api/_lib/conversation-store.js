@@ -0,0 +1,363 @@
+/**
+ * Conversation Store
+ *
+ * Persistence client for the conversation engine. Turns are written without
+ * blocking the call: they are buffered, flushed in batches in the background
+ * (retrying failed writes with backoff) and flushed one last time when the
+ * call ends.
+ *
+ * Storage is pluggable through a backend:
+ * - createHttpBackend(apiBaseUrl) - workshop API endpoints (works on Edge)
+ * - createPostgresBackend(sql)    - direct database access for Node.js
+ *                                   (api/_lib/conversation-store-postgres.js)
+ *
+ * A backend implements:
+ *   loadSettings(sessionToken)                       → settings | null
+ *   createSession(sessionToken, callDetails)         → conversationSessionId
+ *   addTurns(conversationSessionId, turns)           (batch insert)
+ *   updateTurn(conversationSessionId, turn)
+ *   endSession(conversationSessionId, { turnCount, endReason, usage, toolStats })
+ *   saveOutcome(conversationSessionId, outcome)      (call_outcomes record)
+ *   loadCallerMemory(sessionToken, phoneNumber, { retentionDays }) → memories (newest first)
+ *   saveCallerMemory(conversationSessionId, { phoneNumber, summary, facts })
+ *   runTool(sessionToken, conversationSessionId, { tool, args, signal }) → result
+ *                                                    (built-in tools, api/_lib/builtin-tools.js)
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+// Wait this long after a write before flushing, so turns are sent in batches
+export const DEFAULT_FLUSH_DELAY_MS = 1000;
+
+// Attempts per write before it is dropped, and the first retry delay (doubles each time)
+export const DEFAULT_WRITE_ATTEMPTS = 3;
+export const DEFAULT_RETRY_DELAY_MS = 250;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * POST JSON to a workshop API endpoint, throwing on HTTP errors so writes are retried
+ */
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    throw new Error(`${url} responded ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Backend that persists through the workshop API (HTTP self-calls)
+ *
+ * internalSecret must match the API's INTERNAL_API_SECRET for settings to
+ * include tool secrets and for built-in tools (runTool) to run.
+ *
+ * @param {string} apiBaseUrl - e.g. https://your-workshop.vercel.app
+ * @param {Object} [options]
+ * @param {string} [options.internalSecret] - Defaults to INTERNAL_API_SECRET
+ */
+export function createHttpBackend(apiBaseUrl, { internalSecret = process.env.INTERNAL_API_SECRET } = {}) {
+  return {
+    name: 'http',
+
+    async loadSettings(sessionToken) {
+      const response = await fetch(
+        `${apiBaseUrl}/api/get-student-ai-settings?sessionToken=${encodeURIComponent(sessionToken)}`,
+        internalSecret ? { headers: { Authorization: `Bearer ${internalSecret}` } } : undefined
+      );
+      if (!response.ok) {
+        throw new Error(`Failed to fetch settings: ${response.status}`);
+      }
+      const data = await response.json();
+      return data.success && data.settings ? data.settings : null;
+    },
+
+    async createSession(sessionToken, { callSid, from, to, direction }) {
+      const result = await postJson(`${apiBaseUrl}/api/conversation-session-create`, {
+        sessionToken,
+        callSid,
+        fromNumber: from,
+        toNumber: to,
+        direction
+      });
+      return result.success ? result.conversationSessionId : null;
+    },
+
+    async addTurns(conversationSessionId, turns) {
+      await postJson(`${apiBaseUrl}/api/conversation-history-add`, { conversationSessionId, turns });
+    },
+
+    async updateTurn(conversationSessionId, turn) {
+      await postJson(`${apiBaseUrl}/api/conversation-history-update`, { conversationSessionId, ...turn });
+    },
+
+    async endSession(conversationSessionId, { turnCount, endReason, usage, toolStats }) {
+      await postJson(`${apiBaseUrl}/api/conversation-session-end`, { conversationSessionId, turnCount, endReason, usage, toolStats });
+    },
+
+    async saveOutcome(conversationSessionId, outcome) {
+      await postJson(`${apiBaseUrl}/api/call-outcome-save`, { conversationSessionId, outcome });
+    },
+
+    async loadCallerMemory(sessionToken, phoneNumber) {
+      // The API applies the student's retention setting itself
+      const response = await fetch(
+        `${apiBaseUrl}/api/caller-memory?sessionToken=${encodeURIComponent(sessionToken)}&phoneNumber=${encodeURIComponent(phoneNumber)}`
+      );
+      if (!response.ok) {
+        throw new Error(`Failed to fetch caller memory: ${response.status}`);
+      }
+      const data = await response.json();
+      return data.success ? data.memories || [] : [];
+    },
+
+    async saveCallerMemory(conversationSessionId, memory) {
+      await postJson(`${apiBaseUrl}/api/caller-memory`, { conversationSessionId, ...memory });
+    },
+
+    async runTool(sessionToken, conversationSessionId, { tool, args, signal }) {
+      const response = await fetch(`${apiBaseUrl}/api/tool-runtime`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(internalSecret ? { Authorization: `Bearer ${internalSecret}` } : {})
+        },
+        body: JSON.stringify({ sessionToken, conversationSessionId, tool, arguments: args }),
+        signal
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.details || data.error || `Tool runtime responded ${response.status}`);
+      }
+      return data.result;
+    }
+  };
+}
+
+/**
+ * Create a store for one call
+ *
+ * @param {Object} options
+ * @param {Object} options.backend - createHttpBackend() / createPostgresBackend()
+ * @param {string} options.sessionToken - Student session token
+ * @param {string} [options.sessionId] - Label used in log lines
+ * @param {number} [options.flushDelayMs]
+ * @param {number} [options.maxAttempts]
+ * @param {number} [options.retryDelayMs]
+ * @returns {Object} Store (see methods below)
+ */
+export function createConversationStore({
+  backend,
+  sessionToken,
+  sessionId = sessionToken || 'default',
+  flushDelayMs = DEFAULT_FLUSH_DELAY_MS,
+  maxAttempts = DEFAULT_WRITE_ATTEMPTS,
+  retryDelayMs = DEFAULT_RETRY_DELAY_MS
+}) {
+  let conversationSessionId = null;
+
+  // Pending writes in order: { type: 'add' | 'update', turn }
+  const queue = [];
+  let flushTimer = null;
+  let flushing = null;
+
+  async function withRetry(operation) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation();
+      } catch (error) {
+        if (attempt >= maxAttempts) {
+          throw error;
+        }
+        await sleep(retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  async function drain() {
+    while (queue.length > 0) {
+      if (queue[0].type === 'add') {
+        // Send consecutive inserts as one batch
+        let count = 0;
+        while (count < queue.length && queue[count].type === 'add') {
+          count++;
+        }
+        const turns = queue.splice(0, count).map(write => write.turn);
+        try {
+          await withRetry(() => backend.addTurns(conversationSessionId, turns));
+        } catch (error) {
+          console.warn(`[${sessionId}] ❌ Dropped ${turns.length} conversation turn(s) after ${maxAttempts} attempts:`, error.message);
+        }
+      } else {
+        const { turn } = queue.shift();
+        try {
+          await withRetry(() => backend.updateTurn(conversationSessionId, turn));
+        } catch (error) {
+          console.warn(`[${sessionId}] ❌ Failed to update turn ${turn.turnNumber} after ${maxAttempts} attempts:`, error.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Write everything buffered so far
+   * @returns {Promise<void>} Resolves once the buffer is empty
+   */
+  function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (!flushing) {
+      flushing = drain().finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  }
+
+  function enqueue(write) {
+    if (!conversationSessionId) {
+      return;
+    }
+    queue.push(write);
+    // A running flush picks up new writes itself
+    if (!flushTimer && !flushing) {
+      flushTimer = setTimeout(flush, flushDelayMs);
+    }
+  }
+
+  return {
+    backendName: backend.name,
+
+    get conversationSessionId() {
+      return conversationSessionId;
+    },
+
+    /**
+     * Load the student's AI settings (null if unavailable)
+     */
+    async loadSettings() {
+      try {
+        return await backend.loadSettings(sessionToken);
+      } catch (error) {
+        console.warn(`[${sessionId}] Could not load student settings:`, error.message);
+        return null;
+      }
+    },
+
+    /**
+     * Create the conversation_sessions row for this call
+     * @returns {Promise<string|null>} conversationSessionId
+     */
+    async createSession(callDetails) {
+      try {
+        conversationSessionId = await withRetry(() => backend.createSession(sessionToken, callDetails));
+      } catch (error) {
+        console.warn(`[${sessionId}] Failed to create conversation session:`, error.message);
+      }
+      return conversationSessionId;
+    },
+
+    /**
+     * Buffer a new turn ({ turnNumber, role, content, metadata }) - does not block
+     */
+    addTurn(turn) {
+      enqueue({ type: 'add', turn });
+    },
+
+    /**
+     * Buffer a change to a stored turn (applied after any pending insert of it)
+     */
+    updateTurn(turn) {
+      enqueue({ type: 'update', turn });
+    },
+
+    flush,
+
+    /**
+     * Save the structured details collected on this call (call_outcomes)
+     * @param {Object} outcome - { slots, missingSlots, complete, invalidAttempts }
+     */
+    async saveOutcome(outcome) {
+      if (!conversationSessionId) {
+        return;
+      }
+      try {
+        await withRetry(() => backend.saveOutcome(conversationSessionId, outcome));
+      } catch (error) {
+        console.warn(`[${sessionId}] Failed to save call outcome:`, error.message);
+      }
+    },
+
+    /**
+     * Look up what we remember about a caller ([] if nothing or unavailable)
+     * @param {string} phoneNumber
+     * @param {Object} [options] - { retentionDays }
+     */
+    async loadCallerMemory(phoneNumber, options = {}) {
+      try {
+        return await backend.loadCallerMemory(sessionToken, phoneNumber, options);
+      } catch (error) {
+        console.warn(`[${sessionId}] Could not load caller memory:`, error.message);
+        return [];
+      }
+    },
+
+    /**
+     * Save the memory of this call ({ phoneNumber, summary, facts })
+     */
+    async saveCallerMemory(memory) {
+      if (!conversationSessionId) {
+        return;
+      }
+      try {
+        await withRetry(() => backend.saveCallerMemory(conversationSessionId, memory));
+      } catch (error) {
+        console.warn(`[${sessionId}] Failed to save caller memory:`, error.message);
+      }
+    },
+
+    /**
+     * Run a built-in tool (not retried - tools like send_sms aren't idempotent)
+     * @param {string} tool
+     * @param {Object} args
+     * @param {Object} [options] - { signal }
+     * @returns {Promise<Object>} Tool result, or { error } if the runtime failed
+     */
+    async runTool(tool, args, { signal } = {}) {
+      try {
+        return await backend.runTool(sessionToken, conversationSessionId, { tool, args, signal });
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        console.warn(`[${sessionId}] Built-in tool ${tool} failed:`, error.message);
+        return { error: `${tool} is unavailable right now` };
+      }
+    },
+
+    /**
+     * Flush buffered turns, then close the conversation_sessions row
+     * @param {Object} summary - { turnCount, endReason, usage, toolStats } (usage: call totals from
+     *   the engine, toolStats: per-tool counts from api/_lib/tool-arguments.js)
+     */
+    async endSession({ turnCount, endReason, usage = null, toolStats = null }) {
+      if (!conversationSessionId) {
+        return;
+      }
+      await flush();
+      try {
+        await withRetry(() => backend.endSession(conversationSessionId, { turnCount, endReason, usage, toolStats }));
+        console.log(`[${sessionId}] ✅ Ended conversation session: ${conversationSessionId}`);
+      } catch (error) {
+        console.warn(`[${sessionId}] Failed to end conversation session:`, error.message);
+      }
+    }
+  };
+}
@@ -2,14 +2,13 @@
  * CORS Utility
  *
  * Handles Cross-Origin Resource Sharing headers with security in mind.
- * Only allows requests from allowed origins.
+ * Only allows requests from allowed origins (the workshop's own API base,
+ * ALLOWED_ORIGINS and local dev servers - see deployment-config.js).
  */
 
-const ALLOWED_ORIGINS = [
-  'https://twilio-voice-ai-workshop-vercel.vercel.app',
-  'http://localhost:3000', // For local development
-  'http://localhost:5173', // For Vite dev server
-];
+import { getAllowedOrigins } from './deployment-config.js';
+
+const ALLOWED_ORIGINS = getAllowedOrigins();
 
 /**
  * Apply CORS headers to response
@@ -35,7 +34,7 @@ export function applyCORS(req, res) {
     res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGINS[0]);
   }
 
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, DELETE');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS, DELETE');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   res.setHeader('Access-Control-Allow-Credentials', 'true');
   res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
@@ -0,0 +1,108 @@
+/**
+ * Deployment Config
+ *
+ * Resolves the public URLs of this deployment from the environment, so a
+ * fork of the workshop runs on its own hosts without code edits:
+ *
+ * - PUBLIC_API_BASE_URL       - where /api/* is served (Twilio webhooks, the
+ *                               WebSocket server's HTTP persistence backend).
+ *                               Falls back to VERCEL_API_URL, WORKSHOP_URL,
+ *                               then Vercel's VERCEL_PROJECT_PRODUCTION_URL / VERCEL_URL.
+ * - PUBLIC_WEBSOCKET_BASE_URL - the shared WebSocket server (server/websocket-server.js)
+ *                               ConversationRelay connects to
+ * - ALLOWED_ORIGINS           - extra CORS origins, comma-separated (the API
+ *                               base and local dev servers are always allowed)
+ *
+ * Without any of these, the hosted workshop's URLs are used.
+ *
+ * Once a student has deployed their own WebSocket server (websocketUrl,
+ * railwayUrl or codespaceUrl in student_configs), calls are routed to it
+ * while it is healthy - see api/_lib/websocket-routing.js.
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+// The hosted workshop
+export const DEFAULT_API_BASE_URL = 'https://twilio-voice-ai-workshop-vercel.vercel.app';
+export const DEFAULT_WEBSOCKET_BASE_URL = 'wss://workshop-websocket-server-production.up.railway.app';
+
+// Local dev servers (vercel dev, Vite)
+const LOCAL_ORIGINS = ['http://localhost:3000', 'http://localhost:5173'];
+
+/**
+ * Normalize a configured URL: add the scheme if missing (plain http/ws for
+ * localhost, as VERCEL_URL is under vercel dev), drop trailing slashes
+ */
+function normalizeBaseUrl(value, scheme) {
+  const url = String(value).trim().replace(/\/+$/, '');
+  if (/^[a-z]+:\/\//i.test(url)) {
+    return url;
+  }
+  const isLocal = /^(localhost|127\.0\.0\.1)(:\d+)?$/.test(url);
+  return `${isLocal ? scheme.replace(/s$/, '') : scheme}://${url}`;
+}
+
+/**
+ * Public base URL of the workshop API, e.g. https://my-workshop.vercel.app
+ */
+export function getApiBaseUrl(env = process.env) {
+  const configured = env.PUBLIC_API_BASE_URL || env.VERCEL_API_URL || env.WORKSHOP_URL ||
+    env.VERCEL_PROJECT_PRODUCTION_URL || env.VERCEL_URL;
+  return configured ? normalizeBaseUrl(configured, 'https') : DEFAULT_API_BASE_URL;
+}
+
+/**
+ * Base URL of the shared WebSocket server, e.g. wss://my-ws-server.up.railway.app
+ */
+export function getWebSocketBaseUrl(env = process.env) {
+  return env.PUBLIC_WEBSOCKET_BASE_URL
+    ? normalizeBaseUrl(env.PUBLIC_WEBSOCKET_BASE_URL, 'wss')
+    : DEFAULT_WEBSOCKET_BASE_URL;
+}
+
+/**
+ * Origins allowed to call the API from a browser
+ */
+export function getAllowedOrigins(env = process.env) {
+  const configured = String(env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+  return [...new Set([getApiBaseUrl(env), ...configured, ...LOCAL_ORIGINS])];
+}
+
+// Path the starter server (index.js) accepts WebSocket upgrades on
+export const STUDENT_WEBSOCKET_PATH = '/websocket-handler';
+
+/**
+ * Add the starter's handler path to a bare origin (wss://host), leaving URLs
+ * that already name a path alone
+ */
+function withHandlerPath(url) {
+  return /^[a-z]+:\/\/[^/]+$/i.test(url) ? `${url}${STUDENT_WEBSOCKET_PATH}` : url;
+}
+
+/**
+ * A student's own WebSocket server, if they saved one: websocketUrl
+ * (wss://...), their Railway deployment or their Codespace (https:// or wss://)
+ * @returns {string|null}
+ */
+export function getStudentWebSocketUrl({ websocketUrl, railwayUrl, codespaceUrl } = {}) {
+  if (websocketUrl && /^wss?:\/\/[^\s/]+/i.test(websocketUrl.trim())) {
+    return withHandlerPath(websocketUrl.trim().replace(/\/+$/, ''));
+  }
+  for (const url of [railwayUrl, codespaceUrl]) {
+    if (url && /^((https?|wss?):\/\/)?[^\s/]+/i.test(url.trim())) {
+      return withHandlerPath(normalizeBaseUrl(url, 'https').replace(/^http/i, 'ws'));
+    }
+  }
+  return null;
+}
+
+/**
+ * The shared WebSocket server's URL for a student's calls
+ */
+export function getSharedWebSocketUrl(sessionToken, env = process.env) {
+  return `${getWebSocketBaseUrl(env)}/ws/${sessionToken || ''}`;
+}
@@ -0,0 +1,299 @@
+/**
+ * DTMF Keypad Actions
+ *
+ * Maps keypad digits and digit sequences from the student's `dtmfActions`
+ * config to actions, so IVR-style menus keep working on an AI agent.
+ *
+ * Config format (keys are digits or sequences like "*9"):
+ * {
+ *   "1": { "action": "inject", "text": "I'd like to check an order" },
+ *   "2": { "action": "state", "state": "Billing" },
+ *   "3": { "action": "tool", "tool": "check_order_status", "arguments": {} },
+ *   "0": { "action": "transfer", "message": "Connecting you to an agent." },
+ *   "9": { "action": "end", "message": "Thanks for calling. Goodbye!" },
+ *   "*": {
+ *     "action": "collect",
+ *     "prompt": "Please enter your 6-digit order number, then press pound.",
+ *     "maxDigits": 6,
+ *     "terminator": "#",
+ *     "timeoutMs": 8000,
+ *     "then": { "action": "tool", "tool": "check_order_status", "argument": "order_id" }
+ *   }
+ * }
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+export const DTMF_ACTION_TYPES = ['inject', 'state', 'tool', 'end', 'transfer', 'collect'];
+
+// How long to wait for the next digit when a pressed sequence could still grow
+export const DEFAULT_INTER_DIGIT_TIMEOUT_MS = 2000;
+
+// Defaults for multi-digit collection
+export const DEFAULT_COLLECT_TIMEOUT_MS = 5000;
+export const DEFAULT_COLLECT_TERMINATOR = '#';
+
+const MAX_DTMF_ACTIONS = 20;
+
+const SEQUENCE_PATTERN = /^[0-9*#]{1,8}$/;
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const MAX_COLLECT_DIGITS = 32;
+const COLLECT_TIMEOUT_RANGE = [1000, 30000];
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isOptionalText(value) {
+  return value === undefined || value === null || typeof value === 'string';
+}
+
+/**
+ * Check one action (also used for a collect action's `then`)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateDtmfAction(action, label, states) {
+  if (!isPlainObject(action) || !DTMF_ACTION_TYPES.includes(action.action)) {
+    return `${label}: action must be one of ${DTMF_ACTION_TYPES.join(', ')}`;
+  }
+
+  switch (action.action) {
+    case 'inject':
+      return typeof action.text === 'string' && action.text.trim()
+        ? null
+        : `${label}: inject needs the text to send to the AI`;
+
+    case 'state':
+      if (typeof action.state !== 'string' || !action.state) {
+        return `${label}: state needs the id or name of a conversation state`;
+      }
+      if (!(states || []).some(state => state?.id === action.state || state?.name === action.state)) {
+        return `${label}: unknown conversation state "${action.state}"`;
+      }
+      return isOptionalText(action.message) ? null : `${label}: message must be text`;
+
+    case 'tool':
+      if (!TOOL_NAME_PATTERN.test(action.tool || '')) {
+        return `${label}: tool needs a tool name`;
+      }
+      if (action.arguments !== undefined && !isPlainObject(action.arguments)) {
+        return `${label}: arguments must be an object`;
+      }
+      if (action.argument !== undefined && (typeof action.argument !== 'string' || !action.argument)) {
+        return `${label}: argument must be the name of the argument that gets the digits`;
+      }
+      return null;
+
+    case 'collect': {
+      if (action.maxDigits !== undefined &&
+          !(Number.isInteger(action.maxDigits) && action.maxDigits >= 1 && action.maxDigits <= MAX_COLLECT_DIGITS)) {
+        return `${label}: maxDigits must be a whole number from 1 to ${MAX_COLLECT_DIGITS}`;
+      }
+      if (action.terminator !== undefined && !/^[0-9*#]$/.test(action.terminator)) {
+        return `${label}: terminator must be one key (0-9, * or #)`;
+      }
+      const [minTimeout, maxTimeout] = COLLECT_TIMEOUT_RANGE;
+      if (action.timeoutMs !== undefined &&
+          !(Number.isInteger(action.timeoutMs) && action.timeoutMs >= minTimeout && action.timeoutMs <= maxTimeout)) {
+        return `${label}: timeoutMs must be between ${minTimeout} and ${maxTimeout}`;
+      }
+      if (!isOptionalText(action.prompt)) {
+        return `${label}: prompt must be text`;
+      }
+      if (action.then === undefined || action.then === null) {
+        return null;
+      }
+      if (action.then?.action === 'collect') {
+        return `${label}: then can't be another collect`;
+      }
+      return validateDtmfAction(action.then, `${label} (then)`, states);
+    }
+
+    default:
+      // end / transfer
+      return ['message', 'reason', 'summary'].every(field => isOptionalText(action[field]))
+        ? null
+        : `${label}: message, reason and summary must be text`;
+  }
+}
+
+/**
+ * Check a dtmfActions config before saving it
+ * @param {Object} actions - dtmfActions (sequence → action)
+ * @param {Array} [states] - The student's conversationStates (targets of state actions)
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateDtmfActions(actions, states = []) {
+  if (!isPlainObject(actions)) {
+    return 'dtmfActions must be an object of keypad sequence → action';
+  }
+
+  const sequences = Object.keys(actions);
+  if (sequences.length > MAX_DTMF_ACTIONS) {
+    return `At most ${MAX_DTMF_ACTIONS} keypad actions`;
+  }
+
+  for (const sequence of sequences) {
+    if (!SEQUENCE_PATTERN.test(sequence)) {
+      return `"${sequence}" is not a keypad sequence (up to 8 of 0-9, * and #)`;
+    }
+    const error = validateDtmfAction(actions[sequence], `Key ${sequence}`, states);
+    if (error) {
+      return error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Replace {digits} / {sequence} placeholders in action text
+ */
+export function fillDtmfTemplate(text, { digits = '', sequence = '' } = {}) {
+  return String(text || '')
+    .replace(/\{digits\}/g, digits)
+    .replace(/\{sequence\}/g, sequence);
+}
+
+/**
+ * Create a collector that turns single digit events into actions
+ *
+ * @param {Object} options
+ * @param {Object} options.actions - dtmfActions config (sequence → action)
+ * @param {Function} options.onAction - Called with (action, { sequence, digits })
+ * @param {Function} [options.onCollectStart] - Called with (action) when multi-digit collection starts
+ * @param {Function} [options.onUnmatched] - Called with (sequence) when no action matches
+ * @param {number} [options.interDigitTimeoutMs] - Wait for longer sequences
+ * @returns {{push: Function, isCollecting: Function, reset: Function}}
+ */
+export function createDtmfCollector({
+  actions = {},
+  onAction,
+  onCollectStart = () => {},
+  onUnmatched = () => {},
+  interDigitTimeoutMs = DEFAULT_INTER_DIGIT_TIMEOUT_MS
+}) {
+  const sequences = Object.keys(actions || {}).filter(key => {
+    const action = actions[key];
+    return action && DTMF_ACTION_TYPES.includes(action.action);
+  });
+
+  let buffer = '';
+  let collecting = null; // { action, sequence, digits }
+  let timer = null;
+
+  function clearTimer() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  function fire(sequence, action) {
+    buffer = '';
+    clearTimer();
+
+    if (action.action === 'collect') {
+      collecting = { action, sequence, digits: '' };
+      onCollectStart(action);
+      startCollectTimer();
+      return;
+    }
+
+    onAction(action, { sequence, digits: sequence });
+  }
+
+  function finishCollect() {
+    const { action, sequence, digits } = collecting;
+    collecting = null;
+    clearTimer();
+
+    // Nothing entered before the timeout - drop the collection
+    if (!digits) {
+      onUnmatched(sequence);
+      return;
+    }
+
+    if (action.then && DTMF_ACTION_TYPES.includes(action.then.action) && action.then.action !== 'collect') {
+      onAction(action.then, { sequence, digits });
+    } else {
+      // No follow-up configured - hand the digits to the AI as if spoken
+      onAction({ action: 'inject', text: 'I entered {digits} on my keypad.' }, { sequence, digits });
+    }
+  }
+
+  function startCollectTimer() {
+    clearTimer();
+    timer = setTimeout(finishCollect, collecting.action.timeoutMs || DEFAULT_COLLECT_TIMEOUT_MS);
+  }
+
+  function pushMenuDigit(digit) {
+    buffer += digit;
+
+    const exact = actions[buffer] && sequences.includes(buffer) ? actions[buffer] : null;
+    const canGrow = sequences.some(key => key.length > buffer.length && key.startsWith(buffer));
+
+    if (exact && !canGrow) {
+      fire(buffer, exact);
+      return;
+    }
+
+    if (canGrow) {
+      // Wait briefly in case the caller is typing a longer sequence
+      clearTimer();
+      timer = setTimeout(() => {
+        timer = null;
+        const pending = buffer;
+        buffer = '';
+        if (actions[pending] && sequences.includes(pending)) {
+          fire(pending, actions[pending]);
+        } else {
+          onUnmatched(pending);
+        }
+      }, interDigitTimeoutMs);
+      return;
+    }
+
+    // No match - retry the latest digit on its own before giving up
+    const unmatched = buffer;
+    buffer = '';
+    clearTimer();
+    if (unmatched.length > 1) {
+      pushMenuDigit(digit);
+    } else {
+      onUnmatched(unmatched);
+    }
+  }
+
+  return {
+    push(digit) {
+      if (!collecting) {
+        pushMenuDigit(digit);
+        return;
+      }
+
+      const { action } = collecting;
+      if (digit === (action.terminator || DEFAULT_COLLECT_TERMINATOR)) {
+        finishCollect();
+        return;
+      }
+
+      collecting.digits += digit;
+      if (action.maxDigits && collecting.digits.length >= action.maxDigits) {
+        finishCollect();
+      } else {
+        startCollectTimer();
+      }
+    },
+
+    isCollecting() {
+      return collecting !== null;
+    },
+
+    reset() {
+      buffer = '';
+      collecting = null;
+      clearTimer();
+    }
+  };
+}
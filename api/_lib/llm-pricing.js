@@ -0,0 +1,111 @@
+/**
+ * LLM Pricing
+ *
+ * Turns token counts into an estimated cost so instructors can see which
+ * students are spending credits (especially on the instructor fallback keys).
+ *
+ * Prices are USD per 1M tokens, list prices for standard (non-batch) usage.
+ * They are estimates - update the table when providers change prices.
+ * Models are matched by the longest prefix, so dated IDs
+ * (e.g. claude-3-5-haiku-20241022) use their family's price.
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+export const LLM_PRICING = {
+  // OpenAI (and Azure OpenAI deployments named after the model)
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1': { input: 2.00, output: 8.00 },
+  'gpt-4-turbo': { input: 10.00, output: 30.00 },
+  'gpt-4': { input: 30.00, output: 60.00 },
+  'gpt-3.5-turbo': { input: 0.50, output: 1.50 },
+
+  // Anthropic
+  'claude-3-5-haiku': { input: 0.80, output: 4.00 },
+  'claude-3-5-sonnet': { input: 3.00, output: 15.00 },
+  'claude-3-7-sonnet': { input: 3.00, output: 15.00 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-opus': { input: 15.00, output: 75.00 },
+
+  // Google Gemini
+  'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+  'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 }
+};
+
+/**
+ * Find the price entry for a model
+ * @param {string} model
+ * @returns {{input: number, output: number}|null} null for unknown / local models
+ */
+export function getModelPricing(model) {
+  if (!model) {
+    return null;
+  }
+
+  const normalized = String(model).toLowerCase();
+  const match = Object.keys(LLM_PRICING)
+    .filter(prefix => normalized.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? LLM_PRICING[match] : null;
+}
+
+/**
+ * Estimate the cost of an LLM call
+ * @param {string} model
+ * @param {{promptTokens: number, completionTokens: number}} usage
+ * @returns {number} USD (0 for unknown models)
+ */
+export function estimateCostUsd(model, { promptTokens = 0, completionTokens = 0 } = {}) {
+  const pricing = getModelPricing(model);
+  if (!pricing) {
+    return 0;
+  }
+  return (promptTokens * pricing.input + completionTokens * pricing.output) / 1_000_000;
+}
+
+/**
+ * Running token/cost totals for a turn or a call
+ */
+export function createUsageTotals() {
+  return {
+    llmCalls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    estimatedCostUsd: 0,
+    latencyMs: 0
+  };
+}
+
+/**
+ * Clean up call usage totals posted by a client before storing them
+ * @param {Object|null} usage - { provider, model, usingFallbackKey, llmCalls, promptTokens, completionTokens, estimatedCostUsd }
+ */
+export function normalizeUsage(usage) {
+  const count = (value) => Math.max(0, parseInt(value, 10) || 0);
+  return {
+    provider: typeof usage?.provider === 'string' ? usage.provider : null,
+    model: typeof usage?.model === 'string' ? usage.model : null,
+    usingFallbackKey: usage?.usingFallbackKey === true,
+    llmCalls: count(usage?.llmCalls),
+    promptTokens: count(usage?.promptTokens),
+    completionTokens: count(usage?.completionTokens),
+    estimatedCostUsd: Math.max(0, Number(usage?.estimatedCostUsd) || 0)
+  };
+}
+
+/**
+ * Add one LLM call ({promptTokens, completionTokens, estimatedCostUsd, latencyMs}) to totals
+ */
+export function addUsage(totals, call) {
+  totals.llmCalls += 1;
+  totals.promptTokens += call.promptTokens || 0;
+  totals.completionTokens += call.completionTokens || 0;
+  totals.estimatedCostUsd += call.estimatedCostUsd || 0;
+  totals.latencyMs += call.latencyMs || 0;
+  return totals;
+}
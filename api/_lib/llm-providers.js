@@ -0,0 +1,494 @@
+/**
+ * LLM Provider Layer
+ *
+ * Lets the shared WebSocket handler talk to whichever model a student picked
+ * in the admin panel (aiProvider / aiModel / aiTemperature / aiMaxTokens).
+ *
+ * Conversation history is always kept in OpenAI chat format. Each provider
+ * translates messages, tool definitions and tool calls to and from its own
+ * API, so the handler's tool loop works the same for every provider.
+ *
+ * Supported protocols:
+ * - openai    - OpenAI and any OpenAI-compatible base URL (Gemini, Azure,
+ *               Groq, Ollama, the local stub in server/llm-stub-server.js)
+ * - anthropic - Anthropic Messages API (streamed via fetch, no SDK needed)
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+import OpenAI from 'openai';
+import { createSentenceBuffer, streamChatCompletion } from './llm-stream.js';
+
+export const DEFAULT_TEMPERATURE = 0.7;
+export const DEFAULT_MAX_TOKENS = 150;
+
+/**
+ * Provider registry
+ * - protocol: which wire format to speak
+ * - baseUrl: default API base (null = provider SDK default / must be configured)
+ * - defaultModel: used when the student hasn't picked a model
+ * - apiKeyEnv: instructor fallback key when the student has none
+ * - requiresApiKey: false for local OpenAI-compatible servers
+ * - baseUrlHosts: hosts a saved aiBaseUrl may point at (".suffix" matches
+ *   subdomains, null = any https host)
+ */
+export const LLM_PROVIDERS = {
+  openai: {
+    protocol: 'openai',
+    baseUrl: null,
+    defaultModel: 'gpt-4o-mini',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    requiresApiKey: true,
+    baseUrlHosts: ['api.openai.com']
+  },
+  anthropic: {
+    protocol: 'anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    defaultModel: 'claude-3-5-haiku-latest',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    requiresApiKey: true,
+    baseUrlHosts: ['api.anthropic.com']
+  },
+  google: {
+    protocol: 'openai',
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta/openai',
+    defaultModel: 'gemini-1.5-flash',
+    apiKeyEnv: 'GEMINI_API_KEY',
+    requiresApiKey: true,
+    baseUrlHosts: ['generativelanguage.googleapis.com']
+  },
+  azure: {
+    protocol: 'openai',
+    baseUrl: null,
+    defaultModel: 'gpt-4o-mini',
+    apiKeyEnv: 'AZURE_OPENAI_API_KEY',
+    requiresApiKey: true,
+    baseUrlHosts: ['.openai.azure.com', '.cognitiveservices.azure.com']
+  },
+  'openai-compatible': {
+    protocol: 'openai',
+    baseUrl: null,
+    defaultModel: 'gpt-4o-mini',
+    apiKeyEnv: 'LLM_API_KEY',
+    requiresApiKey: false,
+    baseUrlHosts: null
+  }
+};
+
+// Admin panel model names that aren't valid API model IDs
+const MODEL_ALIASES = {
+  'claude-3-opus': 'claude-3-opus-20240229',
+  'claude-3-sonnet': 'claude-3-sonnet-20240229',
+  'claude-3-haiku': 'claude-3-haiku-20240307',
+  'gemini-pro': 'gemini-1.5-pro',
+  'gemini-pro-vision': 'gemini-1.5-flash'
+};
+
+/**
+ * Strip workshop-only fields (webhook_url, etc.) from OpenAI tool definitions
+ * @param {Array} tools - Tools as stored in student_configs
+ * @returns {Array} Tools in plain OpenAI function-calling format
+ */
+export function toOpenAITools(tools) {
+  return tools
+    .filter(tool => tool.type === 'function' && tool.function?.name)
+    .map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.function.name,
+        description: tool.function.description || '',
+        parameters: tool.function.parameters || { type: 'object', properties: {} }
+      }
+    }));
+}
+
+/**
+ * Resolve provider settings from student config, with instructor fallbacks
+ *
+ * @param {Object} settings - Student AI settings (from get-student-ai-settings)
+ * @returns {{provider: string, protocol: string, model: string, baseUrl: string|null,
+ *            apiKey: string|null, temperature: number, maxTokens: number, usingFallbackKey: boolean}}
+ */
+export function resolveLLMConfig(settings = {}) {
+  const provider = LLM_PROVIDERS[settings.aiProvider] ? settings.aiProvider : 'openai';
+  const definition = LLM_PROVIDERS[provider];
+
+  // OpenAI keeps using the key students entered in Step 1
+  let apiKey = settings.aiApiKey || (provider === 'openai' ? settings.openaiApiKey : null) || null;
+  let usingFallbackKey = false;
+
+  // The instructor's key only goes to the provider's own API (or the base URL
+  // the server was started with), never to a URL a student typed in
+  if (!apiKey && process.env[definition.apiKeyEnv] && isTrustedBaseUrl(definition, settings.aiBaseUrl)) {
+    apiKey = process.env[definition.apiKeyEnv];
+    usingFallbackKey = true;
+  }
+
+  const model = settings.aiModel || definition.defaultModel;
+  const temperature = Number(settings.aiTemperature);
+  const maxTokens = parseInt(settings.aiMaxTokens, 10);
+
+  return {
+    provider,
+    protocol: definition.protocol,
+    model: MODEL_ALIASES[model] || model,
+    baseUrl: settings.aiBaseUrl || definition.baseUrl,
+    apiKey,
+    temperature: Number.isFinite(temperature) ? temperature : DEFAULT_TEMPERATURE,
+    maxTokens: Number.isInteger(maxTokens) && maxTokens > 0 ? maxTokens : DEFAULT_MAX_TOKENS,
+    usingFallbackKey
+  };
+}
+
+function normalizeBaseUrl(baseUrl) {
+  return String(baseUrl).trim().replace(/\/+$/, '');
+}
+
+function isTrustedBaseUrl(definition, baseUrl) {
+  if (!baseUrl) {
+    return true;
+  }
+  const normalized = normalizeBaseUrl(baseUrl);
+  return [definition.baseUrl, process.env.LLM_BASE_URL]
+    .some(trusted => trusted && normalizeBaseUrl(trusted) === normalized);
+}
+
+/**
+ * Check an aiBaseUrl a student wants to save
+ *
+ * Saved base URLs are called from the server, so they must be https and, for
+ * hosted providers, on that provider's own domain.
+ *
+ * @param {string} provider - Provider key (unknown keys are treated as openai)
+ * @param {string} baseUrl
+ * @returns {string|null} Error message, or null if the URL is allowed
+ */
+export function validateAiBaseUrl(provider, baseUrl) {
+  const definition = LLM_PROVIDERS[provider] || LLM_PROVIDERS.openai;
+
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch {
+    return 'aiBaseUrl must be a valid URL';
+  }
+
+  if (url.protocol !== 'https:') {
+    return 'aiBaseUrl must use https';
+  }
+
+  if (url.username || url.password) {
+    return 'aiBaseUrl must not contain credentials';
+  }
+
+  const hosts = definition.baseUrlHosts;
+  const hostname = url.hostname.toLowerCase();
+  if (hosts && !hosts.some(host => host.startsWith('.') ? hostname.endsWith(host) : hostname === host)) {
+    return `aiBaseUrl for ${provider} must be on ${hosts.map(host => host.startsWith('.') ? `*${host}` : host).join(' or ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Check a resolved config can actually make requests
+ * @returns {string|null} Error message, or null if the config is usable
+ */
+export function validateLLMConfig(llmConfig) {
+  const definition = LLM_PROVIDERS[llmConfig.provider];
+
+  if (definition.requiresApiKey && !llmConfig.apiKey) {
+    return `No ${llmConfig.provider} API key configured. Please add your API key in the workshop.`;
+  }
+
+  if (llmConfig.protocol === 'openai' && !definition.baseUrl && llmConfig.provider !== 'openai' && !llmConfig.baseUrl) {
+    return `The ${llmConfig.provider} provider requires a base URL (aiBaseUrl).`;
+  }
+
+  return null;
+}
+
+/**
+ * Create a provider client from a resolved config
+ *
+ * Every provider exposes:
+ *   streamChat({ messages, tools, toolChoice, signal, onText })
+ *     → { content, toolCalls, finishReason, usage }
+ *
+ * messages are OpenAI-format (system first), tools are student tool configs,
+ * and toolCalls come back in OpenAI format regardless of provider.
+ * toolChoice 'none' keeps the tools defined (history may still hold tool
+ * calls) but asks for a text answer.
+ * usage is { promptTokens, completionTokens } (null if the server didn't report it).
+ *
+ * @param {Object} llmConfig - Result of resolveLLMConfig()
+ */
+export function createLLMProvider(llmConfig) {
+  if (llmConfig.protocol === 'anthropic') {
+    return createAnthropicProvider(llmConfig);
+  }
+  return createOpenAIProvider(llmConfig);
+}
+
+// =========================================================================
+// OpenAI (and OpenAI-compatible) provider
+// =========================================================================
+
+function createOpenAIProvider(llmConfig) {
+  const client = new OpenAI({
+    apiKey: llmConfig.apiKey || 'not-needed',
+    ...(llmConfig.baseUrl ? { baseURL: llmConfig.baseUrl } : {})
+  });
+
+  return {
+    name: llmConfig.provider,
+    model: llmConfig.model,
+
+    async streamChat({ messages, tools = [], toolChoice = 'auto', signal, onText }) {
+      const params = {
+        model: llmConfig.model,
+        messages,
+        max_tokens: llmConfig.maxTokens,
+        temperature: llmConfig.temperature
+      };
+
+      if (tools.length > 0) {
+        params.tools = toOpenAITools(tools);
+        params.tool_choice = toolChoice;
+      }
+
+      return streamChatCompletion(client, params, { onText, signal });
+    }
+  };
+}
+
+// =========================================================================
+// Anthropic provider
+// =========================================================================
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+const ANTHROPIC_STOP_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls'
+};
+
+/**
+ * Translate OpenAI-format messages to Anthropic Messages API format
+ *
+ * - system messages move to the top-level `system` field
+ * - assistant tool_calls become tool_use content blocks
+ * - tool results become tool_result blocks in a user message
+ * - consecutive messages with the same role are merged (Anthropic requires alternation)
+ *
+ * Anthropic rejects tool_use / tool_result blocks in a request without tools,
+ * so flattenTools writes them out as text instead.
+ *
+ * @param {Array} messages
+ * @param {Object} [options]
+ * @param {boolean} [options.flattenTools=false]
+ * @returns {{system: string, messages: Array}}
+ */
+export function toAnthropicMessages(messages, { flattenTools = false } = {}) {
+  const systemParts = [];
+  const converted = [];
+
+  const append = (role, blocks) => {
+    const previous = converted[converted.length - 1];
+    if (previous && previous.role === role) {
+      previous.content.push(...blocks);
+    } else {
+      converted.push({ role, content: [...blocks] });
+    }
+  };
+
+  for (const message of messages) {
+    if (message.role === 'system') {
+      systemParts.push(message.content);
+    } else if (message.role === 'tool') {
+      const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+      append('user', [flattenTools
+        ? { type: 'text', text: `[${message.name || 'Tool'} result: ${content}]` }
+        : { type: 'tool_result', tool_use_id: message.tool_call_id, content }]);
+    } else if (message.role === 'assistant') {
+      const blocks = [];
+      if (message.content) {
+        blocks.push({ type: 'text', text: message.content });
+      }
+      for (const toolCall of message.tool_calls || []) {
+        let input = {};
+        try {
+          input = JSON.parse(toolCall.function.arguments || '{}');
+        } catch (error) {
+          input = {};
+        }
+        blocks.push(flattenTools
+          ? { type: 'text', text: `[Called ${toolCall.function.name}(${JSON.stringify(input)})]` }
+          : { type: 'tool_use', id: toolCall.id, name: toolCall.function.name, input });
+      }
+      if (blocks.length > 0) {
+        append('assistant', blocks);
+      }
+    } else if (message.content) {
+      append('user', [{ type: 'text', text: message.content }]);
+    }
+  }
+
+  return {
+    system: systemParts.join('\n\n'),
+    messages: converted
+  };
+}
+
+/**
+ * Translate student tool configs to Anthropic tool definitions
+ */
+export function toAnthropicTools(tools) {
+  return toOpenAITools(tools).map(tool => ({
+    name: tool.function.name,
+    description: tool.function.description,
+    input_schema: tool.function.parameters
+  }));
+}
+
+/**
+ * Parse a server-sent events stream into JSON events
+ */
+async function* readServerSentEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const data = rawEvent
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('');
+
+      if (data) {
+        yield JSON.parse(data);
+      }
+    }
+  }
+}
+
+function createAnthropicProvider(llmConfig) {
+  return {
+    name: llmConfig.provider,
+    model: llmConfig.model,
+
+    async streamChat({ messages, tools = [], toolChoice = 'auto', signal, onText }) {
+      const { system, messages: anthropicMessages } = toAnthropicMessages(messages, { flattenTools: tools.length === 0 });
+
+      const body = {
+        model: llmConfig.model,
+        system,
+        messages: anthropicMessages,
+        max_tokens: llmConfig.maxTokens,
+        temperature: Math.min(llmConfig.temperature, 1), // Anthropic caps temperature at 1
+        stream: true
+      };
+
+      if (tools.length > 0) {
+        body.tools = toAnthropicTools(tools);
+        body.tool_choice = { type: toolChoice };
+      }
+
+      const response = await fetch(`${llmConfig.baseUrl}/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': llmConfig.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION
+        },
+        body: JSON.stringify(body),
+        signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Anthropic API error ${response.status}: ${errorText}`);
+      }
+
+      const sentenceBuffer = createSentenceBuffer(chunk => {
+        if (onText && !signal?.aborted) {
+          onText(chunk);
+        }
+      });
+
+      let content = '';
+      let finishReason = null;
+      const usage = { promptTokens: 0, completionTokens: 0 };
+      const blocks = [];
+
+      for await (const event of readServerSentEvents(response.body)) {
+        switch (event.type) {
+          case 'message_start':
+            usage.promptTokens = event.message?.usage?.input_tokens || 0;
+            break;
+
+          case 'content_block_start':
+            blocks[event.index] = event.content_block.type === 'tool_use'
+              ? { type: 'tool_use', id: event.content_block.id, name: event.content_block.name, json: '' }
+              : { type: 'text' };
+            break;
+
+          case 'content_block_delta':
+            if (event.delta.type === 'text_delta') {
+              content += event.delta.text;
+              sentenceBuffer.push(event.delta.text);
+            } else if (event.delta.type === 'input_json_delta') {
+              blocks[event.index].json += event.delta.partial_json;
+            }
+            break;
+
+          case 'message_delta':
+            if (event.usage?.output_tokens) {
+              usage.completionTokens = event.usage.output_tokens;
+            }
+            if (event.delta?.stop_reason) {
+              finishReason = ANTHROPIC_STOP_REASONS[event.delta.stop_reason] || event.delta.stop_reason;
+            }
+            break;
+
+          case 'error':
+            throw new Error(`Anthropic stream error: ${event.error?.message || 'unknown error'}`);
+        }
+      }
+
+      sentenceBuffer.flush();
+
+      // Hand tool calls back in OpenAI format so history stays provider-neutral
+      const toolCalls = blocks
+        .filter(block => block && block.type === 'tool_use')
+        .map(block => ({
+          id: block.id,
+          type: 'function',
+          function: {
+            name: block.name,
+            arguments: block.json || '{}'
+          }
+        }));
+
+      return {
+        content: content || null,
+        toolCalls,
+        finishReason,
+        usage
+      };
+    }
+  };
+}
@@ -0,0 +1,165 @@
+/**
+ * LLM Streaming Utility
+ *
+ * Streams chat completions and forwards partial text to ConversationRelay
+ * as soon as a sentence (or a long enough clause) is complete, instead of
+ * waiting for the whole response. Twilio starts speaking the first clause
+ * while the model is still generating the rest.
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+// Sentence-ending punctuation followed by whitespace always flushes
+const SENTENCE_BOUNDARY = /[.!?]["')\]]*\s+/g;
+
+// Clause punctuation only flushes once the buffer is long enough to be worth speaking
+const CLAUSE_BOUNDARY = /[,;:—]\s+/g;
+const MIN_CLAUSE_LENGTH = 40;
+
+/**
+ * Find the index right after the last flushable boundary in the buffer
+ * @param {string} text - Buffered text
+ * @returns {number} Index to flush up to, or -1 if nothing is ready
+ */
+function findFlushIndex(text) {
+  let index = -1;
+
+  for (const match of text.matchAll(SENTENCE_BOUNDARY)) {
+    index = match.index + match[0].length;
+  }
+
+  if (index === -1 && text.length >= MIN_CLAUSE_LENGTH) {
+    for (const match of text.matchAll(CLAUSE_BOUNDARY)) {
+      index = match.index + match[0].length;
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Create a buffer that emits text at sentence boundaries
+ * @param {Function} onFlush - Called with each complete chunk of speakable text
+ * @returns {{push: Function, flush: Function}}
+ */
+export function createSentenceBuffer(onFlush) {
+  let buffer = '';
+
+  return {
+    push(text) {
+      buffer += text;
+      const index = findFlushIndex(buffer);
+      if (index > 0) {
+        const chunk = buffer.slice(0, index);
+        buffer = buffer.slice(index);
+        onFlush(chunk);
+      }
+    },
+
+    flush() {
+      if (buffer.length > 0) {
+        const chunk = buffer;
+        buffer = '';
+        onFlush(chunk);
+      }
+    }
+  };
+}
+
+/**
+ * Send a text token to ConversationRelay
+ * @param {WebSocket} ws - ConversationRelay socket (Edge WebSocket or ws)
+ * @param {string} token - Text to speak
+ * @param {boolean} last - Whether this ends the assistant's response
+ */
+export function sendTextToken(ws, token, last) {
+  ws.send(JSON.stringify({
+    type: 'text',
+    token,
+    last
+  }));
+}
+
+/**
+ * Stream a chat completion, speaking text as it arrives
+ *
+ * Text deltas are pushed through a sentence buffer and forwarded via onText.
+ * Tool call deltas are accumulated by index and returned once the stream ends,
+ * so the caller can run the tool path exactly like a non-streamed completion.
+ *
+ * @param {OpenAI} openai - OpenAI client
+ * @param {Object} params - chat.completions.create params (stream is forced on)
+ * @param {Object} options
+ * @param {Function} options.onText - Called with each flushed chunk of text
+ * @param {AbortSignal} [options.signal] - Aborts the request (e.g. on caller barge-in)
+ * @returns {Promise<{content: string|null, toolCalls: Array, finishReason: string|null, usage: Object|null}>}
+ *   usage is { promptTokens, completionTokens } when the server reports it
+ */
+export async function streamChatCompletion(openai, params, { onText, signal } = {}) {
+  const stream = await openai.chat.completions.create({
+    ...params,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, { signal });
+
+  const sentenceBuffer = createSentenceBuffer(chunk => {
+    // Never speak text that arrives after the caller barged in
+    if (onText && !signal?.aborted) {
+      onText(chunk);
+    }
+  });
+
+  let content = '';
+  let finishReason = null;
+  let usage = null;
+  const toolCallsByIndex = [];
+
+  for await (const chunk of stream) {
+    // Usage arrives on a final chunk with no choices
+    if (chunk.usage) {
+      usage = {
+        promptTokens: chunk.usage.prompt_tokens || 0,
+        completionTokens: chunk.usage.completion_tokens || 0
+      };
+    }
+
+    const choice = chunk.choices?.[0];
+    if (!choice) continue;
+
+    const delta = choice.delta || {};
+
+    if (delta.content) {
+      content += delta.content;
+      sentenceBuffer.push(delta.content);
+    }
+
+    if (delta.tool_calls) {
+      for (const toolCallDelta of delta.tool_calls) {
+        const existing = toolCallsByIndex[toolCallDelta.index] || {
+          id: '',
+          type: 'function',
+          function: { name: '', arguments: '' }
+        };
+
+        if (toolCallDelta.id) existing.id = toolCallDelta.id;
+        if (toolCallDelta.function?.name) existing.function.name += toolCallDelta.function.name;
+        if (toolCallDelta.function?.arguments) existing.function.arguments += toolCallDelta.function.arguments;
+
+        toolCallsByIndex[toolCallDelta.index] = existing;
+      }
+    }
+
+    if (choice.finish_reason) {
+      finishReason = choice.finish_reason;
+    }
+  }
+
+  sentenceBuffer.flush();
+
+  return {
+    content: content || null,
+    toolCalls: toolCallsByIndex.filter(Boolean),
+    finishReason,
+    usage
+  };
+}
@@ -0,0 +1,529 @@
+/**
+ * OpenAPI Tools
+ *
+ * Turns operations from an OpenAPI 3 document into function tools that call
+ * the API directly (webhook_url template + webhook_mapping, see
+ * api/_lib/tool-http.js), so teams with an existing REST API don't have to
+ * write each tool by hand:
+ *
+ * - name: the operationId in snake_case (or the method and path)
+ * - description: the summary and description as plain text, trimmed to a
+ *   sentence or two - the model reads it on every turn, and anything it
+ *   repeats to the caller should sound natural
+ * - parameters: path, query and header parameters plus the JSON request body
+ *   fields, as one flat JSON Schema object ($refs inlined, allOf merged,
+ *   nullable turned into a type list, readOnly fields left out)
+ * - auth: the operation's security scheme (apiKey in a header or query,
+ *   http bearer or basic; OAuth2 / OpenID Connect access tokens are sent as
+ *   bearer tokens), read from a tool secret at call time
+ *
+ * Operations are selected by "METHOD /path" or operationId.
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+import { TOOL_SECRET_NAME_PATTERN, validateToolHttpMapping } from './tool-http.js';
+
+export const MAX_IMPORTED_OPERATIONS = 30;
+
+const OPERATION_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const MAX_TOOL_DESCRIPTION_LENGTH = 200;
+const MAX_PARAMETER_DESCRIPTION_LENGTH = 120;
+const MAX_TOOL_NAME_LENGTH = 64;
+
+// Nesting kept when inlining schemas
+const MAX_SCHEMA_DEPTH = 6;
+
+// JSON Schema keywords copied as is (the rest is OpenAPI-only or noise for the model)
+const KEPT_SCHEMA_KEYWORDS = [
+  'type', 'description', 'enum', 'const', 'format', 'default',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+  'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems'
+];
+
+// Header parameters OpenAPI says to ignore (the request sets them itself)
+const IGNORED_HEADERS = ['accept', 'content-type', 'authorization'];
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check that a parsed document is something we can import
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateOpenApiDocument(doc) {
+  if (!isPlainObject(doc)) {
+    return 'The document must be a JSON or YAML object';
+  }
+  if (typeof doc.openapi !== 'string' || !doc.openapi.startsWith('3.')) {
+    return doc.swagger
+      ? 'Swagger 2.0 documents are not supported - convert it to OpenAPI 3 first'
+      : 'Not an OpenAPI 3 document (missing "openapi": "3.x")';
+  }
+  if (!isPlainObject(doc.paths) || Object.keys(doc.paths).length === 0) {
+    return 'The document has no paths';
+  }
+  return null;
+}
+
+// ===========================================================================
+// TEXT
+// ===========================================================================
+
+/**
+ * Turn API documentation into a short plain-text description
+ * @param {string} text - Markdown / HTML from the document
+ * @param {number} [maxLength]
+ * @returns {string}
+ */
+export function trimForVoice(text, maxLength = MAX_TOOL_DESCRIPTION_LENGTH) {
+  const plain = String(text || '')
+    .replace(/```[\s\S]*?```/g, ' ')           // code blocks
+    .replace(/<[^>]+>/g, ' ')                  // HTML tags
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1') // [links](url) and images
+    .replace(/^\s*(#+|[-*+]|\d+\.)\s+/gm, '')  // headings and list markers
+    .replace(/[`*>|]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (plain.length <= maxLength) {
+    return plain;
+  }
+
+  // As many whole sentences as fit, otherwise cut at a word
+  let trimmed = '';
+  for (const sentence of plain.match(/[^.!?]+[.!?]+(\s|$)/g) || []) {
+    if ((trimmed + sentence).trim().length > maxLength) {
+      break;
+    }
+    trimmed += sentence;
+  }
+  if (trimmed.trim()) {
+    return trimmed.trim();
+  }
+
+  const cut = plain.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > 0 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+function describeOperation(operation, method, path) {
+  const summary = trimForVoice(operation.summary, MAX_TOOL_DESCRIPTION_LENGTH).replace(/[.!?]*$/, '');
+  const description = trimForVoice(operation.description, MAX_TOOL_DESCRIPTION_LENGTH * 2);
+
+  // Don't repeat the summary when the description starts with it
+  const text = summary && !description.toLowerCase().startsWith(summary.toLowerCase())
+    ? `${summary}. ${description}`
+    : description || summary;
+
+  return trimForVoice(text, MAX_TOOL_DESCRIPTION_LENGTH) || `${method.toUpperCase()} ${path}`;
+}
+
+function toSnakeCase(text) {
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toLowerCase();
+}
+
+function operationToolName(operation, method, path) {
+  const base = operation.operationId
+    ? toSnakeCase(operation.operationId)
+    : toSnakeCase(`${method} ${path.replace(/\{([^}]+)\}/g, 'by $1')}`);
+  return (/^[a-z]/.test(base) ? base : `op_${base}`).slice(0, MAX_TOOL_NAME_LENGTH - 3);
+}
+
+// Add _2, _3, ... until the name is free
+function uniqueName(base, used) {
+  let name = base;
+  for (let i = 2; used.has(name); i++) {
+    name = `${base}_${i}`;
+  }
+  used.add(name);
+  return name;
+}
+
+function toSecretName(schemeName) {
+  const name = toSnakeCase(schemeName).slice(0, 60);
+  return TOOL_SECRET_NAME_PATTERN.test(name) ? name : `api_${name}`.slice(0, 64);
+}
+
+// ===========================================================================
+// SCHEMAS
+// ===========================================================================
+
+/**
+ * Follow a local $ref ("#/components/schemas/Order")
+ */
+function resolveRef(doc, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) {
+    return null;
+  }
+  return ref
+    .slice(2)
+    .split('/')
+    .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), doc) ?? null;
+}
+
+function deref(doc, value) {
+  let current = value;
+  for (let hops = 0; isPlainObject(current) && current.$ref && hops < 10; hops++) {
+    current = resolveRef(doc, current.$ref);
+  }
+  return isPlainObject(current) && !current.$ref ? current : null;
+}
+
+function mergeAllOf(doc, schema, depth) {
+  const { allOf, ...rest } = schema;
+  return allOf
+    .map(part => deref(doc, part))
+    .filter(Boolean)
+    .map(part => (Array.isArray(part.allOf) && depth < MAX_SCHEMA_DEPTH ? mergeAllOf(doc, part, depth + 1) : part))
+    .reduce((merged, part) => ({
+      ...part,
+      ...merged,
+      properties: { ...part.properties, ...merged.properties },
+      required: [...(part.required || []), ...(merged.required || [])]
+    }), rest);
+}
+
+/**
+ * Convert an OpenAPI schema to the JSON Schema subset tools use
+ * (see api/_lib/tool-arguments.js for what gets validated)
+ * @param {Set<string>} [refs] - $refs already being inlined (a schema that contains itself stops there)
+ */
+function convertSchema(doc, raw, depth = 0, refs = new Set()) {
+  if (isPlainObject(raw) && raw.$ref) {
+    if (refs.has(raw.$ref)) {
+      return {};
+    }
+    refs = new Set([...refs, raw.$ref]);
+  }
+
+  let schema = deref(doc, raw);
+  if (!schema || depth > MAX_SCHEMA_DEPTH) {
+    return {};
+  }
+  if (Array.isArray(schema.allOf)) {
+    schema = mergeAllOf(doc, schema, depth);
+  }
+
+  const result = {};
+  for (const keyword of KEPT_SCHEMA_KEYWORDS) {
+    if (schema[keyword] !== undefined) {
+      result[keyword] = schema[keyword];
+    }
+  }
+  if (result.description) {
+    result.description = trimForVoice(result.description, MAX_PARAMETER_DESCRIPTION_LENGTH);
+  }
+
+  // OpenAPI 3.0 spellings
+  if (schema.nullable === true && typeof result.type === 'string') {
+    result.type = [result.type, 'null'];
+  }
+  for (const [exclusive, bound] of [['exclusiveMinimum', 'minimum'], ['exclusiveMaximum', 'maximum']]) {
+    if (typeof schema[exclusive] === 'boolean') {
+      delete result[exclusive];
+      if (schema[exclusive] && typeof schema[bound] === 'number') {
+        result[exclusive] = schema[bound];
+        delete result[bound];
+      }
+    }
+  }
+
+  if (schema.items) {
+    result.items = convertSchema(doc, schema.items, depth + 1, refs);
+  }
+
+  if (isPlainObject(schema.properties)) {
+    result.type = result.type || 'object';
+    result.properties = {};
+    for (const [name, property] of Object.entries(schema.properties)) {
+      const resolved = deref(doc, property);
+      // Response-only fields can't be sent
+      if (resolved && resolved.readOnly !== true) {
+        result.properties[name] = convertSchema(doc, property, depth + 1, refs);
+      }
+    }
+    const required = [...new Set(schema.required || [])].filter(name => result.properties[name]);
+    if (required.length > 0) {
+      result.required = required;
+    }
+  }
+
+  if (schema.additionalProperties === false) {
+    result.additionalProperties = false;
+  } else if (isPlainObject(schema.additionalProperties)) {
+    result.additionalProperties = convertSchema(doc, schema.additionalProperties, depth + 1, refs);
+  }
+
+  for (const keyword of ['anyOf', 'oneOf']) {
+    if (Array.isArray(schema[keyword])) {
+      result[keyword] = schema[keyword].map(option => convertSchema(doc, option, depth + 1, refs));
+    }
+  }
+
+  return result;
+}
+
+// ===========================================================================
+// OPERATIONS
+// ===========================================================================
+
+function* eachOperation(doc) {
+  for (const [path, rawPathItem] of Object.entries(doc.paths)) {
+    const pathItem = deref(doc, rawPathItem);
+    if (!pathItem) {
+      continue;
+    }
+    for (const method of OPERATION_METHODS) {
+      if (isPlainObject(pathItem[method])) {
+        yield { path, pathItem, method, operation: pathItem[method], key: `${method.toUpperCase()} ${path}` };
+      }
+    }
+  }
+}
+
+function findSecurityScheme(doc, operation) {
+  const requirements = operation.security ?? doc.security ?? [];
+  const schemes = doc.components?.securitySchemes || {};
+  const names = (Array.isArray(requirements) ? requirements : []).flatMap(requirement => Object.keys(requirement || {}));
+
+  for (const name of names) {
+    const scheme = deref(doc, schemes[name]);
+    if (scheme?.type === 'apiKey' && (scheme.in === 'header' || scheme.in === 'query') && scheme.name) {
+      return { schemeName: name, auth: { type: scheme.in, name: scheme.name } };
+    }
+    if (scheme?.type === 'http' && /^(bearer|basic)$/i.test(scheme.scheme || '')) {
+      return { schemeName: name, auth: { type: scheme.scheme.toLowerCase() } };
+    }
+    if (scheme?.type === 'oauth2' || scheme?.type === 'openIdConnect') {
+      return { schemeName: name, auth: { type: 'bearer' }, warning: `${name} is ${scheme.type} - store an access token as the secret, it is sent as a bearer token` };
+    }
+  }
+
+  return names.length > 0
+    ? { schemeName: null, auth: null, warning: `Unsupported security scheme (${names.join(', ')}) - add the credentials another way` }
+    : { schemeName: null, auth: null };
+}
+
+/**
+ * Operations in a document, for the user to pick from
+ * @param {Object} doc - Parsed OpenAPI 3 document
+ * @returns {Array<{key, operationId, name, method, path, description, deprecated, auth}>}
+ */
+export function listOpenApiOperations(doc) {
+  return [...eachOperation(doc)].map(({ key, path, method, operation }) => ({
+    key,
+    operationId: operation.operationId || null,
+    name: operationToolName(operation, method, path),
+    method: method.toUpperCase(),
+    path,
+    description: describeOperation(operation, method, path),
+    deprecated: operation.deprecated === true,
+    auth: findSecurityScheme(doc, operation).schemeName
+  }));
+}
+
+function serverUrl(doc, pathItem, operation) {
+  const servers = [operation.servers, pathItem.servers, doc.servers].find(list => Array.isArray(list) && list.length > 0);
+  const server = servers?.[0];
+  if (!server?.url) {
+    return null;
+  }
+  return server.url.replace(/\{([^}]+)\}/g, (placeholder, name) => server.variables?.[name]?.default ?? placeholder);
+}
+
+/**
+ * Build the tool for one operation
+ * @returns {{tool: Object, secret: Object|null, warnings: string[]}|{error: string}}
+ */
+function buildOperationTool(doc, { path, pathItem, method, operation, key }, name, { baseUrl, secretName }) {
+  const warnings = [];
+  const properties = {};
+  const required = [];
+  const mapping = { method: method.toUpperCase() };
+  const usedArguments = new Set();
+
+  const addArgument = (location, originalName, schema, isRequired) => {
+    let argument = originalName.replace(/[^a-zA-Z0-9_]/g, '_') || 'value';
+    if (usedArguments.has(argument)) {
+      argument = uniqueName(`${location}_${argument}`, usedArguments);
+    } else {
+      usedArguments.add(argument);
+    }
+    properties[argument] = schema;
+    if (isRequired) {
+      required.push(argument);
+    }
+    return argument;
+  };
+
+  const root = baseUrl || serverUrl(doc, pathItem, operation);
+  if (!root || !/^https?:\/\/[^\s{}]+$/.test(root)) {
+    return { error: `${key}: the document has no absolute server URL - set the base URL` };
+  }
+
+  // Operation parameters override path-level ones with the same name and location
+  const parameters = new Map();
+  for (const raw of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+    const parameter = deref(doc, raw);
+    if (parameter?.name && parameter.in) {
+      parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+    }
+  }
+
+  // Every {placeholder} in the path needs an argument, declared or not
+  for (const [, placeholder] of path.matchAll(/\{([^}]+)\}/g)) {
+    if (!parameters.has(`path:${placeholder}`)) {
+      parameters.set(`path:${placeholder}`, { name: placeholder, in: 'path', required: true, schema: { type: 'string' } });
+    }
+  }
+
+  let urlPath = path;
+  for (const parameter of parameters.values()) {
+    if (parameter.in === 'cookie') {
+      warnings.push(`${name}: cookie parameter ${parameter.name} was skipped`);
+      continue;
+    }
+    if (parameter.in === 'header' && IGNORED_HEADERS.includes(parameter.name.toLowerCase())) {
+      continue;
+    }
+
+    const schema = convertSchema(doc, parameter.schema || { type: 'string' });
+    const description = trimForVoice(parameter.description, MAX_PARAMETER_DESCRIPTION_LENGTH);
+    if (description) {
+      schema.description = description;
+    }
+
+    const argument = addArgument(parameter.in, parameter.name, schema, parameter.in === 'path' || parameter.required === true);
+
+    if (parameter.in === 'path') {
+      urlPath = urlPath.split(`{${parameter.name}}`).join(`{${argument}}`);
+    } else {
+      const field = parameter.in === 'query' ? 'query' : 'headers';
+      mapping[field] = { ...mapping[field], [parameter.name]: argument };
+    }
+  }
+
+  const requestBody = deref(doc, operation.requestBody);
+  if (requestBody && method !== 'get') {
+    const content = requestBody.content || {};
+    const mediaType = Object.keys(content).find(type => /^application\/([\w.-]+\+)?json\b/.test(type));
+
+    if (!mediaType) {
+      warnings.push(`${name}: only JSON request bodies are supported - the ${Object.keys(content)[0] || 'request'} body was skipped`);
+    } else {
+      const bodySchema = convertSchema(doc, content[mediaType].schema);
+      if (isPlainObject(bodySchema.properties)) {
+        mapping.body = {};
+        for (const [field, schema] of Object.entries(bodySchema.properties)) {
+          const isRequired = requestBody.required === true && (bodySchema.required || []).includes(field);
+          mapping.body[field] = addArgument('body', field, schema, isRequired);
+        }
+      } else {
+        mapping.body = addArgument('body', 'body', bodySchema, requestBody.required === true);
+      }
+    }
+  }
+
+  const security = findSecurityScheme(doc, operation);
+  if (security.warning) {
+    warnings.push(`${name}: ${security.warning}`);
+  }
+  let secret = null;
+  if (security.auth) {
+    secret = { name: secretName || toSecretName(security.schemeName), scheme: security.schemeName, type: security.auth.type };
+    mapping.auth = { ...security.auth, secret: secret.name };
+  }
+
+  if (operation.deprecated === true) {
+    warnings.push(`${name}: ${key} is deprecated`);
+  }
+
+  const tool = {
+    type: 'function',
+    function: {
+      name,
+      description: describeOperation(operation, method, path),
+      parameters: {
+        type: 'object',
+        properties,
+        ...(required.length > 0 ? { required } : {})
+      },
+      webhook_url: `${root.replace(/\/+$/, '')}${urlPath}`,
+      webhook_mapping: mapping
+    }
+  };
+
+  const mappingError = validateToolHttpMapping(tool.function);
+  if (mappingError) {
+    return { error: `${key}: ${mappingError}` };
+  }
+
+  return { tool, secret, warnings };
+}
+
+/**
+ * Generate tools for the selected operations
+ *
+ * @param {Object} doc - Parsed OpenAPI 3 document
+ * @param {Object} options
+ * @param {string[]} options.operations - "METHOD /path" keys or operationIds
+ * @param {string|null} [options.baseUrl] - Overrides the document's servers
+ * @param {string|null} [options.secretName] - Tool secret to use for every operation's auth
+ * @param {string[]} [options.reservedNames] - Tool names already taken (generated names get a suffix)
+ * @returns {{tools: Object[], secrets: Array<{name, scheme, type, tools}>, warnings: string[]}|{error: string}}
+ */
+export function buildToolsFromOpenApi(doc, { operations, baseUrl = null, secretName = null, reservedNames = [] }) {
+  const documentError = validateOpenApiDocument(doc);
+  if (documentError) {
+    return { error: documentError };
+  }
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return { error: 'Select at least one operation' };
+  }
+  if (operations.length > MAX_IMPORTED_OPERATIONS) {
+    return { error: `Import at most ${MAX_IMPORTED_OPERATIONS} operations at a time` };
+  }
+
+  const available = [...eachOperation(doc)];
+  const selected = [];
+  for (const wanted of operations) {
+    const match = available.find(entry => entry.key === wanted || (entry.operation.operationId && entry.operation.operationId === wanted));
+    if (!match) {
+      return { error: `Operation not found: ${wanted}` };
+    }
+    if (!selected.includes(match)) {
+      selected.push(match);
+    }
+  }
+
+  const usedNames = new Set(reservedNames);
+  const tools = [];
+  const secrets = new Map();
+  const warnings = [];
+
+  for (const entry of selected) {
+    const name = uniqueName(operationToolName(entry.operation, entry.method, entry.path), usedNames);
+    const built = buildOperationTool(doc, entry, name, { baseUrl, secretName });
+    if (built.error) {
+      return { error: built.error };
+    }
+
+    tools.push(built.tool);
+    warnings.push(...built.warnings);
+    if (built.secret) {
+      const known = secrets.get(built.secret.name) || { ...built.secret, tools: [] };
+      known.tools.push(name);
+      secrets.set(built.secret.name, known);
+    }
+  }
+
+  return { tools, secrets: [...secrets.values()], warnings };
+}
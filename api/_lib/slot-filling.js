@@ -0,0 +1,347 @@
+/**
+ * Slot Filling
+ *
+ * Structured data capture for calls. A student (or the use case they
+ * activated) declares the details a call must collect; during the call the AI
+ * records them with the built-in `save_call_details` tool, every value is
+ * validated and normalized here, and the AI is told which details are still
+ * missing or were invalid so it asks again. When the call ends the record is
+ * written to `call_outcomes`.
+ *
+ * Slot schema format:
+ * [
+ *   { "name": "patient_name", "type": "string", "description": "Patient's full name" },
+ *   { "name": "phone", "type": "phone", "description": "Callback number" },
+ *   { "name": "date", "type": "date", "description": "Appointment date", "future": true },
+ *   { "name": "visit_type", "type": "enum", "options": ["checkup", "sick visit"], "required": false }
+ * ]
+ *
+ * Types:
+ * - string: any non-empty text
+ * - phone:  normalized to E.164 (+15551234567); 10-digit numbers are assumed to be US/Canada
+ * - date:   normalized to YYYY-MM-DD; the year must be given (the AI is told
+ *           today's date to resolve "next Tuesday"). `"future": true` rejects
+ *           dates before today, for bookings
+ * - enum:   one of `options` (case-insensitive)
+ *
+ * Slots are required unless `"required": false`.
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+export const SLOT_TYPES = ['string', 'phone', 'date', 'enum'];
+
+export const SAVE_CALL_DETAILS_TOOL_NAME = 'save_call_details';
+
+const SLOT_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,63}$/;
+
+const TYPE_HINTS = {
+  string: 'text',
+  phone: 'phone number with country code, e.g. +15551234567',
+  date: 'date as YYYY-MM-DD',
+  enum: 'one of the listed options'
+};
+
+/**
+ * Normalize a phone number to E.164
+ * @returns {string|null} null if it can't be a valid number
+ */
+export function normalizePhoneNumber(value) {
+  const raw = String(value || '').trim();
+  const digits = raw.replace(/\D/g, '');
+
+  let candidate;
+  if (raw.startsWith('+') || raw.startsWith('00')) {
+    candidate = `+${raw.startsWith('00') ? digits.slice(2) : digits}`;
+  } else if (digits.length === 10) {
+    candidate = `+1${digits}`;
+  } else if (digits.length === 11 && digits.startsWith('1')) {
+    candidate = `+${digits}`;
+  } else {
+    return null;
+  }
+
+  return /^\+[1-9]\d{7,14}$/.test(candidate) ? candidate : null;
+}
+
+function formatDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Time zones in use run from UTC-12 to UTC+14
+const UTC_OFFSET_RANGE_HOURS = [-12, 0, 14];
+
+/**
+ * The dates it is right now somewhere in the world, earliest first.
+ * The caller's time zone isn't known, so "today" may be any of them
+ * (the server's UTC date is already tomorrow for US evening calls).
+ * @param {Date} [now]
+ * @returns {string[]} One to three YYYY-MM-DD dates
+ */
+export function getPossibleTodays(now = new Date()) {
+  const dates = [];
+  for (const hours of UTC_OFFSET_RANGE_HOURS) {
+    const date = new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString().slice(0, 10);
+    if (!dates.includes(date)) {
+      dates.push(date);
+    }
+  }
+  return dates;
+}
+
+/**
+ * Normalize a date to YYYY-MM-DD
+ *
+ * Text without a four-digit year ("March 5") is rejected rather than guessed -
+ * Date parsing would put it in 2001.
+ *
+ * @returns {string|null} null if it isn't a real date
+ */
+export function normalizeDate(value) {
+  const raw = String(value || '').trim();
+
+  const iso = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (!iso && !/(^|\D)\d{4}(\D|$)/.test(raw)) {
+    return null;
+  }
+
+  const date = iso
+    ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]))
+    : new Date(raw);
+
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  // Reject rollovers like 2025-02-30
+  if (iso && (date.getMonth() !== Number(iso[2]) - 1 || date.getDate() !== Number(iso[3]))) {
+    return null;
+  }
+
+  return formatDate(date);
+}
+
+/**
+ * Validate and normalize one value for a slot
+ * @param {Object} slot
+ * @param {*} value
+ * @param {Date} [now] - Reference for "future" date slots
+ * @returns {{value: string}|{error: string}}
+ */
+export function normalizeSlotValue(slot, value, now = new Date()) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return { error: 'No value given' };
+  }
+
+  switch (slot.type) {
+    case 'phone': {
+      const phone = normalizePhoneNumber(value);
+      return phone ? { value: phone } : { error: 'Not a valid phone number - ask for the full number including area code' };
+    }
+    case 'date': {
+      const date = normalizeDate(value);
+      if (!date) {
+        return { error: 'Not a valid date - ask for the day, month and year' };
+      }
+      // YYYY-MM-DD strings compare in date order; past only once it's over everywhere
+      const [earliestToday] = getPossibleTodays(now);
+      if (slot.future === true && date < earliestToday) {
+        return { error: `${date} is in the past - today is ${earliestToday} at the earliest, ask for a later date` };
+      }
+      return { value: date };
+    }
+    case 'enum': {
+      const option = (slot.options || []).find(o => o.toLowerCase() === String(value).trim().toLowerCase());
+      return option ? { value: option } : { error: `Must be one of: ${(slot.options || []).join(', ')}` };
+    }
+    default:
+      return { value: String(value).trim() };
+  }
+}
+
+/**
+ * Check a slot schema before saving it
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateSlotSchema(schema) {
+  if (!Array.isArray(schema)) {
+    return 'slotSchema must be an array';
+  }
+
+  const names = new Set();
+  for (const slot of schema) {
+    if (!slot || !SLOT_NAME_PATTERN.test(slot.name || '')) {
+      return 'Every slot needs a name made of letters, numbers and underscores';
+    }
+    if (names.has(slot.name)) {
+      return `Duplicate slot name: ${slot.name}`;
+    }
+    names.add(slot.name);
+    if (!SLOT_TYPES.includes(slot.type)) {
+      return `Slot "${slot.name}": unknown type "${slot.type}" (use ${SLOT_TYPES.join(', ')})`;
+    }
+    if (slot.type === 'enum' &&
+        (!Array.isArray(slot.options) || slot.options.length === 0 || slot.options.some(o => typeof o !== 'string'))) {
+      return `Slot "${slot.name}": enum slots need a list of options`;
+    }
+    if (slot.future !== undefined && (slot.type !== 'date' || typeof slot.future !== 'boolean')) {
+      return `Slot "${slot.name}": "future" must be true or false, on date slots only`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create the slot tracker for one call
+ *
+ * @param {Object} options
+ * @param {Array} options.schema - Slot schema (see above)
+ * @param {string} [options.sessionId] - Label used in log lines
+ * @returns {Object|null} null when there is nothing to collect
+ */
+export function createSlotTracker({ schema, sessionId = 'default' }) {
+  if (!Array.isArray(schema) || schema.length === 0) {
+    return null;
+  }
+
+  // Valid, normalized values (name → value)
+  const values = {};
+
+  // Rejected values per slot, for the outcome record
+  const invalidAttempts = {};
+
+  const isRequired = (slot) => slot.required !== false;
+
+  function getMissing() {
+    return schema.filter(slot => isRequired(slot) && values[slot.name] === undefined).map(slot => slot.name);
+  }
+
+  function describe(slot) {
+    return `${slot.name} (${slot.type === 'enum' ? `one of: ${slot.options.join(', ')}` : TYPE_HINTS[slot.type]})`;
+  }
+
+  return {
+    get values() {
+      return { ...values };
+    },
+
+    getMissing,
+
+    isComplete() {
+      return getMissing().length === 0;
+    },
+
+    /**
+     * Built-in tool definition, generated from the schema
+     */
+    getTool() {
+      const properties = {};
+      for (const slot of schema) {
+        properties[slot.name] = {
+          type: 'string',
+          description: [slot.description, TYPE_HINTS[slot.type]].filter(Boolean).join(' - '),
+          ...(slot.type === 'enum' ? { enum: slot.options } : {})
+        };
+      }
+
+      return {
+        type: 'function',
+        function: {
+          name: SAVE_CALL_DETAILS_TOOL_NAME,
+          description: 'Save details the caller has given. Call this as soon as the caller provides any of them ' +
+            '(you can save some now and the rest later). The result lists anything invalid or still missing.',
+          parameters: { type: 'object', properties }
+        }
+      };
+    },
+
+    /**
+     * Validate and store the values from a save_call_details call
+     * @returns {Object} Tool result for the AI (saved / invalid / missing + what to do next)
+     */
+    save(args) {
+      const saved = {};
+      const invalid = [];
+
+      for (const [name, value] of Object.entries(args || {})) {
+        const slot = schema.find(s => s.name === name);
+        if (!slot) {
+          continue;
+        }
+        const result = normalizeSlotValue(slot, value);
+        if (result.error) {
+          invalid.push({ slot: name, value, error: result.error });
+          invalidAttempts[name] = (invalidAttempts[name] || 0) + 1;
+        } else {
+          values[name] = result.value;
+          saved[name] = result.value;
+        }
+      }
+
+      const missing = getMissing();
+      console.log(`[${sessionId}] 📝 Slots saved: ${Object.keys(saved).join(', ') || 'none'}${invalid.length ? `; invalid: ${invalid.map(i => i.slot).join(', ')}` : ''}`);
+
+      let instruction;
+      if (invalid.length > 0) {
+        instruction = `Politely ask the caller again for: ${invalid.map(i => i.slot).join(', ')}.`;
+      } else if (missing.length > 0) {
+        instruction = `Still needed: ${missing.join(', ')}. Ask for them one at a time.`;
+      } else {
+        instruction = 'All required details are collected. Read them back to the caller to confirm.';
+      }
+
+      return { saved, invalid, missing, complete: missing.length === 0, instruction };
+    },
+
+    /**
+     * Forget values (e.g. the caller wants to change them)
+     */
+    clear(names) {
+      for (const name of names || []) {
+        delete values[name];
+      }
+    },
+
+    /**
+     * System prompt section: what to collect and what is still missing
+     */
+    getPromptSection() {
+      const missing = getMissing();
+      const todays = getPossibleTodays();
+      const collected = Object.entries(values).map(([name, value]) => `${name} = ${value}`);
+      const optional = schema.filter(slot => !isRequired(slot) && values[slot.name] === undefined);
+
+      let section = '# DETAILS TO COLLECT\n';
+      section += `Save details with the ${SAVE_CALL_DETAILS_TOOL_NAME} tool as soon as the caller gives them. ` +
+        (todays.length === 1
+          ? `Today is ${todays[0]}.\n`
+          : `Today is ${todays.join(' or ')}, depending on the caller's time zone - confirm the date if it matters.\n`);
+      if (missing.length > 0) {
+        section += `Still needed: ${schema.filter(slot => missing.includes(slot.name)).map(describe).join('; ')}\n`;
+      } else {
+        section += 'All required details are collected.\n';
+      }
+      if (optional.length > 0) {
+        section += `Optional: ${optional.map(describe).join('; ')}\n`;
+      }
+      if (collected.length > 0) {
+        section += `Collected: ${collected.join('; ')}`;
+      }
+      return section.trim();
+    },
+
+    /**
+     * Final structured record for call_outcomes
+     */
+    getOutcome() {
+      const missingSlots = getMissing();
+      return {
+        slots: { ...values },
+        missingSlots,
+        complete: missingSlots.length === 0,
+        invalidAttempts: { ...invalidAttempts }
+      };
+    }
+  };
+}
@@ -0,0 +1,151 @@
+/**
+ * Student AI Settings
+ *
+ * Loads a student's AI configuration from student_configs, with API keys
+ * decrypted. Shared by /api/get-student-ai-settings and the direct Postgres
+ * persistence backend (api/_lib/conversation-store-postgres.js), so both
+ * return exactly the same settings shape.
+ *
+ * Node.js only (uses the crypto-based decryption helpers).
+ */
+
+import { decryptApiKey } from './encryption.js';
+import { ensureToolWebhookSecret } from './tool-webhook-secret.js';
+import { resolveToolRefs } from './tool-registry-postgres.js';
+import { decryptToolSecrets } from './tool-secrets.js';
+
+export const DEFAULT_SYSTEM_PROMPT = 'You are a helpful voice assistant. Keep responses brief and conversational since they will be spoken aloud.';
+export const DEFAULT_GREETING = 'Hello! How can I help you today?';
+
+// Settings only the call server may see - /api/get-student-ai-settings drops
+// them unless the request carries INTERNAL_API_SECRET
+export const SERVER_ONLY_SETTINGS = ['toolSecrets', 'toolWebhookSecret'];
+
+/**
+ * Copy of the settings without SERVER_ONLY_SETTINGS
+ */
+export function withoutServerOnlySettings(settings) {
+  const publicSettings = { ...settings };
+  for (const field of SERVER_ONLY_SETTINGS) {
+    delete publicSettings[field];
+  }
+  return publicSettings;
+}
+
+/**
+ * Whether a request to the settings endpoint comes from the workshop's own
+ * call server (Authorization: Bearer <INTERNAL_API_SECRET>)
+ */
+export function isInternalRequest(req, secret = process.env.INTERNAL_API_SECRET) {
+  return Boolean(secret) && req.headers.authorization === `Bearer ${secret}`;
+}
+
+/**
+ * Decrypt a stored key, returning null (and logging) if it can't be decrypted
+ */
+function decryptOrNull(encrypted, label) {
+  if (!encrypted) {
+    return null;
+  }
+  try {
+    return decryptApiKey(encrypted);
+  } catch (error) {
+    console.error(`Failed to decrypt ${label}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Load a student's AI settings
+ * @param {Function} sql - postgres.js client
+ * @param {string} sessionToken
+ * @returns {Promise<Object|null>} Settings, or null if the session doesn't exist
+ */
+export async function loadStudentAISettings(sql, sessionToken) {
+  const result = await sql`
+    SELECT
+      session_token,
+      student_name,
+      openai_api_key,
+      system_prompt,
+      ivr_greeting,
+      selected_voice,
+      tools,
+      tool_max_rounds,
+      tool_turn_timeout_ms,
+      tool_filler_phrase,
+      tool_webhook_secret,
+      tool_webhook_timeout_ms,
+      tool_webhook_retries,
+      tool_webhook_backoff_ms,
+      tool_secrets,
+      ai_provider,
+      ai_model,
+      ai_temperature,
+      ai_max_tokens,
+      ai_base_url,
+      ai_api_key,
+      conversation_states,
+      conversation_phases,
+      slot_schema,
+      dtmf_actions,
+      transfer_destination,
+      context_max_tokens,
+      enable_persistent_memory,
+      memory_retention_days
+    FROM student_configs
+    WHERE session_token = ${sessionToken}
+  `;
+
+  if (result.length === 0) {
+    return null;
+  }
+
+  const config = result[0];
+
+  // Tool webhooks are always signed - create the secret on first use
+  let toolWebhookSecret = null;
+  try {
+    toolWebhookSecret = await ensureToolWebhookSecret(sql, config.session_token, config.tool_webhook_secret);
+  } catch (error) {
+    console.error('Failed to load tool webhook secret:', error.message);
+  }
+
+  // Library tools are stored as references (tool_ref) - the engine needs the full schema
+  const { tools, missing } = await resolveToolRefs(sql, config.tools || []);
+  if (missing.length > 0) {
+    console.warn(`⚠️  Skipping unknown library tools: ${missing.join(', ')}`);
+  }
+
+  return {
+    sessionToken: config.session_token,
+    studentName: config.student_name,
+    openaiApiKey: decryptOrNull(config.openai_api_key, 'OpenAI API key'),
+    systemPrompt: config.system_prompt || DEFAULT_SYSTEM_PROMPT,
+    greeting: config.ivr_greeting !== null && config.ivr_greeting !== undefined ? config.ivr_greeting : DEFAULT_GREETING,
+    voice: config.selected_voice || 'alloy',
+    tools,
+    toolMaxRounds: config.tool_max_rounds,
+    toolTurnTimeoutMs: config.tool_turn_timeout_ms,
+    toolFillerPhrase: config.tool_filler_phrase,
+    toolWebhookSecret,
+    toolWebhookTimeoutMs: config.tool_webhook_timeout_ms,
+    toolWebhookRetries: config.tool_webhook_retries,
+    toolWebhookBackoffMs: config.tool_webhook_backoff_ms,
+    toolSecrets: decryptToolSecrets(config.tool_secrets),
+    aiProvider: config.ai_provider,
+    aiModel: config.ai_model,
+    aiTemperature: config.ai_temperature,
+    aiMaxTokens: config.ai_max_tokens,
+    aiBaseUrl: config.ai_base_url,
+    aiApiKey: decryptOrNull(config.ai_api_key, 'provider API key'),
+    conversationStates: config.conversation_states || [],
+    conversationPhases: config.conversation_phases || [],
+    slotSchema: config.slot_schema || [],
+    dtmfActions: config.dtmf_actions || {},
+    transferDestination: config.transfer_destination,
+    contextMaxTokens: config.context_max_tokens,
+    enablePersistentMemory: config.enable_persistent_memory === true,
+    memoryRetentionDays: config.memory_retention_days
+  };
+}
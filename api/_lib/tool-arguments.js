@@ -0,0 +1,326 @@
+/**
+ * Tool Arguments
+ *
+ * Every tool call the model makes is checked against the tool's declared
+ * `parameters` JSON Schema before it runs. Malformed JSON or arguments that
+ * don't match the schema never reach the webhook (or the built-in runtime);
+ * instead the model gets a structured error listing what was wrong, so it can
+ * ask the caller again and retry:
+ *
+ * {
+ *   "success": false,
+ *   "error": "Invalid arguments for book_appointment - nothing was done",
+ *   "invalidArguments": [
+ *     { "argument": "date", "error": "is required" },
+ *     { "argument": "service_type", "error": "must be one of: checkup, cleaning" }
+ *   ],
+ *   "instruction": "Ask the caller for: date, service_type. Then call book_appointment again."
+ * }
+ *
+ * Supported keywords (what OpenAI-style function schemas use): type (including
+ * type arrays and "integer"), enum, const, properties, required,
+ * additionalProperties, items, minItems, maxItems, minLength, maxLength,
+ * pattern, minimum, maximum, exclusiveMinimum, exclusiveMaximum, anyOf, oneOf.
+ * Other keywords (format, description, ...) are ignored.
+ *
+ * A required string that is empty counts as missing - models pass "" when
+ * they haven't got the value yet.
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+// Problems reported back to the model per call (the rest would just be noise)
+const MAX_REPORTED_PROBLEMS = 10;
+
+const UNKNOWN_ARGUMENT_ERROR = 'is not a parameter of this tool';
+
+const TYPE_NAMES = {
+  string: 'text',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'a list',
+  null: 'null'
+};
+
+/**
+ * Parse the arguments string from a tool call
+ * @param {string} raw - toolCall.function.arguments
+ * @returns {{args: Object}|{error: string}}
+ */
+export function parseToolArguments(raw) {
+  if (raw === undefined || raw === null || String(raw).trim() === '') {
+    return { args: {} };
+  }
+
+  let args;
+  try {
+    args = JSON.parse(raw);
+  } catch (error) {
+    return { error: 'Arguments were not valid JSON' };
+  }
+
+  if (!isPlainObject(args)) {
+    return { error: 'Arguments must be a JSON object' };
+  }
+  return { args };
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return isPlainObject(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+function describeValues(values) {
+  return values.map(value => (typeof value === 'string' ? value : JSON.stringify(value))).join(', ');
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Collect every way a value breaks a schema
+ * @returns {Array<{argument: string, error: string}>}
+ */
+function collectProblems(schema, value, path, problems) {
+  if (!isPlainObject(schema)) {
+    return problems;
+  }
+  const report = (error) => problems.push({ argument: path || '(arguments)', error });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      report(`must be ${types.map(type => TYPE_NAMES[type] || type).join(' or ')}`);
+      return problems; // Other keywords would only repeat the type problem
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    report(`must be one of: ${describeValues(schema.enum)}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    report(`must be ${describeValues([schema.const])}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      report(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      report(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern) {
+      let pattern = null;
+      try {
+        pattern = new RegExp(schema.pattern, 'u');
+      } catch (error) {
+        // An invalid pattern in the student's schema isn't the caller's problem
+      }
+      if (pattern && !pattern.test(value)) {
+        report('is not in the expected format');
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      report(`must be at most ${schema.maximum}`);
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      report(`must be more than ${schema.exclusiveMinimum}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      report(`must be less than ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report(`must have at most ${schema.maxItems} item(s)`);
+    }
+    if (isPlainObject(schema.items)) {
+      value.forEach((item, index) => collectProblems(schema.items, item, joinPath(path, index), problems));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = isPlainObject(schema.properties) ? schema.properties : {};
+
+    const missing = (Array.isArray(schema.required) ? schema.required : []).filter(name => {
+      const provided = value[name];
+      return provided === undefined || provided === null || (typeof provided === 'string' && provided.trim() === '');
+    });
+    missing.forEach(name => problems.push({ argument: joinPath(path, name), error: 'is required' }));
+
+    for (const [name, provided] of Object.entries(value)) {
+      if (missing.includes(name)) {
+        continue;
+      }
+      if (properties[name]) {
+        collectProblems(properties[name], provided, joinPath(path, name), problems);
+      } else if (schema.additionalProperties === false) {
+        problems.push({ argument: joinPath(path, name), error: UNKNOWN_ARGUMENT_ERROR });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        collectProblems(schema.additionalProperties, provided, joinPath(path, name), problems);
+      }
+    }
+  }
+
+  for (const keyword of ['anyOf', 'oneOf']) {
+    if (!Array.isArray(schema[keyword])) {
+      continue;
+    }
+    const matching = schema[keyword].filter(option => collectProblems(option, value, path, []).length === 0).length;
+    if (matching === 0) {
+      report('does not match any of the allowed forms');
+    } else if (keyword === 'oneOf' && matching > 1) {
+      report('matches more than one of the allowed forms');
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check tool arguments against the tool's parameters schema
+ * @param {Object} schema - toolConfig.function.parameters
+ * @param {Object} args - Parsed arguments
+ * @returns {Array<{argument: string, error: string}>} Empty if valid
+ */
+export function validateToolArguments(schema, args) {
+  // No declared parameters - anything goes
+  if (!isPlainObject(schema)) {
+    return [];
+  }
+  return collectProblems({ type: 'object', ...schema }, args, '', []);
+}
+
+/**
+ * The tool result sent to the model when a call's arguments are rejected
+ * @param {string} toolName
+ * @param {Object} failure - { parseError } for malformed JSON, or { problems } from validateToolArguments
+ * @returns {Object} Tool result
+ */
+export function buildToolArgumentError(toolName, { parseError = null, problems = [] }) {
+  if (parseError) {
+    return {
+      success: false,
+      error: `${parseError} - nothing was done`,
+      instruction: `Call ${toolName} again with the arguments as a JSON object.`
+    };
+  }
+
+  const reported = problems.slice(0, MAX_REPORTED_PROBLEMS);
+  const topLevel = (problem) => problem.argument.split(/[.[]/)[0];
+  const unknown = reported.filter(problem => problem.error === UNKNOWN_ARGUMENT_ERROR).map(problem => problem.argument);
+  const askFor = [...new Set(reported.filter(problem => problem.error !== UNKNOWN_ARGUMENT_ERROR).map(topLevel))];
+
+  const steps = [];
+  if (askFor.length > 0) {
+    steps.push(`Ask the caller for: ${askFor.join(', ')}.`);
+  }
+  steps.push(`Then call ${toolName} again${unknown.length > 0 ? ` without: ${unknown.join(', ')}` : ''}.`);
+
+  return {
+    success: false,
+    error: `Invalid arguments for ${toolName} - nothing was done`,
+    invalidArguments: reported,
+    instruction: steps.join(' ').replace(/^Then c/, 'C')
+  };
+}
+
+// ===========================================================================
+// PER-TOOL STATS
+// ===========================================================================
+
+/**
+ * Per-tool counters kept for each call and saved on the conversation session
+ * (conversation_sessions.tool_stats), then summed per tool by /api/tool-analytics:
+ *   calls             tool calls the model made
+ *   invalidJson       arguments that weren't a JSON object
+ *   invalidArguments  arguments that didn't match the parameters schema
+ *   errors            calls that ran but returned an error (webhook down, timed out, ...)
+ */
+export const TOOL_STAT_FIELDS = ['calls', 'invalidJson', 'invalidArguments', 'errors'];
+
+// Tools tracked per call (guards the JSONB column against runaway tool names)
+const MAX_TRACKED_TOOLS = 50;
+
+// Function names as OpenAI allows them - anything else the model made up isn't stored
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Count one event for a tool
+ *
+ * toolName is whatever the model asked for, so names that aren't valid
+ * function names are ignored and only own properties are read (a tool called
+ * "constructor" or "__proto__" must not reach Object.prototype).
+ *
+ * @param {Object} stats - { [toolName]: { calls, invalidJson, invalidArguments, errors } },
+ *                         created with Object.create(null)
+ * @param {string} toolName
+ * @param {string} field - One of TOOL_STAT_FIELDS
+ */
+export function countToolStat(stats, toolName, field) {
+  if (!TOOL_NAME_PATTERN.test(toolName || '')) {
+    return stats;
+  }
+  if (!Object.hasOwn(stats, toolName)) {
+    if (Object.keys(stats).length >= MAX_TRACKED_TOOLS) {
+      return stats;
+    }
+    stats[toolName] = Object.fromEntries(TOOL_STAT_FIELDS.map(name => [name, 0]));
+  }
+  stats[toolName][field] += 1;
+  return stats;
+}
+
+/**
+ * Clean up per-tool stats from a request before they are stored
+ */
+export function normalizeToolStats(stats) {
+  if (!isPlainObject(stats)) {
+    return {};
+  }
+
+  const count = (value) => Math.max(0, parseInt(value, 10) || 0);
+  return Object.fromEntries(
+    Object.entries(stats)
+      .filter(([toolName, counts]) => TOOL_NAME_PATTERN.test(toolName) && isPlainObject(counts))
+      .slice(0, MAX_TRACKED_TOOLS)
+      .map(([toolName, counts]) => [
+        toolName,
+        Object.fromEntries(TOOL_STAT_FIELDS.map(field => [field, count(counts[field])]))
+      ])
+  );
+}
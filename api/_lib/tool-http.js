@@ -0,0 +1,250 @@
+/**
+ * Tool HTTP Mappings
+ *
+ * Tools imported from an OpenAPI document (api/_lib/openapi-tools.js) call an
+ * existing REST API directly instead of a workshop-format webhook. Their
+ * webhook_url is a URL template and webhook_mapping says where each argument
+ * goes:
+ *
+ * {
+ *   "name": "get_order",
+ *   "webhook_url": "https://api.example.com/orders/{order_id}",
+ *   "webhook_mapping": {
+ *     "method": "GET",
+ *     "query": { "expand": "expand" },          // query parameter → argument
+ *     "headers": { "X-Store-Id": "store_id" },  // request header → argument
+ *     "body": { "note": "note" },               // JSON body field → argument
+ *     "auth": { "type": "bearer", "secret": "orders_api" },
+ *     "retry": false                             // optional, see below
+ *   }
+ * }
+ *
+ * {placeholders} in webhook_url are argument names, allowed in the path only -
+ * the model fills them in, so it must never pick the host the auth secret is
+ * sent to. body can also be the name of a single argument that holds the
+ * whole JSON body.
+ *
+ * Third-party APIs rarely honour Idempotency-Key, so only GET, PUT and DELETE
+ * requests are retried. POST and PATCH are sent once unless the mapping sets
+ * retry: true.
+ *
+ * auth injects one of the student's tool secrets (stored encrypted, see
+ * api/_lib/tool-secrets.js) into the request:
+ *   bearer   Authorization: Bearer <secret>
+ *   basic    Authorization: Basic <base64 of the secret, "user:password">
+ *   header   <name>: <secret>
+ *   query    ?<name>=<secret>
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+export const AUTH_TYPES = ['bearer', 'basic', 'header', 'query'];
+
+// Methods that are safe to send again after a timeout or network error
+export const IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE'];
+
+export const TOOL_SECRET_NAME_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9-]{1,100}$/;
+
+// Headers the workshop sets itself
+const RESERVED_HEADERS = ['content-type', 'content-length', 'host', 'idempotency-key'];
+
+const PLACEHOLDER_PATTERN = /\{([^{}]+)\}/g;
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check a webhook_url template: a fixed http(s) origin, placeholders only in the path
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateUrlTemplate(template) {
+  const parts = String(template || '').match(/^(https?):\/\/([^/?#]+)([^?#]*)([?#].*)?$/);
+  if (!parts) {
+    return 'webhook_url must be an http(s) URL';
+  }
+  const [, scheme, authority, , rest = ''] = parts;
+  if (/[{}\s]/.test(authority)) {
+    return 'webhook_url can only have {placeholders} in the path, not in the host';
+  }
+  if (/[{}]/.test(rest)) {
+    return 'webhook_url can only have {placeholders} in the path - map query parameters with webhook_mapping.query';
+  }
+  try {
+    new URL(`${scheme}://${authority}/`);
+  } catch (error) {
+    return 'webhook_url must be an http(s) URL';
+  }
+  return null;
+}
+
+function isArgumentMap(value) {
+  return isPlainObject(value) && Object.values(value).every(argument => typeof argument === 'string' && argument);
+}
+
+/**
+ * Check a tool's webhook_mapping
+ * @param {Object} functionTool - tool.function (webhook_url + webhook_mapping)
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateToolHttpMapping(functionTool) {
+  const mapping = functionTool?.webhook_mapping;
+  if (!isPlainObject(mapping)) {
+    return 'webhook_mapping must be an object';
+  }
+  const urlError = validateUrlTemplate(functionTool.webhook_url);
+  if (urlError) {
+    return urlError;
+  }
+  if (!HTTP_METHODS.includes(mapping.method)) {
+    return `webhook_mapping.method must be one of: ${HTTP_METHODS.join(', ')}`;
+  }
+
+  for (const field of ['query', 'headers']) {
+    if (mapping[field] !== undefined && !isArgumentMap(mapping[field])) {
+      return `webhook_mapping.${field} must map names to argument names`;
+    }
+  }
+  const headers = Object.keys(mapping.headers || {});
+  if (headers.some(name => !HEADER_NAME_PATTERN.test(name) || RESERVED_HEADERS.includes(name.toLowerCase()))) {
+    return 'webhook_mapping.headers has an invalid or reserved header name';
+  }
+
+  if (mapping.body !== undefined && mapping.body !== null && typeof mapping.body !== 'string' && !isArgumentMap(mapping.body)) {
+    return 'webhook_mapping.body must be an argument name or map body fields to argument names';
+  }
+  if (mapping.body && mapping.method === 'GET') {
+    return 'GET requests have no body';
+  }
+  if (mapping.retry !== undefined && typeof mapping.retry !== 'boolean') {
+    return 'webhook_mapping.retry must be true or false';
+  }
+
+  const auth = mapping.auth;
+  if (auth !== undefined && auth !== null) {
+    if (!isPlainObject(auth) || !AUTH_TYPES.includes(auth.type)) {
+      return `webhook_mapping.auth.type must be one of: ${AUTH_TYPES.join(', ')}`;
+    }
+    if (!TOOL_SECRET_NAME_PATTERN.test(auth.secret || '')) {
+      return 'webhook_mapping.auth.secret must be a secret name (lowercase letters, digits, underscores)';
+    }
+    if ((auth.type === 'header' || auth.type === 'query') && !HEADER_NAME_PATTERN.test(auth.name || '')) {
+      return `webhook_mapping.auth.name is required for ${auth.type} auth`;
+    }
+  }
+
+  return null;
+}
+
+function formatValue(value) {
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function isProvided(value) {
+  return value !== undefined && value !== null;
+}
+
+// btoa only takes Latin-1, so encode as UTF-8 first
+function base64(text) {
+  return btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+}
+
+/**
+ * Build the REST request for a tool call
+ *
+ * @param {Object} functionTool - tool.function (webhook_url + webhook_mapping)
+ * @param {Object} args - Validated tool arguments
+ * @param {Object} [secrets] - The student's tool secrets ({ name: value }, decrypted)
+ * @returns {{url: string, method: string, headers: Object, body: string|null, retry: boolean}|{error: string}}
+ */
+export function buildToolHttpRequest(functionTool, args, secrets = {}) {
+  const mappingError = validateToolHttpMapping(functionTool);
+  if (mappingError) {
+    return { error: `Invalid webhook mapping: ${mappingError}` };
+  }
+
+  const mapping = functionTool.webhook_mapping;
+
+  const missingPathArguments = [];
+  const path = functionTool.webhook_url.replace(PLACEHOLDER_PATTERN, (placeholder, argument) => {
+    if (!isProvided(args[argument]) || args[argument] === '') {
+      missingPathArguments.push(argument);
+      return placeholder;
+    }
+    return encodeURIComponent(formatValue(args[argument]));
+  });
+  if (missingPathArguments.length > 0) {
+    return { error: `Missing ${missingPathArguments.join(', ')} - needed in the URL` };
+  }
+
+  let url;
+  try {
+    url = new URL(path);
+  } catch (error) {
+    return { error: 'Invalid webhook mapping: webhook_url is not a valid URL' };
+  }
+  // Arguments are encoded, so this only fails if the template itself is off
+  if (url.origin !== new URL(functionTool.webhook_url.replace(PLACEHOLDER_PATTERN, 'x')).origin) {
+    return { error: 'Invalid webhook mapping: arguments changed the host' };
+  }
+
+  for (const [name, argument] of Object.entries(mapping.query || {})) {
+    const value = args[argument];
+    if (!isProvided(value)) {
+      continue;
+    }
+    // Lists are sent as repeated parameters (?tag=a&tag=b)
+    for (const item of Array.isArray(value) ? value : [value]) {
+      url.searchParams.append(name, formatValue(item));
+    }
+  }
+
+  const headers = {};
+  for (const [name, argument] of Object.entries(mapping.headers || {})) {
+    if (isProvided(args[argument])) {
+      headers[name] = formatValue(args[argument]);
+    }
+  }
+
+  let body = null;
+  if (typeof mapping.body === 'string') {
+    body = isProvided(args[mapping.body]) ? JSON.stringify(args[mapping.body]) : null;
+  } else if (mapping.body) {
+    const fields = Object.entries(mapping.body).filter(([, argument]) => isProvided(args[argument]));
+    body = JSON.stringify(Object.fromEntries(fields.map(([field, argument]) => [field, args[argument]])));
+  }
+
+  if (mapping.auth) {
+    const secret = secrets?.[mapping.auth.secret];
+    if (!secret) {
+      return { error: `Tool secret "${mapping.auth.secret}" is not set - add it in the admin panel (Functions tab)` };
+    }
+
+    switch (mapping.auth.type) {
+      case 'bearer':
+        headers.Authorization = `Bearer ${secret}`;
+        break;
+      case 'basic':
+        headers.Authorization = `Basic ${base64(secret)}`;
+        break;
+      case 'header':
+        headers[mapping.auth.name] = secret;
+        break;
+      case 'query':
+        url.searchParams.set(mapping.auth.name, secret);
+        break;
+    }
+  }
+
+  return {
+    url: url.toString(),
+    method: mapping.method,
+    headers,
+    body,
+    retry: IDEMPOTENT_METHODS.includes(mapping.method) || mapping.retry === true
+  };
+}
@@ -0,0 +1,603 @@
+/**
+ * Tool Library Seed
+ *
+ * Version 1.0.0 of every tool the workshop ships with. The registry
+ * (api/_lib/tool-registry-postgres.js) inserts these the first time the
+ * tool_library table is created; instructors publish newer versions through
+ * /api/tool-library. Published versions are never changed, so edit a tool by
+ * publishing a new version rather than editing it here.
+ *
+ * Every tool here runs on the built-in runtime (api/_lib/builtin-tools.js)
+ * when it has no webhook; codeSample shows how to build it as your own webhook.
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+export const TOOL_LIBRARY_SEED = [
+  // ===================================================================
+  // UNIVERSAL TOOLS (work for all use cases)
+  // ===================================================================
+
+  {
+    id: 'send_sms',
+    version: '1.0.0',
+    name: 'Send SMS Confirmation',
+    description: 'Send a text message confirmation to the caller',
+    tags: ['universal', 'healthcare', 'restaurant', 'retail', 'support'],
+    icon: '📱',
+
+    schema: {
+      name: 'send_sms',
+      description: 'Send an SMS text message to a phone number',
+      parameters: {
+        type: 'object',
+        properties: {
+          to: {
+            type: 'string',
+            description: 'The phone number to send to (E.164 format, e.g., +12125551234)'
+          },
+          message: {
+            type: 'string',
+            description: 'The message content to send'
+          }
+        },
+        required: ['to', 'message']
+      }
+    },
+    defaultWebhookUrl: null,
+    examples: [
+      {
+        arguments: { to: '+12125551234', message: 'Your appointment is confirmed for Monday at 2:00 PM.' },
+        result: { success: true, messageSid: 'SM0123456789abcdef0123456789abcdef', to: '+12125551234', status: 'queued' }
+      }
+    ],
+
+    codeSample: `async function sendSMS(to, message) {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const fromNumber = process.env.TWILIO_PHONE_NUMBER;
+
+  const response = await fetch(
+    \`https://api.twilio.com/2010-04-01/Accounts/\${accountSid}/Messages.json\`,
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': 'Basic ' + Buffer.from(\`\${accountSid}:\${authToken}\`).toString('base64'),
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({
+        To: to,
+        From: fromNumber,
+        Body: message
+      })
+    }
+  );
+
+  const data = await response.json();
+  return {
+    success: response.ok,
+    messageSid: data.sid,
+    status: data.status
+  };
+}`
+  },
+
+  // ===================================================================
+  // HEALTHCARE TOOLS
+  // ===================================================================
+
+  {
+    id: 'check_availability',
+    version: '1.0.0',
+    name: 'Check Appointment Availability',
+    description: 'Check available appointment time slots',
+    tags: ['healthcare'],
+    icon: '🗓️',
+
+    schema: {
+      name: 'check_availability',
+      description: 'Check available appointment slots for a given date',
+      parameters: {
+        type: 'object',
+        properties: {
+          date: {
+            type: 'string',
+            description: 'The date to check (YYYY-MM-DD format)'
+          },
+          service_type: {
+            type: 'string',
+            description: 'Type of appointment (e.g., checkup, consultation)',
+            enum: ['checkup', 'consultation', 'follow-up', 'emergency']
+          }
+        },
+        required: ['date']
+      }
+    },
+    defaultWebhookUrl: null,
+    examples: [
+      {
+        arguments: { date: '2025-01-20', service_type: 'checkup' },
+        result: {
+          date: '2025-01-20',
+          serviceType: 'checkup',
+          availableSlots: [{ time: '9:00 AM', duration: '30 min' }, { time: '2:00 PM', duration: '30 min' }],
+          timezone: 'America/New_York'
+        }
+      }
+    ],
+
+    codeSample: `async function checkAvailability(date, serviceType = 'checkup') {
+  // In production, this would query your scheduling database
+  // For demo, return mock available slots
+
+  const availableSlots = [
+    { time: '09:00 AM', duration: '30 min' },
+    { time: '10:30 AM', duration: '30 min' },
+    { time: '02:00 PM', duration: '30 min' },
+    { time: '03:30 PM', duration: '30 min' }
+  ];
+
+  return {
+    date: date,
+    serviceType: serviceType,
+    availableSlots: availableSlots,
+    timezone: 'America/New_York'
+  };
+}`
+  },
+
+  {
+    id: 'book_appointment',
+    version: '1.0.0',
+    name: 'Book Appointment',
+    description: 'Schedule a patient appointment',
+    tags: ['healthcare'],
+    icon: '📅',
+
+    schema: {
+      name: 'book_appointment',
+      description: 'Book an appointment for a patient',
+      parameters: {
+        type: 'object',
+        properties: {
+          patient_name: {
+            type: 'string',
+            description: 'Patient full name'
+          },
+          phone: {
+            type: 'string',
+            description: 'Patient phone number'
+          },
+          date: {
+            type: 'string',
+            description: 'Appointment date (YYYY-MM-DD)'
+          },
+          time: {
+            type: 'string',
+            description: 'Appointment time (HH:MM AM/PM)'
+          },
+          service_type: {
+            type: 'string',
+            description: 'Type of appointment'
+          }
+        },
+        required: ['patient_name', 'phone', 'date', 'time']
+      }
+    },
+    defaultWebhookUrl: null,
+    examples: [
+      {
+        arguments: { patient_name: 'Jane Smith', phone: '+12125551234', date: '2025-01-20', time: '2:00 PM', service_type: 'checkup' },
+        result: {
+          success: true,
+          appointmentId: 'APT-3F9A1C',
+          patientName: 'Jane Smith',
+          phone: '+12125551234',
+          date: '2025-01-20',
+          time: '2:00 PM',
+          serviceType: 'checkup',
+          status: 'confirmed'
+        }
+      }
+    ],
+
+    codeSample: `async function bookAppointment(patientName, phone, date, time, serviceType = 'checkup') {
+  // In production, this would save to your database
+  // For demo, return confirmation
+
+  const appointmentId = 'APT-' + Date.now();
+
+  // You could also send confirmation SMS here
+  // await sendSMS(phone, \`Confirmed: \${serviceType} on \${date} at \${time}\`);
+
+  return {
+    success: true,
+    appointmentId: appointmentId,
+    patientName: patientName,
+    phone: phone,
+    date: date,
+    time: time,
+    serviceType: serviceType,
+    status: 'confirmed'
+  };
+}`
+  },
+
+  // ===================================================================
+  // RESTAURANT TOOLS
+  // ===================================================================
+
+  {
+    id: 'check_table_availability',
+    version: '1.0.0',
+    name: 'Check Table Availability',
+    description: 'Check available reservation times',
+    tags: ['restaurant'],
+    icon: '🍽️',
+
+    schema: {
+      name: 'check_table_availability',
+      description: 'Check available table reservations',
+      parameters: {
+        type: 'object',
+        properties: {
+          date: {
+            type: 'string',
+            description: 'The date to check (YYYY-MM-DD)'
+          },
+          party_size: {
+            type: 'number',
+            description: 'Number of guests'
+          },
+          time_preference: {
+            type: 'string',
+            description: 'Preferred time (breakfast, lunch, dinner)'
+          }
+        },
+        required: ['date', 'party_size']
+      }
+    },
+    defaultWebhookUrl: null,
+    examples: [
+      {
+        arguments: { date: '2025-01-20', party_size: 4, time_preference: 'dinner' },
+        result: {
+          date: '2025-01-20',
+          partySize: 4,
+          availableTimes: [{ time: '5:30 PM' }, { time: '7:00 PM' }, { time: '8:30 PM' }],
+          timezone: 'America/New_York'
+        }
+      }
+    ],
+
+    codeSample: `async function checkTableAvailability(date, partySize, timePreference = 'dinner') {
+  // In production, query your reservation system
+  // For demo, return mock availability
+
+  const availableTimes = [
+    { time: '05:30 PM', tableType: 'Standard' },
+    { time: '07:00 PM', tableType: 'Window seat' },
+    { time: '08:30 PM', tableType: 'Standard' }
+  ];
+
+  return {
+    date: date,
+    partySize: partySize,
+    availableTimes: availableTimes
+  };
+}`
+  },
+
+  {
+    id: 'make_reservation',
+    version: '1.0.0',
+    name: 'Make Reservation',
+    description: 'Book a table reservation',
+    tags: ['restaurant'],
+    icon: '📋',
+
+    schema: {
+      name: 'make_reservation',
+      description: 'Create a restaurant reservation',
+      parameters: {
+        type: 'object',
+        properties: {
+          guest_name: {
+            type: 'string',
+            description: 'Guest name'
+          },
+          phone: {
+            type: 'string',
+            description: 'Contact phone number'
+          },
+          date: {
+            type: 'string',
+            description: 'Reservation date (YYYY-MM-DD)'
+          },
+          time: {
+            type: 'string',
+            description: 'Reservation time'
+          },
+          party_size: {
+            type: 'number',
+            description: 'Number of guests'
+          },
+          special_requests: {
+            type: 'string',
+            description: 'Any special requests'
+          }
+        },
+        required: ['guest_name', 'phone', 'date', 'time', 'party_size']
+      }
+    },
+    defaultWebhookUrl: null,
+    examples: [
+      {
+        arguments: { guest_name: 'Sam Lee', phone: '+12125551234', date: '2025-01-20', time: '7:00 PM', party_size: 4, special_requests: 'Window seat' },
+        result: {
+          success: true,
+          reservationId: 'RES-8B21D4',
+          guestName: 'Sam Lee',
+          phone: '+12125551234',
+          date: '2025-01-20',
+          time: '7:00 PM',
+          partySize: 4,
+          specialRequests: 'Window seat',
+          status: 'confirmed'
+        }
+      }
+    ],
+
+    codeSample: `async function makeReservation(guestName, phone, date, time, partySize, specialRequests = '') {
+  // In production, save to database
+  const reservationId = 'RES-' + Date.now();
+
+  return {
+    success: true,
+    reservationId: reservationId,
+    guestName: guestName,
+    phone: phone,
+    date: date,
+    time: time,
+    partySize: partySize,
+    specialRequests: specialRequests,
+    status: 'confirmed'
+  };
+}`
+  },
+
+  // ===================================================================
+  // RETAIL TOOLS
+  // ===================================================================
+
+  {
+    id: 'track_order',
+    version: '1.0.0',
+    name: 'Track Order',
+    description: 'Look up order status by order number',
+    tags: ['retail'],
+    icon: '📦',
+
+    schema: {
+      name: 'track_order',
+      description: 'Track an order by order number',
+      parameters: {
+        type: 'object',
+        properties: {
+          order_number: {
+            type: 'string',
+            description: 'The order number to track'
+          }
+        },
+        required: ['order_number']
+      }
+    },
+    defaultWebhookUrl: null,
+    examples: [
+      {
+        arguments: { order_number: 'ORD-12345' },
+        result: { orderNumber: 'ORD-12345', status: 'Shipped', estimatedDelivery: '2025-01-23', trackingNumber: 'TRK48213', returns: [] }
+      }
+    ],
+
+    codeSample: `async function trackOrder(orderNumber) {
+  // In production, query your order management system
+  // For demo, return mock tracking info
+
+  return {
+    orderNumber: orderNumber,
+    status: 'In Transit',
+    estimatedDelivery: '2024-10-25',
+    trackingNumber: 'TRK' + orderNumber,
+    currentLocation: 'Distribution Center - New York, NY',
+    items: [
+      { name: 'Product A', quantity: 2 },
+      { name: 'Product B', quantity: 1 }
+    ]
+  };
+}`
+  },
+
+  {
+    id: 'process_return',
+    version: '1.0.0',
+    name: 'Process Return',
+    description: 'Initiate a product return request',
+    tags: ['retail'],
+    icon: '🔄',
+
+    schema: {
+      name: 'process_return',
+      description: 'Process a product return',
+      parameters: {
+        type: 'object',
+        properties: {
+          order_number: {
+            type: 'string',
+            description: 'Original order number'
+          },
+          reason: {
+            type: 'string',
+            description: 'Reason for return'
+          },
+          items: {
+            type: 'array',
+            description: 'Items to return',
+            items: { type: 'string' }
+          }
+        },
+        required: ['order_number', 'reason']
+      }
+    },
+    defaultWebhookUrl: null,
+    examples: [
+      {
+        arguments: { order_number: 'ORD-12345', reason: 'Wrong size', items: ['Blue jacket'] },
+        result: { success: true, returnId: 'RET-5C0E77', orderNumber: 'ORD-12345', reason: 'Wrong size', items: ['Blue jacket'], status: 'initiated' }
+      }
+    ],
+
+    codeSample: `async function processReturn(orderNumber, reason, items = []) {
+  // In production, create return in your system
+  const returnId = 'RET-' + Date.now();
+
+  return {
+    success: true,
+    returnId: returnId,
+    orderNumber: orderNumber,
+    reason: reason,
+    items: items,
+    returnLabel: 'https://example.com/return-label/' + returnId,
+    status: 'initiated'
+  };
+}`
+  },
+
+  // ===================================================================
+  // SUPPORT TOOLS
+  // ===================================================================
+
+  {
+    id: 'create_ticket',
+    version: '1.0.0',
+    name: 'Create Support Ticket',
+    description: 'Generate a support ticket from the call',
+    tags: ['support'],
+    icon: '🎫',
+
+    schema: {
+      name: 'create_ticket',
+      description: 'Create a support ticket',
+      parameters: {
+        type: 'object',
+        properties: {
+          customer_name: {
+            type: 'string',
+            description: 'Customer name'
+          },
+          issue_description: {
+            type: 'string',
+            description: 'Description of the issue'
+          },
+          priority: {
+            type: 'string',
+            description: 'Ticket priority',
+            enum: ['low', 'medium', 'high', 'urgent']
+          },
+          category: {
+            type: 'string',
+            description: 'Issue category'
+          }
+        },
+        required: ['customer_name', 'issue_description']
+      }
+    },
+    defaultWebhookUrl: null,
+    examples: [
+      {
+        arguments: { customer_name: 'Alex Kim', issue_description: 'Cannot log in to the app', priority: 'high', category: 'account' },
+        result: {
+          success: true,
+          ticketId: 'TKT-1A2B3C',
+          customerName: 'Alex Kim',
+          issueDescription: 'Cannot log in to the app',
+          priority: 'high',
+          category: 'account',
+          status: 'open',
+          createdAt: '2025-01-20T15:04:05.000Z'
+        }
+      }
+    ],
+
+    codeSample: `async function createTicket(customerName, issueDescription, priority = 'medium', category = 'general') {
+  // In production, create ticket in your helpdesk system
+  const ticketId = 'TKT-' + Date.now();
+
+  return {
+    success: true,
+    ticketId: ticketId,
+    customerName: customerName,
+    issueDescription: issueDescription,
+    priority: priority,
+    category: category,
+    status: 'open',
+    createdAt: new Date().toISOString()
+  };
+}`
+  },
+
+  {
+    id: 'lookup_account',
+    version: '1.0.0',
+    name: 'Look Up Customer Account',
+    description: 'Retrieve customer account information',
+    tags: ['support'],
+    icon: '🔍',
+
+    schema: {
+      name: 'lookup_account',
+      description: 'Look up customer account details',
+      parameters: {
+        type: 'object',
+        properties: {
+          identifier: {
+            type: 'string',
+            description: 'Account identifier (email, phone, or account number)'
+          }
+        },
+        required: ['identifier']
+      }
+    },
+    defaultWebhookUrl: null,
+    examples: [
+      {
+        arguments: { identifier: '+12125551234' },
+        result: {
+          found: true,
+          identifier: '+12125551234',
+          customerName: 'Jane Smith',
+          appointments: [{ id: 'APT-3F9A1C', patientName: 'Jane Smith', date: '2025-01-20', time: '2:00 PM', status: 'confirmed' }],
+          reservations: [],
+          tickets: [],
+          returns: []
+        }
+      }
+    ],
+
+    codeSample: `async function lookupAccount(identifier) {
+  // In production, query your CRM database
+  // For demo, return mock account info
+
+  return {
+    accountId: 'ACC-12345',
+    customerName: 'John Doe',
+    email: 'john@example.com',
+    phone: identifier,
+    accountStatus: 'active',
+    memberSince: '2023-01-15',
+    recentOrders: 3,
+    totalSpent: '$1,247.50'
+  };
+}`
+  }
+];
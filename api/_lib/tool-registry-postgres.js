@@ -0,0 +1,298 @@
+/**
+ * Tool Registry Storage
+ *
+ * Published tool versions live in tool_library, one row per id@version (see
+ * api/_lib/tool-registry.js for the format and versioning rules). The table
+ * is created, and seeded with api/_lib/tool-library-seed.js, the first time
+ * it is used.
+ *
+ * Also resolves the tool references in student configs, so callers get
+ * ready-to-run function tools.
+ *
+ * Node.js only.
+ */
+
+import { TOOL_LIBRARY_SEED } from './tool-library-seed.js';
+import {
+  parseToolRef,
+  formatToolRef,
+  isToolRef,
+  compareVersions,
+  diffToolVersions,
+  matchesLibraryTool,
+  buildToolFromLibrary
+} from './tool-registry.js';
+
+/**
+ * Create the tool_library table and seed it with the workshop's tools
+ * @param {Function} sql - postgres.js client
+ */
+export async function ensureToolLibraryTable(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS tool_library (
+      id SERIAL PRIMARY KEY,
+      tool_id TEXT NOT NULL,
+      version TEXT NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT NOT NULL,
+      tags TEXT[] DEFAULT '{}',
+      icon TEXT,
+      schema JSONB NOT NULL,
+      default_webhook_url TEXT,
+      examples JSONB DEFAULT '[]',
+      code_sample TEXT,
+      changelog TEXT,
+      published_by TEXT,
+      published_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (tool_id, version)
+    )
+  `;
+
+  for (const tool of TOOL_LIBRARY_SEED) {
+    await insertLibraryTool(sql, tool, 'workshop', { ignoreExisting: true });
+  }
+}
+
+/**
+ * Run a registry query, creating (and seeding) the table on first use
+ */
+async function withLibraryTable(sql, query) {
+  try {
+    return await query();
+  } catch (error) {
+    // undefined_table
+    if (error.code !== '42P01') {
+      throw error;
+    }
+    await ensureToolLibraryTable(sql);
+    return query();
+  }
+}
+
+function rowToTool(row) {
+  return {
+    id: row.tool_id,
+    version: row.version,
+    name: row.name,
+    description: row.description,
+    tags: row.tags || [],
+    icon: row.icon,
+    schema: row.schema,
+    defaultWebhookUrl: row.default_webhook_url,
+    examples: row.examples || [],
+    codeSample: row.code_sample,
+    changelog: row.changelog,
+    publishedBy: row.published_by,
+    publishedAt: row.published_at
+  };
+}
+
+const newestFirst = (a, b) => compareVersions(b.version, a.version);
+
+/**
+ * Insert one tool version
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreExisting] - Skip (instead of failing) if the version exists
+ * @returns {Promise<boolean>} Whether a row was inserted
+ */
+async function insertLibraryTool(sql, tool, publishedBy, { ignoreExisting = false } = {}) {
+  const inserted = await sql`
+    INSERT INTO tool_library (
+      tool_id,
+      version,
+      name,
+      description,
+      tags,
+      icon,
+      schema,
+      default_webhook_url,
+      examples,
+      code_sample,
+      changelog,
+      published_by
+    ) VALUES (
+      ${tool.id},
+      ${tool.version},
+      ${tool.name},
+      ${tool.description},
+      ${tool.tags || []},
+      ${tool.icon || null},
+      ${sql.json(tool.schema)},
+      ${tool.defaultWebhookUrl || null},
+      ${sql.json(tool.examples || [])},
+      ${tool.codeSample || null},
+      ${tool.changelog || null},
+      ${publishedBy}
+    )
+    ${ignoreExisting ? sql`ON CONFLICT (tool_id, version) DO NOTHING` : sql``}
+    RETURNING id
+  `;
+  return inserted.length > 0;
+}
+
+/**
+ * Publish a new tool version (validate it and check the version bump first,
+ * see validateLibraryTool / checkVersionBump)
+ * @returns {Promise<boolean>} false if that version already exists
+ */
+export async function publishLibraryTool(sql, tool, publishedBy) {
+  try {
+    return await withLibraryTable(sql, () => insertLibraryTool(sql, tool, publishedBy));
+  } catch (error) {
+    // unique_violation - published concurrently
+    if (error.code === '23505') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Latest version of every tool, newest versions listed per tool
+ * @param {Function} sql - postgres.js client
+ * @param {Object} [options]
+ * @param {string|null} [options.tag] - Only tools with this tag
+ * @returns {Promise<Object[]>} Tools (latest version) with a versions array
+ */
+export async function listLibraryTools(sql, { tag = null } = {}) {
+  const rows = await withLibraryTable(sql, () => sql`
+    SELECT *
+    FROM tool_library
+    ${tag ? sql`WHERE ${tag} = ANY(tags)` : sql``}
+    ORDER BY tool_id
+  `);
+
+  const byId = new Map();
+  for (const tool of rows.map(rowToTool)) {
+    byId.set(tool.id, [...(byId.get(tool.id) || []), tool]);
+  }
+
+  return [...byId.values()].map(versions => {
+    versions.sort(newestFirst);
+    return { ...versions[0], versions: versions.map(version => version.version) };
+  });
+}
+
+/**
+ * Every published version of a tool
+ * @returns {Promise<Object[]>} Newest first (empty if the tool doesn't exist)
+ */
+export async function getLibraryToolVersions(sql, toolId) {
+  const rows = await withLibraryTable(sql, () => sql`
+    SELECT * FROM tool_library WHERE tool_id = ${toolId}
+  `);
+  return rows.map(rowToTool).sort(newestFirst);
+}
+
+/**
+ * Load the library versions a list of references point to
+ * @returns {Promise<Map<string, Object>>} id@version → tool
+ */
+async function loadReferencedTools(sql, refs) {
+  const ids = [...new Set(refs.map(ref => parseToolRef(ref)?.id).filter(Boolean))];
+  if (ids.length === 0) {
+    return new Map();
+  }
+
+  const rows = await withLibraryTable(sql, () => sql`
+    SELECT * FROM tool_library WHERE tool_id = ANY(${ids})
+  `);
+  return new Map(rows.map(rowToTool).map(tool => [formatToolRef(tool.id, tool.version), tool]));
+}
+
+/**
+ * Resolve the library references in a student's tools to function tools
+ * @param {Function} sql - postgres.js client
+ * @param {Object[]} tools - student_configs.tools (anything else is returned as is)
+ * @returns {Promise<{tools: Object[], missing: string[]}>} missing: references that don't exist
+ */
+export async function resolveToolRefs(sql, tools) {
+  const refs = Array.isArray(tools) ? tools.filter(isToolRef).map(tool => tool.tool_ref) : [];
+  if (refs.length === 0) {
+    return { tools, missing: [] };
+  }
+
+  const library = await loadReferencedTools(sql, refs);
+  const missing = refs.filter(ref => !library.has(ref));
+
+  return {
+    tools: tools
+      .filter(tool => !isToolRef(tool) || library.has(tool.tool_ref))
+      .map(tool => (isToolRef(tool) ? buildToolFromLibrary(library.get(tool.tool_ref), tool) : tool)),
+    missing
+  };
+}
+
+/**
+ * Turn the tools a student saves back into storage form: library tools they
+ * haven't changed become references again, edited ones become their own copy
+ *
+ * @param {Function} sql - postgres.js client
+ * @param {Object[]} tools - Tools from the admin panel (references may be resolved or bare)
+ * @returns {Promise<{tools: Object[], missing: string[]}>} missing: references that don't exist
+ */
+export async function compactToolRefs(sql, tools) {
+  const refs = Array.isArray(tools) ? tools.filter(isToolRef).map(tool => tool.tool_ref) : [];
+  if (refs.length === 0) {
+    return { tools, missing: [] };
+  }
+
+  const library = await loadReferencedTools(sql, refs);
+  const missing = refs.filter(ref => !library.has(ref));
+
+  const compacted = tools.map(tool => {
+    if (!isToolRef(tool) || !library.has(tool.tool_ref)) {
+      return tool;
+    }
+
+    const libraryTool = library.get(tool.tool_ref);
+    const webhookUrl = tool.function ? tool.function.webhook_url : tool.webhook_url;
+
+    if (tool.function && !matchesLibraryTool(tool.function, libraryTool)) {
+      const { tool_ref: _detached, ...ownTool } = tool;
+      return ownTool;
+    }
+
+    return {
+      type: 'function',
+      tool_ref: tool.tool_ref,
+      ...(webhookUrl && webhookUrl !== libraryTool.defaultWebhookUrl ? { webhook_url: webhookUrl } : {})
+    };
+  });
+
+  return { tools: compacted, missing };
+}
+
+/**
+ * Newer versions of the library tools a student uses, with what would change
+ * @param {Function} sql - postgres.js client
+ * @param {Object[]} tools - student_configs.tools
+ * @returns {Promise<Object[]>} [{ toolId, current, latest, diff }]
+ */
+export async function listToolUpgrades(sql, tools) {
+  const refs = (Array.isArray(tools) ? tools : []).filter(isToolRef).map(tool => parseToolRef(tool.tool_ref)).filter(Boolean);
+  if (refs.length === 0) {
+    return [];
+  }
+
+  const rows = await withLibraryTable(sql, () => sql`
+    SELECT * FROM tool_library WHERE tool_id = ANY(${refs.map(ref => ref.id)})
+  `);
+  const versions = rows.map(rowToTool);
+
+  return refs.flatMap(({ id, version }) => {
+    const toolVersions = versions.filter(tool => tool.id === id).sort(newestFirst);
+    const current = toolVersions.find(tool => tool.version === version);
+    const latest = toolVersions[0];
+    if (!current || compareVersions(latest.version, version) <= 0) {
+      return [];
+    }
+    return [{
+      toolId: id,
+      current: version,
+      latest: latest.version,
+      changelog: latest.changelog,
+      diff: diffToolVersions(current, latest)
+    }];
+  });
+}
@@ -0,0 +1,305 @@
+/**
+ * Tool Registry
+ *
+ * The tool library is a registry of versioned tools (table tool_library, see
+ * api/_lib/tool-registry-postgres.js). Each published version is immutable:
+ *
+ * {
+ *   "id": "book_appointment",          // also the function name the AI calls
+ *   "version": "1.2.0",                // semantic version (MAJOR.MINOR.PATCH)
+ *   "name": "Book Appointment",
+ *   "description": "Schedule a patient appointment",
+ *   "tags": ["healthcare"],
+ *   "icon": "📅",
+ *   "schema": { "name": "book_appointment", "description": "...", "parameters": { ... } },
+ *   "defaultWebhookUrl": null,         // null = built-in runtime / simulated
+ *   "examples": [{ "arguments": { ... }, "result": { ... } }],
+ *   "changelog": "Adds service_type"
+ * }
+ *
+ * Student configs reference library tools instead of copying their schema:
+ *
+ *   { "type": "function", "tool_ref": "book_appointment@1.2.0", "webhook_url": "https://..." }
+ *
+ * webhook_url is optional and overrides the tool's default. When settings are
+ * loaded the reference is resolved to a full function tool (tool_ref kept),
+ * so the conversation engine never sees the difference.
+ *
+ * Versions must follow semver: a change that can break a student's webhook
+ * or prompt (a parameter removed, newly required or retyped, an enum value
+ * dropped) needs a new major version.
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+export const TOOL_ID_PATTERN = /^[a-z][a-z0-9_]{1,63}$/;
+
+const VERSION_PATTERN = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)$/;
+
+const MAX_TAGS = 10;
+const MAX_EXAMPLES = 5;
+
+// ===========================================================================
+// VERSIONS AND REFERENCES
+// ===========================================================================
+
+/**
+ * Parse a semantic version
+ * @returns {number[]|null} [major, minor, patch]
+ */
+export function parseVersion(version) {
+  const match = VERSION_PATTERN.exec(String(version || ''));
+  return match ? match.slice(1).map(Number) : null;
+}
+
+/**
+ * Compare two versions (for sorting)
+ * @returns {number} < 0 if a is older, 0 if equal, > 0 if a is newer
+ */
+export function compareVersions(a, b) {
+  const versionA = parseVersion(a) || [0, 0, 0];
+  const versionB = parseVersion(b) || [0, 0, 0];
+  for (let i = 0; i < 3; i++) {
+    if (versionA[i] !== versionB[i]) {
+      return versionA[i] - versionB[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Parse "book_appointment@1.2.0"
+ * @returns {{id: string, version: string}|null}
+ */
+export function parseToolRef(ref) {
+  const [id, version, ...rest] = String(ref || '').split('@');
+  if (rest.length > 0 || !TOOL_ID_PATTERN.test(id) || !parseVersion(version)) {
+    return null;
+  }
+  return { id, version };
+}
+
+export function formatToolRef(id, version) {
+  return `${id}@${version}`;
+}
+
+/**
+ * Does this student config entry reference a library tool?
+ */
+export function isToolRef(tool) {
+  return typeof tool?.tool_ref === 'string';
+}
+
+// ===========================================================================
+// VALIDATION
+// ===========================================================================
+
+/**
+ * Validate a tool an instructor wants to publish
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateLibraryTool(tool) {
+  if (!tool || typeof tool !== 'object' || Array.isArray(tool)) {
+    return 'tool must be an object';
+  }
+  if (!TOOL_ID_PATTERN.test(tool.id || '')) {
+    return 'id must be lowercase letters, digits and underscores (2-64 characters, starting with a letter)';
+  }
+  if (!parseVersion(tool.version)) {
+    return 'version must be a semantic version like 1.0.0';
+  }
+  if (typeof tool.name !== 'string' || !tool.name.trim() || tool.name.length > 100) {
+    return 'name is required (max 100 characters)';
+  }
+  if (typeof tool.description !== 'string' || !tool.description.trim() || tool.description.length > 500) {
+    return 'description is required (max 500 characters)';
+  }
+  if (tool.tags !== undefined && (!Array.isArray(tool.tags) || tool.tags.length > MAX_TAGS || tool.tags.some(tag => typeof tag !== 'string' || !/^[a-z0-9-]{1,30}$/.test(tag)))) {
+    return `tags must be up to ${MAX_TAGS} lowercase words (letters, digits, dashes)`;
+  }
+
+  const schema = tool.schema;
+  if (!schema || typeof schema !== 'object') {
+    return 'schema is required ({ name, description, parameters })';
+  }
+  if (schema.name !== tool.id) {
+    return `schema.name must match the id (${tool.id})`;
+  }
+  if (typeof schema.description !== 'string' || !schema.description.trim()) {
+    return 'schema.description is required (the AI reads it to decide when to call the tool)';
+  }
+  if (!schema.parameters || schema.parameters.type !== 'object' || typeof schema.parameters.properties !== 'object') {
+    return 'schema.parameters must be a JSON Schema object ({ type: "object", properties: { ... } })';
+  }
+  const required = schema.parameters.required || [];
+  if (!Array.isArray(required) || required.some(name => !schema.parameters.properties[name])) {
+    return 'schema.parameters.required must only list declared properties';
+  }
+
+  if (tool.defaultWebhookUrl !== undefined && tool.defaultWebhookUrl !== null) {
+    if (typeof tool.defaultWebhookUrl !== 'string' || !/^https:\/\/\S+$/.test(tool.defaultWebhookUrl)) {
+      return 'defaultWebhookUrl must be an https URL';
+    }
+  }
+
+  for (const field of ['icon', 'codeSample', 'changelog']) {
+    if (tool[field] !== undefined && tool[field] !== null && typeof tool[field] !== 'string') {
+      return `${field} must be a string`;
+    }
+  }
+
+  if (tool.examples !== undefined) {
+    if (!Array.isArray(tool.examples) || tool.examples.length > MAX_EXAMPLES) {
+      return `examples must be a list of up to ${MAX_EXAMPLES} { arguments, result } payloads`;
+    }
+    if (tool.examples.some(example => !example || typeof example.arguments !== 'object' || example.result === undefined)) {
+      return 'each example needs arguments (object) and result';
+    }
+  }
+
+  return null;
+}
+
+// ===========================================================================
+// DIFFS
+// ===========================================================================
+
+function describeType(schema) {
+  return JSON.stringify(schema?.type ?? null);
+}
+
+/**
+ * What changes between two versions of a tool, for students to review
+ * before upgrading
+ *
+ * @param {Object} from - Registry tool (older version)
+ * @param {Object} to - Registry tool (newer version)
+ * @returns {{from: string, to: string, breaking: boolean, changes: Array<{field: string, change: string, from?: *, to?: *, breaking: boolean}>}}
+ */
+export function diffToolVersions(from, to) {
+  const changes = [];
+  const add = (field, change, values, breaking = false) => changes.push({ field, change, ...values, breaking });
+
+  if (from.schema.description !== to.schema.description) {
+    add('description', 'changed', { from: from.schema.description, to: to.schema.description });
+  }
+  if ((from.defaultWebhookUrl || null) !== (to.defaultWebhookUrl || null)) {
+    add('defaultWebhookUrl', 'changed', { from: from.defaultWebhookUrl || null, to: to.defaultWebhookUrl || null });
+  }
+
+  const oldParams = from.schema.parameters?.properties || {};
+  const newParams = to.schema.parameters?.properties || {};
+  const oldRequired = from.schema.parameters?.required || [];
+  const newRequired = to.schema.parameters?.required || [];
+
+  for (const name of Object.keys(oldParams)) {
+    if (!newParams[name]) {
+      add(`parameters.${name}`, 'removed', { from: oldParams[name] }, true);
+    }
+  }
+
+  for (const [name, schema] of Object.entries(newParams)) {
+    const field = `parameters.${name}`;
+    const previous = oldParams[name];
+
+    if (!previous) {
+      add(field, 'added', { to: schema, required: newRequired.includes(name) }, newRequired.includes(name));
+      continue;
+    }
+
+    if (describeType(previous) !== describeType(schema)) {
+      add(`${field}.type`, 'changed', { from: previous.type, to: schema.type }, true);
+    }
+    if (!oldRequired.includes(name) && newRequired.includes(name)) {
+      add(field, 'now required', {}, true);
+    } else if (oldRequired.includes(name) && !newRequired.includes(name)) {
+      add(field, 'now optional', {});
+    }
+    if (previous.description !== schema.description) {
+      add(`${field}.description`, 'changed', { from: previous.description, to: schema.description });
+    }
+    if (JSON.stringify(previous.enum) !== JSON.stringify(schema.enum)) {
+      // Narrowing the allowed values can reject arguments that used to work
+      const narrowed = Array.isArray(schema.enum) &&
+        (!Array.isArray(previous.enum) || previous.enum.some(value => !schema.enum.includes(value)));
+      add(`${field}.enum`, 'changed', { from: previous.enum, to: schema.enum }, narrowed);
+    }
+  }
+
+  return {
+    from: from.version,
+    to: to.version,
+    breaking: changes.some(change => change.breaking),
+    changes
+  };
+}
+
+/**
+ * Check a new version number against the latest published one
+ * @param {Object|null} latest - Latest published version of the tool (null = first version)
+ * @param {Object} tool - The version being published
+ * @returns {string|null} Error message, or null if the version is acceptable
+ */
+export function checkVersionBump(latest, tool) {
+  if (!latest) {
+    return null;
+  }
+  if (compareVersions(tool.version, latest.version) <= 0) {
+    return `version must be newer than the latest published version (${latest.version})`;
+  }
+
+  const diff = diffToolVersions(latest, tool);
+  if (diff.breaking && parseVersion(tool.version)[0] === parseVersion(latest.version)[0]) {
+    const breaking = diff.changes.filter(change => change.breaking).map(change => `${change.field} ${change.change}`);
+    return `breaking changes need a new major version (${breaking.join(', ')})`;
+  }
+  return null;
+}
+
+// ===========================================================================
+// STUDENT CONFIG ENTRIES
+// ===========================================================================
+
+// JSON with sorted keys - JSONB doesn't keep key order
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Is a student's function tool still exactly the library version it came from?
+ * (If they edited the name, description or parameters it is their own tool now.)
+ */
+export function matchesLibraryTool(functionTool, libraryTool) {
+  const { name, description, parameters } = functionTool || {};
+  return stableStringify({ name, description, parameters }) === stableStringify({
+    name: libraryTool.schema.name,
+    description: libraryTool.schema.description,
+    parameters: libraryTool.schema.parameters
+  });
+}
+
+/**
+ * Turn a registry tool (plus the student's reference) into the function tool
+ * the conversation engine runs
+ * @param {Object} libraryTool - Registry tool
+ * @param {Object} [ref] - The student's config entry ({ tool_ref, webhook_url? })
+ */
+export function buildToolFromLibrary(libraryTool, ref = {}) {
+  const webhookUrl = ref.webhook_url || libraryTool.defaultWebhookUrl || null;
+  return {
+    type: 'function',
+    tool_ref: formatToolRef(libraryTool.id, libraryTool.version),
+    function: {
+      name: libraryTool.schema.name,
+      description: libraryTool.schema.description,
+      parameters: libraryTool.schema.parameters,
+      ...(webhookUrl ? { webhook_url: webhookUrl } : {})
+    }
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * Tool Secrets
+ *
+ * API keys and tokens that tools imported from OpenAPI documents send to the
+ * student's REST API (see webhook_mapping.auth in api/_lib/tool-http.js).
+ * Stored per student in student_configs.tool_secrets as { name: encrypted
+ * value }, so names can be listed without decrypting anything. Values are
+ * only decrypted when settings are loaded for a call, and never returned to
+ * the browser (see SERVER_ONLY_SETTINGS in api/_lib/student-settings.js).
+ *
+ * Node.js only (uses the crypto-based encryption helpers).
+ */
+
+import { encrypt, decrypt } from './encryption.js';
+
+export const MAX_TOOL_SECRETS = 20;
+
+/**
+ * Names of the secrets a student has set
+ * @param {Object|null} stored - student_configs.tool_secrets
+ * @returns {string[]}
+ */
+export function listToolSecretNames(stored) {
+  return Object.keys(stored || {}).sort();
+}
+
+/**
+ * Decrypt a student's secrets for the conversation engine
+ * @param {Object|null} stored - student_configs.tool_secrets
+ * @returns {Object} { name: value } (secrets that can't be decrypted are left out)
+ */
+export function decryptToolSecrets(stored) {
+  const secrets = {};
+  for (const [name, encrypted] of Object.entries(stored || {})) {
+    try {
+      secrets[name] = decrypt(encrypted);
+    } catch (error) {
+      console.error(`Failed to decrypt tool secret ${name}:`, error.message);
+    }
+  }
+  return secrets;
+}
+
+/**
+ * Add or replace a secret
+ * @param {Function} sql - postgres.js client
+ * @param {string} sessionToken
+ * @param {string} name - See TOOL_SECRET_NAME_PATTERN (api/_lib/tool-http.js)
+ * @param {string} value
+ */
+export async function setToolSecret(sql, sessionToken, name, value) {
+  await sql`
+    UPDATE student_configs
+    SET tool_secrets = COALESCE(tool_secrets, '{}'::jsonb) || ${sql.json({ [name]: encrypt(value) })},
+        updated_at = NOW()
+    WHERE session_token = ${sessionToken}
+  `;
+}
+
+/**
+ * Remove a secret
+ * @param {Function} sql - postgres.js client
+ * @param {string} sessionToken
+ * @param {string} name
+ */
+export async function deleteToolSecret(sql, sessionToken, name) {
+  await sql`
+    UPDATE student_configs
+    SET tool_secrets = COALESCE(tool_secrets, '{}'::jsonb) - ${name}::text,
+        updated_at = NOW()
+    WHERE session_token = ${sessionToken}
+  `;
+}
@@ -0,0 +1,58 @@
+/**
+ * Tool Webhook Secrets
+ *
+ * Each student has one secret their tool webhooks are signed with (see
+ * api/_lib/tool-webhooks.js). It is created the first time it's needed,
+ * stored encrypted in student_configs.tool_webhook_secret and can be rotated
+ * from the admin panel (/api/tool-webhook-secret).
+ *
+ * Node.js only (uses the crypto-based encryption helpers).
+ */
+
+import crypto from 'crypto';
+import { encryptApiKey, decryptApiKey } from './encryption.js';
+
+export const TOOL_WEBHOOK_SECRET_PREFIX = 'whsec_';
+
+/**
+ * Generate a new signing secret
+ */
+export function generateToolWebhookSecret() {
+  return `${TOOL_WEBHOOK_SECRET_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Replace a student's secret with a new one
+ * @param {Function} sql - postgres.js client
+ * @param {string} sessionToken
+ * @returns {Promise<string>} The new secret
+ */
+export async function rotateToolWebhookSecret(sql, sessionToken) {
+  const secret = generateToolWebhookSecret();
+
+  await sql`
+    UPDATE student_configs
+    SET tool_webhook_secret = ${encryptApiKey(secret)},
+        updated_at = NOW()
+    WHERE session_token = ${sessionToken}
+  `;
+
+  return secret;
+}
+
+/**
+ * A student's secret, created if they don't have one yet
+ * @param {Function} sql - postgres.js client
+ * @param {string} sessionToken
+ * @param {string|null} storedSecret - student_configs.tool_webhook_secret (encrypted)
+ * @returns {Promise<string>} The secret
+ */
+export async function ensureToolWebhookSecret(sql, sessionToken, storedSecret) {
+  if (storedSecret) {
+    return decryptApiKey(storedSecret);
+  }
+
+  const secret = await rotateToolWebhookSecret(sql, sessionToken);
+  console.log(`🔑 Created tool webhook secret for ${sessionToken.substring(0, 20)}...`);
+  return secret;
+}
@@ -0,0 +1,293 @@
+/**
+ * Tool Webhooks
+ *
+ * Delivers tool calls to a tool's webhook_url (see WEBHOOK_TOOLS.md) and
+ * gives webhook owners a way to check that a request really came from the
+ * workshop.
+ *
+ * Every request is:
+ * - signed: X-Workshop-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of
+ *   "<t>.<raw body>"> with the student's tool webhook secret
+ * - timestamped: verifiers reject signatures older than a few minutes, so a
+ *   captured request can't be replayed later
+ * - idempotent: the Idempotency-Key header (and body field) stays the same
+ *   across retries of one tool call
+ * - bounded: each attempt has a timeout, failed attempts are retried with
+ *   exponential backoff, and nothing runs past the turn's deadline
+ *
+ * Network errors, timeouts, 408, 429 and 5xx responses are retried. Other
+ * responses are final.
+ *
+ * Tools with a webhook_mapping (imported from OpenAPI) send their own REST
+ * request instead of the workshop payload (see api/_lib/tool-http.js), with
+ * the same signing and Idempotency-Key. They are only retried when the
+ * request allows it (request.retry) - a third-party API may not dedupe a
+ * POST that timed out after it was processed.
+ *
+ * Works in both the Edge runtime and Node.js (Web Crypto, no Node-only imports).
+ */
+
+// Version of the request format documented in WEBHOOK_TOOLS.md
+export const TOOL_WEBHOOK_VERSION = 2;
+
+export const TOOL_WEBHOOK_SIGNATURE_HEADER = 'X-Workshop-Signature';
+
+// Delivery defaults (overridable per student via student_configs)
+export const DEFAULT_TOOL_WEBHOOK_TIMEOUT_MS = 5000;
+export const DEFAULT_TOOL_WEBHOOK_RETRIES = 2;
+export const DEFAULT_TOOL_WEBHOOK_BACKOFF_MS = 250;
+export const MAX_TOOL_WEBHOOK_RETRIES = 5;
+
+// Limits for the per-student delivery settings
+const DELIVERY_SETTING_RANGES = {
+  toolWebhookTimeoutMs: [500, 30000],
+  toolWebhookRetries: [0, MAX_TOOL_WEBHOOK_RETRIES],
+  toolWebhookBackoffMs: [0, 10000]
+};
+
+// How old a signature may be before verifiers reject it
+export const DEFAULT_SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const RETRYABLE_STATUSES = [408, 429];
+
+const encoder = new TextEncoder();
+
+async function hmacSha256Hex(secret, message) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Compare without returning early, so timing doesn't reveal the signature
+function constantTimeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - The student's tool webhook secret
+ * @param {string} body - Raw JSON body
+ * @param {number} [timestamp] - Unix seconds (defaults to now)
+ * @returns {Promise<string>} X-Workshop-Signature header value
+ */
+export async function signToolWebhook(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${await hmacSha256Hex(secret, `${timestamp}.${body}`)}`;
+}
+
+/**
+ * Verify a webhook request (for webhook owners)
+ *
+ * @param {Object} options
+ * @param {string} options.secret - Tool webhook secret from the admin panel
+ * @param {string} options.signature - X-Workshop-Signature header
+ * @param {string} options.body - Raw request body, exactly as received
+ * @param {number} [options.toleranceSeconds] - Max age of the signature
+ * @param {number} [options.now] - Current time in ms (for tests)
+ * @returns {Promise<{valid: boolean, error: string|null, timestamp: number|null}>}
+ */
+export async function verifyToolWebhookSignature({
+  secret,
+  signature,
+  body,
+  toleranceSeconds = DEFAULT_SIGNATURE_TOLERANCE_SECONDS,
+  now = Date.now()
+}) {
+  if (!secret) {
+    return { valid: false, error: 'No webhook secret to verify with', timestamp: null };
+  }
+  if (!signature || typeof body !== 'string') {
+    return { valid: false, error: `Missing ${TOOL_WEBHOOK_SIGNATURE_HEADER} header or raw body`, timestamp: null };
+  }
+
+  const parts = Object.fromEntries(
+    String(signature).split(',').map(part => part.trim().split('=')).filter(pair => pair.length === 2)
+  );
+  const timestamp = Number(parts.t);
+
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    return { valid: false, error: 'Malformed signature header', timestamp: null };
+  }
+
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return { valid: false, error: `Signature is older than ${toleranceSeconds} seconds`, timestamp };
+  }
+
+  const expected = await hmacSha256Hex(secret, `${timestamp}.${body}`);
+  if (!constantTimeEqual(expected, parts.v1)) {
+    return { valid: false, error: 'Signature does not match', timestamp };
+  }
+
+  return { valid: true, error: null, timestamp };
+}
+
+/**
+ * Check the delivery settings in a student config update
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateToolWebhookDelivery(settings = {}) {
+  for (const [name, [min, max]] of Object.entries(DELIVERY_SETTING_RANGES)) {
+    const value = settings[name];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return `${name} must be a whole number from ${min} to ${max}`;
+    }
+  }
+  return null;
+}
+
+function isRetryable(status) {
+  return status >= 500 || RETRYABLE_STATUSES.includes(status);
+}
+
+/**
+ * Wait, unless the signal aborts first
+ * @returns {Promise<boolean>} false if aborted
+ */
+function wait(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) {
+      resolve(false);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve(true);
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Deliver a tool call to its webhook
+ *
+ * @param {Object} options
+ * @param {string} options.url - The tool's webhook_url
+ * @param {Object} options.payload - Request body (version and idempotencyKey are added)
+ * @param {Object} [options.request] - Send this instead of the payload: { method, headers, body, retry }
+ *                                     (from buildToolHttpRequest; retry false = single attempt)
+ * @param {string} options.idempotencyKey - Same for every attempt of this tool call
+ * @param {string|null} [options.secret] - Signing secret (null = unsigned)
+ * @param {number} [options.timeoutMs] - Per-attempt timeout
+ * @param {number} [options.retries] - Attempts after the first
+ * @param {number} [options.backoffMs] - Delay before the first retry (doubles each retry)
+ * @param {number} [options.deadline] - Epoch ms nothing may run past (the turn's budget)
+ * @param {AbortSignal} [options.signal] - Cancels delivery (caller barged in)
+ * @param {Function} [options.onRetry] - Called with { attempt, error, delayMs } before each retry
+ * @returns {Promise<{ok: boolean, data?: Object, status: number|null, error: string|null,
+ *            attempts: number, timedOut: boolean, cancelled: boolean}>}
+ */
+export async function sendToolWebhook({
+  url,
+  payload,
+  request = null,
+  idempotencyKey,
+  secret = null,
+  timeoutMs = DEFAULT_TOOL_WEBHOOK_TIMEOUT_MS,
+  retries = DEFAULT_TOOL_WEBHOOK_RETRIES,
+  backoffMs = DEFAULT_TOOL_WEBHOOK_BACKOFF_MS,
+  deadline = Infinity,
+  signal,
+  onRetry
+}) {
+  const method = request?.method || 'POST';
+  const maxRetries = request && !request.retry ? 0 : retries;
+  const body = request ? request.body : JSON.stringify({ version: TOOL_WEBHOOK_VERSION, idempotencyKey, ...payload });
+  const result = { ok: false, status: null, error: null, attempts: 0, timedOut: false, cancelled: false };
+
+  for (let attempt = 1; ; attempt++) {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) {
+      return { ...result, timedOut: true, error: result.error || 'The turn ran out of time' };
+    }
+
+    const attemptTimeoutMs = Math.min(timeoutMs, remainingMs);
+    const controller = new AbortController();
+    const abortAttempt = () => controller.abort();
+    signal?.addEventListener('abort', abortAttempt, { once: true });
+    const timer = setTimeout(abortAttempt, attemptTimeoutMs);
+    result.attempts = attempt;
+
+    let retryable = true;
+    try {
+      const headers = {
+        ...(body !== null ? { 'Content-Type': 'application/json' } : {}),
+        'Idempotency-Key': idempotencyKey,
+        'X-Workshop-Webhook-Version': String(TOOL_WEBHOOK_VERSION),
+        'X-Workshop-Attempt': String(attempt),
+        ...request?.headers
+      };
+      if (secret) {
+        headers[TOOL_WEBHOOK_SIGNATURE_HEADER] = await signToolWebhook(secret, body ?? '');
+      }
+
+      const response = await fetch(url, {
+        method,
+        headers,
+        ...(body !== null ? { body } : {}),
+        signal: controller.signal
+      });
+      result.status = response.status;
+      result.timedOut = false;
+
+      if (response.ok) {
+        // REST APIs often answer 204 No Content
+        const text = await response.text();
+        if (!text.trim()) {
+          return { ...result, ok: true, error: null, data: { success: true } };
+        }
+        try {
+          return { ...result, ok: true, error: null, data: JSON.parse(text) };
+        } catch (parseError) {
+          return { ...result, error: 'Webhook returned invalid JSON' };
+        }
+      }
+
+      result.error = `Webhook returned status ${response.status}`;
+      retryable = isRetryable(response.status);
+    } catch (error) {
+      if (signal?.aborted) {
+        return { ...result, cancelled: true, error: 'Cancelled' };
+      }
+      result.timedOut = controller.signal.aborted;
+      result.error = result.timedOut
+        ? `Timed out after ${attemptTimeoutMs}ms`
+        : error.cause?.code || error.message;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abortAttempt);
+    }
+
+    if (!retryable || attempt > maxRetries) {
+      return result;
+    }
+
+    const delayMs = backoffMs * 2 ** (attempt - 1);
+    if (Date.now() + delayMs >= deadline) {
+      return result;
+    }
+
+    onRetry?.({ attempt, error: result.error, delayMs });
+    if (!(await wait(delayMs, signal))) {
+      return { ...result, cancelled: true, error: 'Cancelled' };
+    }
+  }
+}
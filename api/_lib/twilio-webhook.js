@@ -0,0 +1,190 @@
+/**
+ * Twilio Webhook Validation
+ *
+ * Checks the X-Twilio-Signature header on the routes Twilio calls
+ * (voice-handler, call-status-callback, call-transfer-whisper,
+ * voice-outbound), so nobody else can fetch our TwiML or place calls
+ * through them.
+ *
+ * Twilio signs the exact URL it requested plus the POST parameters with the
+ * auth token of the account that owns the number or TwiML App. That is either
+ * the student's account (their saved token, decrypted if encrypted) or the
+ * instructor's (TWILIO_AUTH_TOKEN), so both are tried.
+ *
+ * Behind Vercel's proxy req.url only holds the path and query, so the URL is
+ * rebuilt from X-Forwarded-Proto / X-Forwarded-Host. The public API base URL
+ * (see deployment-config.js) is tried too: Twilio signs the host it was
+ * configured with, which can be a different alias of the same deployment.
+ *
+ * TWILIO_WEBHOOK_VALIDATION:
+ *   enforce (default) - reject unsigned or badly signed requests with 403
+ *   test              - validate and log failures, but let every request
+ *                       through (local dev, tunnels, curl while debugging)
+ *
+ * Node.js only.
+ */
+
+import twilio from 'twilio';
+import { decrypt, isEncrypted } from './encryption.js';
+import { getApiBaseUrl } from './deployment-config.js';
+
+export const WEBHOOK_VALIDATION_MODES = ['enforce', 'test'];
+
+// Students sharing one Twilio account (e.g. a workshop sub-account)
+const MAX_ACCOUNT_TOKENS = 10;
+
+/**
+ * Current validation mode (unknown values fall back to enforce)
+ */
+export function getWebhookValidationMode(env = process.env) {
+  const mode = String(env.TWILIO_WEBHOOK_VALIDATION || '').trim().toLowerCase();
+  return WEBHOOK_VALIDATION_MODES.includes(mode) ? mode : 'enforce';
+}
+
+// Proxies may append to X-Forwarded-* headers: "https, http"
+function firstHeaderValue(value) {
+  return String(Array.isArray(value) ? value[0] : value || '').split(',')[0].trim();
+}
+
+/**
+ * URLs Twilio may have signed for this request
+ * @returns {string[]}
+ */
+export function getWebhookUrls(req, env = process.env) {
+  const path = req.url || '/';
+  const proto = firstHeaderValue(req.headers['x-forwarded-proto']) || 'https';
+  const host = firstHeaderValue(req.headers['x-forwarded-host']) || firstHeaderValue(req.headers.host);
+
+  const urls = [];
+  if (host) {
+    urls.push(`${proto}://${host}${path}`);
+  }
+  urls.push(`${getApiBaseUrl(env)}${path}`);
+
+  return [...new Set(urls)];
+}
+
+/**
+ * The POST parameters Twilio signed (GET parameters are part of the URL)
+ */
+export function getWebhookParams(req) {
+  if (req.method === 'GET' || req.method === 'HEAD' || !req.body) {
+    return {};
+  }
+  if (typeof req.body === 'string') {
+    return Object.fromEntries(new URLSearchParams(req.body));
+  }
+  return req.body;
+}
+
+function readAuthToken(token) {
+  if (!token) {
+    return null;
+  }
+  if (!isEncrypted(token)) {
+    return token;
+  }
+  try {
+    return decrypt(token);
+  } catch (error) {
+    console.warn('⚠️  Could not decrypt a saved Twilio auth token:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Auth tokens a request may be signed with: the student's (by sessionToken,
+ * otherwise by the AccountSid Twilio posted) and the instructor's
+ *
+ * @param {Function} sql - postgres.js client
+ * @param {Object} options
+ * @param {string} [options.sessionToken]
+ * @param {string} [options.accountSid] - AccountSid parameter of the webhook
+ * @returns {Promise<string[]>}
+ */
+export async function getWebhookAuthTokens(sql, { sessionToken, accountSid } = {}) {
+  const tokens = [];
+
+  try {
+    let configs = [];
+    if (sessionToken) {
+      configs = await sql`
+        SELECT twilio_auth_token
+        FROM student_configs
+        WHERE session_token = ${sessionToken}
+        LIMIT 1
+      `;
+    } else if (accountSid) {
+      configs = await sql`
+        SELECT twilio_auth_token
+        FROM student_configs
+        WHERE twilio_account_sid = ${accountSid}
+          AND twilio_auth_token IS NOT NULL
+        LIMIT ${MAX_ACCOUNT_TOKENS}
+      `;
+    }
+    tokens.push(...configs.map(config => readAuthToken(config.twilio_auth_token)));
+  } catch (error) {
+    console.warn('⚠️  Could not load the student\'s Twilio auth token:', error.message);
+  }
+
+  tokens.push(process.env.TWILIO_AUTH_TOKEN);
+
+  return [...new Set(tokens.filter(Boolean))];
+}
+
+/**
+ * Check a signature against every candidate URL and auth token
+ * (twilio.validateRequest also tries each URL with and without its port)
+ */
+export function isValidTwilioSignature({ signature, urls, params, authTokens }) {
+  return authTokens.some(authToken =>
+    urls.some(url => twilio.validateRequest(authToken, signature, url, params))
+  );
+}
+
+/**
+ * Validate a Twilio webhook request. Responds with 403 when it fails
+ * (outside test mode).
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} options
+ * @param {Function} options.sql - postgres.js client
+ * @param {string} [options.sessionToken] - Student the webhook belongs to
+ * @returns {Promise<boolean>} True if the request may be handled
+ */
+export async function validateTwilioWebhook(req, res, { sql, sessionToken = null } = {}) {
+  const signature = firstHeaderValue(req.headers['x-twilio-signature']);
+  const params = getWebhookParams(req);
+  const route = (req.url || '').split('?')[0];
+
+  let failure = null;
+  if (!signature) {
+    failure = 'Missing X-Twilio-Signature header';
+  } else {
+    const authTokens = await getWebhookAuthTokens(sql, { sessionToken, accountSid: params.AccountSid });
+    if (authTokens.length === 0) {
+      failure = 'No Twilio auth token to validate the signature with';
+    } else if (!isValidTwilioSignature({ signature, urls: getWebhookUrls(req), params, authTokens })) {
+      failure = 'Invalid X-Twilio-Signature';
+    }
+  }
+
+  if (!failure) {
+    return true;
+  }
+
+  if (getWebhookValidationMode() === 'test') {
+    console.warn(`⚠️  Twilio webhook validation (test mode): ${failure} on ${route} - allowing it`);
+    return true;
+  }
+
+  console.warn(`🚫 Rejected Twilio webhook on ${route}: ${failure}`);
+  res.status(403).json({
+    success: false,
+    error: 'Forbidden',
+    details: failure
+  });
+  return false;
+}
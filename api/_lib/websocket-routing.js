@@ -0,0 +1,88 @@
+/**
+ * WebSocket Routing
+ *
+ * Decides which WebSocket server handles a student's call:
+ * - student: their own deployed handler, once they've deployed it
+ *   (step5Deployed or projectDeployed) and it answers a quick health check
+ * - shared: the workshop's shared server (server/websocket-server.js)
+ *
+ * The health check is a GET of /health on the server's origin, which the
+ * starter server (index.js) answers with 200. Only a 2xx counts as up -
+ * redirects and auth walls (e.g. a private Codespace port) mean Twilio
+ * couldn't connect either.
+ *
+ * Works in both the Edge runtime and Node.js (no Node-only imports).
+ */
+
+import { getStudentWebSocketUrl, getSharedWebSocketUrl } from './deployment-config.js';
+
+// Twilio waits ~15s for TwiML, but callers shouldn't hear a pause
+export const WEBSOCKET_HEALTH_TIMEOUT_MS = 1500;
+
+export const WEBSOCKET_TARGETS = ['student', 'shared'];
+
+export const WEBSOCKET_HEALTH_PATH = '/health';
+
+/**
+ * Health-check a WebSocket server over HTTPS (GET /health)
+ * @returns {Promise<{healthy: boolean, status: number|null, latencyMs: number, error: string|null}>}
+ */
+export async function checkWebSocketHealth(url, { timeoutMs = WEBSOCKET_HEALTH_TIMEOUT_MS } = {}) {
+  const startedAt = Date.now();
+
+  try {
+    // Inside the try so a malformed student URL counts as unhealthy
+    const httpUrl = `${new URL(String(url).replace(/^ws/i, 'http')).origin}${WEBSOCKET_HEALTH_PATH}`;
+    const response = await fetch(httpUrl, {
+      method: 'GET',
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const healthy = response.status >= 200 && response.status < 300;
+
+    return {
+      healthy,
+      status: response.status,
+      latencyMs: Date.now() - startedAt,
+      error: healthy ? null : `HTTP ${response.status}`
+    };
+  } catch (error) {
+    return {
+      healthy: false,
+      status: null,
+      latencyMs: Date.now() - startedAt,
+      error: error.name === 'TimeoutError' ? `No response within ${timeoutMs}ms` : error.cause?.code || error.message
+    };
+  }
+}
+
+/**
+ * Pick the WebSocket server for a call
+ *
+ * @param {Object} options
+ * @param {string} options.sessionToken
+ * @param {boolean} options.studentDeployed - step5Deployed or projectDeployed
+ * @param {Object} options.studentUrls - { websocketUrl, railwayUrl, codespaceUrl }
+ * @param {number} [options.timeoutMs] - Health check timeout
+ * @returns {Promise<{url: string, target: string, reason: string, studentUrl: string|null, health: Object|null}>}
+ */
+export async function selectWebSocketTarget({ sessionToken, studentDeployed, studentUrls = {}, timeoutMs }) {
+  const sharedUrl = getSharedWebSocketUrl(sessionToken);
+  const studentUrl = getStudentWebSocketUrl(studentUrls);
+
+  if (!studentUrl) {
+    return { url: sharedUrl, target: 'shared', reason: 'No WebSocket URL saved', studentUrl: null, health: null };
+  }
+
+  if (!studentDeployed) {
+    return { url: sharedUrl, target: 'shared', reason: 'Handler not marked as deployed yet', studentUrl, health: null };
+  }
+
+  const health = await checkWebSocketHealth(studentUrl, { timeoutMs });
+
+  if (!health.healthy) {
+    return { url: sharedUrl, target: 'shared', reason: `Your handler is down (${health.error})`, studentUrl, health };
+  }
+
+  return { url: studentUrl, target: 'student', reason: 'Your deployed handler', studentUrl, health };
+}
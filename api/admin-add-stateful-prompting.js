@@ -6,10 +6,14 @@
  * 2. conversation_history - stores conversation turns/messages
  * 3. use_case_templates - predefined use case configurations
  * 4. student_use_cases - student's active use case selection
+ * 5. call_outcomes - structured details collected on each call
+ * 6. caller_memories - what the agent remembers about returning callers
  */
 
 import postgres from 'postgres';
 import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
+import { ensureCallOutcomesTable } from './_lib/call-outcomes.js';
+import { ensureCallerMemoriesTable } from './_lib/caller-memory-postgres.js';
 
 const sql = postgres(process.env.POSTGRES_URL, {
   ssl: 'require',
@@ -81,6 +85,33 @@ export default async function handler(req, res) {
     `;
     migrationSteps.push('✅ Created conversation_sessions indexes');
 
+    // Why each call ended (resolved, transferred, caller_hangup, ...)
+    await sql`
+      ALTER TABLE conversation_sessions
+      ADD COLUMN IF NOT EXISTS end_reason TEXT
+    `;
+    migrationSteps.push('✅ Added end_reason column to conversation_sessions');
+
+    // LLM token usage and estimated cost per call (api/_lib/llm-pricing.js)
+    await sql`
+      ALTER TABLE conversation_sessions
+      ADD COLUMN IF NOT EXISTS llm_provider TEXT,
+      ADD COLUMN IF NOT EXISTS llm_model TEXT,
+      ADD COLUMN IF NOT EXISTS used_fallback_key BOOLEAN DEFAULT false,
+      ADD COLUMN IF NOT EXISTS llm_calls INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS prompt_tokens INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS completion_tokens INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS estimated_cost_usd NUMERIC(12, 6) DEFAULT 0
+    `;
+    migrationSteps.push('✅ Added LLM usage columns to conversation_sessions');
+
+    // Per-tool call and failure counts per call (api/_lib/tool-arguments.js)
+    await sql`
+      ALTER TABLE conversation_sessions
+      ADD COLUMN IF NOT EXISTS tool_stats JSONB DEFAULT '{}'
+    `;
+    migrationSteps.push('✅ Added tool_stats column to conversation_sessions');
+
     // ========================================
     // Step 2: Create conversation_history table
     // ========================================
@@ -108,6 +139,14 @@ export default async function handler(req, res) {
     `;
     migrationSteps.push('✅ Created conversation_history indexes');
 
+    // Structured details collected on each call (api/_lib/slot-filling.js)
+    await ensureCallOutcomesTable(sql);
+    migrationSteps.push('✅ Created call_outcomes table');
+
+    // Persistent memory across calls (api/_lib/caller-memory.js)
+    await ensureCallerMemoriesTable(sql);
+    migrationSteps.push('✅ Created caller_memories table');
+
     // ========================================
     // Step 3: Create use_case_templates table
     // ========================================
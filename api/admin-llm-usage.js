@@ -0,0 +1,92 @@
+/**
+ * Admin: LLM Usage per Student
+ *
+ * Token usage and estimated cost of the AI calls each student has made,
+ * rolled up from conversation_sessions. Calls that ran on the instructor's
+ * fallback API key are totalled separately so instructors can see who is
+ * spending their credits.
+ *
+ * POST /api/admin-llm-usage
+ * Body: { adminPassword: string, since?: ISO date (default: last 7 days) }
+ */
+
+import postgres from 'postgres';
+import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
+
+const sql = postgres(process.env.POSTGRES_URL, {
+  ssl: 'require',
+  max: 1
+});
+
+const DEFAULT_LOOKBACK_DAYS = 7;
+
+export default async function handler(req, res) {
+  applyCORS(req, res);
+
+  if (handlePreflightRequest(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const { adminPassword, since } = req.body;
+
+    // Authentication
+    if (!process.env.ADMIN_PASSWORD || adminPassword !== process.env.ADMIN_PASSWORD) {
+      console.warn('⚠️  Unauthorized LLM usage request');
+      return res.status(401).json({ success: false, error: 'Invalid admin password' });
+    }
+
+    const sinceDate = since ? new Date(since) : new Date(Date.now() - DEFAULT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    if (isNaN(sinceDate.getTime())) {
+      return res.status(400).json({ success: false, error: 'Invalid since date' });
+    }
+
+    const students = await sql`
+      SELECT
+        cs.session_token as "sessionToken",
+        sc.student_name as "studentName",
+        sc.student_email as "studentEmail",
+        COUNT(*)::int as "calls",
+        COALESCE(SUM(cs.llm_calls), 0)::int as "llmCalls",
+        COALESCE(SUM(cs.prompt_tokens), 0)::int as "promptTokens",
+        COALESCE(SUM(cs.completion_tokens), 0)::int as "completionTokens",
+        COALESCE(SUM(cs.estimated_cost_usd), 0)::float as "estimatedCostUsd",
+        COALESCE(SUM(cs.estimated_cost_usd) FILTER (WHERE cs.used_fallback_key), 0)::float as "fallbackKeyCostUsd",
+        COUNT(*) FILTER (WHERE cs.used_fallback_key)::int as "fallbackKeyCalls",
+        ARRAY_REMOVE(ARRAY_AGG(DISTINCT cs.llm_model), NULL) as "models",
+        MAX(cs.started_at) as "lastCallAt"
+      FROM conversation_sessions cs
+      LEFT JOIN student_configs sc ON sc.session_token = cs.session_token
+      WHERE cs.started_at >= ${sinceDate}
+      GROUP BY cs.session_token, sc.student_name, sc.student_email
+      ORDER BY "estimatedCostUsd" DESC
+    `;
+
+    const totals = students.reduce((sum, student) => ({
+      calls: sum.calls + student.calls,
+      promptTokens: sum.promptTokens + student.promptTokens,
+      completionTokens: sum.completionTokens + student.completionTokens,
+      estimatedCostUsd: sum.estimatedCostUsd + student.estimatedCostUsd,
+      fallbackKeyCostUsd: sum.fallbackKeyCostUsd + student.fallbackKeyCostUsd
+    }), { calls: 0, promptTokens: 0, completionTokens: 0, estimatedCostUsd: 0, fallbackKeyCostUsd: 0 });
+
+    return res.status(200).json({
+      success: true,
+      since: sinceDate.toISOString(),
+      totals,
+      students
+    });
+
+  } catch (error) {
+    console.error('Error loading LLM usage:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load LLM usage',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Call Outcome Save API
+ *
+ * POST /api/call-outcome-save
+ * Saves the structured details collected on a call (slot filling)
+ *
+ * Body: { conversationSessionId, outcome: { slots, missingSlots, complete, invalidAttempts } }
+ * Saving again for the same session replaces the earlier record.
+ */
+
+import postgres from 'postgres';
+import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
+import { saveCallOutcome } from './_lib/call-outcomes.js';
+
+const sql = postgres(process.env.POSTGRES_URL, {
+  ssl: 'require',
+  max: 1
+});
+
+export default async function handler(req, res) {
+  // Apply CORS
+  applyCORS(req, res);
+
+  // Handle preflight
+  if (handlePreflightRequest(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  try {
+    if (!process.env.POSTGRES_URL) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not configured'
+      });
+    }
+
+    const { conversationSessionId, outcome } = req.body;
+
+    if (!conversationSessionId || !outcome || typeof outcome.slots !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'conversationSessionId and outcome.slots are required'
+      });
+    }
+
+    const outcomeId = await saveCallOutcome(sql, conversationSessionId, outcome);
+
+    if (!outcomeId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation session not found'
+      });
+    }
+
+    console.log(`📝 Saved call outcome for ${conversationSessionId} (${outcome.complete ? 'complete' : 'incomplete'})`);
+
+    return res.status(200).json({
+      success: true,
+      outcomeId
+    });
+
+  } catch (error) {
+    console.error('Error saving call outcome:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save call outcome',
+      details: error.message
+    });
+  }
+}
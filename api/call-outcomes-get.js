@@ -0,0 +1,111 @@
+/**
+ * Call Outcomes Get API
+ *
+ * GET /api/call-outcomes-get?sessionToken=xxx&limit=100
+ * Returns the structured records collected on a student's calls
+ *
+ * Optional query parameters:
+ *   since=ISO date     only calls after this date
+ *   complete=true      only calls where every required detail was collected
+ *   format=csv         download as CSV (one column per slot)
+ */
+
+import postgres from 'postgres';
+import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
+import { outcomesToCsv } from './_lib/call-outcomes.js';
+
+const sql = postgres(process.env.POSTGRES_URL, {
+  ssl: 'require',
+  max: 1
+});
+
+const MAX_LIMIT = 1000;
+
+export default async function handler(req, res) {
+  // Apply CORS
+  applyCORS(req, res);
+
+  // Handle preflight
+  if (handlePreflightRequest(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  try {
+    if (!process.env.POSTGRES_URL) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not configured'
+      });
+    }
+
+    const { sessionToken, since, complete, format, limit = 100 } = req.query;
+
+    if (!sessionToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'sessionToken parameter is required'
+      });
+    }
+
+    const sinceDate = since ? new Date(since) : null;
+    if (sinceDate && isNaN(sinceDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid since date'
+      });
+    }
+
+    const rowLimit = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_LIMIT);
+
+    const outcomes = await sql`
+      SELECT
+        id,
+        conversation_session_id as "conversationSessionId",
+        call_sid as "callSid",
+        from_number as "fromNumber",
+        slots,
+        missing_slots as "missingSlots",
+        complete,
+        invalid_attempts as "invalidAttempts",
+        created_at as "createdAt"
+      FROM call_outcomes
+      WHERE session_token = ${sessionToken}
+        ${sinceDate ? sql`AND created_at >= ${sinceDate}` : sql``}
+        ${complete === 'true' ? sql`AND complete = true` : sql``}
+      ORDER BY created_at DESC
+      LIMIT ${rowLimit}
+    `;
+
+    if (format === 'csv') {
+      // Column order follows the student's slot schema
+      const config = await sql`
+        SELECT slot_schema FROM student_configs WHERE session_token = ${sessionToken}
+      `;
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="call-outcomes.csv"');
+      return res.status(200).send(outcomesToCsv(outcomes, config[0]?.slot_schema || []));
+    }
+
+    return res.status(200).json({
+      success: true,
+      outcomes,
+      count: outcomes.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching call outcomes:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch call outcomes',
+      details: error.message
+    });
+  }
+}
@@ -4,11 +4,29 @@
  * This endpoint is called by Twilio when a call ends.
  * It creates a transcript in Twilio Intelligence for the completed call.
  *
+ * It is also the ConversationRelay <Connect action> URL: when the AI ends the
+ * session with a live-agent handoff (transfer_call tool or keypad action),
+ * Twilio posts HandoffData here and we respond with TwiML that dials the
+ * student's transfer destination.
+ *
  * POST /api/call-status-callback?sessionToken=xxx
+ * POST /api/call-status-callback?sessionToken=xxx&transferResult=1 (<Dial action>)
  */
 
+import twilio from 'twilio';
 import postgres from 'postgres';
 import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
+import {
+  HANDOFF_REASON_TRANSFER,
+  isValidTransferDestination,
+  parseHandoffData
+} from './_lib/call-control.js';
+import { validateTwilioWebhook } from './_lib/twilio-webhook.js';
+
+const VoiceResponse = twilio.twiml.VoiceResponse;
+
+// How long to ring the agent before giving up
+const TRANSFER_DIAL_TIMEOUT_SECONDS = 30;
 
 const sql = postgres(process.env.POSTGRES_URL, {
   ssl: 'require',
@@ -24,16 +42,33 @@ export default async function handler(req, res) {
     return;
   }
 
+  const sessionToken = req.query.sessionToken || null;
+
+  const verified = await validateTwilioWebhook(req, res, { sql, sessionToken });
+  if (!verified) {
+    return;
+  }
+
   try {
-    const sessionToken = req.query.sessionToken;
     const { CallSid, CallStatus, RecordingUrl } = req.body;
 
+    // <Dial action> after a transfer attempt
+    if (req.query.transferResult) {
+      return handleTransferResult(req, res);
+    }
+
+    // <Connect action> with a live-agent handoff from the AI
+    const handoff = parseHandoffData(req.body.HandoffData);
+    if (handoff?.reasonCode === HANDOFF_REASON_TRANSFER) {
+      return handleTransfer(req, res, sessionToken, handoff);
+    }
+
     console.log(`📞 Call status callback: ${CallSid} - Status: ${CallStatus}`);
 
     // Only process completed calls
     if (CallStatus !== 'completed') {
       console.log(`  ℹ️  Skipping - call not completed yet`);
-      return res.status(200).send('OK');
+      return sendEmptyResponse(res);
     }
 
     // Get student config for Twilio credentials
@@ -48,7 +83,7 @@ export default async function handler(req, res) {
 
     if (configs.length === 0) {
       console.log(`  ⚠️  No config found for session token`);
-      return res.status(200).send('OK');
+      return sendEmptyResponse(res);
     }
 
     const config = configs[0];
@@ -58,7 +93,7 @@ export default async function handler(req, res) {
 
     if (!accountSid || !authToken) {
       console.log(`  ⚠️  Missing Twilio credentials`);
-      return res.status(200).send('OK');
+      return sendEmptyResponse(res);
     }
 
     console.log(`  → Creating Intelligence transcript for call ${CallSid}`);
@@ -83,7 +118,7 @@ export default async function handler(req, res) {
 
     if (!mediaUrl) {
       console.log(`  ⚠️  No recording found - cannot create transcript`);
-      return res.status(200).send('OK');
+      return sendEmptyResponse(res);
     }
 
     // Create Intelligence transcript
@@ -112,10 +147,87 @@ export default async function handler(req, res) {
       console.log(`  ❌ Failed to create transcript: ${errorText}`);
     }
 
-    return res.status(200).send('OK');
+    return sendEmptyResponse(res);
 
   } catch (error) {
     console.error('Call status callback error:', error);
-    return res.status(200).send('OK');
+    return sendEmptyResponse(res);
   }
 }
+
+/**
+ * Acknowledge the webhook with an empty <Response/> - plain text isn't valid
+ * TwiML when this runs as the <Connect action>
+ */
+function sendEmptyResponse(res) {
+  res.setHeader('Content-Type', 'text/xml');
+  return res.status(200).send(new VoiceResponse().toString());
+}
+
+/**
+ * Dial the student's transfer destination with a whisper summary for the agent
+ */
+async function handleTransfer(req, res, sessionToken, handoff) {
+  const { CallSid } = req.body;
+  const twiml = new VoiceResponse();
+
+  console.log(`📞 Transfer requested for ${CallSid}: ${handoff.reason}`);
+
+  let destination = null;
+  try {
+    const configs = await sql`
+      SELECT transfer_destination
+      FROM student_configs
+      WHERE session_token = ${sessionToken}
+      LIMIT 1
+    `;
+    destination = configs[0]?.transfer_destination || null;
+  } catch (error) {
+    console.error('  ❌ Failed to load transfer destination:', error.message);
+  }
+
+  if (!isValidTransferDestination(destination)) {
+    console.log(`  ⚠️  No valid transfer destination configured`);
+    twiml.say('Sorry, no one is available to take your call right now. Please try again later.');
+    twiml.hangup();
+    res.setHeader('Content-Type', 'text/xml');
+    return res.status(200).send(twiml.toString());
+  }
+
+  const baseUrl = `https://${req.headers.host}`;
+  const whisperUrl = `${baseUrl}/api/call-transfer-whisper?sessionToken=${encodeURIComponent(sessionToken || '')}&summary=${encodeURIComponent((handoff.summary || handoff.reason || '').substring(0, 500))}`;
+
+  const dial = twiml.dial({
+    action: `${baseUrl}/api/call-status-callback?sessionToken=${encodeURIComponent(sessionToken || '')}&transferResult=1`,
+    timeout: TRANSFER_DIAL_TIMEOUT_SECONDS
+  });
+
+  if (destination.toLowerCase().startsWith('sip')) {
+    dial.sip({ url: whisperUrl }, destination);
+  } else {
+    dial.number({ url: whisperUrl }, destination);
+  }
+
+  console.log(`  → Dialing ${destination}`);
+
+  res.setHeader('Content-Type', 'text/xml');
+  return res.status(200).send(twiml.toString());
+}
+
+/**
+ * Tell the caller if the agent didn't pick up, then hang up
+ */
+function handleTransferResult(req, res) {
+  const { CallSid, DialCallStatus } = req.body;
+  const twiml = new VoiceResponse();
+
+  console.log(`📞 Transfer result for ${CallSid}: ${DialCallStatus}`);
+
+  if (DialCallStatus !== 'completed' && DialCallStatus !== 'answered') {
+    twiml.say('Sorry, the agent could not be reached. Please try again later.');
+  }
+  twiml.hangup();
+
+  res.setHeader('Content-Type', 'text/xml');
+  return res.status(200).send(twiml.toString());
+}
@@ -0,0 +1,35 @@
+/**
+ * Call Transfer Whisper
+ *
+ * Played to the human agent when they answer a transfer from the AI,
+ * before the caller is connected. Set as the <Number>/<Sip> url by
+ * call-status-callback.js.
+ *
+ * GET/POST /api/call-transfer-whisper?sessionToken=xxx&summary=xxx
+ */
+
+import twilio from 'twilio';
+import postgres from 'postgres';
+import { validateTwilioWebhook } from './_lib/twilio-webhook.js';
+
+const VoiceResponse = twilio.twiml.VoiceResponse;
+
+const sql = postgres(process.env.POSTGRES_URL, {
+  ssl: 'require',
+  max: 1
+});
+
+export default async function handler(req, res) {
+  const verified = await validateTwilioWebhook(req, res, { sql, sessionToken: req.query.sessionToken || null });
+  if (!verified) {
+    return;
+  }
+
+  const summary = (req.query.summary || '').substring(0, 500);
+
+  const twiml = new VoiceResponse();
+  twiml.say(`Incoming transfer from the AI assistant. ${summary || 'No summary was provided.'}`);
+
+  res.setHeader('Content-Type', 'text/xml');
+  return res.status(200).send(twiml.toString());
+}
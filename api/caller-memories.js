@@ -0,0 +1,247 @@
+/**
+ * Caller Memories Admin API
+ *
+ * Lets the admin panel's Memory tab show and edit what the agent remembers
+ * about each caller (caller_memories - see api/_lib/caller-memory.js).
+ *
+ * GET /api/caller-memories?sessionToken=xxx
+ *   Every remembered caller, with their latest summary and facts
+ * GET /api/caller-memories?sessionToken=xxx&phoneNumber=+15551234567
+ *   All stored memories of one caller, newest first
+ * POST /api/caller-memories
+ *   Body: { sessionToken, phoneNumber, summary, facts }
+ *   Add a memory by hand
+ * PUT /api/caller-memories
+ *   Body: { sessionToken, memoryId, summary?, facts? }
+ *   Edit a memory
+ * DELETE /api/caller-memories
+ *   Body: { sessionToken, memoryId }
+ *   Delete one memory (DELETE /api/caller-memory forgets the whole caller)
+ */
+
+import postgres from 'postgres';
+import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
+import { applyRateLimit } from './_lib/ratelimit.js';
+import {
+  validateRequired,
+  validateString,
+  validatePhoneNumber,
+  handleValidationError
+} from './_lib/validation.js';
+import { MAX_CALLER_FACTS } from './_lib/caller-memory.js';
+import {
+  listCallers,
+  loadCallerMemories,
+  createCallerMemory,
+  updateCallerMemory,
+  deleteCallerMemory
+} from './_lib/caller-memory-postgres.js';
+
+const sql = postgres(process.env.POSTGRES_URL, {
+  ssl: 'require',
+  max: 1
+});
+
+// Memories returned for one caller in the admin panel
+const ADMIN_MEMORY_LIMIT = 100;
+
+export default async function handler(req, res) {
+  applyCORS(req, res);
+
+  if (handlePreflightRequest(req, res)) {
+    return;
+  }
+
+  const allowed = await applyRateLimit(req, res);
+  if (!allowed) {
+    return;
+  }
+
+  try {
+    if (!process.env.POSTGRES_URL) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not configured'
+      });
+    }
+
+    if (req.method === 'GET') {
+      return await getMemories(req, res);
+    } else if (req.method === 'POST') {
+      return await addMemory(req, res);
+    } else if (req.method === 'PUT') {
+      return await editMemory(req, res);
+    } else if (req.method === 'DELETE') {
+      return await removeMemory(req, res);
+    } else {
+      return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Caller memories error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to manage caller memories',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Check a facts list from the admin panel
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateFacts(facts) {
+  if (!Array.isArray(facts) || facts.some(fact => typeof fact !== 'string')) {
+    return 'facts must be a list of strings';
+  }
+  if (facts.length > MAX_CALLER_FACTS) {
+    return `A caller can have at most ${MAX_CALLER_FACTS} facts`;
+  }
+  return null;
+}
+
+/**
+ * GET - List callers, or one caller's memories
+ */
+async function getMemories(req, res) {
+  const { sessionToken, phoneNumber } = req.query;
+
+  try {
+    validateRequired({ sessionToken }, ['sessionToken']);
+    validateString(sessionToken, 'sessionToken', { minLength: 10, maxLength: 200 });
+    if (phoneNumber) {
+      validateString(phoneNumber, 'phoneNumber', { maxLength: 100 });
+    }
+  } catch (validationError) {
+    return handleValidationError(validationError, res);
+  }
+
+  if (phoneNumber) {
+    // Everything stored, including memories past retention that cleanup hasn't removed yet
+    const memories = await loadCallerMemories(sql, sessionToken, phoneNumber, {
+      retentionDays: null,
+      limit: ADMIN_MEMORY_LIMIT
+    });
+
+    return res.status(200).json({
+      success: true,
+      phoneNumber,
+      memories
+    });
+  }
+
+  const callers = await listCallers(sql, sessionToken);
+
+  return res.status(200).json({
+    success: true,
+    callers,
+    totalCallers: callers.length,
+    totalMemories: callers.reduce((sum, caller) => sum + caller.memoryCount, 0)
+  });
+}
+
+/**
+ * POST - Add a memory by hand
+ */
+async function addMemory(req, res) {
+  const { sessionToken, phoneNumber, summary, facts = [] } = req.body;
+
+  try {
+    validateRequired(req.body, ['sessionToken', 'phoneNumber']);
+    validateString(sessionToken, 'sessionToken', { minLength: 10, maxLength: 200 });
+    validatePhoneNumber(phoneNumber, 'phoneNumber');
+    if (summary !== undefined) {
+      validateString(summary, 'summary', { maxLength: 5000 });
+    }
+  } catch (validationError) {
+    return handleValidationError(validationError, res);
+  }
+
+  const factsError = validateFacts(facts);
+  if (factsError) {
+    return res.status(400).json({ success: false, error: factsError });
+  }
+
+  if (!summary && facts.length === 0) {
+    return res.status(400).json({ success: false, error: 'A memory needs a summary or at least one fact' });
+  }
+
+  const memory = await createCallerMemory(sql, sessionToken, { phoneNumber, summary, facts });
+
+  console.log(`🧠 Added caller memory for ${phoneNumber}`);
+
+  return res.status(200).json({
+    success: true,
+    memory
+  });
+}
+
+/**
+ * PUT - Edit a memory's summary and/or facts
+ */
+async function editMemory(req, res) {
+  const { sessionToken, memoryId, summary, facts } = req.body;
+
+  try {
+    validateRequired(req.body, ['sessionToken', 'memoryId']);
+    validateString(sessionToken, 'sessionToken', { minLength: 10, maxLength: 200 });
+    validateString(memoryId, 'memoryId', { maxLength: 100 });
+    if (summary !== undefined) {
+      validateString(summary, 'summary', { maxLength: 5000 });
+    }
+  } catch (validationError) {
+    return handleValidationError(validationError, res);
+  }
+
+  if (summary === undefined && facts === undefined) {
+    return res.status(400).json({ success: false, error: 'Nothing to update (send summary and/or facts)' });
+  }
+
+  if (facts !== undefined) {
+    const factsError = validateFacts(facts);
+    if (factsError) {
+      return res.status(400).json({ success: false, error: factsError });
+    }
+  }
+
+  const memory = await updateCallerMemory(sql, sessionToken, memoryId, { summary, facts });
+
+  if (!memory) {
+    return res.status(404).json({ success: false, error: 'Memory not found' });
+  }
+
+  console.log(`🧠 Updated caller memory ${memoryId}`);
+
+  return res.status(200).json({
+    success: true,
+    memory
+  });
+}
+
+/**
+ * DELETE - Delete one memory
+ */
+async function removeMemory(req, res) {
+  const { sessionToken, memoryId } = req.body;
+
+  try {
+    validateRequired(req.body, ['sessionToken', 'memoryId']);
+    validateString(sessionToken, 'sessionToken', { minLength: 10, maxLength: 200 });
+    validateString(memoryId, 'memoryId', { maxLength: 100 });
+  } catch (validationError) {
+    return handleValidationError(validationError, res);
+  }
+
+  const deleted = await deleteCallerMemory(sql, sessionToken, memoryId);
+
+  if (!deleted) {
+    return res.status(404).json({ success: false, error: 'Memory not found' });
+  }
+
+  console.log(`🗑️ Deleted caller memory ${memoryId}`);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Memory deleted successfully'
+  });
+}
@@ -0,0 +1,196 @@
+/**
+ * Caller Memory API
+ *
+ * Persistent memory per caller phone number (see api/_lib/caller-memory.js)
+ *
+ * GET /api/caller-memory?sessionToken=xxx&phoneNumber=+15551234567
+ *   What the agent remembers about a caller (used by the WebSocket handler on setup).
+ *   Memories older than the student's memoryRetentionDays are not returned.
+ *
+ * POST /api/caller-memory
+ *   Body: { conversationSessionId, phoneNumber, summary, facts }
+ *   Saves the memory of a finished call (written by the WebSocket handler).
+ *
+ * DELETE /api/caller-memory
+ *   Body: { sessionToken, phoneNumber, includeCallHistory? }
+ *   "Forget me": deletes everything remembered about the caller, including
+ *   their legacy OpenAI thread record. With includeCallHistory, their call
+ *   transcripts and outcomes are deleted too.
+ */
+
+import postgres from 'postgres';
+import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
+import { applyRateLimit } from './_lib/ratelimit.js';
+import {
+  validateRequired,
+  validateString,
+  validatePhoneNumber,
+  handleValidationError
+} from './_lib/validation.js';
+import { DEFAULT_MEMORY_RETENTION_DAYS } from './_lib/caller-memory.js';
+import {
+  loadCallerMemories,
+  saveCallerMemory,
+  forgetCaller
+} from './_lib/caller-memory-postgres.js';
+
+const sql = postgres(process.env.POSTGRES_URL, {
+  ssl: 'require',
+  max: 1
+});
+
+export default async function handler(req, res) {
+  applyCORS(req, res);
+
+  if (handlePreflightRequest(req, res)) {
+    return;
+  }
+
+  try {
+    if (!process.env.POSTGRES_URL) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not configured'
+      });
+    }
+
+    if (req.method === 'GET') {
+      return await getCallerMemory(req, res);
+    } else if (req.method === 'POST') {
+      return await saveMemory(req, res);
+    } else if (req.method === 'DELETE') {
+      const allowed = await applyRateLimit(req, res);
+      if (!allowed) {
+        return;
+      }
+      return await forgetMe(req, res);
+    } else {
+      return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Caller memory error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to manage caller memory',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * GET - Look up a caller's memories (respects the student's memory settings)
+ */
+async function getCallerMemory(req, res) {
+  const { sessionToken, phoneNumber } = req.query;
+
+  try {
+    validateRequired({ sessionToken, phoneNumber }, ['sessionToken', 'phoneNumber']);
+    validateString(sessionToken, 'sessionToken', { minLength: 10, maxLength: 200 });
+    validateString(phoneNumber, 'phoneNumber', { maxLength: 100 });
+  } catch (validationError) {
+    return handleValidationError(validationError, res);
+  }
+
+  const config = await sql`
+    SELECT enable_persistent_memory, memory_retention_days
+    FROM student_configs
+    WHERE session_token = ${sessionToken}
+  `;
+
+  if (config.length === 0) {
+    return res.status(404).json({ success: false, error: 'Configuration not found for this session token' });
+  }
+
+  if (!config[0].enable_persistent_memory) {
+    return res.status(200).json({ success: true, enabled: false, memories: [] });
+  }
+
+  const memories = await loadCallerMemories(sql, sessionToken, phoneNumber, {
+    retentionDays: config[0].memory_retention_days || DEFAULT_MEMORY_RETENTION_DAYS
+  });
+
+  return res.status(200).json({
+    success: true,
+    enabled: true,
+    memories
+  });
+}
+
+/**
+ * POST - Save the memory of a finished call
+ */
+async function saveMemory(req, res) {
+  const { conversationSessionId, phoneNumber, summary, facts } = req.body;
+
+  try {
+    validateRequired(req.body, ['conversationSessionId', 'phoneNumber', 'summary']);
+    validateString(phoneNumber, 'phoneNumber', { maxLength: 100 });
+    validateString(summary, 'summary', { maxLength: 5000 });
+  } catch (validationError) {
+    return handleValidationError(validationError, res);
+  }
+
+  if (facts !== undefined && (!Array.isArray(facts) || facts.some(fact => typeof fact !== 'string'))) {
+    return res.status(400).json({ success: false, error: 'facts must be a list of strings' });
+  }
+
+  const memoryId = await saveCallerMemory(sql, conversationSessionId, { phoneNumber, summary, facts });
+
+  if (!memoryId) {
+    return res.status(404).json({ success: false, error: 'Conversation session not found' });
+  }
+
+  console.log(`🧠 Saved caller memory for ${phoneNumber}`);
+
+  return res.status(200).json({
+    success: true,
+    memoryId
+  });
+}
+
+/**
+ * DELETE - Forget a caller
+ */
+async function forgetMe(req, res) {
+  const { sessionToken, phoneNumber, includeCallHistory = false } = req.body;
+
+  try {
+    validateRequired(req.body, ['sessionToken', 'phoneNumber']);
+    validateString(sessionToken, 'sessionToken', { minLength: 10, maxLength: 200 });
+    validatePhoneNumber(phoneNumber, 'phoneNumber');
+  } catch (validationError) {
+    return handleValidationError(validationError, res);
+  }
+
+  const deletedMemories = await forgetCaller(sql, sessionToken, phoneNumber);
+
+  // Legacy OpenAI Assistants thread record (api/memory-threads.js), if that table exists
+  const [threadsTable] = await sql`SELECT to_regclass('conversation_threads') as name`;
+  const deletedThreads = threadsTable.name
+    ? (await sql`
+        DELETE FROM conversation_threads
+        WHERE session_token = ${sessionToken}
+          AND phone_number = ${phoneNumber}
+      `).count
+    : 0;
+
+  // Their call transcripts and outcomes (conversation_history and call_outcomes cascade)
+  let deletedCalls = 0;
+  if (includeCallHistory === true) {
+    const result = await sql`
+      DELETE FROM conversation_sessions
+      WHERE session_token = ${sessionToken}
+        AND (from_number = ${phoneNumber} OR (direction LIKE 'outbound%' AND to_number = ${phoneNumber}))
+    `;
+    deletedCalls = result.count;
+  }
+
+  console.log(`🧹 Forgot caller ${phoneNumber}: ${deletedMemories} memories, ${deletedThreads} threads, ${deletedCalls} calls`);
+
+  return res.status(200).json({
+    success: true,
+    deletedMemories,
+    deletedThreads,
+    deletedCalls
+  });
+}
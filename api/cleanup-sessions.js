@@ -2,6 +2,7 @@
 // Vercel Cron: Add to vercel.json
 
 import { sql } from '@vercel/postgres';
+import { DEFAULT_MEMORY_RETENTION_DAYS } from './_lib/caller-memory.js';
 
 export default async function handler(req, res) {
   // Only allow cron job or manual trigger with secret
@@ -17,6 +18,23 @@ export default async function handler(req, res) {
     const result = await sql`SELECT cleanup_expired_sessions()`;
     const deletedCount = result.rows[0].cleanup_expired_sessions;
 
+    // Enforce each student's caller memory retention (memoryRetentionDays).
+    // Memories of students who turned persistent memory off are removed too.
+    const memoriesTable = await sql`SELECT to_regclass('caller_memories') as name`;
+    let deletedMemories = 0;
+    if (memoriesTable.rows[0].name) {
+      const memories = await sql`
+        DELETE FROM caller_memories cm
+        USING student_configs sc
+        WHERE cm.session_token = sc.session_token
+          AND (
+            sc.enable_persistent_memory IS NOT TRUE
+            OR cm.created_at < NOW() - make_interval(days => COALESCE(sc.memory_retention_days, ${DEFAULT_MEMORY_RETENTION_DAYS}))
+          )
+      `;
+      deletedMemories = memories.rowCount;
+    }
+
     // Log cleanup event
     await sql`
       INSERT INTO workshop_events (
@@ -25,7 +43,7 @@ export default async function handler(req, res) {
         created_at
       ) VALUES (
         'sessions_cleaned',
-        ${JSON.stringify({ deletedCount })},
+        ${JSON.stringify({ deletedCount, deletedMemories })},
         NOW()
       )
     `;
@@ -33,6 +51,7 @@ export default async function handler(req, res) {
     return res.status(200).json({
       success: true,
       deletedSessions: deletedCount,
+      deletedMemories,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -3,6 +3,10 @@
  *
  * POST /api/conversation-history-add
  * Adds a message to conversation history
+ *
+ * Body: { conversationSessionId, turnNumber, role, content, metadata }
+ *   or: { conversationSessionId, turns: [{ turnNumber, role, content, metadata }] }
+ *       to add several messages at once (batched writes from the WebSocket handler)
  */
 
 import postgres from 'postgres';
@@ -37,40 +41,32 @@ export default async function handler(req, res) {
       });
     }
 
-    const {
-      conversationSessionId,
-      turnNumber,
-      role,
-      content,
-      metadata
-    } = req.body;
+    const { conversationSessionId } = req.body;
+    const turns = Array.isArray(req.body.turns) ? req.body.turns : [req.body];
 
-    if (!conversationSessionId || !role || !content) {
+    if (!conversationSessionId || turns.length === 0 || turns.some(turn => !turn.role || !turn.content)) {
       return res.status(400).json({
         success: false,
         error: 'conversationSessionId, role, and content are required'
       });
     }
 
-    // Add message to conversation history
+    // Add messages to conversation history
+    const rows = turns.map(turn => ({
+      conversation_session_id: conversationSessionId,
+      turn_number: turn.turnNumber || 0,
+      role: turn.role,
+      content: turn.content,
+      metadata: sql.json(turn.metadata || {})
+    }));
+
     await sql`
-      INSERT INTO conversation_history (
-        conversation_session_id,
-        turn_number,
-        role,
-        content,
-        metadata
-      ) VALUES (
-        ${conversationSessionId},
-        ${turnNumber || 0},
-        ${role},
-        ${content},
-        ${metadata ? JSON.stringify(metadata) : '{}'}::jsonb
-      )
+      INSERT INTO conversation_history ${sql(rows, 'conversation_session_id', 'turn_number', 'role', 'content', 'metadata')}
     `;
 
     return res.status(200).json({
-      success: true
+      success: true,
+      added: rows.length
     });
 
   } catch (error) {
@@ -3,6 +3,9 @@
  *
  * GET /api/conversation-history-get?sessionToken=xxx&limit=50
  * Returns conversation history for a student's sessions
+ *
+ * With conversationSessionId, also returns `phaseEvents`: every phase
+ * advance / regress and every gate check that kept the call in its phase
  */
 
 import postgres from 'postgres';
@@ -63,6 +66,15 @@ export default async function handler(req, res) {
           cs.duration_seconds as "durationSeconds",
           cs.turn_count as "turnCount",
           cs.status,
+          cs.end_reason as "endReason",
+          cs.llm_provider as "llmProvider",
+          cs.llm_model as "llmModel",
+          cs.used_fallback_key as "usedFallbackKey",
+          cs.llm_calls as "llmCalls",
+          cs.prompt_tokens as "promptTokens",
+          cs.completion_tokens as "completionTokens",
+          cs.estimated_cost_usd as "estimatedCostUsd",
+          cs.tool_stats as "toolStats",
           cs.metadata
         FROM conversation_sessions cs
         WHERE cs.id = ${conversationSessionId}
@@ -92,6 +104,15 @@ export default async function handler(req, res) {
 
       sessions[0].history = history;
 
+      // Phase progression (advances, regressions and failed gate checks) for debugging stuck calls
+      sessions[0].phaseEvents = history
+        .filter(turn => turn.metadata?.type === 'phase_change' || turn.metadata?.type === 'phase_gate')
+        .map(turn => ({
+          turnNumber: turn.turnNumber,
+          timestamp: turn.timestamp,
+          ...turn.metadata
+        }));
+
       return res.status(200).json({
         success: true,
         conversation: sessions[0]
@@ -111,6 +132,15 @@ export default async function handler(req, res) {
           cs.duration_seconds as "durationSeconds",
           cs.turn_count as "turnCount",
           cs.status,
+          cs.end_reason as "endReason",
+          cs.llm_provider as "llmProvider",
+          cs.llm_model as "llmModel",
+          cs.used_fallback_key as "usedFallbackKey",
+          cs.llm_calls as "llmCalls",
+          cs.prompt_tokens as "promptTokens",
+          cs.completion_tokens as "completionTokens",
+          cs.estimated_cost_usd as "estimatedCostUsd",
+          cs.tool_stats as "toolStats",
           cs.metadata
         FROM conversation_sessions cs
         WHERE cs.session_token = ${sessionToken}
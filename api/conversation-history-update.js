@@ -0,0 +1,92 @@
+/**
+ * Conversation History Update API
+ *
+ * POST /api/conversation-history-update
+ * Rewrites an existing message in conversation history
+ *
+ * Used when the caller interrupts the assistant: the stored turn is replaced
+ * with what was actually spoken before the barge-in, and the metadata is
+ * merged so the original generated text is kept for debugging.
+ */
+
+import postgres from 'postgres';
+import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
+
+const sql = postgres(process.env.POSTGRES_URL, {
+  ssl: 'require',
+  max: 1
+});
+
+export default async function handler(req, res) {
+  // Apply CORS
+  applyCORS(req, res);
+
+  // Handle preflight
+  if (handlePreflightRequest(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  try {
+    if (!process.env.POSTGRES_URL) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not configured'
+      });
+    }
+
+    const {
+      conversationSessionId,
+      turnNumber,
+      role = 'assistant',
+      content,
+      metadata
+    } = req.body;
+
+    // content may legitimately be empty (caller interrupted before anything was spoken)
+    if (!conversationSessionId || turnNumber === undefined || typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'conversationSessionId, turnNumber, and content are required'
+      });
+    }
+
+    // Update message, merging new metadata into existing metadata
+    const result = await sql`
+      UPDATE conversation_history
+      SET
+        content = ${content},
+        metadata = COALESCE(metadata, '{}'::jsonb) || ${metadata ? JSON.stringify(metadata) : '{}'}::jsonb
+      WHERE conversation_session_id = ${conversationSessionId}
+        AND turn_number = ${turnNumber}
+        AND role = ${role}
+      RETURNING id
+    `;
+
+    if (result.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation history message not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      updated: result.length
+    });
+
+  } catch (error) {
+    console.error('Error updating conversation history:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update conversation history',
+      details: error.message
+    });
+  }
+}
@@ -3,10 +3,20 @@
  *
  * POST /api/conversation-session-end
  * Ends a conversation session when a call disconnects
+ *
+ * Body: { conversationSessionId, turnCount, endReason, usage, toolStats }
+ * endReason is one of SESSION_END_REASONS (api/_lib/call-control.js), e.g.
+ * 'resolved' when the AI ended the call, 'caller_hangup' when the caller
+ * disconnected first (abandoned). usage holds the call's LLM token totals
+ * and estimated cost (see api/_lib/llm-pricing.js); toolStats the per-tool
+ * call and failure counts (see api/_lib/tool-arguments.js).
  */
 
 import postgres from 'postgres';
 import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
+import { SESSION_END_REASONS } from './_lib/call-control.js';
+import { normalizeUsage } from './_lib/llm-pricing.js';
+import { normalizeToolStats } from './_lib/tool-arguments.js';
 
 const sql = postgres(process.env.POSTGRES_URL, {
   ssl: 'require',
@@ -37,7 +47,7 @@ export default async function handler(req, res) {
       });
     }
 
-    const { conversationSessionId, turnCount } = req.body;
+    const { conversationSessionId, turnCount, endReason, usage, toolStats } = req.body;
 
     if (!conversationSessionId) {
       return res.status(400).json({
@@ -46,6 +56,14 @@ export default async function handler(req, res) {
       });
     }
 
+    if (endReason && !SESSION_END_REASONS.includes(endReason)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid endReason',
+        details: `Must be one of: ${SESSION_END_REASONS.join(', ')}`
+      });
+    }
+
     // Get session start time to calculate duration
     const session = await sql`
       SELECT started_at FROM conversation_sessions
@@ -62,6 +80,7 @@ export default async function handler(req, res) {
     const startedAt = new Date(session[0].started_at);
     const endedAt = new Date();
     const durationSeconds = Math.floor((endedAt - startedAt) / 1000);
+    const totals = normalizeUsage(usage);
 
     // End conversation session
     await sql`
@@ -71,6 +90,15 @@ export default async function handler(req, res) {
         duration_seconds = ${durationSeconds},
         turn_count = ${turnCount || 0},
         status = 'completed',
+        end_reason = ${endReason || null},
+        llm_provider = ${totals.provider},
+        llm_model = ${totals.model},
+        used_fallback_key = ${totals.usingFallbackKey},
+        llm_calls = ${totals.llmCalls},
+        prompt_tokens = ${totals.promptTokens},
+        completion_tokens = ${totals.completionTokens},
+        estimated_cost_usd = ${totals.estimatedCostUsd},
+        tool_stats = ${sql.json(normalizeToolStats(toolStats))},
         updated_at = NOW()
       WHERE id = ${conversationSessionId}
     `;
@@ -78,7 +106,9 @@ export default async function handler(req, res) {
     return res.status(200).json({
       success: true,
       durationSeconds,
-      turnCount
+      turnCount,
+      endReason: endReason || null,
+      usage: totals
     });
 
   } catch (error) {
@@ -58,7 +58,40 @@ export default async function handler(req, res) {
       { name: 'codespace_url', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS codespace_url TEXT` },
       { name: 'github_repo_url', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS github_repo_url TEXT` },
       { name: 'railway_url', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS railway_url TEXT` },
-      { name: 'openai_assistant_id', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS openai_assistant_id TEXT` }
+      { name: 'openai_assistant_id', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS openai_assistant_id TEXT` },
+      { name: 'tool_max_rounds', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS tool_max_rounds INTEGER` },
+      { name: 'tool_turn_timeout_ms', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS tool_turn_timeout_ms INTEGER` },
+      { name: 'tool_filler_phrase', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS tool_filler_phrase TEXT` },
+      { name: 'ai_provider', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS ai_provider TEXT` },
+      { name: 'ai_model', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS ai_model TEXT` },
+      { name: 'ai_temperature', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS ai_temperature REAL` },
+      { name: 'ai_max_tokens', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS ai_max_tokens INTEGER` },
+      { name: 'ai_base_url', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS ai_base_url TEXT` },
+      { name: 'ai_api_key', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS ai_api_key TEXT` },
+      { name: 'conversation_states', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS conversation_states JSONB DEFAULT '[]'` },
+      { name: 'conversation_phases', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS conversation_phases JSONB DEFAULT '[]'` },
+      { name: 'slot_schema', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS slot_schema JSONB DEFAULT '[]'` },
+      { name: 'dtmf_actions', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS dtmf_actions JSONB DEFAULT '{}'` },
+      { name: 'transfer_destination', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS transfer_destination TEXT` },
+      { name: 'context_max_tokens', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS context_max_tokens INTEGER` },
+      { name: 'interruptible', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS interruptible BOOLEAN` },
+      { name: 'skip_initial_greeting', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS skip_initial_greeting BOOLEAN` },
+      { name: 'stt_provider', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS stt_provider TEXT` },
+      { name: 'vad_mode', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS vad_mode TEXT` },
+      { name: 'barge_in_sensitivity', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS barge_in_sensitivity INTEGER` },
+      { name: 'language', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS language TEXT` },
+      { name: 'speech_model', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS speech_model TEXT` },
+      { name: 'profanity_filter', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS profanity_filter BOOLEAN` },
+      { name: 'speech_hints', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS speech_hints TEXT` },
+      { name: 'report_input_during_agent_speech', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS report_input_during_agent_speech TEXT` },
+      { name: 'welcome_greeting_interruptible', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS welcome_greeting_interruptible TEXT` },
+      { name: 'step5_deployed', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS step5_deployed BOOLEAN DEFAULT false` },
+      { name: 'project_deployed', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS project_deployed BOOLEAN DEFAULT false` },
+      { name: 'tool_webhook_secret', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS tool_webhook_secret TEXT` },
+      { name: 'tool_webhook_timeout_ms', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS tool_webhook_timeout_ms INTEGER` },
+      { name: 'tool_webhook_retries', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS tool_webhook_retries INTEGER` },
+      { name: 'tool_webhook_backoff_ms', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS tool_webhook_backoff_ms INTEGER` },
+      { name: 'tool_secrets', sql: `ALTER TABLE student_configs ADD COLUMN IF NOT EXISTS tool_secrets JSONB DEFAULT '{}'` }
     ];
 
     for (const migration of migrations) {
@@ -12,6 +12,7 @@ import { readFileSync } from 'fs';
 import { join } from 'path';
 import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
 import postgres from 'postgres';
+import { getApiBaseUrl } from './_lib/deployment-config.js';
 
 // Create postgres connection
 const sql = postgres(process.env.POSTGRES_URL, {
@@ -70,10 +71,8 @@ export default async function handler(req, res) {
     const templatePath = join(process.cwd(), 'public', 'admin-panel-template.html');
     let htmlContent = readFileSync(templatePath, 'utf-8');
 
-    // Determine API base URL (Vercel deployment URL or localhost)
-    const apiBase = process.env.VERCEL_URL
-      ? `https://${process.env.VERCEL_URL}`
-      : 'http://localhost:3000';
+    // Public API base URL (see api/_lib/deployment-config.js)
+    const apiBase = getApiBaseUrl();
 
     // Replace template variables
     htmlContent = htmlContent
@@ -4,6 +4,9 @@
  * Retrieves student's custom AI configuration for use by the shared WebSocket endpoint
  * Called by workshop-websocket.js when a student makes a test call
  *
+ * Tool secrets and the tool webhook secret are only included for the
+ * workshop's call server, which sends Authorization: Bearer <INTERNAL_API_SECRET>
+ *
  * Updated to use normalized V2 schema (student_configs table)
  */
 
@@ -13,7 +16,13 @@ export const config = {
 
 import postgres from 'postgres';
 import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
-import { decryptApiKey } from './_lib/encryption.js';
+import {
+  loadStudentAISettings,
+  withoutServerOnlySettings,
+  isInternalRequest,
+  DEFAULT_SYSTEM_PROMPT,
+  DEFAULT_GREETING
+} from './_lib/student-settings.js';
 
 const sql = postgres(process.env.POSTGRES_URL, {
   ssl: 'require',
@@ -58,27 +67,16 @@ export default async function handler(req, res) {
     }
 
     // Get student AI settings by session token from student_configs table
-    const result = await sql`
-      SELECT
-        session_token,
-        student_name,
-        openai_api_key,
-        system_prompt,
-        ivr_greeting,
-        selected_voice,
-        tools
-      FROM student_configs
-      WHERE session_token = ${sessionToken}
-    `;
+    const settings = await loadStudentAISettings(sql, sessionToken);
 
-    if (result.length === 0) {
+    if (!settings) {
       // Session not found - return default settings WITHOUT API key
       return res.status(200).json({
         success: true,
         settings: {
           sessionToken: sessionToken,
-          systemPrompt: 'You are a helpful voice assistant. Keep responses brief and conversational since they will be spoken aloud.',
-          greeting: 'Hello! How can I help you today?',
+          systemPrompt: DEFAULT_SYSTEM_PROMPT,
+          greeting: DEFAULT_GREETING,
           voice: 'alloy',
           tools: []
         },
@@ -87,32 +85,9 @@ export default async function handler(req, res) {
       });
     }
 
-    const config = result[0];
-
-    // Decrypt OpenAI API key if present
-    let decryptedApiKey = null;
-    if (config.openai_api_key) {
-      try {
-        decryptedApiKey = decryptApiKey(config.openai_api_key);
-        console.log(`🔓 OpenAI API key decrypted for session: ${sessionToken.substring(0, 8)}...`);
-      } catch (error) {
-        console.error('Failed to decrypt API key:', error.message);
-        // Return error but continue with settings
-        console.warn('⚠️ Returning settings without API key (decryption failed)');
-      }
-    }
-
     return res.status(200).json({
       success: true,
-      settings: {
-        sessionToken: config.session_token,
-        studentName: config.student_name,
-        openaiApiKey: decryptedApiKey,
-        systemPrompt: config.system_prompt || 'You are a helpful voice assistant. Keep responses brief and conversational since they will be spoken aloud.',
-        greeting: config.ivr_greeting !== null && config.ivr_greeting !== undefined ? config.ivr_greeting : 'Hello! How can I help you today?',
-        voice: config.selected_voice || 'alloy',
-        tools: config.tools || []
-      },
+      settings: isInternalRequest(req) ? settings : withoutServerOnlySettings(settings),
       isDefault: false
     });
 
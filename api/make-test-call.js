@@ -14,6 +14,7 @@ export const config = {
 
 import postgres from 'postgres';
 import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
+import { getApiBaseUrl } from './_lib/deployment-config.js';
 
 const sql = postgres(process.env.POSTGRES_URL, {
   ssl: 'require',
@@ -129,7 +130,7 @@ export default async function handler(req, res) {
 
     // Make the test call
     const callUrl = `https://api.twilio.com/2010-04-01/Accounts/${twilio_account_sid}/Calls.json`;
-    const voiceHandlerUrl = `https://twilio-voice-ai-workshop-vercel.vercel.app/api/voice-handler?sessionToken=${sessionToken}`;
+    const voiceHandlerUrl = `${getApiBaseUrl()}/api/voice-handler?sessionToken=${sessionToken}`;
 
     const callParams = new URLSearchParams({
       To: cleanedPhone.startsWith('+') ? cleanedPhone : `+${cleanedPhone}`,
@@ -0,0 +1,211 @@
+/**
+ * Import OpenAI Assistants Threads into Caller Memory
+ *
+ * Persistent memory used to live in OpenAI Assistants threads
+ * (conversation_threads only kept the thread_id). This reads each thread's
+ * messages from OpenAI, summarizes them with the student's own AI provider
+ * and saves the result to caller_memories, where it can be viewed, edited
+ * and used with any provider.
+ *
+ * POST /api/memory-threads-import
+ * Body: {
+ *   sessionToken: string,
+ *   openaiApiKey?: string,   // defaults to the student's saved OpenAI key
+ *   afterId?: number         // continue after this conversation_threads id
+ * }
+ *
+ * Threads are imported in batches. Call again with `nextAfterId` while
+ * `remaining` is above zero. Threads that were already imported are skipped.
+ *
+ * Imported memories count as remembered today, so memoryRetentionDays runs
+ * from the import. The thread's last interaction is kept as lastInteractionAt.
+ */
+
+import postgres from 'postgres';
+import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
+import { applyRateLimit } from './_lib/ratelimit.js';
+import {
+  validateRequired,
+  validateString,
+  handleValidationError
+} from './_lib/validation.js';
+import { loadStudentAISettings } from './_lib/student-settings.js';
+import { resolveLLMConfig, validateLLMConfig, createLLMProvider } from './_lib/llm-providers.js';
+import { buildMemorySummaryMessages, parseMemorySummary } from './_lib/caller-memory.js';
+import { createCallerMemory } from './_lib/caller-memory-postgres.js';
+
+const sql = postgres(process.env.POSTGRES_URL, {
+  ssl: 'require',
+  max: 1
+});
+
+// Threads imported per request (each needs an OpenAI fetch and an LLM summary)
+const IMPORT_BATCH_SIZE = 10;
+
+// Messages read from each thread (the most OpenAI returns in one page)
+const THREAD_MESSAGE_LIMIT = 100;
+
+// Room for a summary and fact list (students often keep aiMaxTokens low for voice)
+const SUMMARY_MAX_TOKENS = 400;
+
+export default async function handler(req, res) {
+  applyCORS(req, res);
+
+  if (handlePreflightRequest(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const allowed = await applyRateLimit(req, res);
+  if (!allowed) {
+    return;
+  }
+
+  const { sessionToken, openaiApiKey, afterId = 0 } = req.body;
+
+  try {
+    validateRequired(req.body, ['sessionToken']);
+    validateString(sessionToken, 'sessionToken', { minLength: 10, maxLength: 200 });
+    if (openaiApiKey) {
+      validateString(openaiApiKey, 'openaiApiKey', { minLength: 20, maxLength: 200 });
+    }
+  } catch (validationError) {
+    return handleValidationError(validationError, res);
+  }
+
+  try {
+    const settings = await loadStudentAISettings(sql, sessionToken);
+    if (!settings) {
+      return res.status(404).json({ success: false, error: 'Configuration not found for this session token' });
+    }
+
+    const threadsKey = openaiApiKey || settings.openaiApiKey;
+    if (!threadsKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'An OpenAI API key is required to read the existing threads'
+      });
+    }
+
+    const llmConfig = resolveLLMConfig({
+      ...settings,
+      aiMaxTokens: Math.max(parseInt(settings.aiMaxTokens, 10) || 0, SUMMARY_MAX_TOKENS)
+    });
+    const llmError = validateLLMConfig(llmConfig);
+    if (llmError) {
+      return res.status(400).json({ success: false, error: llmError });
+    }
+    const llm = createLLMProvider(llmConfig);
+
+    const [threadsTable] = await sql`SELECT to_regclass('conversation_threads') as name`;
+    if (!threadsTable.name) {
+      return res.status(200).json({ success: true, imported: 0, skipped: 0, failed: [], remaining: 0 });
+    }
+
+    const pending = await sql`
+      SELECT id, phone_number, thread_id, last_interaction
+      FROM conversation_threads ct
+      WHERE session_token = ${sessionToken}
+        AND id > ${parseInt(afterId, 10) || 0}
+        AND NOT EXISTS (
+          SELECT 1 FROM caller_memories cm
+          WHERE cm.session_token = ct.session_token
+            AND cm.source = 'openai_thread'
+            AND cm.source_ref = ct.thread_id
+        )
+      ORDER BY id
+    `;
+
+    const batch = pending.slice(0, IMPORT_BATCH_SIZE);
+    let imported = 0;
+    let skipped = 0;
+    const failed = [];
+
+    for (const thread of batch) {
+      try {
+        const history = await fetchThreadMessages(thread.thread_id, threadsKey);
+        if (history.length === 0) {
+          skipped++;
+          continue;
+        }
+
+        const result = await llm.streamChat({ messages: buildMemorySummaryMessages({ history }) });
+        const memory = parseMemorySummary(result.content);
+        if (!memory) {
+          throw new Error('The summary came back empty');
+        }
+
+        await createCallerMemory(sql, sessionToken, {
+          phoneNumber: thread.phone_number,
+          summary: memory.summary,
+          facts: memory.facts || [],
+          source: 'openai_thread',
+          sourceRef: thread.thread_id,
+          lastInteractionAt: thread.last_interaction
+        });
+        imported++;
+        console.log(`🧠 Imported thread ${thread.thread_id} for ${thread.phone_number}`);
+      } catch (error) {
+        console.warn(`⚠️ Failed to import thread ${thread.thread_id}:`, error.message);
+        failed.push({ phoneNumber: thread.phone_number, threadId: thread.thread_id, error: error.message });
+      }
+    }
+
+    const remaining = pending.length - batch.length;
+
+    return res.status(200).json({
+      success: true,
+      imported,
+      skipped,
+      failed,
+      remaining,
+      nextAfterId: remaining > 0 ? batch[batch.length - 1].id : null
+    });
+  } catch (error) {
+    console.error('Memory thread import error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to import memory threads',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Read a thread's messages from OpenAI as chat messages, oldest first
+ */
+async function fetchThreadMessages(threadId, openaiApiKey) {
+  const response = await fetch(
+    `https://api.openai.com/v1/threads/${encodeURIComponent(threadId)}/messages?order=asc&limit=${THREAD_MESSAGE_LIMIT}`,
+    {
+      headers: {
+        'Authorization': `Bearer ${openaiApiKey}`,
+        'OpenAI-Beta': 'assistants=v2'
+      }
+    }
+  );
+
+  if (response.status === 404) {
+    return [];
+  }
+
+  if (!response.ok) {
+    throw new Error(`OpenAI returned ${response.status}: ${await response.text()}`);
+  }
+
+  const data = await response.json();
+
+  return (data.data || [])
+    .map(message => ({
+      role: message.role,
+      content: (message.content || [])
+        .filter(part => part.type === 'text')
+        .map(part => part.text?.value || '')
+        .join('\n')
+        .trim()
+    }))
+    .filter(message => message.content);
+}
@@ -1,11 +1,12 @@
 /**
- * Memory Threads Management API
+ * Memory Threads Management API (legacy)
  *
- * Manages OpenAI Assistant conversation threads for persistent memory
- * Each phone number gets a unique thread that persists across calls
+ * Persistent memory used to be one OpenAI Assistants thread per phone number.
+ * It now lives in caller_memories (api/caller-memories.js); existing threads
+ * can be moved over with POST /api/memory-threads-import.
  *
- * GET /api/memory-threads?sessionToken=xxx - List all threads
- * POST /api/memory-threads - Create/get thread for phone number
+ * GET /api/memory-threads?sessionToken=xxx - List legacy threads (with import status)
+ * POST /api/memory-threads - No longer creates threads (410)
  * DELETE /api/memory-threads - Delete specific thread
  */
 
@@ -17,6 +18,7 @@ import {
   validateString,
   handleValidationError
 } from './_lib/validation.js';
+import { withCallerMemoriesTable } from './_lib/caller-memory-postgres.js';
 
 const sql = postgres(process.env.POSTGRES_URL, {
   ssl: 'require',
@@ -39,7 +41,10 @@ export default async function handler(req, res) {
     if (req.method === 'GET') {
       return await listThreads(req, res);
     } else if (req.method === 'POST') {
-      return await getOrCreateThread(req, res);
+      return res.status(410).json({
+        success: false,
+        error: 'OpenAI threads are no longer created. Caller memory is stored in caller_memories - see /api/caller-memories.'
+      });
     } else if (req.method === 'DELETE') {
       return await deleteThread(req, res);
     } else {
@@ -82,140 +87,30 @@ async function listThreads(req, res) {
     )
   `;
 
-  const threads = await sql`
+  const threads = await withCallerMemoriesTable(sql, () => sql`
     SELECT
       phone_number,
       thread_id,
       assistant_id,
       message_count,
       last_interaction,
-      created_at
-    FROM conversation_threads
+      created_at,
+      EXISTS (
+        SELECT 1 FROM caller_memories cm
+        WHERE cm.session_token = ct.session_token
+          AND cm.source = 'openai_thread'
+          AND cm.source_ref = ct.thread_id
+      ) as imported
+    FROM conversation_threads ct
     WHERE session_token = ${sessionToken}
     ORDER BY last_interaction DESC
-  `;
+  `);
 
   return res.status(200).json({
     success: true,
     threads: threads,
-    totalThreads: threads.length
-  });
-}
-
-/**
- * POST - Get or create thread for a phone number
- */
-async function getOrCreateThread(req, res) {
-  const { sessionToken, phoneNumber, assistantId, openaiApiKey } = req.body;
-
-  try {
-    validateRequired(req.body, ['sessionToken', 'phoneNumber', 'openaiApiKey']);
-    validateString(sessionToken, 'sessionToken', { minLength: 10, maxLength: 200 });
-    validateString(phoneNumber, 'phoneNumber', { minLength: 10, maxLength: 20 });
-    validateString(openaiApiKey, 'openaiApiKey', { minLength: 20, maxLength: 200 });
-  } catch (validationError) {
-    return handleValidationError(validationError, res);
-  }
-
-  // Ensure table exists
-  await sql`
-    CREATE TABLE IF NOT EXISTS conversation_threads (
-      id SERIAL PRIMARY KEY,
-      session_token VARCHAR(255) NOT NULL,
-      phone_number VARCHAR(20) NOT NULL,
-      thread_id VARCHAR(255) NOT NULL,
-      assistant_id VARCHAR(255),
-      message_count INTEGER DEFAULT 0,
-      last_interaction TIMESTAMP DEFAULT NOW(),
-      created_at TIMESTAMP DEFAULT NOW(),
-      UNIQUE(session_token, phone_number)
-    )
-  `;
-
-  // Check if thread already exists for this phone number
-  const existing = await sql`
-    SELECT thread_id, assistant_id, message_count
-    FROM conversation_threads
-    WHERE session_token = ${sessionToken}
-    AND phone_number = ${phoneNumber}
-  `;
-
-  if (existing.length > 0) {
-    // Update last interaction timestamp
-    await sql`
-      UPDATE conversation_threads
-      SET last_interaction = NOW(),
-          message_count = message_count + 1
-      WHERE session_token = ${sessionToken}
-      AND phone_number = ${phoneNumber}
-    `;
-
-    console.log(`✅ Existing thread found for ${phoneNumber}: ${existing[0].thread_id}`);
-
-    return res.status(200).json({
-      success: true,
-      threadId: existing[0].thread_id,
-      assistantId: existing[0].assistant_id,
-      messageCount: existing[0].message_count + 1,
-      isNew: false
-    });
-  }
-
-  // Create new OpenAI thread
-  console.log('🔄 Creating new OpenAI thread for', phoneNumber);
-
-  const threadResponse = await fetch('https://api.openai.com/v1/threads', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${openaiApiKey}`,
-      'Content-Type': 'application/json',
-      'OpenAI-Beta': 'assistants=v2'
-    },
-    body: JSON.stringify({
-      metadata: {
-        phone_number: phoneNumber,
-        session_token: sessionToken
-      }
-    })
-  });
-
-  if (!threadResponse.ok) {
-    const error = await threadResponse.text();
-    throw new Error(`OpenAI thread creation failed: ${error}`);
-  }
-
-  const threadData = await threadResponse.json();
-  const threadId = threadData.id;
-
-  // Save to database
-  await sql`
-    INSERT INTO conversation_threads (
-      session_token,
-      phone_number,
-      thread_id,
-      assistant_id,
-      message_count,
-      last_interaction,
-      created_at
-    ) VALUES (
-      ${sessionToken},
-      ${phoneNumber},
-      ${threadId},
-      ${assistantId || null},
-      1,
-      NOW(),
-      NOW()
-    )
-  `;
-
-  console.log(`✅ Created new thread for ${phoneNumber}: ${threadId}`);
-
-  return res.status(200).json({
-    success: true,
-    threadId: threadId,
-    assistantId: assistantId,
-    messageCount: 1,
-    isNew: true
+    totalThreads: threads.length,
+    pendingImport: threads.filter(thread => !thread.imported).length
   });
 }
 
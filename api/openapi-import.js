@@ -0,0 +1,189 @@
+/**
+ * OpenAPI Import API
+ *
+ * Generates tools from an OpenAPI 3 document (JSON or YAML) so teams with an
+ * existing REST API don't have to write each function by hand. The generated
+ * tools call the API directly - see api/_lib/openapi-tools.js for how
+ * operations become tools and api/_lib/tool-http.js for the webhook mapping.
+ *
+ * POST /api/openapi-import
+ * Body: {
+ *   sessionToken: string,
+ *   document: string | object,   // the OpenAPI document (JSON or YAML text, or parsed)
+ *   operations?: string[],       // "METHOD /path" or operationId - omit to list the operations
+ *   baseUrl?: string,            // overrides the document's servers
+ *   secretName?: string,         // tool secret for every operation's auth (default: one per security scheme)
+ *   save?: boolean               // add the generated tools to the student's config
+ * }
+ *
+ * Response without operations:
+ *   { success, title, version, operations: [{ key, operationId, name, method, path, description, deprecated, auth }] }
+ *
+ * Response with operations:
+ *   { success, tools, secrets: [{ name, scheme, type, tools, isSet }], warnings, saved }
+ *
+ * Set the secrets the tools need with /api/tool-secrets.
+ */
+
+import postgres from 'postgres';
+import { parse as parseYaml } from 'yaml';
+import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
+import { applyRateLimit } from './_lib/ratelimit.js';
+import {
+  validateRequired,
+  validateString,
+  validateBoolean,
+  validateArray,
+  validateURL,
+  handleValidationError
+} from './_lib/validation.js';
+import {
+  validateOpenApiDocument,
+  listOpenApiOperations,
+  buildToolsFromOpenApi,
+  MAX_IMPORTED_OPERATIONS
+} from './_lib/openapi-tools.js';
+import { TOOL_SECRET_NAME_PATTERN } from './_lib/tool-http.js';
+import { listToolSecretNames } from './_lib/tool-secrets.js';
+import { resolveToolRefs } from './_lib/tool-registry-postgres.js';
+
+const sql = postgres(process.env.POSTGRES_URL, {
+  ssl: 'require',
+  max: 1
+});
+
+const MAX_DOCUMENT_LENGTH = 2 * 1024 * 1024;
+
+/**
+ * Parse the document from the request
+ * @returns {{doc: Object}|{error: string}}
+ */
+function parseDocument(document) {
+  if (typeof document === 'object' && document !== null) {
+    return JSON.stringify(document).length > MAX_DOCUMENT_LENGTH
+      ? { error: 'The document is too large' }
+      : { doc: document };
+  }
+
+  const text = String(document).trim();
+  try {
+    return { doc: text.startsWith('{') ? JSON.parse(text) : parseYaml(text) };
+  } catch (error) {
+    return { error: `Could not parse the document: ${error.message}` };
+  }
+}
+
+export default async function handler(req, res) {
+  applyCORS(req, res);
+
+  if (handlePreflightRequest(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const allowed = await applyRateLimit(req, res);
+  if (!allowed) {
+    return;
+  }
+
+  const { sessionToken, document, operations, baseUrl, secretName, save = false } = req.body || {};
+
+  try {
+    validateRequired(req.body || {}, ['sessionToken', 'document']);
+    validateString(sessionToken, 'sessionToken', { minLength: 10, maxLength: 200 });
+    if (typeof document === 'string') {
+      validateString(document, 'document', { maxLength: MAX_DOCUMENT_LENGTH });
+    }
+    if (operations !== undefined && operations !== null) {
+      validateArray(operations, 'operations', {
+        maxLength: MAX_IMPORTED_OPERATIONS,
+        itemValidator: item => validateString(item, 'operation', { maxLength: 500 })
+      });
+    }
+    if (baseUrl) {
+      validateURL(baseUrl, 'baseUrl');
+    }
+    if (secretName) {
+      validateString(secretName, 'secretName', { pattern: TOOL_SECRET_NAME_PATTERN });
+    }
+    validateBoolean(save, 'save');
+  } catch (validationError) {
+    return handleValidationError(validationError, res);
+  }
+
+  const parsed = parseDocument(document);
+  const documentError = parsed.error || validateOpenApiDocument(parsed.doc);
+  if (documentError) {
+    return res.status(400).json({ success: false, error: 'Invalid OpenAPI document', details: documentError });
+  }
+  const doc = parsed.doc;
+
+  if (!operations) {
+    return res.status(200).json({
+      success: true,
+      title: doc.info?.title || null,
+      version: doc.info?.version || null,
+      operations: listOpenApiOperations(doc)
+    });
+  }
+
+  try {
+    const configs = await sql`
+      SELECT tools, tool_secrets
+      FROM student_configs
+      WHERE session_token = ${sessionToken}
+    `;
+
+    if (configs.length === 0) {
+      return res.status(404).json({ success: false, error: 'Configuration not found for this session token' });
+    }
+
+    // Some older configs hold the tools array as a JSON string
+    const stored = typeof configs[0].tools === 'string' ? JSON.parse(configs[0].tools) : configs[0].tools;
+    const existingTools = Array.isArray(stored) ? stored : [];
+    const { tools: resolvedTools } = await resolveToolRefs(sql, existingTools);
+
+    // Generated names get a suffix instead of replacing the student's functions
+    const reservedNames = resolvedTools.map(tool => tool.function?.name || tool.name).filter(Boolean);
+
+    const result = buildToolsFromOpenApi(doc, {
+      operations,
+      baseUrl: baseUrl || null,
+      secretName: secretName || null,
+      reservedNames
+    });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: 'Could not import operations', details: result.error });
+    }
+
+    if (save) {
+      await sql`
+        UPDATE student_configs
+        SET tools = ${sql.json([...existingTools, ...result.tools])},
+            updated_at = NOW()
+        WHERE session_token = ${sessionToken}
+      `;
+      console.log(`🧩 Imported ${result.tools.length} OpenAPI tool(s) for ${sessionToken.substring(0, 20)}...`);
+    }
+
+    const secretNames = listToolSecretNames(configs[0].tool_secrets);
+
+    return res.status(200).json({
+      success: true,
+      tools: result.tools,
+      secrets: result.secrets.map(secret => ({ ...secret, isSet: secretNames.includes(secret.name) })),
+      warnings: result.warnings,
+      saved: save
+    });
+  } catch (error) {
+    console.error('OpenAPI import error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to import OpenAPI operations',
+      details: error.message
+    });
+  }
+}
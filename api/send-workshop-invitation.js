@@ -14,6 +14,7 @@
 
 import sgMail from '@sendgrid/mail';
 import { sql } from '@vercel/postgres';
+import { getApiBaseUrl } from './_lib/deployment-config.js';
 
 export default async function handler(req, res) {
   // Enable CORS
@@ -64,7 +65,7 @@ export default async function handler(req, res) {
     }
 
     // Get configuration from environment variables with defaults
-    const workshopUrl = process.env.WORKSHOP_URL || process.env.VERCEL_URL || 'https://your-workshop-url.vercel.app';
+    const workshopUrl = getApiBaseUrl();
     const instructorEmail = process.env.INSTRUCTOR_EMAIL || 'workshop@example.com';
     const instructorName = process.env.INSTRUCTOR_NAME || 'Workshop Instructor';
     const githubRepo = process.env.GITHUB_REPO_URL || 'https://github.com/geverist/twilio-voice-ai-workshop-vercel';
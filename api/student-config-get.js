@@ -14,6 +14,7 @@ export const config = {
 import postgres from 'postgres';
 import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
 import { decryptApiKey } from './_lib/encryption.js';
+import { resolveToolRefs } from './_lib/tool-registry-postgres.js';
 
 // Create postgres connection
 const sql = postgres(process.env.POSTGRES_URL, {
@@ -83,6 +84,35 @@ export default async function handler(req, res) {
         ci_service_sid,
         enable_persistent_memory,
         memory_retention_days,
+        tool_max_rounds,
+        tool_turn_timeout_ms,
+        tool_filler_phrase,
+        tool_webhook_timeout_ms,
+        tool_webhook_retries,
+        tool_webhook_backoff_ms,
+        ai_provider,
+        ai_model,
+        ai_temperature,
+        ai_max_tokens,
+        ai_base_url,
+        ai_api_key,
+        conversation_states,
+        conversation_phases,
+        slot_schema,
+        dtmf_actions,
+        transfer_destination,
+        context_max_tokens,
+        interruptible,
+        skip_initial_greeting,
+        stt_provider,
+        vad_mode,
+        barge_in_sensitivity,
+        language,
+        speech_model,
+        profanity_filter,
+        speech_hints,
+        report_input_during_agent_speech,
+        welcome_greeting_interruptible,
         created_at,
         updated_at
       FROM student_configs
@@ -113,6 +143,9 @@ export default async function handler(req, res) {
       }
     }
 
+    // Library tools come back resolved (tool_ref kept), so the admin panel can show and edit them
+    const { tools } = await resolveToolRefs(sql, config.tools || []);
+
     console.log(`✅ Config retrieved for: ${config.student_name || 'Unknown'}`);
 
     return res.status(200).json({
@@ -124,7 +157,7 @@ export default async function handler(req, res) {
         twilioAccountSid: config.twilio_account_sid,
         twilioAuthToken: config.twilio_auth_token,
         systemPrompt: config.system_prompt,
-        tools: config.tools || [],
+        tools,
         voiceSettings: config.voice_settings || {},
         useCaseDescription: config.use_case_description,
         callDirection: config.call_direction,
@@ -139,6 +172,35 @@ export default async function handler(req, res) {
         ciServiceSid: config.ci_service_sid,
         enablePersistentMemory: config.enable_persistent_memory,
         memoryRetentionDays: config.memory_retention_days,
+        toolMaxRounds: config.tool_max_rounds,
+        toolTurnTimeoutMs: config.tool_turn_timeout_ms,
+        toolFillerPhrase: config.tool_filler_phrase,
+        toolWebhookTimeoutMs: config.tool_webhook_timeout_ms,
+        toolWebhookRetries: config.tool_webhook_retries,
+        toolWebhookBackoffMs: config.tool_webhook_backoff_ms,
+        aiProvider: config.ai_provider,
+        aiModel: config.ai_model,
+        aiTemperature: config.ai_temperature,
+        aiMaxTokens: config.ai_max_tokens,
+        aiBaseUrl: config.ai_base_url,
+        hasAiApiKey: !!config.ai_api_key,
+        conversationStates: config.conversation_states || [],
+        conversationPhases: config.conversation_phases || [],
+        slotSchema: config.slot_schema || [],
+        dtmfActions: config.dtmf_actions || {},
+        transferDestination: config.transfer_destination,
+        contextMaxTokens: config.context_max_tokens,
+        interruptible: config.interruptible,
+        skipInitialGreeting: config.skip_initial_greeting,
+        sttProvider: config.stt_provider,
+        vadMode: config.vad_mode,
+        bargeInSensitivity: config.barge_in_sensitivity,
+        language: config.language,
+        speechModel: config.speech_model,
+        profanityFilter: config.profanity_filter,
+        speechHints: config.speech_hints,
+        reportInputDuringAgentSpeech: config.report_input_during_agent_speech,
+        welcomeGreetingInterruptible: config.welcome_greeting_interruptible,
         createdAt: config.created_at,
         updatedAt: config.updated_at
       }
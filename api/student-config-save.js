@@ -12,6 +12,7 @@ export const config = {
 import postgres from 'postgres';
 import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
 import { encryptApiKey } from './_lib/encryption.js';
+import { compactToolRefs } from './_lib/tool-registry-postgres.js';
 // import { applyRateLimit } from './_lib/ratelimit.js'; // Temporarily disabled - causing function crashes
 // import {
 //   validateRequired,
@@ -113,6 +114,16 @@ export default async function handler(req, res) {
       });
     }
 
+    // Unchanged library tools are stored as references (tool_ref), not copies
+    const { tools: storedTools, missing: missingTools } = await compactToolRefs(sql, tools || []);
+    if (missingTools.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid tools',
+        details: `Unknown library tools: ${missingTools.join(', ')}`
+      });
+    }
+
     console.log(`💾 Saving config for session: ${sessionToken.substring(0, 8)}...`);
 
     // Encrypt OpenAI API key before storing (if provided)
@@ -255,7 +266,7 @@ export default async function handler(req, res) {
         ${studentEmail || null},
         ${encryptedApiKey},
         ${systemPrompt || null},
-        ${JSON.stringify(tools || [])},
+        ${JSON.stringify(storedTools)},
         ${JSON.stringify(voiceSettings || {})},
         ${useCaseDescription || null},
         ${callDirection || null},
@@ -20,6 +20,22 @@
 import postgres from 'postgres';
 import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
 import { applyRateLimit } from './_lib/ratelimit.js';
+import { encryptApiKey } from './_lib/encryption.js';
+import { isValidTransferDestination } from './_lib/call-control.js';
+import { validateConversationStates } from './_lib/conversation-states.js';
+import { validateConversationPhases } from './_lib/conversation-phases.js';
+import { validateSlotSchema } from './_lib/slot-filling.js';
+import { validateDtmfActions } from './_lib/dtmf.js';
+import {
+  CONVERSATION_RELAY_FIELDS,
+  readConversationRelaySettings,
+  validateConversationRelaySettings
+} from './_lib/conversation-relay.js';
+import { validateToolWebhookDelivery } from './_lib/tool-webhooks.js';
+import { validateToolLoopSettings } from './_lib/conversation-engine.js';
+import { validateContextMaxTokens } from './_lib/context-window.js';
+import { compactToolRefs } from './_lib/tool-registry-postgres.js';
+import { validateAiBaseUrl } from './_lib/llm-providers.js';
 import {
   validateRequired,
   validateString,
@@ -66,7 +82,22 @@ export default async function handler(req, res) {
 
     // Check if config exists
     const existing = await sql`
-      SELECT session_token FROM student_configs
+      SELECT
+        session_token,
+        language,
+        stt_provider,
+        speech_model,
+        interruptible,
+        barge_in_sensitivity,
+        profanity_filter,
+        speech_hints,
+        report_input_during_agent_speech,
+        welcome_greeting_interruptible,
+        skip_initial_greeting,
+        ai_provider,
+        ai_base_url,
+        conversation_states
+      FROM student_configs
       WHERE session_token = ${sessionToken}
     `;
 
@@ -77,6 +108,136 @@ export default async function handler(req, res) {
       });
     }
 
+    // Transfer destination must be dialable (empty clears it)
+    if (updates.transferDestination && !isValidTransferDestination(updates.transferDestination)) {
+      return res.status(400).json({
+        success: false,
+        error: 'transferDestination must be an E.164 phone number (+15551234567) or a SIP URI (sip:agent@example.com)'
+      });
+    }
+
+    // The server calls aiBaseUrl with the student's key, so check it against
+    // the provider it will be used with (empty clears it)
+    if (updates.aiBaseUrl !== undefined || updates.aiProvider !== undefined) {
+      const provider = updates.aiProvider ?? existing[0].ai_provider;
+      const baseUrl = updates.aiBaseUrl !== undefined ? updates.aiBaseUrl : existing[0].ai_base_url;
+      const baseUrlError = baseUrl ? validateAiBaseUrl(provider, baseUrl) : null;
+      if (baseUrlError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid aiBaseUrl',
+          details: baseUrlError
+        });
+      }
+    }
+
+    // Conversation states are run by the server during calls, so reject broken transitions
+    if (updates.conversationStates !== undefined && updates.conversationStates !== null) {
+      const statesError = validateConversationStates(updates.conversationStates);
+      if (statesError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid conversationStates',
+          details: statesError
+        });
+      }
+    }
+
+    if (updates.conversationPhases !== undefined && updates.conversationPhases !== null) {
+      const phasesError = validateConversationPhases(updates.conversationPhases);
+      if (phasesError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid conversationPhases',
+          details: phasesError
+        });
+      }
+    }
+
+    if (updates.slotSchema !== undefined && updates.slotSchema !== null) {
+      const slotError = validateSlotSchema(updates.slotSchema);
+      if (slotError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid slotSchema',
+          details: slotError
+        });
+      }
+    }
+
+    // Keypad actions are run by the server during calls (state actions need an existing state)
+    if (updates.dtmfActions !== undefined && updates.dtmfActions !== null) {
+      const states = updates.conversationStates ?? existing[0].conversation_states;
+      const dtmfError = validateDtmfActions(updates.dtmfActions, Array.isArray(states) ? states : []);
+      if (dtmfError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid dtmfActions',
+          details: dtmfError
+        });
+      }
+    }
+
+    // Unchanged library tools are stored as references (tool_ref), not copies
+    if (updates.tools !== undefined && updates.tools !== null) {
+      const { tools, missing } = await compactToolRefs(sql, updates.tools);
+      if (missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid tools',
+          details: `Unknown library tools: ${missing.join(', ')}`
+        });
+      }
+      updates.tools = tools;
+    }
+
+    const deliveryError = validateToolWebhookDelivery(updates);
+    if (deliveryError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid tool webhook settings',
+        details: deliveryError
+      });
+    }
+
+    const toolLoopError = validateToolLoopSettings(updates);
+    if (toolLoopError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid tool settings',
+        details: toolLoopError
+      });
+    }
+
+    const contextError = validateContextMaxTokens(updates.contextMaxTokens);
+    if (contextError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid contextMaxTokens',
+        details: contextError
+      });
+    }
+
+    // ConversationRelay attributes are checked together with the stored ones,
+    // since Twilio only rejects a bad combination when a call connects
+    if (CONVERSATION_RELAY_FIELDS.some(field => updates[field] !== undefined)) {
+      const relaySettings = { ...readConversationRelaySettings(existing[0]) };
+      for (const field of CONVERSATION_RELAY_FIELDS) {
+        if (updates[field] !== undefined) {
+          relaySettings[field] = updates[field];
+        }
+      }
+
+      const relayError = validateConversationRelaySettings(relaySettings);
+      if (relayError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid ConversationRelay settings',
+          details: relayError
+        });
+      }
+    }
+
     // Build dynamic update query
     const updateFields = [];
     const updateValues = {};
@@ -102,13 +263,32 @@ export default async function handler(req, res) {
       sttProvider: 'stt_provider',
       vadMode: 'vad_mode',
       bargeInSensitivity: 'barge_in_sensitivity',
+      language: 'language',
+      speechModel: 'speech_model',
+      profanityFilter: 'profanity_filter',
+      speechHints: 'speech_hints',
+      reportInputDuringAgentSpeech: 'report_input_during_agent_speech',
+      welcomeGreetingInterruptible: 'welcome_greeting_interruptible',
       aiProvider: 'ai_provider',
       aiModel: 'ai_model',
       aiTemperature: 'ai_temperature',
       aiMaxTokens: 'ai_max_tokens',
+      aiBaseUrl: 'ai_base_url',
+      aiApiKey: 'ai_api_key',
       conversationStates: 'conversation_states',
+      conversationPhases: 'conversation_phases',
+      slotSchema: 'slot_schema',
+      dtmfActions: 'dtmf_actions',
+      transferDestination: 'transfer_destination',
+      contextMaxTokens: 'context_max_tokens',
       enablePersistentMemory: 'enable_persistent_memory',
       memoryRetentionDays: 'memory_retention_days',
+      toolMaxRounds: 'tool_max_rounds',
+      toolTurnTimeoutMs: 'tool_turn_timeout_ms',
+      toolFillerPhrase: 'tool_filler_phrase',
+      toolWebhookTimeoutMs: 'tool_webhook_timeout_ms',
+      toolWebhookRetries: 'tool_webhook_retries',
+      toolWebhookBackoffMs: 'tool_webhook_backoff_ms',
       twilioAccountSid: 'twilio_account_sid',
       twilioAuthToken: 'twilio_auth_token',
       openaiApiKey: 'openai_api_key'
@@ -119,8 +299,11 @@ export default async function handler(req, res) {
       if (updates[camelKey] !== undefined) {
         updateFields.push(dbKey);
         // JSON fields need to be stringified
-        if (dbKey === 'tools' || dbKey === 'voice_settings' || dbKey === 'conversation_states') {
+        if (dbKey === 'tools' || dbKey === 'voice_settings' || dbKey === 'conversation_states' || dbKey === 'conversation_phases' || dbKey === 'slot_schema' || dbKey === 'dtmf_actions') {
           updateValues[dbKey] = JSON.stringify(updates[camelKey]);
+        } else if (dbKey === 'ai_api_key' && updates[camelKey]) {
+          // Provider API keys are stored encrypted, like the OpenAI key
+          updateValues[dbKey] = encryptApiKey(updates[camelKey]);
         } else {
           updateValues[dbKey] = updates[camelKey];
         }
@@ -7,6 +7,8 @@
  * This is WORKSHOP-ONLY for testing. Production code runs on Railway/Render.
  */
 
+import { resolveLLMConfig, validateLLMConfig, createLLMProvider } from './_lib/llm-providers.js';
+
 export default async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -29,7 +31,13 @@ export default async function handler(req, res) {
     const {
       code,
       testMessage,
-      openaiApiKey
+      openaiApiKey,
+      aiProvider,
+      aiModel,
+      aiTemperature,
+      aiMaxTokens,
+      aiBaseUrl,
+      aiApiKey
     } = req.body;
 
     if (!code) {
@@ -46,10 +54,26 @@ export default async function handler(req, res) {
       });
     }
 
-    if (!openaiApiKey) {
+    // Test with the student's own provider settings (never the instructor's key)
+    const llmConfig = resolveLLMConfig({
+      openaiApiKey,
+      aiProvider,
+      aiModel,
+      aiTemperature,
+      aiMaxTokens,
+      aiBaseUrl,
+      aiApiKey
+    });
+
+    if (llmConfig.usingFallbackKey) {
+      llmConfig.apiKey = null;
+    }
+
+    const configError = validateLLMConfig(llmConfig);
+    if (configError) {
       return res.status(400).json({
         success: false,
-        error: 'OpenAI API key is required'
+        error: configError
       });
     }
 
@@ -57,13 +81,11 @@ export default async function handler(req, res) {
     // SIMULATE WEBSOCKET INTERACTION
     // =========================================================================
     // We can't actually run their Node.js code in Vercel serverless,
-    // but we can simulate the WebSocket event flow and test the OpenAI integration
+    // but we can simulate the WebSocket event flow and test the LLM integration
 
     console.log('Testing WebSocket handler with message:', testMessage);
 
-    // Import OpenAI dynamically
-    const OpenAI = (await import('openai')).default;
-    const openai = new OpenAI({ apiKey: openaiApiKey });
+    const llm = createLLMProvider(llmConfig);
 
     // Create a simulated WebSocket message (what ConversationRelay would send)
     const simulatedEvent = {
@@ -87,8 +109,7 @@ export default async function handler(req, res) {
     }
 
     // Test the LLM integration (this is what their WebSocket handler would do)
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    const completion = await llm.streamChat({
       messages: [
         {
           role: 'system',
@@ -98,12 +119,10 @@ export default async function handler(req, res) {
           role: 'user',
           content: testMessage
         }
-      ],
-      max_tokens: 150,
-      temperature: 0.7
+      ]
     });
 
-    const aiResponse = completion.choices[0].message.content;
+    const aiResponse = completion.content || '';
 
     // Create simulated WebSocket response (what their handler would send back)
     const simulatedResponse = {
@@ -119,7 +138,7 @@ export default async function handler(req, res) {
       hasWebSocketSetup: code.includes('ws.on(') || code.includes('ws.addEventListener'),
       hasMessageHandler: code.includes("'message'") || code.includes('"message"'),
       hasPromptCase: code.includes("'prompt'") || code.includes('"prompt"'),
-      hasOpenAI: code.includes('openai') || code.includes('OpenAI'),
+      hasOpenAI: code.includes('openai') || code.includes('OpenAI') || code.includes('anthropic') || code.includes('Anthropic'),
       hasResponseSend: code.includes('ws.send') && code.includes('type:') && code.includes('token:'),
       hasErrorHandling: code.includes('try') && code.includes('catch')
     };
@@ -136,7 +155,9 @@ export default async function handler(req, res) {
         input: simulatedEvent,
         output: simulatedResponse,
         aiResponse: aiResponse,
-        systemPrompt: systemPrompt
+        systemPrompt: systemPrompt,
+        provider: llmConfig.provider,
+        model: llmConfig.model
       },
       validation: {
         passed: allValid,
@@ -148,7 +169,7 @@ export default async function handler(req, res) {
               hasWebSocketSetup: 'Missing WebSocket event listener setup (ws.on or ws.addEventListener)',
               hasMessageHandler: 'Missing message event handler',
               hasPromptCase: 'Missing "prompt" event case handler',
-              hasOpenAI: 'Missing OpenAI integration',
+              hasOpenAI: 'Missing LLM integration (OpenAI or Anthropic)',
               hasResponseSend: 'Missing ws.send() with correct response format (type, token, last)',
               hasErrorHandling: 'Missing error handling (try/catch)'
             };
@@ -171,14 +192,14 @@ export default async function handler(req, res) {
         {
           timestamp: new Date().toISOString(),
           direction: 'processing',
-          event: 'openai_request',
-          description: 'Sending to OpenAI for processing'
+          event: 'llm_request',
+          description: `Sending to ${llmConfig.provider} (${llmConfig.model}) for processing`
         },
         {
           timestamp: new Date().toISOString(),
           direction: 'processing',
-          event: 'openai_response',
-          description: `OpenAI responded: "${aiResponse.substring(0, 50)}..."`
+          event: 'llm_response',
+          description: `${llmConfig.provider} responded: "${aiResponse.substring(0, 50)}..."`
         },
         {
           timestamp: new Date().toISOString(),
@@ -197,8 +218,10 @@ export default async function handler(req, res) {
     let errorHints = [];
 
     if (error.message.includes('API key')) {
-      errorHints.push('Check that your OpenAI API key is valid');
-      errorHints.push('Get a key at https://platform.openai.com/api-keys');
+      errorHints.push(`Check that your ${aiProvider || 'OpenAI'} API key is valid`);
+      if (!aiProvider || aiProvider === 'openai') {
+        errorHints.push('Get a key at https://platform.openai.com/api-keys');
+      }
     } else if (error.message.includes('quota') || error.message.includes('insufficient')) {
       errorHints.push('Your OpenAI account has no credits');
       errorHints.push('Add credits at https://platform.openai.com/account/billing');
@@ -0,0 +1,110 @@
+/**
+ * Tool Analytics API
+ *
+ * GET /api/tool-analytics?sessionToken=xxx
+ * Per-tool call and failure counts across a student's calls, summed from
+ * conversation_sessions.tool_stats (see api/_lib/tool-arguments.js), so
+ * students can spot tools the AI keeps calling with bad arguments.
+ *
+ * Optional query parameters:
+ *   since=ISO date     only calls after this date (default: last 7 days)
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   since: ISO date,
+ *   tools: [{ tool, callsWithTool, calls, invalidJson, invalidArguments, errors, failureRate }]
+ * }
+ */
+
+import postgres from 'postgres';
+import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
+
+const sql = postgres(process.env.POSTGRES_URL, {
+  ssl: 'require',
+  max: 1
+});
+
+const DEFAULT_LOOKBACK_DAYS = 7;
+
+export default async function handler(req, res) {
+  // Apply CORS
+  applyCORS(req, res);
+
+  // Handle preflight
+  if (handlePreflightRequest(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  try {
+    if (!process.env.POSTGRES_URL) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database not configured'
+      });
+    }
+
+    const { sessionToken, since } = req.query;
+
+    if (!sessionToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'sessionToken parameter is required'
+      });
+    }
+
+    const sinceDate = since ? new Date(since) : new Date(Date.now() - DEFAULT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    if (isNaN(sinceDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid since date'
+      });
+    }
+
+    const rows = await sql`
+      SELECT
+        stats.key as "tool",
+        COUNT(*)::int as "callsWithTool",
+        COALESCE(SUM((stats.value->>'calls')::int), 0)::int as "calls",
+        COALESCE(SUM((stats.value->>'invalidJson')::int), 0)::int as "invalidJson",
+        COALESCE(SUM((stats.value->>'invalidArguments')::int), 0)::int as "invalidArguments",
+        COALESCE(SUM((stats.value->>'errors')::int), 0)::int as "errors"
+      FROM conversation_sessions cs
+      CROSS JOIN LATERAL jsonb_each(COALESCE(cs.tool_stats, '{}'::jsonb)) stats
+      WHERE cs.session_token = ${sessionToken}
+        AND cs.started_at >= ${sinceDate}
+      GROUP BY stats.key
+      ORDER BY
+        SUM((stats.value->>'invalidArguments')::int) + SUM((stats.value->>'invalidJson')::int) DESC NULLS LAST,
+        "calls" DESC
+    `;
+
+    const tools = rows.map(row => ({
+      ...row,
+      failureRate: row.calls > 0
+        ? Math.round(((row.invalidJson + row.invalidArguments + row.errors) / row.calls) * 1000) / 1000
+        : 0
+    }));
+
+    return res.status(200).json({
+      success: true,
+      since: sinceDate.toISOString(),
+      tools
+    });
+
+  } catch (error) {
+    console.error('Error fetching tool analytics:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tool analytics',
+      details: error.message
+    });
+  }
+}
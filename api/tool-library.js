@@ -0,0 +1,246 @@
+/**
+ * Tool Library API
+ *
+ * The registry of ready-made tools students can add to their AI (see
+ * api/_lib/tool-registry.js). Student configs reference a tool version
+ * (tool_ref: "book_appointment@1.0.0") instead of copying its schema, and
+ * upgrade to newer versions after reviewing what changed.
+ *
+ * GET /api/tool-library?tag=healthcare
+ *   Latest version of every tool (optionally only one tag).
+ *   Add &sessionToken=xxx to also get the upgrades available for that student.
+ *
+ * GET /api/tool-library?id=book_appointment
+ *   Every published version of one tool, newest first.
+ *
+ * GET /api/tool-library?id=book_appointment&from=1.0.0&to=1.1.0
+ *   What changes between two versions (to defaults to the latest).
+ *
+ * POST /api/tool-library
+ *   { action: 'publish', adminPassword, tool }                  - instructors publish a tool version
+ *   { action: 'add', sessionToken, toolId, version?, webhookUrl? } - add a tool to a student's config
+ *   { action: 'upgrade', sessionToken, toolId, version? }       - move a student's reference to a newer version
+ */
+
+import postgres from 'postgres';
+import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
+import { applyRateLimit } from './_lib/ratelimit.js';
+import {
+  validateRequired,
+  validateString,
+  validateEnum,
+  validateURL,
+  handleValidationError
+} from './_lib/validation.js';
+import {
+  TOOL_ID_PATTERN,
+  parseVersion,
+  formatToolRef,
+  isToolRef,
+  parseToolRef,
+  compareVersions,
+  validateLibraryTool,
+  checkVersionBump,
+  diffToolVersions
+} from './_lib/tool-registry.js';
+import {
+  listLibraryTools,
+  getLibraryToolVersions,
+  publishLibraryTool,
+  listToolUpgrades
+} from './_lib/tool-registry-postgres.js';
+
+const sql = postgres(process.env.POSTGRES_URL, {
+  ssl: 'require',
+  max: 1
+});
+
+const ACTIONS = ['publish', 'add', 'upgrade'];
+
+export default async function handler(req, res) {
+  applyCORS(req, res);
+
+  if (handlePreflightRequest(req, res)) {
+    return;
+  }
+
+  if (req.method === 'GET') {
+    return handleGet(req, res);
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const allowed = await applyRateLimit(req, res);
+  if (!allowed) {
+    return;
+  }
+
+  const body = req.body || {};
+
+  try {
+    validateRequired(body, ['action']);
+    validateEnum(body.action, 'action', ACTIONS);
+    if (body.action !== 'publish') {
+      validateRequired(body, ['sessionToken', 'toolId']);
+      validateString(body.sessionToken, 'sessionToken', { minLength: 10, maxLength: 200 });
+      validateString(body.toolId, 'toolId', { pattern: TOOL_ID_PATTERN });
+    }
+    if (body.version !== undefined && body.version !== null && !parseVersion(body.version)) {
+      return res.status(400).json({ success: false, error: 'Invalid version', details: 'version must be a semantic version like 1.0.0' });
+    }
+    if (body.webhookUrl) {
+      validateURL(body.webhookUrl, 'webhookUrl', { allowedProtocols: ['https'] });
+    }
+  } catch (validationError) {
+    return handleValidationError(validationError, res);
+  }
+
+  try {
+    if (body.action === 'publish') {
+      return await publishTool(body, res);
+    }
+    return await updateStudentTool(body, res);
+  } catch (error) {
+    console.error('Tool library error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Tool library request failed',
+      details: error.message
+    });
+  }
+}
+
+async function handleGet(req, res) {
+  const { tag, id, from, to, sessionToken } = req.query;
+
+  try {
+    if (id) {
+      const versions = await getLibraryToolVersions(sql, id);
+      if (versions.length === 0) {
+        return res.status(404).json({ success: false, error: `Tool ${id} not found` });
+      }
+
+      if (!from) {
+        return res.status(200).json({ success: true, tool: versions[0], versions });
+      }
+
+      const fromTool = versions.find(tool => tool.version === from);
+      const toTool = to ? versions.find(tool => tool.version === to) : versions[0];
+      if (!fromTool || !toTool) {
+        return res.status(404).json({ success: false, error: `Version ${fromTool ? to : from} of ${id} not found` });
+      }
+      return res.status(200).json({ success: true, diff: diffToolVersions(fromTool, toTool) });
+    }
+
+    const tools = await listLibraryTools(sql, { tag: tag || null });
+    if (!sessionToken) {
+      return res.status(200).json({ success: true, tools });
+    }
+
+    const configs = await sql`
+      SELECT tools FROM student_configs WHERE session_token = ${sessionToken}
+    `;
+    const upgrades = configs.length > 0 ? await listToolUpgrades(sql, configs[0].tools) : [];
+    return res.status(200).json({ success: true, tools, upgrades });
+  } catch (error) {
+    console.error('Tool library error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load tool library',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Instructors publish a new tool, or a new version of one
+ */
+async function publishTool({ adminPassword, tool }, res) {
+  if (!process.env.ADMIN_PASSWORD || adminPassword !== process.env.ADMIN_PASSWORD) {
+    console.warn('⚠️  Unauthorized tool publish attempt');
+    return res.status(401).json({ success: false, error: 'Invalid admin password' });
+  }
+
+  const toolError = validateLibraryTool(tool);
+  if (toolError) {
+    return res.status(400).json({ success: false, error: 'Invalid tool', details: toolError });
+  }
+
+  const [latest = null] = await getLibraryToolVersions(sql, tool.id);
+  const versionError = checkVersionBump(latest, tool);
+  if (versionError) {
+    return res.status(409).json({ success: false, error: 'Invalid version', details: versionError });
+  }
+
+  const published = await publishLibraryTool(sql, tool, 'instructor');
+  if (!published) {
+    return res.status(409).json({ success: false, error: 'Invalid version', details: `${formatToolRef(tool.id, tool.version)} already exists` });
+  }
+
+  console.log(`📚 Published ${formatToolRef(tool.id, tool.version)}`);
+
+  return res.status(201).json({
+    success: true,
+    ref: formatToolRef(tool.id, tool.version),
+    diff: latest ? diffToolVersions(latest, tool) : null
+  });
+}
+
+/**
+ * Add a library tool to a student's config, or upgrade the version they use
+ */
+async function updateStudentTool({ action, sessionToken, toolId, version, webhookUrl }, res) {
+  const configs = await sql`
+    SELECT tools FROM student_configs WHERE session_token = ${sessionToken}
+  `;
+  if (configs.length === 0) {
+    return res.status(404).json({ success: false, error: 'Configuration not found for this session token' });
+  }
+
+  const versions = await getLibraryToolVersions(sql, toolId);
+  const target = version ? versions.find(tool => tool.version === version) : versions[0];
+  if (!target) {
+    return res.status(404).json({ success: false, error: `${version ? formatToolRef(toolId, version) : `Tool ${toolId}`} not found` });
+  }
+
+  // Some older configs hold the tools array as a JSON string
+  const stored = typeof configs[0].tools === 'string' ? JSON.parse(configs[0].tools) : configs[0].tools;
+  const tools = Array.isArray(stored) ? stored : [];
+  const index = tools.findIndex(tool =>
+    (isToolRef(tool) && parseToolRef(tool.tool_ref)?.id === toolId) || tool.function?.name === target.schema.name
+  );
+  const ref = formatToolRef(target.id, target.version);
+  let diff = null;
+
+  if (action === 'add') {
+    if (index !== -1) {
+      return res.status(409).json({ success: false, error: `You already have a ${target.schema.name} function` });
+    }
+    tools.push({ type: 'function', tool_ref: ref, ...(webhookUrl ? { webhook_url: webhookUrl } : {}) });
+  } else {
+    const current = index === -1 ? null : parseToolRef(tools[index].tool_ref);
+    if (!current) {
+      return res.status(404).json({ success: false, error: `${toolId} isn't a library tool in your config - add it first` });
+    }
+    if (compareVersions(target.version, current.version) <= 0) {
+      return res.status(409).json({ success: false, error: `Already on ${current.version} (asked for ${target.version})` });
+    }
+
+    const currentTool = versions.find(tool => tool.version === current.version);
+    diff = currentTool ? diffToolVersions(currentTool, target) : null;
+    tools[index] = { ...tools[index], tool_ref: ref };
+  }
+
+  await sql`
+    UPDATE student_configs
+    SET tools = ${sql.json(tools)},
+        updated_at = NOW()
+    WHERE session_token = ${sessionToken}
+  `;
+
+  console.log(`📚 ${action === 'add' ? 'Added' : 'Upgraded to'} ${ref} for ${sessionToken.substring(0, 20)}...`);
+
+  return res.status(200).json({ success: true, ref, diff });
+}
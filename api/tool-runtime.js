@@ -0,0 +1,115 @@
+/**
+ * Built-in Tool Runtime API
+ *
+ * Runs the tool library's tools for the WebSocket handler (see
+ * api/_lib/builtin-tools.js) and lets students see and reset the sandbox
+ * datastore those tools write to.
+ *
+ * POST /api/tool-runtime
+ *   Body: { sessionToken, tool, arguments, conversationSessionId? }
+ *   Runs a built-in tool. Only the workshop's call server may do this
+ *   (Authorization: Bearer <INTERNAL_API_SECRET>) - send_sms texts from the
+ *   student's own Twilio number.
+ *
+ * GET /api/tool-runtime?sessionToken=xxx&kind=appointment
+ *   Sandbox records (appointments, reservations, returns, tickets, texts sent).
+ *
+ * DELETE /api/tool-runtime
+ *   Body: { sessionToken }
+ *   Resets the sandbox (texts sent are kept - they count towards the per-call limit).
+ */
+
+import postgres from 'postgres';
+import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
+import { applyRateLimit } from './_lib/ratelimit.js';
+import {
+  validateRequired,
+  validateString,
+  validateEnum,
+  handleValidationError
+} from './_lib/validation.js';
+import { BUILTIN_TOOL_NAMES, SANDBOX_RECORD_KINDS } from './_lib/builtin-tools.js';
+import { runBuiltinTool, listSandboxRecords, clearSandbox } from './_lib/builtin-tools-postgres.js';
+import { isInternalRequest } from './_lib/student-settings.js';
+
+const sql = postgres(process.env.POSTGRES_URL, {
+  ssl: 'require',
+  max: 1
+});
+
+export default async function handler(req, res) {
+  applyCORS(req, res);
+
+  if (handlePreflightRequest(req, res)) {
+    return;
+  }
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (req.method === 'POST' && !isInternalRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Built-in tools can only be run by the call server' });
+  }
+
+  const allowed = await applyRateLimit(req, res);
+  if (!allowed) {
+    return;
+  }
+
+  const params = req.method === 'GET' ? req.query : req.body || {};
+  const { sessionToken } = params;
+
+  try {
+    validateRequired(params, ['sessionToken']);
+    validateString(sessionToken, 'sessionToken', { minLength: 10, maxLength: 200 });
+    if (req.method === 'POST') {
+      validateRequired(params, ['tool']);
+      validateEnum(params.tool, 'tool', BUILTIN_TOOL_NAMES);
+    }
+    if (req.method === 'GET' && params.kind) {
+      validateEnum(params.kind, 'kind', SANDBOX_RECORD_KINDS);
+    }
+  } catch (validationError) {
+    return handleValidationError(validationError, res);
+  }
+
+  try {
+    const configs = await sql`
+      SELECT 1 FROM student_configs
+      WHERE session_token = ${sessionToken}
+    `;
+    if (configs.length === 0) {
+      return res.status(404).json({ success: false, error: 'Configuration not found for this session token' });
+    }
+
+    if (req.method === 'GET') {
+      const records = await listSandboxRecords(sql, sessionToken, { kind: params.kind || null });
+      return res.status(200).json({ success: true, records });
+    }
+
+    if (req.method === 'DELETE') {
+      const deleted = await clearSandbox(sql, sessionToken);
+      console.log(`🧹 Cleared ${deleted} sandbox record(s) for ${sessionToken.substring(0, 20)}...`);
+      return res.status(200).json({ success: true, deleted });
+    }
+
+    const result = await runBuiltinTool(sql, {
+      sessionToken,
+      tool: params.tool,
+      args: params.arguments,
+      conversationSessionId: params.conversationSessionId || null
+    });
+
+    console.log(`🧰 Built-in tool ${params.tool}: ${result.success === false ? `failed (${result.error})` : 'ok'}`);
+
+    return res.status(200).json({ success: true, result });
+  } catch (error) {
+    console.error('Tool runtime error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Built-in tool failed',
+      details: error.message
+    });
+  }
+}
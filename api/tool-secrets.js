@@ -0,0 +1,114 @@
+/**
+ * Tool Secrets API
+ *
+ * API keys and tokens that imported OpenAPI tools send to the student's REST
+ * API (see api/_lib/tool-secrets.js). Values are stored encrypted and never
+ * returned - only the names of the secrets that are set.
+ *
+ * GET /api/tool-secrets?sessionToken=xxx
+ *   { success, secrets: ['orders_api', ...] }
+ *
+ * POST /api/tool-secrets
+ * Body: {
+ *   sessionToken: string,
+ *   name: string,         // lowercase letters, digits and underscores
+ *   value: string | null  // empty or null removes the secret
+ * }
+ */
+
+import postgres from 'postgres';
+import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
+import { applyRateLimit } from './_lib/ratelimit.js';
+import {
+  validateRequired,
+  validateString,
+  handleValidationError
+} from './_lib/validation.js';
+import { TOOL_SECRET_NAME_PATTERN } from './_lib/tool-http.js';
+import {
+  MAX_TOOL_SECRETS,
+  listToolSecretNames,
+  setToolSecret,
+  deleteToolSecret
+} from './_lib/tool-secrets.js';
+
+const sql = postgres(process.env.POSTGRES_URL, {
+  ssl: 'require',
+  max: 1
+});
+
+async function loadSecretNames(sessionToken) {
+  const configs = await sql`
+    SELECT tool_secrets
+    FROM student_configs
+    WHERE session_token = ${sessionToken}
+  `;
+  return configs.length > 0 ? listToolSecretNames(configs[0].tool_secrets) : null;
+}
+
+export default async function handler(req, res) {
+  applyCORS(req, res);
+
+  if (handlePreflightRequest(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (req.method === 'POST') {
+    const allowed = await applyRateLimit(req, res);
+    if (!allowed) {
+      return;
+    }
+  }
+
+  const input = req.method === 'GET' ? req.query : (req.body || {});
+  const { sessionToken, name, value } = input;
+
+  try {
+    validateRequired(input, ['sessionToken']);
+    validateString(sessionToken, 'sessionToken', { minLength: 10, maxLength: 200 });
+    if (req.method === 'POST') {
+      validateRequired(input, ['name']);
+      validateString(name, 'name', { pattern: TOOL_SECRET_NAME_PATTERN });
+      validateString(value, 'value', { maxLength: 4096, allowEmpty: true });
+    }
+  } catch (validationError) {
+    return handleValidationError(validationError, res);
+  }
+
+  try {
+    const names = await loadSecretNames(sessionToken);
+    if (!names) {
+      return res.status(404).json({ success: false, error: 'Configuration not found for this session token' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ success: true, secrets: names });
+    }
+
+    if (!value) {
+      await deleteToolSecret(sql, sessionToken, name);
+      console.log(`🔑 Removed tool secret ${name} for ${sessionToken.substring(0, 20)}...`);
+      return res.status(200).json({ success: true, secrets: names.filter(secret => secret !== name) });
+    }
+
+    if (!names.includes(name) && names.length >= MAX_TOOL_SECRETS) {
+      return res.status(400).json({ success: false, error: `At most ${MAX_TOOL_SECRETS} tool secrets - remove one first` });
+    }
+
+    await setToolSecret(sql, sessionToken, name, value);
+    console.log(`🔑 Saved tool secret ${name} for ${sessionToken.substring(0, 20)}...`);
+
+    return res.status(200).json({ success: true, secrets: [...new Set([...names, name])].sort() });
+  } catch (error) {
+    console.error('Tool secrets error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update tool secrets',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Tool Webhook Secret API
+ *
+ * Returns the secret a student's tool webhooks are signed with, so they can
+ * verify requests in their webhook (see WEBHOOK_TOOLS.md), or rotates it.
+ *
+ * POST /api/tool-webhook-secret
+ * Body: {
+ *   sessionToken: string,
+ *   rotate?: boolean   // replace the secret (the old one stops working immediately)
+ * }
+ */
+
+import postgres from 'postgres';
+import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
+import { applyRateLimit } from './_lib/ratelimit.js';
+import {
+  validateRequired,
+  validateString,
+  validateBoolean,
+  handleValidationError
+} from './_lib/validation.js';
+import { ensureToolWebhookSecret, rotateToolWebhookSecret } from './_lib/tool-webhook-secret.js';
+
+const sql = postgres(process.env.POSTGRES_URL, {
+  ssl: 'require',
+  max: 1
+});
+
+export default async function handler(req, res) {
+  applyCORS(req, res);
+
+  if (handlePreflightRequest(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const allowed = await applyRateLimit(req, res);
+  if (!allowed) {
+    return;
+  }
+
+  const { sessionToken, rotate = false } = req.body;
+
+  try {
+    validateRequired(req.body, ['sessionToken']);
+    validateString(sessionToken, 'sessionToken', { minLength: 10, maxLength: 200 });
+    validateBoolean(rotate, 'rotate');
+  } catch (validationError) {
+    return handleValidationError(validationError, res);
+  }
+
+  try {
+    const configs = await sql`
+      SELECT tool_webhook_secret
+      FROM student_configs
+      WHERE session_token = ${sessionToken}
+    `;
+
+    if (configs.length === 0) {
+      return res.status(404).json({ success: false, error: 'Configuration not found for this session token' });
+    }
+
+    const secret = rotate
+      ? await rotateToolWebhookSecret(sql, sessionToken)
+      : await ensureToolWebhookSecret(sql, sessionToken, configs[0].tool_webhook_secret);
+
+    if (rotate) {
+      console.log(`🔑 Rotated tool webhook secret for ${sessionToken.substring(0, 20)}...`);
+    }
+
+    return res.status(200).json({ success: true, secret, rotated: rotate });
+  } catch (error) {
+    console.error('Tool webhook secret error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load tool webhook secret',
+      details: error.message
+    });
+  }
+}
@@ -14,6 +14,7 @@
 import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
 import { applyRateLimit } from './_lib/ratelimit.js';
 import postgres from 'postgres';
+import { getCallRoutes } from './_lib/call-routes.js';
 
 // Create postgres connection
 const sql = postgres(process.env.POSTGRES_URL, {
@@ -153,6 +154,14 @@ export default async function handler(req, res) {
       metrics.averageDuration = Math.round(totalCompletedDuration / metrics.answeredCalls);
     }
 
+    // Which WebSocket server handled each call (the student's own handler or the shared one)
+    let routes = {};
+    try {
+      routes = await getCallRoutes(sql, sessionToken, calls.map(call => call.sid));
+    } catch (routeError) {
+      console.warn('  ⚠️ Failed to load call routes:', routeError.message);
+    }
+
     // Format calls for frontend
     const formattedCalls = calls.map(call => ({
       sid: call.sid,
@@ -164,7 +173,8 @@ export default async function handler(req, res) {
       startTime: call.start_time,
       endTime: call.end_time,
       price: call.price,
-      priceUnit: call.price_unit
+      priceUnit: call.price_unit,
+      websocketRoute: routes[call.sid] || null
     }));
 
     // Sort by start time (most recent first)
@@ -19,6 +19,7 @@ import {
   validateString,
   handleValidationError
 } from './_lib/validation.js';
+import { getApiBaseUrl } from './_lib/deployment-config.js';
 
 const sql = postgres(process.env.POSTGRES_URL, {
   ssl: 'require',
@@ -115,10 +116,10 @@ export default async function handler(req, res) {
     const phoneNumberSid = phoneNumbers[0].sid;
     console.log(`  → Phone number SID: ${phoneNumberSid}`);
 
-    // Construct the webhook URL using STABLE production domain
+    // Construct the webhook URL using the stable public API base
     const baseUrl = req.headers.host.includes('localhost')
       ? `http://${req.headers.host}`
-      : `https://twilio-voice-ai-workshop-vercel.vercel.app`;
+      : getApiBaseUrl();
 
     const webhookUrl = `${baseUrl}/api/voice-handler?sessionToken=${encodeURIComponent(sessionToken)}`;
 
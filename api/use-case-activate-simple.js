@@ -156,6 +156,7 @@ export default async function handler(req, res) {
     const voice = customizations?.voice || useCase.voice;
     const ttsProvider = useCase.ttsProvider || 'elevenlabs';
     const tools = customizations?.tools || (useCase.sampleTools ? JSON.parse(useCase.sampleTools) : []);
+    const slotSchema = customizations?.slotSchema || useCase.slotSchema || [];
     const callDirection = useCase.callDirection;
     const useCaseDescription = useCase.description;
 
@@ -168,6 +169,7 @@ export default async function handler(req, res) {
         selected_voice = ${voice},
         tts_provider = ${ttsProvider},
         tools = ${JSON.stringify(tools)},
+        slot_schema = ${JSON.stringify(slotSchema)},
         call_direction = ${callDirection},
         use_case_description = ${useCaseDescription},
         call_direction_chosen = true,
@@ -186,7 +188,8 @@ export default async function handler(req, res) {
         systemPrompt: systemPrompt.substring(0, 100) + '...',
         greeting: greeting,
         voice: voice,
-        toolsCount: tools.length
+        toolsCount: tools.length,
+        slotsCount: slotSchema.length
       }
     });
 
@@ -4,6 +4,10 @@
  * Returns a comprehensive library of pre-built use case templates.
  * This is a static library that doesn't require database setup.
  *
+ * Use cases that collect caller details declare a `slotSchema` (typed slots,
+ * see api/_lib/slot-filling.js) - the call runtime makes sure they are
+ * collected and stores them in call_outcomes.
+ *
  * GET /api/use-cases-library
  */
 
@@ -145,6 +149,13 @@ Always maintain HIPAA compliance - never discuss medical details over the phone.
     greeting: 'Thank you for calling the medical clinic. I can help you schedule an appointment, cancel or reschedule, or answer questions about your upcoming visit. How may I assist you?',
     voice: 'EXAVITQu4vr4xnSDxMaL',
     ttsProvider: 'elevenlabs',
+    slotSchema: [
+      { name: 'patient_name', type: 'string', description: 'Patient full name' },
+      { name: 'date_of_birth', type: 'date', description: 'Patient date of birth' },
+      { name: 'phone', type: 'phone', description: 'Callback number' },
+      { name: 'appointment_date', type: 'date', description: 'Requested appointment date', future: true },
+      { name: 'appointment_type', type: 'enum', options: ['checkup', 'sick visit', 'follow-up', 'cancellation'], description: 'Reason for the call' }
+    ],
     sampleTools: JSON.stringify([
       {
         type: 'function',
@@ -201,6 +212,13 @@ Be warm, welcoming, and remember to mention our cancellation policy (24 hours no
     greeting: 'Welcome to the salon! I can help you book a haircut, spa treatment, or any of our beauty services. What would you like to schedule today?',
     voice: 'EXAVITQu4vr4xnSDxMaL',
     ttsProvider: 'elevenlabs',
+    slotSchema: [
+      { name: 'customer_name', type: 'string', description: 'Customer name' },
+      { name: 'phone', type: 'phone', description: 'Callback number' },
+      { name: 'service', type: 'enum', options: ['haircut', 'color', 'spa treatment', 'nails'], description: 'Service to book' },
+      { name: 'appointment_date', type: 'date', description: 'Appointment date', future: true },
+      { name: 'preferred_stylist', type: 'string', description: 'Preferred stylist', required: false }
+    ],
     sampleTools: JSON.stringify([
       {
         type: 'function',
@@ -260,6 +278,14 @@ Be professional but friendly. Listen carefully to understand their needs. Always
     greeting: 'Hi! I\'m calling from Realty Group about your interest in properties in the area. Do you have a few minutes to discuss your real estate needs?',
     voice: 'pNInz6obpgDQGcFmaJgB',
     ttsProvider: 'elevenlabs',
+    slotSchema: [
+      { name: 'customer_name', type: 'string', description: 'Prospect name' },
+      { name: 'phone', type: 'phone', description: 'Best number for the agent to call back' },
+      { name: 'intent', type: 'enum', options: ['buying', 'selling', 'renting', 'not interested'], description: 'What the prospect wants to do' },
+      { name: 'location', type: 'string', description: 'Preferred area' },
+      { name: 'budget', type: 'string', description: 'Budget range', required: false },
+      { name: 'showing_date', type: 'date', description: 'Preferred showing date', future: true, required: false }
+    ],
     sampleTools: JSON.stringify([
       {
         type: 'function',
@@ -10,6 +10,15 @@
 import twilio from 'twilio';
 import postgres from 'postgres';
 import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
+import {
+  readConversationRelaySettings,
+  validateConversationRelaySettings,
+  buildConversationRelayAttributes
+} from './_lib/conversation-relay.js';
+import { getApiBaseUrl, getSharedWebSocketUrl } from './_lib/deployment-config.js';
+import { selectWebSocketTarget } from './_lib/websocket-routing.js';
+import { recordCallRoute } from './_lib/call-routes.js';
+import { validateTwilioWebhook } from './_lib/twilio-webhook.js';
 
 const VoiceResponse = twilio.twiml.VoiceResponse;
 
@@ -62,16 +71,25 @@ export default async function handler(req, res) {
     return;
   }
 
-  try {
-    // Get sessionToken from query params (for identifying the student)
-    const sessionToken = req.query.sessionToken || null;
+  // Get sessionToken from query params (for identifying the student)
+  const sessionToken = req.query.sessionToken || null;
+
+  // Only Twilio may fetch this TwiML
+  const verified = await validateTwilioWebhook(req, res, { sql, sessionToken });
+  if (!verified) {
+    return;
+  }
 
+  try {
     // Default configuration
     let voice = 'Polly.Joanna-Neural';
     let welcomeGreeting = 'Hello! I am your AI assistant. How can I help you today?';
     let ttsProvider = 'elevenlabs';
     let selectedVoice = 'Xb7hH8MSUJpSbSDYk0k2'; // ElevenLabs default (Alice)
     let ciServiceSid = null; // Intelligence Service SID
+    let relaySettings = {}; // Language, speech-to-text and interruption settings
+    let studentUrls = {}; // Student's own WebSocket server, if any
+    let studentDeployed = false; // Their handler is marked as deployed (step 5 / step 9)
 
     // Fetch student's configuration if sessionToken is provided
     if (sessionToken) {
@@ -82,7 +100,22 @@ export default async function handler(req, res) {
             tts_provider,
             selected_voice,
             ivr_greeting,
-            ci_service_sid
+            ci_service_sid,
+            websocket_url,
+            railway_url,
+            codespace_url,
+            step5_deployed,
+            project_deployed,
+            language,
+            stt_provider,
+            speech_model,
+            interruptible,
+            barge_in_sensitivity,
+            profanity_filter,
+            speech_hints,
+            report_input_during_agent_speech,
+            welcome_greeting_interruptible,
+            skip_initial_greeting
           FROM student_configs
           WHERE session_token = ${sessionToken}
         `;
@@ -101,6 +134,21 @@ export default async function handler(req, res) {
           selectedVoice = config.selected_voice || 'Xb7hH8MSUJpSbSDYk0k2';
           welcomeGreeting = config.ivr_greeting || welcomeGreeting;
           ciServiceSid = config.ci_service_sid || null;
+          studentUrls = {
+            websocketUrl: config.websocket_url,
+            railwayUrl: config.railway_url,
+            codespaceUrl: config.codespace_url
+          };
+          studentDeployed = config.step5_deployed === true || config.project_deployed === true;
+
+          // Settings saved before validation existed may be invalid - connect with
+          // Twilio's defaults rather than failing the call
+          relaySettings = readConversationRelaySettings(config);
+          const relayError = validateConversationRelaySettings(relaySettings);
+          if (relayError) {
+            console.warn(`⚠️  Ignoring invalid ConversationRelay settings: ${relayError}`);
+            relaySettings = {};
+          }
 
           // Map TTS provider and voice to ConversationRelay format
           voice = mapVoiceToConversationRelay(ttsProvider, selectedVoice);
@@ -126,22 +174,33 @@ export default async function handler(req, res) {
     // Use ConversationRelay to connect call to AI
     // Set action callback for when Connect ends (call completes)
     const connect = twiml.connect({
-      action: `https://twilio-voice-ai-workshop-vercel.vercel.app/api/call-status-callback?sessionToken=${sessionToken || ''}`
+      action: `${getApiBaseUrl()}/api/call-status-callback?sessionToken=${sessionToken || ''}`
     });
 
-    // ConversationRelay configuration - pointing to Railway WebSocket server
-    const relayConfig = {
-      url: `wss://workshop-websocket-server-production.up.railway.app/ws/${sessionToken || ''}`,
-      voice: voice,
-      welcomeGreeting: welcomeGreeting,
-      dtmfDetection: true
-    };
+    // The student's own deployed handler if it's up, otherwise the shared server
+    const route = sessionToken
+      ? await selectWebSocketTarget({ sessionToken, studentDeployed, studentUrls })
+      : { url: getSharedWebSocketUrl(null), target: 'shared', reason: 'No sessionToken' };
 
-    // Add Intelligence Service if configured
-    if (ciServiceSid) {
-      relayConfig.intelligenceService = ciServiceSid;
+    console.log(`🔀 WebSocket target: ${route.target} (${route.reason})`);
+
+    if (sessionToken) {
+      const callSid = req.body?.CallSid || req.query.CallSid || null;
+      try {
+        await recordCallRoute(sql, { ...route, callSid, sessionToken });
+      } catch (routeError) {
+        console.warn('⚠️  Failed to record call route:', routeError.message);
+      }
     }
 
+    // ConversationRelay configuration
+    const relayConfig = buildConversationRelayAttributes(relaySettings, {
+      url: route.url,
+      voice: voice,
+      welcomeGreeting: welcomeGreeting,
+      intelligenceService: ciServiceSid
+    });
+
     const conversationRelay = connect.conversationRelay(relayConfig);
 
     // Set response headers for TwiML
@@ -150,8 +209,9 @@ export default async function handler(req, res) {
     res.status(200).send(twimlString);
 
     console.log(`✅ Generated TwiML for session: ${sessionToken || 'anonymous'}`);
+    console.log(`🔌 WebSocket: ${relayConfig.url}`);
     console.log(`🎤 FINAL VOICE USED: "${voice}"`);
-    console.log(`💬 FINAL GREETING: "${welcomeGreeting.substring(0, 50)}..."`);
+    console.log(`💬 FINAL GREETING: ${relayConfig.welcomeGreeting ? `"${welcomeGreeting.substring(0, 50)}..."` : '(skipped - AI waits for caller)'}`);
     console.log(`📝 TwiML (first 500 chars): ${twimlString.substring(0, 500)}`);
 
   } catch (error) {
@@ -4,11 +4,26 @@
  * Handles outbound calls initiated from Twilio Client SDK (browser)
  * Returns TwiML to dial the specified number
  *
+ * Only Twilio may call this (signed by the TwiML App's account - see
+ * api/_lib/twilio-webhook.js), and only E.164 phone numbers are dialed,
+ * from the student's own number (or TWILIO_PHONE_NUMBER).
+ *
  * POST /api/voice-outbound
- * Body: { To: phoneNumber }
+ * Body: { To: phoneNumber, sessionToken: string } (Device.connect params)
  */
 
+import twilio from 'twilio';
+import postgres from 'postgres';
 import { applyCORS, handlePreflightRequest } from './_lib/cors.js';
+import { validatePhoneNumber } from './_lib/validation.js';
+import { validateTwilioWebhook } from './_lib/twilio-webhook.js';
+
+const VoiceResponse = twilio.twiml.VoiceResponse;
+
+const sql = postgres(process.env.POSTGRES_URL, {
+  ssl: 'require',
+  max: 1
+});
 
 export default async function handler(req, res) {
   applyCORS(req, res);
@@ -18,38 +33,59 @@ export default async function handler(req, res) {
   }
 
   if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
   }
 
+  const { To, sessionToken } = req.body || {};
+
+  const verified = await validateTwilioWebhook(req, res, { sql, sessionToken: sessionToken || null });
+  if (!verified) {
+    return;
+  }
+
+  const twiml = new VoiceResponse();
+  res.setHeader('Content-Type', 'text/xml');
+
   try {
-    const { To } = req.body;
+    try {
+      validatePhoneNumber(To, 'To');
+    } catch (validationError) {
+      console.warn(`⚠️  Refusing browser call to invalid number: ${String(To).substring(0, 40)}`);
+      twiml.say('Sorry, that number cannot be dialed. Please enter a full phone number, starting with the country code.');
+      return res.status(200).send(twiml.toString());
+    }
+
+    let callerId = process.env.TWILIO_PHONE_NUMBER || null;
+    if (sessionToken) {
+      const configs = await sql`
+        SELECT selected_phone_number
+        FROM student_configs
+        WHERE session_token = ${sessionToken}
+        LIMIT 1
+      `;
+      callerId = configs[0]?.selected_phone_number || callerId;
+    }
 
-    if (!To) {
-      return res.status(400).send('Missing "To" parameter');
+    if (!callerId) {
+      console.warn('⚠️  No caller ID available for browser call');
+      twiml.say('Sorry, no phone number is configured to call from. Please select a phone number in the Settings tab.');
+      return res.status(200).send(twiml.toString());
     }
 
-    console.log(`📞 Browser call initiated to: ${To}`);
+    console.log(`📞 Browser call initiated to: ${To} (from ${callerId})`);
 
     // Generate TwiML to dial the number
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-  <Dial callerId="${process.env.TWILIO_PHONE_NUMBER || To}">
-    <Number>${To}</Number>
-  </Dial>
-</Response>`;
+    const dial = twiml.dial({ callerId });
+    dial.number(To);
 
-    res.setHeader('Content-Type', 'text/xml');
-    return res.status(200).send(twiml);
+    return res.status(200).send(twiml.toString());
 
   } catch (error) {
     console.error('Outbound call error:', error);
 
-    const errorTwiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-  <Say>We're sorry, but we could not complete your call. Please try again later.</Say>
-</Response>`;
+    const errorTwiml = new VoiceResponse();
+    errorTwiml.say('We\'re sorry, but we could not complete your call. Please try again later.');
 
-    res.setHeader('Content-Type', 'text/xml');
-    return res.status(500).send(errorTwiml);
+    return res.status(500).send(errorTwiml.toString());
   }
 }
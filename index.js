@@ -1,9 +1,9 @@
 /**
- * WebSocket Handler for Real-Time Voice AI (Node.js/Express)
+ * WebSocket Handler for Real-Time Voice AI (Node.js)
  *
  * ⚠️ IMPORTANT: WebSocket servers cannot run on Twilio Serverless!
  * This code is designed to run on:
- * - Your own server (Node.js + Express)
+ * - Your own server (Node.js)
  * - Heroku, Railway, Render, or similar platforms
  * - The GitHub repository you'll clone for this workshop
  *
@@ -20,26 +20,45 @@
  * - Interruption handling (when caller speaks over AI)
  * - TTS generation and audio playback
  * Your code just focuses on: receive text → process with AI → send text back
+ *
+ * The call loop (setup/prompt/dtmf/interrupt, history, tools) is the same
+ * conversation engine the workshop runs: api/_lib/conversation-engine.js
  */
 
-const express = require('express');
-const { WebSocketServer } = require('ws');
-const OpenAI = require('openai');
+import http from 'http';
+import { WebSocketServer } from 'ws';
+import { createConversationEngine } from './api/_lib/conversation-engine.js';
 
-const app = express();
 const port = process.env.PORT || 3000;
 
 // ============================================================================
-// STEP 1: Initialize OpenAI Client
+// STEP 1: Choose your AI settings
 // ============================================================================
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY // Store API key in environment variable
-});
+// API keys are read from environment variables (OPENAI_API_KEY by default).
+// Set AI_PROVIDER / AI_MODEL to use Anthropic, Gemini or any OpenAI-compatible API.
+const settingsOverrides = {
+  systemPrompt: process.env.SYSTEM_PROMPT || 'You are a helpful voice assistant. Keep responses brief and conversational since they will be spoken aloud.',
+  ...(process.env.AI_PROVIDER ? { aiProvider: process.env.AI_PROVIDER } : {}),
+  ...(process.env.AI_MODEL ? { aiModel: process.env.AI_MODEL } : {}),
+  ...(process.env.LLM_BASE_URL ? { aiBaseUrl: process.env.LLM_BASE_URL } : {}),
+  // Signs requests to your tools' webhook_url (verify them with verifyToolWebhookSignature)
+  ...(process.env.TOOL_WEBHOOK_SECRET ? { toolWebhookSecret: process.env.TOOL_WEBHOOK_SECRET } : {})
+};
 
 // ============================================================================
-// STEP 2: Create HTTP Server
+// STEP 2: Create HTTP Server (with health check endpoint)
 // ============================================================================
-const server = app.listen(port, () => {
+const server = http.createServer((req, res) => {
+  if (req.url === '/health') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status: 'healthy', websocket: 'ready' }));
+    return;
+  }
+  res.writeHead(404);
+  res.end();
+});
+
+server.listen(port, () => {
   console.log('[SERVER] WebSocket server running on port ' + port);
 });
 
@@ -56,143 +75,32 @@ console.log('[SERVER] WebSocket server ready at ws://localhost:' + port + '/webs
 // ============================================================================
 // STEP 4: Handle WebSocket Connections
 // ============================================================================
-wss.on('connection', (ws) => {
+// Twilio ConversationRelay sends JSON messages with different types:
+// - 'setup': Initial connection with call metadata
+// - 'prompt': Caller spoke (speech-to-text result) → AI response is streamed back
+// - 'dtmf': Keypad button pressed
+// - 'interrupt': Caller interrupted the AI mid-sentence → generation is cancelled
+//
+// The engine handles every event; this file only connects it to the socket.
+wss.on('connection', (ws, req) => {
   console.log('[WEBSOCKET] New connection from Twilio ConversationRelay');
 
-  // --------------------------------------------------------------------------
-  // Event: MESSAGE - Handle incoming messages from Twilio
-  // --------------------------------------------------------------------------
-  // Twilio ConversationRelay sends JSON messages with different types:
-  // - 'setup': Initial connection with call metadata
-  // - 'prompt': Caller spoke (speech-to-text result)
-  // - 'dtmf': Keypad button pressed
-  // - 'interrupt': Caller interrupted the AI mid-sentence
-  ws.on('message', async (data) => {
-    try {
-      const message = JSON.parse(data.toString());
-      console.log('[EVENT] Received event:', message.type);
-
-      switch (message.type) {
-        // ----------------------------------------------------------------------
-        // Event: SETUP - Session initialization with call metadata
-        // ----------------------------------------------------------------------
-        case 'setup':
-          console.log('[CALL] Setup received:');
-          console.log('  Session ID:', message.sessionId);
-          console.log('  Call SID:', message.callSid);
-          console.log('  From:', message.from);
-          console.log('  To:', message.to);
-          console.log('  Direction:', message.direction);
-
-          // Optional: Store session info for analytics/logging
-          // This is useful for Conversational Intelligence integration
-          break;
-
-        // ----------------------------------------------------------------------
-        // Event: PROMPT - Caller spoke, we got their words as text
-        // ----------------------------------------------------------------------
-        case 'prompt':
-          console.log('[PROMPT] Caller said:', message.voicePrompt);
-          console.log('  Language:', message.lang);
-          console.log('  Is final:', message.last);
-
-          // ====================================================================
-          // AI PROCESSING: Send transcript to your LLM for intelligent response
-          // ====================================================================
-          // You can use ANY LLM here: OpenAI, Anthropic, Google, local models, etc.
-          // Twilio handles all the audio (STT/TTS) - you just process text!
-          try {
-            const completion = await openai.chat.completions.create({
-              model: 'gpt-4o-mini',  // Fast, affordable model (good for voice)
-              messages: [
-                {
-                  role: 'system',
-                  content: 'You are a helpful voice assistant. Keep responses brief and conversational since they will be spoken aloud.'
-                },
-                {
-                  role: 'user',
-                  content: message.voicePrompt
-                }
-              ],
-              max_tokens: 150  // Limit response length for voice (faster TTS)
-            });
-
-            const aiResponse = completion.choices[0].message.content;
-            console.log('[AI] AI response:', aiResponse);
-
-            // ==================================================================
-            // Send AI response back to Twilio → Twilio speaks it to caller
-            // ==================================================================
-            ws.send(JSON.stringify({
-              type: 'text',
-              token: aiResponse,
-              last: true  // Indicates this is the complete response
-            }));
-
-          } catch (aiError) {
-            console.error('[ERROR] LLM API error:', aiError);
-
-            // Send error response to caller
-            ws.send(JSON.stringify({
-              type: 'text',
-              token: 'I apologize, I encountered an error processing your request.',
-              last: true
-            }));
-          }
-          break;
-
-        // ----------------------------------------------------------------------
-        // Event: DTMF - Caller pressed a keypad button
-        // ----------------------------------------------------------------------
-        case 'dtmf':
-          console.log('[DTMF] Keypad digit pressed:', message.digit);
-
-          // Handle keypad input (useful for IVR-style menus)
-          // Example: Press 1 for sales, 2 for support, etc.
-          break;
-
-        // ----------------------------------------------------------------------
-        // Event: INTERRUPT - Caller interrupted the AI
-        // ----------------------------------------------------------------------
-        case 'interrupt':
-          console.log('[INTERRUPT] Caller interrupted at:', message.utteranceUntilInterrupt);
-          console.log('  Duration until interrupt:', message.durationUntilInterruptMs, 'ms');
-
-          // Handle interruption (you may want to cancel any pending LLM requests)
-          break;
-
-        // ----------------------------------------------------------------------
-        // Unknown events (log for debugging)
-        // ----------------------------------------------------------------------
-        default:
-          console.log('[EVENT] Unknown event type:', message.type);
-      }
-
-    } catch (parseError) {
-      console.error('[ERROR] Error parsing message:', parseError);
-    }
-  });
-
-  // --------------------------------------------------------------------------
-  // Event: ERROR - WebSocket connection error
-  // --------------------------------------------------------------------------
-  ws.on('error', (error) => {
-    console.error('❌ WebSocket error:', error);
-  });
-
-  // --------------------------------------------------------------------------
-  // Event: CLOSE - WebSocket connection closed
-  // --------------------------------------------------------------------------
-  ws.on('close', () => {
-    console.log('[WEBSOCKET] Connection closed');
+  const url = new URL(req.url, `http://localhost:${port}`);
+
+  const engine = createConversationEngine({
+    transport: {
+      send: (data) => ws.send(data),
+      close: () => ws.close()
+    },
+    sessionToken: url.searchParams.get('sessionToken'),
+    // Optional: set WORKSHOP_API_URL to save transcripts to the workshop dashboard
+    apiBaseUrl: process.env.WORKSHOP_API_URL || null,
+    settingsOverrides
   });
-});
 
-// ============================================================================
-// STEP 5: Health Check Endpoint (Optional but recommended)
-// ============================================================================
-app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', websocket: 'ready' });
+  ws.on('message', (data) => engine.handleMessage(data));
+  ws.on('close', () => engine.handleClose());
+  ws.on('error', (error) => engine.handleError(error));
 });
 
 // ============================================================================
@@ -207,4 +115,4 @@ app.get('/health', (req, res) => {
 //    - Your own VPS
 // 3. Set environment variable: OPENAI_API_KEY=your_key_here
 // 4. Update your ConversationRelay TwiML with the deployed WSS URL:
-//    wss://your-app.railway.app/websocket-handler
\ No newline at end of file
+//    wss://your-app.railway.app/websocket-handler
@@ -84,6 +84,12 @@ function renderAdminPhases() {
                   <div style="font-size: 13px; color: #333; margin-top: 5px;">${phase.gateConditions}</div>
                 </div>
               ` : ''}
+              ${phase.gate?.type === 'slots' ? `
+                <div style="margin-top: 10px;">
+                  <strong style="font-size: 12px; color: #666;">Required Details:</strong>
+                  <div style="font-size: 13px; color: #333; margin-top: 5px;">${phase.gate.slots.join(', ')}</div>
+                </div>
+              ` : ''}
             </div>
           </details>
         </div>
@@ -170,12 +176,21 @@ function editAdminPhase(index) {
     ? prompt('Gate Conditions (When to advance to next phase?):', phase.gateConditions)
     : '';
 
+  // Optional structured gate: advance once these details are collected
+  const gateSlots = index < adminConversationPhases.length - 1 && gateConditions !== null
+    ? prompt('Required details (optional, comma-separated, e.g. "name, phone"). Leave blank to let the AI judge the gate conditions:', phase.gate?.slots?.join(', ') || '')
+    : null;
+
   adminConversationPhases[index].name = name;
   adminConversationPhases[index].description = description;
   adminConversationPhases[index].instructions = instructions;
   if (gateConditions !== null) {
     adminConversationPhases[index].gateConditions = gateConditions;
   }
+  if (gateSlots !== null) {
+    const slots = gateSlots.split(',').map(slot => slot.trim()).filter(Boolean);
+    adminConversationPhases[index].gate = slots.length > 0 ? { type: 'slots', slots } : { type: 'llm' };
+  }
 
   renderAdminPhases();
 }
@@ -1,9 +1,13 @@
 // =========================================================================
-// PERSISTENT MEMORY MANAGEMENT (OpenAI Assistants)
+// PERSISTENT MEMORY MANAGEMENT (caller_memories)
 // =========================================================================
 
+// Remembered callers (from /api/caller-memories)
 let memoryThreads = [];
 
+// Memories shown by viewCallerMemories, by phone number
+const callerMemoryCache = {};
+
 /**
  * Initialize memory settings
  */
@@ -32,7 +36,7 @@ async function togglePersistentMemory() {
     alert(`✅ Persistent memory ${enabled ? 'enabled' : 'disabled'}`);
 
     if (enabled) {
-      // Load threads when enabled
+      // Load remembered callers when enabled
       await loadMemoryThreads();
     }
   } catch (error) {
@@ -60,7 +64,7 @@ async function updateMemoryRetention() {
 }
 
 /**
- * Load all memory threads for this session
+ * Load every remembered caller for this session
  */
 async function loadMemoryThreads() {
   const btn = document.getElementById('loadThreadsBtn');
@@ -74,14 +78,14 @@ async function loadMemoryThreads() {
   document.getElementById('threadsEmpty').style.display = 'none';
 
   try {
-    const response = await fetch(`${API_BASE}/api/memory-threads?sessionToken=${SESSION_TOKEN}`);
+    const response = await fetch(`${API_BASE}/api/caller-memories?sessionToken=${SESSION_TOKEN}`);
     const data = await response.json();
 
     if (!data.success) {
-      throw new Error(data.error || 'Failed to load memory threads');
+      throw new Error(data.error || 'Failed to load caller memory');
     }
 
-    memoryThreads = data.threads || [];
+    memoryThreads = data.callers || [];
 
     document.getElementById('threadsLoading').style.display = 'none';
 
@@ -92,46 +96,61 @@ async function loadMemoryThreads() {
       document.getElementById('threadsContent').style.display = 'block';
     }
 
+    await checkLegacyThreads();
+
   } catch (error) {
-    console.error('Memory threads error:', error);
+    console.error('Caller memory error:', error);
     document.getElementById('threadsLoading').style.display = 'none';
-    alert('❌ Failed to load memory threads: ' + error.message);
+    alert('❌ Failed to load caller memory: ' + error.message);
   } finally {
     if (btn) {
       btn.disabled = false;
-      btn.textContent = '🔄 Reload Threads';
+      btn.textContent = '🔄 Reload Memory';
     }
   }
 }
 
 /**
- * Render memory threads list
+ * Escape text (summaries and facts come from callers) before rendering it
+ */
+function escapeMemoryText(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML;
+}
+
+/**
+ * Render the list of remembered callers
  */
 function renderMemoryThreads() {
   const threadsList = document.getElementById('threadsList');
 
-  threadsList.innerHTML = memoryThreads.map(thread => {
-    const lastInteraction = new Date(thread.last_interaction);
-    const created = new Date(thread.created_at);
+  threadsList.innerHTML = memoryThreads.map((caller, index) => {
+    const facts = caller.facts || [];
 
     return `
       <div class="setting-card" style="margin-bottom: 15px; border-left: 4px solid #8b5cf6;">
         <div style="display: flex; justify-content: space-between; align-items: start;">
           <div style="flex: 1;">
             <h3 style="margin: 0 0 5px 0; color: #8b5cf6; font-size: 16px;">
-              📞 ${thread.phone_number}
+              📞 ${escapeMemoryText(caller.phoneNumber)}
             </h3>
             <div style="font-size: 13px; color: #666; margin-top: 8px;">
-              <div><strong>Thread ID:</strong> <span style="font-family: monospace; font-size: 12px;">${thread.thread_id}</span></div>
-              <div style="margin-top: 5px;"><strong>Messages:</strong> ${thread.message_count || 0}</div>
-              <div style="margin-top: 5px;"><strong>Last interaction:</strong> ${formatDateTime(lastInteraction)}</div>
-              <div style="margin-top: 5px;"><strong>Created:</strong> ${formatDateTime(created)}</div>
+              <div><strong>Last call:</strong> ${escapeMemoryText(caller.lastSummary || '—')}</div>
+              <div style="margin-top: 5px;"><strong>Known facts:</strong> ${facts.length > 0 ? facts.map(escapeMemoryText).join(' • ') : 'none'}</div>
+              <div style="margin-top: 5px;"><strong>Memories:</strong> ${caller.memoryCount}</div>
+              <div style="margin-top: 5px;"><strong>Last remembered:</strong> ${formatDateTime(new Date(caller.lastRememberedAt))}</div>
             </div>
+            <div id="callerMemories-${index}" style="margin-top: 10px;"></div>
           </div>
-          <div>
-            <button onclick="deleteMemoryThread('${thread.phone_number}')"
+          <div style="display: flex; flex-direction: column; gap: 8px;">
+            <button onclick="viewCallerMemories(memoryThreads[${index}].phoneNumber)"
+                    style="padding: 8px 16px; font-size: 13px; cursor: pointer; background: #8b5cf6; color: white; border: none; border-radius: 6px;">
+              🔍 View / Edit
+            </button>
+            <button onclick="deleteMemoryThread(memoryThreads[${index}].phoneNumber)"
                     style="padding: 8px 16px; font-size: 13px; cursor: pointer; background: #ef4444; color: white; border: none; border-radius: 6px;">
-              🗑️ Delete Memory
+              🗑️ Forget Caller
             </button>
           </div>
         </div>
@@ -141,12 +160,147 @@ function renderMemoryThreads() {
 
   // Update stats
   document.getElementById('totalThreadsCount').textContent = memoryThreads.length;
-  const totalMessages = memoryThreads.reduce((sum, t) => sum + (t.message_count || 0), 0);
-  document.getElementById('totalMessagesCount').textContent = totalMessages;
+  const totalMemories = memoryThreads.reduce((sum, caller) => sum + (caller.memoryCount || 0), 0);
+  document.getElementById('totalMessagesCount').textContent = totalMemories;
+}
+
+/**
+ * Show every stored memory of one caller, with edit/delete buttons
+ */
+async function viewCallerMemories(phoneNumber) {
+  const index = memoryThreads.findIndex(caller => caller.phoneNumber === phoneNumber);
+  const container = document.getElementById(`callerMemories-${index}`);
+
+  try {
+    const response = await fetch(
+      `${API_BASE}/api/caller-memories?sessionToken=${SESSION_TOKEN}&phoneNumber=${encodeURIComponent(phoneNumber)}`
+    );
+    const data = await response.json();
+
+    if (!data.success) {
+      throw new Error(data.error || 'Failed to load memories');
+    }
+
+    const sourceLabels = { call: '📞 Call', manual: '✏️ Added by hand', openai_thread: '📥 Imported thread' };
+
+    container.innerHTML = data.memories.map(memory => `
+      <div style="background: #f8f9fa; border-radius: 6px; padding: 10px; margin-top: 8px; font-size: 13px;">
+        <div style="color: #999; font-size: 12px;">
+          ${formatDateTime(new Date(memory.createdAt))} · ${sourceLabels[memory.source] || escapeMemoryText(memory.source)}${memory.lastInteractionAt ? ` (last call ${formatDateTime(new Date(memory.lastInteractionAt))})` : ''}
+        </div>
+        <div style="margin-top: 5px;">${escapeMemoryText(memory.summary || '—')}</div>
+        <div style="margin-top: 5px; color: #666;"><strong>Facts:</strong> ${(memory.facts || []).length > 0 ? memory.facts.map(escapeMemoryText).join(' • ') : 'none'}</div>
+        <div style="margin-top: 8px;">
+          <button onclick="editCallerMemory('${memory.id}')" style="padding: 4px 10px; font-size: 12px; cursor: pointer;">✏️ Edit</button>
+          <button onclick="deleteCallerMemory('${memory.id}')" style="padding: 4px 10px; font-size: 12px; cursor: pointer;">🗑️ Delete</button>
+        </div>
+      </div>
+    `).join('') + `
+      <button onclick="addCallerMemory(memoryThreads[${index}].phoneNumber)" style="margin-top: 8px; padding: 4px 10px; font-size: 12px; cursor: pointer;">
+        ➕ Add Memory
+      </button>
+    `;
+
+    callerMemoryCache[phoneNumber] = data.memories;
+  } catch (error) {
+    alert('❌ Failed to load memories: ' + error.message);
+  }
+}
+
+/**
+ * Parse facts typed into a prompt (one per line, or separated by ;)
+ */
+function parseFactsInput(text) {
+  return text.split(/[\n;]/).map(fact => fact.trim()).filter(Boolean);
+}
+
+/**
+ * Send a memory change to the API and refresh the caller's list
+ */
+async function sendCallerMemoryChange(method, body, phoneNumber) {
+  const response = await fetch(`${API_BASE}/api/caller-memories`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionToken: SESSION_TOKEN, ...body })
+  });
+  const data = await response.json();
+
+  if (!data.success) {
+    throw new Error(data.error || 'Request failed');
+  }
+
+  await loadMemoryThreads();
+  if (phoneNumber && memoryThreads.some(caller => caller.phoneNumber === phoneNumber)) {
+    await viewCallerMemories(phoneNumber);
+  }
+}
+
+/**
+ * Edit a memory's summary and facts
+ */
+async function editCallerMemory(memoryId) {
+  const phoneNumber = Object.keys(callerMemoryCache)
+    .find(number => callerMemoryCache[number].some(memory => memory.id === memoryId));
+  const memory = callerMemoryCache[phoneNumber].find(m => m.id === memoryId);
+
+  const summary = prompt('Summary of this call:', memory.summary || '');
+  if (summary === null) {
+    return;
+  }
+
+  const factsText = prompt('Facts about the caller (separate with ;):', (memory.facts || []).join('; '));
+  if (factsText === null) {
+    return;
+  }
+
+  try {
+    await sendCallerMemoryChange('PUT', { memoryId, summary, facts: parseFactsInput(factsText) }, phoneNumber);
+  } catch (error) {
+    alert('❌ Failed to update memory: ' + error.message);
+  }
+}
+
+/**
+ * Add a memory for a caller by hand
+ */
+async function addCallerMemory(phoneNumber) {
+  const summary = prompt(`What should the agent remember about ${phoneNumber}?`);
+  if (summary === null) {
+    return;
+  }
+
+  const factsText = prompt('Facts about the caller (separate with ;):', '');
+  if (factsText === null) {
+    return;
+  }
+
+  try {
+    await sendCallerMemoryChange('POST', { phoneNumber, summary, facts: parseFactsInput(factsText) }, phoneNumber);
+  } catch (error) {
+    alert('❌ Failed to add memory: ' + error.message);
+  }
 }
 
 /**
- * Delete a memory thread for a phone number
+ * Delete one memory
+ */
+async function deleteCallerMemory(memoryId) {
+  if (!confirm('Delete this memory?')) {
+    return;
+  }
+
+  const phoneNumber = Object.keys(callerMemoryCache)
+    .find(number => callerMemoryCache[number].some(memory => memory.id === memoryId));
+
+  try {
+    await sendCallerMemoryChange('DELETE', { memoryId }, phoneNumber);
+  } catch (error) {
+    alert('❌ Failed to delete memory: ' + error.message);
+  }
+}
+
+/**
+ * Forget everything remembered about a phone number
  */
 async function deleteMemoryThread(phoneNumber) {
   if (!confirm(`Delete all conversation memory for ${phoneNumber}?\n\nThis action cannot be undone.`)) {
@@ -154,15 +308,12 @@ async function deleteMemoryThread(phoneNumber) {
   }
 
   try {
-    const openaiKey = localStorage.getItem('openaiApiKey');
-
-    const response = await fetch(`${API_BASE}/api/memory-threads`, {
+    const response = await fetch(`${API_BASE}/api/caller-memory`, {
       method: 'DELETE',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         sessionToken: SESSION_TOKEN,
-        phoneNumber: phoneNumber,
-        openaiApiKey: openaiKey
+        phoneNumber: phoneNumber
       })
     });
 
@@ -180,7 +331,7 @@ async function deleteMemoryThread(phoneNumber) {
 }
 
 /**
- * Clear all memory threads
+ * Clear all caller memory
  */
 async function clearAllMemory() {
   if (!confirm('⚠️ Delete ALL conversation memory?\n\nThis will remove memory for all phone numbers and cannot be undone.')) {
@@ -192,17 +343,14 @@ async function clearAllMemory() {
   }
 
   try {
-    const openaiKey = localStorage.getItem('openaiApiKey');
-
-    // Delete each thread
-    for (const thread of memoryThreads) {
-      await fetch(`${API_BASE}/api/memory-threads`, {
+    // Forget each caller
+    for (const caller of memoryThreads) {
+      await fetch(`${API_BASE}/api/caller-memory`, {
         method: 'DELETE',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           sessionToken: SESSION_TOKEN,
-          phoneNumber: thread.phone_number,
-          openaiApiKey: openaiKey
+          phoneNumber: caller.phoneNumber
         })
       });
     }
@@ -214,6 +362,79 @@ async function clearAllMemory() {
   }
 }
 
+/**
+ * Show the import button when OpenAI Assistants threads haven't been imported yet
+ */
+async function checkLegacyThreads() {
+  const btn = document.getElementById('importThreadsBtn');
+  if (!btn) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/api/memory-threads?sessionToken=${SESSION_TOKEN}`);
+    const data = await response.json();
+    const pending = data.success ? data.pendingImport : 0;
+
+    btn.style.display = pending > 0 ? 'inline-block' : 'none';
+    btn.textContent = `📥 Import ${pending} OpenAI Thread${pending === 1 ? '' : 's'}`;
+  } catch (error) {
+    btn.style.display = 'none';
+  }
+}
+
+/**
+ * Move OpenAI Assistants threads into caller memory (in batches)
+ */
+async function importMemoryThreads() {
+  if (!confirm('Import your OpenAI Assistants threads?\n\nEach thread is summarized by your AI provider and saved as caller memory.')) {
+    return;
+  }
+
+  const btn = document.getElementById('importThreadsBtn');
+  btn.disabled = true;
+
+  let afterId = 0;
+  let imported = 0;
+  let skipped = 0;
+  const failed = [];
+
+  try {
+    do {
+      btn.textContent = `⏳ Importing... (${imported} done)`;
+
+      const response = await fetch(`${API_BASE}/api/memory-threads-import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          sessionToken: SESSION_TOKEN,
+          openaiApiKey: localStorage.getItem('openaiApiKey') || undefined,
+          afterId
+        })
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Import failed');
+      }
+
+      imported += data.imported;
+      skipped += data.skipped;
+      failed.push(...data.failed);
+      afterId = data.nextAfterId;
+    } while (afterId);
+
+    alert(`✅ Imported ${imported} thread(s)` +
+      (skipped > 0 ? `\n${skipped} empty thread(s) skipped` : '') +
+      (failed.length > 0 ? `\n⚠️ ${failed.length} failed: ${failed[0].error}` : ''));
+  } catch (error) {
+    alert('❌ Failed to import threads: ' + error.message);
+  } finally {
+    btn.disabled = false;
+    await loadMemoryThreads();
+  }
+}
+
 /**
  * Format date/time for display
  */
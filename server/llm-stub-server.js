@@ -0,0 +1,180 @@
+/**
+ * Local LLM Stub Server
+ *
+ * Minimal OpenAI-compatible chat completions endpoint for offline testing.
+ * Streams canned replies so the WebSocket handlers can be exercised without
+ * an API key or network access.
+ *
+ * - Replies with "You said: <last user message>" (or LLM_STUB_REPLY if set)
+ * - A user message containing "tool:<name>" makes the stub call that tool
+ *   with empty arguments, so the tool loop can be tested end to end
+ * - Reports rough token usage (one token per word) so cost accounting can be tested
+ *
+ * Run with: node server/llm-stub-server.js
+ * Then:     LLM_BASE_URL=http://localhost:8082/v1 node server/websocket-server.js
+ */
+
+import http from 'http';
+
+const PORT = parseInt(process.env.LLM_STUB_PORT, 10) || 8082;
+
+// Delay between streamed words, to make streaming behaviour visible
+const WORD_DELAY_MS = 30;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const countWords = (text) => String(text || '').split(/\s+/).filter(Boolean).length;
+
+/**
+ * Rough usage figures in OpenAI format (one token per word)
+ */
+function buildUsage(messages, content, toolCall) {
+  const promptTokens = messages.reduce((sum, message) => sum + countWords(
+    typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+  ), 0);
+  const completionTokens = toolCall ? countWords(toolCall.function.arguments) + 5 : countWords(content);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+}
+
+/**
+ * Decide what the stub "model" answers for a conversation
+ * @returns {{content: string|null, toolCall: Object|null}}
+ */
+function buildReply(messages, tools) {
+  const lastMessage = messages[messages.length - 1] || {};
+
+  // Tool results came back - summarize them
+  if (lastMessage.role === 'tool') {
+    return { content: `The tool returned: ${lastMessage.content}`, toolCall: null };
+  }
+
+  const userText = typeof lastMessage.content === 'string' ? lastMessage.content : '';
+  const toolMatch = userText.match(/tool:([\w-]+)/);
+  const toolNames = (tools || []).map(tool => tool.function?.name);
+
+  if (toolMatch && toolNames.includes(toolMatch[1])) {
+    return {
+      content: null,
+      toolCall: {
+        id: `call_stub_${Date.now()}`,
+        type: 'function',
+        function: { name: toolMatch[1], arguments: '{}' }
+      }
+    };
+  }
+
+  return {
+    content: process.env.LLM_STUB_REPLY || `You said: ${userText}. This is the local stub model.`,
+    toolCall: null
+  };
+}
+
+async function handleChatCompletion(req, res, body) {
+  const { model = 'stub-model', messages = [], tools, tool_choice: toolChoice, stream, stream_options: streamOptions } = body;
+  const { content, toolCall } = buildReply(messages, toolChoice === 'none' ? [] : tools);
+  const usage = buildUsage(messages, content, toolCall);
+  const id = `chatcmpl-stub-${Date.now()}`;
+  const created = Math.floor(Date.now() / 1000);
+  const finishReason = toolCall ? 'tool_calls' : 'stop';
+
+  console.log(`💬 ${messages.length} message(s) → ${toolCall ? `tool call ${toolCall.function.name}` : `"${content}"`}`);
+
+  if (!stream) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      id,
+      object: 'chat.completion',
+      created,
+      model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content, ...(toolCall ? { tool_calls: [toolCall] } : {}) },
+        finish_reason: finishReason
+      }],
+      usage
+    }));
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const sendChunk = (delta, finish = null) => {
+    res.write(`data: ${JSON.stringify({
+      id,
+      object: 'chat.completion.chunk',
+      created,
+      model,
+      choices: [{ index: 0, delta, finish_reason: finish }]
+    })}\n\n`);
+  };
+
+  sendChunk({ role: 'assistant' });
+
+  if (toolCall) {
+    sendChunk({ tool_calls: [{ index: 0, ...toolCall }] });
+  } else {
+    for (const word of content.split(/(?<=\s)/)) {
+      if (res.destroyed) return; // Client hung up (e.g. barge-in abort)
+      sendChunk({ content: word });
+      await sleep(WORD_DELAY_MS);
+    }
+  }
+
+  sendChunk({}, finishReason);
+  if (streamOptions?.include_usage) {
+    res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [], usage })}\n\n`);
+  }
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'POST' && req.url.endsWith('/chat/completions')) {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let body;
+      try {
+        body = JSON.parse(raw || '{}');
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'Invalid JSON body' } }));
+        return;
+      }
+
+      handleChatCompletion(req, res, body).catch(error => {
+        console.error('❌ Stub error:', error);
+        res.end();
+      });
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && req.url.endsWith('/models')) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ object: 'list', data: [{ id: 'stub-model', object: 'model' }] }));
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    status: 'running',
+    message: 'LLM stub server is running',
+    baseUrl: `http://localhost:${PORT}/v1`
+  }));
+});
+
+server.listen(PORT, () => {
+  console.log(`✓ LLM stub server ready!`);
+  console.log(`  - Base URL: http://localhost:${PORT}/v1`);
+  console.log(`\n💡 Usage:`);
+  console.log(`  LLM_BASE_URL=http://localhost:${PORT}/v1 node server/websocket-server.js`);
+});
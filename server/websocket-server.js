@@ -1,18 +1,47 @@
 /**
  * Local WebSocket Server for Testing
  *
- * Standalone server that runs the workshop WebSocket handler locally.
+ * Standalone server that runs the workshop conversation engine locally
+ * (same call loop as api/workshop-websocket.js, on the `ws` package).
  * This allows testing without deploying to Vercel.
  *
+ * Persistence (first match wins):
+ * - LOCAL_POSTGRES_URL: local Postgres, no SSL, conversation tables created on start
+ * - POSTGRES_URL: the workshop database, read/written directly
+ * - otherwise: the workshop API at VERCEL_API_URL
+ *
+ * Fully offline: LOCAL_POSTGRES_URL + LLM_BASE_URL (node server/llm-stub-server.js)
+ *
  * Run with: node server/websocket-server.js
  */
 
 import { WebSocketServer } from 'ws';
-import OpenAI from 'openai';
 import http from 'http';
+import { createConversationEngine } from '../api/_lib/conversation-engine.js';
+import { createConversationStore, createHttpBackend } from '../api/_lib/conversation-store.js';
+import {
+  connectPostgres,
+  ensureConversationTables,
+  createPostgresBackend
+} from '../api/_lib/conversation-store-postgres.js';
+import { getApiBaseUrl } from '../api/_lib/deployment-config.js';
 
 const PORT = 8080;
 
+const API_BASE_URL = getApiBaseUrl();
+
+// Persistence backend shared by every connection
+let backend;
+if (process.env.LOCAL_POSTGRES_URL) {
+  const sql = connectPostgres(process.env.LOCAL_POSTGRES_URL, { local: true });
+  await ensureConversationTables(sql);
+  backend = createPostgresBackend(sql);
+} else if (process.env.POSTGRES_URL) {
+  backend = createPostgresBackend(connectPostgres(process.env.POSTGRES_URL));
+} else {
+  backend = createHttpBackend(API_BASE_URL);
+}
+
 // Create HTTP server for health checks
 const httpServer = http.createServer((req, res) => {
   res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -28,211 +57,36 @@ const wss = new WebSocketServer({ server: httpServer });
 
 console.log(`🚀 WebSocket server starting on ws://localhost:${PORT}`);
 
-wss.on('connection', async (ws, req) => {
+wss.on('connection', (ws, req) => {
   // Parse query parameters from URL
   const url = new URL(req.url, `http://localhost:${PORT}`);
   const sessionToken = url.searchParams.get('sessionToken');
   const sessionId = sessionToken || 'default';
 
-  console.log(`[${sessionId}] WebSocket connected (session: ${sessionToken || 'no-token'})`);
-
-  // Load student's custom AI settings and OpenAI API key
-  let studentSettings = {
-    systemPrompt: 'You are a helpful voice assistant. Keep responses brief and conversational since they will be spoken aloud.',
-    greeting: 'Hello! How can I help you today?',
-    voice: 'alloy',
-    tools: []
-  };
-  let openaiApiKey = null;
-
-  if (sessionToken) {
-    try {
-      // Fetch student settings from Vercel API (includes decrypted OpenAI key)
-      const apiBaseUrl = process.env.VERCEL_API_URL || 'https://twilio-voice-ai-workshop-vercel.vercel.app';
-      const settingsResponse = await fetch(
-        `${apiBaseUrl}/api/get-student-ai-settings?sessionToken=${encodeURIComponent(sessionToken)}`
-      );
-
-      if (settingsResponse.ok) {
-        const data = await settingsResponse.json();
-        if (data.success && data.settings) {
-          studentSettings = {
-            systemPrompt: data.settings.systemPrompt || studentSettings.systemPrompt,
-            greeting: data.settings.greeting || studentSettings.greeting,
-            voice: data.settings.voice || studentSettings.voice,
-            tools: data.settings.tools || studentSettings.tools
-          };
-          openaiApiKey = data.settings.openaiApiKey;
-          console.log(`[${sessionId}] Loaded custom settings for session ${sessionToken}`);
-
-          if (!openaiApiKey) {
-            console.warn(`[${sessionId}] ⚠️  No OpenAI API key found for student`);
-          }
-        }
-      } else {
-        console.warn(`[${sessionId}] Failed to fetch settings: ${settingsResponse.status}`);
+  // LLM_BASE_URL points every call at a local OpenAI-compatible server
+  // (e.g. node server/llm-stub-server.js) for offline testing
+  const settingsOverrides = process.env.LLM_BASE_URL
+    ? {
+        aiProvider: 'openai-compatible',
+        aiBaseUrl: process.env.LLM_BASE_URL,
+        ...(process.env.LLM_MODEL ? { aiModel: process.env.LLM_MODEL } : {})
       }
-    } catch (error) {
-      console.warn(`[${sessionId}] Could not load student settings:`, error.message);
-    }
-  }
-
-  // Fallback to instructor's key if student hasn't configured their own yet
-  if (!openaiApiKey) {
-    openaiApiKey = process.env.OPENAI_API_KEY;
-    if (!openaiApiKey) {
-      console.error(`[${sessionId}] ❌ No OpenAI API key available (neither student nor instructor key found)`);
-      ws.send(JSON.stringify({
-        type: 'error',
-        error: 'No OpenAI API key configured. Please configure your OpenAI API key in the workshop.'
-      }));
-      ws.close();
-      return;
-    }
-    console.log(`[${sessionId}] Using instructor's OpenAI API key (fallback)`);
-  } else {
-    console.log(`[${sessionId}] ✅ Using student's OpenAI API key`);
-  }
-
-  // Initialize OpenAI client with student's API key (or instructor's as fallback)
-  const openai = new OpenAI({ apiKey: openaiApiKey });
-
-  // =========================================================================
-  // STATEFUL PROMPT ENGINEERING: Conversation Memory
-  // =========================================================================
-  // This array maintains the complete conversation history for this call.
-  // Each user message and AI response is added to this array and sent with
-  // every new OpenAI API request, enabling:
-  //
-  // ✅ Context awareness - AI remembers what was said earlier
-  // ✅ Pronoun resolution - "Change it to Thursday" (AI knows what "it" is)
-  // ✅ Progressive information gathering - Collect details across turns
-  // ✅ Conversation repair - "Actually, I meant Wednesday"
-  // ✅ Personalization - "Hi, I'm Sarah" → AI uses name for rest of call
-  //
-  // ⚠️  Important: Full history is sent with EVERY request (costs tokens!)
-  // ⚠️  Privacy: History stored in memory during call, cleared when call ends
-  // =========================================================================
-  const conversationHistory = [];
-
-  ws.on('message', async (data) => {
-    try {
-      const message = JSON.parse(data.toString());
-      console.log(`[${sessionId}] Received event:`, message.type);
-
-      switch (message.type) {
-        // Setup event - call started
-        case 'setup':
-          console.log(`[${sessionId}] Call setup:`, {
-            from: message.from,
-            to: message.to,
-            direction: message.direction
-          });
-          break;
-
-        // Prompt event - caller spoke
-        case 'prompt':
-          console.log(`[${sessionId}] Caller said:`, message.voicePrompt);
-
-          // Add to conversation history
-          conversationHistory.push({
-            role: 'user',
-            content: message.voicePrompt
-          });
-
-          try {
-            // ===================================================================
-            // OPENAI API CALL WITH CONVERSATION MEMORY
-            // ===================================================================
-            // The messages array is the key to stateful conversations:
-            //
-            // 1. System prompt (first message) - Defines AI personality/behavior
-            // 2. ...conversationHistory (rest) - ALL previous turns in the call
-            //
-            // Example messages array after 3 turns:
-            // [
-            //   { role: "system", content: "You are a helpful assistant..." },
-            //   { role: "user", content: "Hi, I need an appointment" },
-            //   { role: "assistant", content: "I'd be happy to help!" },
-            //   { role: "user", content: "How about Tuesday at 2pm?" },
-            //   { role: "assistant", content: "Perfect! I'll book that." },
-            //   { role: "user", content: "Actually, can we do 3pm?" },  ← current
-            // ]
-            //
-            // The AI can see ALL previous messages, so it knows:
-            // - "We" refers to the appointment being discussed
-            // - "3pm" is changing the time from the previously mentioned "2pm"
-            // - Tuesday is still the day (hasn't changed)
-            //
-            // This enables natural, context-aware conversations! 🎯
-            // ===================================================================
-            const completion = await openai.chat.completions.create({
-              model: 'gpt-4o-mini',
-              messages: [
-                {
-                  role: 'system',
-                  content: studentSettings.systemPrompt
-                },
-                ...conversationHistory  // ← Full conversation history included
-              ],
-              max_tokens: 150,
-              temperature: 0.7
-            });
-
-            const aiResponse = completion.choices[0].message.content;
-            console.log(`[${sessionId}] AI response:`, aiResponse);
-
-            // Add to conversation history
-            conversationHistory.push({
-              role: 'assistant',
-              content: aiResponse
-            });
-
-            // Send response back to Twilio
-            ws.send(JSON.stringify({
-              type: 'text',
-              token: aiResponse,
-              last: true
-            }));
-
-          } catch (aiError) {
-            console.error(`[${sessionId}] OpenAI error:`, aiError.message);
-
-            // Send error response
-            ws.send(JSON.stringify({
-              type: 'text',
-              token: 'I apologize, I encountered an error processing your request.',
-              last: true
-            }));
-          }
-          break;
-
-        // DTMF event - keypad pressed
-        case 'dtmf':
-          console.log(`[${sessionId}] DTMF digit:`, message.digit);
-          break;
-
-        // Interrupt event - caller interrupted
-        case 'interrupt':
-          console.log(`[${sessionId}] Caller interrupted at:`, message.utteranceUntilInterrupt);
-          break;
-
-        default:
-          console.log(`[${sessionId}] Unknown event type:`, message.type);
-      }
-
-    } catch (error) {
-      console.error(`[${sessionId}] Error parsing message:`, error);
-    }
+    : {};
+
+  const engine = createConversationEngine({
+    transport: {
+      send: (data) => ws.send(data),
+      close: () => ws.close()
+    },
+    sessionToken,
+    sessionId,
+    store: sessionToken ? createConversationStore({ backend, sessionToken, sessionId }) : null,
+    settingsOverrides
   });
 
-  ws.on('close', () => {
-    console.log(`[${sessionId}] WebSocket closed`);
-  });
-
-  ws.on('error', (error) => {
-    console.error(`[${sessionId}] WebSocket error:`, error);
-  });
+  ws.on('message', (data) => engine.handleMessage(data));
+  ws.on('close', () => engine.handleClose());
+  ws.on('error', (error) => engine.handleError(error));
 });
 
 httpServer.listen(PORT, () => {
@@ -242,8 +96,14 @@ httpServer.listen(PORT, () => {
   console.log(`\n💡 Usage:`);
   console.log(`  1. Get sessionToken from workshop (Step 1)`);
   console.log(`  2. Connect with: ws://localhost:${PORT}/ws?sessionToken=ws_xxx`);
-  console.log(`  3. Server will fetch your OpenAI key from database`);
+  console.log(`  3. Server will fetch your AI provider settings from database`);
+  console.log(`\n💾 Persistence: ${process.env.LOCAL_POSTGRES_URL ? 'local Postgres' : backend.name === 'postgres' ? 'Postgres (direct)' : `workshop API (${API_BASE_URL})`}`);
   console.log(`\n🔑 Environment Variables:`);
-  console.log(`  - VERCEL_API_URL: ${process.env.VERCEL_API_URL || 'https://twilio-voice-ai-workshop-vercel.vercel.app (default)'}`);
+  console.log(`  - PUBLIC_API_BASE_URL: ${process.env.PUBLIC_API_BASE_URL || process.env.VERCEL_API_URL ? API_BASE_URL : `${API_BASE_URL} (default)`}`);
+  console.log(`  - POSTGRES_URL: ${process.env.POSTGRES_URL ? '✓ Set (direct database access)' : '✗ Not set'}`);
+  console.log(`  - INTERNAL_API_SECRET: ${process.env.INTERNAL_API_SECRET ? '✓ Set (tool secrets over the API)' : '✗ Not set'}`);
+  console.log(`  - LOCAL_POSTGRES_URL: ${process.env.LOCAL_POSTGRES_URL ? '✓ Set (offline mode)' : '✗ Not set'}`);
   console.log(`  - OPENAI_API_KEY: ${process.env.OPENAI_API_KEY ? '✓ Set (fallback)' : '✗ Not set'}`);
+  console.log(`  - ANTHROPIC_API_KEY: ${process.env.ANTHROPIC_API_KEY ? '✓ Set (fallback)' : '✗ Not set'}`);
+  console.log(`  - LLM_BASE_URL: ${process.env.LLM_BASE_URL || '✗ Not set (use student provider config)'}`);
 });